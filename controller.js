@@ -15,10 +15,20 @@ const fs         = require('fs');
 const cp         = require('child_process');
 const ioPackage  = require(__dirname + '/io-package.json');
 const tools      = require(__dirname + '/lib/tools');
+const backends   = require(__dirname + '/lib/backends');
+const Rpc        = require(__dirname + '/lib/rpc');
+const ResponseStream = require(__dirname + '/lib/responseStream');
+const EncryptedNative = require(__dirname + '/lib/encryptedNative');
+const StartOrder = require(__dirname + '/lib/startOrder');
+const ResourceLimits = require(__dirname + '/lib/resourceLimits');
+const WorkerPool = require(__dirname + '/lib/workerPool');
+const InstanceStates = require(__dirname + '/lib/instanceStates');
+const Liveness   = require(__dirname + '/lib/liveness');
 const version    = ioPackage.common.version;
 const pidusage   = require('pidusage');
 let   adapterDir = __dirname.replace(/\\/g, '/');
 let   zipFiles;
+const ZIP_CHUNK_SIZE = 65536; // size of partial results of streamed readDirAsZip
 
 /* Use require('loadavg-windows') to enjoy os.loadavg() on Windows OS.
    Currently Node.js on Windows platform do not implements os.loadavg() functionality - it returns [0,0,0]
@@ -69,6 +79,12 @@ let subscribe               = {};
 let states                  = null;
 let objects                 = null;
 let storeTimer              = null;
+let livenessInterval        = null;
+let liveness                = null; // liveness check of instances, see lib/liveness.js
+let instanceGraph           = {}; // {id: [IDs of instances, that must be started before]}
+let startGeneration         = 0;
+let startTimer              = null;
+let workerPool              = null; // runner process for instances in worker threads
 let isStopping              = null;
 let allInstancesStopped     = true;
 let stopTimeout             = 10000;
@@ -133,10 +149,10 @@ function startMultihost(__config) {
             }
         }
 
-        if ((!_config.objects.host || _config.objects.host === '127.0.0.1' || _config.objects.host === 'localhost') && _config.objects.type === 'file') {
+        if ((!_config.objects.host || _config.objects.host === '127.0.0.1' || _config.objects.host === 'localhost') && (_config.objects.type === 'file' || _config.objects.type === 'sqlite')) {
             logger.warn('Host on this system is not possible, because IP address is for objects is ' + _config.objects.host);
         } else
-        if ((_config.states.host   || _config.states.host  === '127.0.0.1' || _config.states.host  === 'localhost') && _config.states.type  === 'file') {
+        if ((_config.states.host   || _config.states.host  === '127.0.0.1' || _config.states.host  === 'localhost') && (_config.states.type  === 'file' || _config.states.type  === 'sqlite')) {
             logger.warn('Host on this system is not possible, because IP address is for states is ' + _config.states.host);
         }
 
@@ -218,6 +234,9 @@ function createStates() {
                 states.delMessage('system.host.' + hostname, state._id);
                 let obj = state;
                 if (obj) {
+                    if (ResponseStream.handleAck(obj)) {
+                        // acknowledge of partial result of cmdExec, getLogs or readDirAsZip
+                    } else
                     // If callback stored for this request
                     if (obj.callback &&
                         obj.callback.ack &&
@@ -328,6 +347,7 @@ function createObjects() {
         connection: config.objects,
         logger:     logger,
         hostname:   hostname,
+        writeAudit: true, // with redis only controller writes audit log of host
         connected:  function (type) {
             // stop disconnect timeout
             if (disconnectTimeout) {
@@ -394,7 +414,11 @@ function createObjects() {
                         logger.info('host.' + hostname + ' object deleted ' + id);
                     } else {
                         if (procs[id].config.common.enabled  && !obj.common.enabled) logger.info('host.' + hostname + ' "' + id + '" disabled');
-                        if (!procs[id].config.common.enabled &&  obj.common.enabled) logger.info('host.' + hostname + ' "' + id + '" enabled');
+                        if (!procs[id].config.common.enabled &&  obj.common.enabled) {
+                            logger.info('host.' + hostname + ' "' + id + '" enabled');
+                            // user enabled instance again, e.g. after it was disabled because of crash loop
+                            procs[id].crashCount = 0;
+                        }
                         procs[id].config = obj;
                     }
                     if (procs[id].process || procs[id].config.common.mode === 'schedule' || procs[id].config.common.mode === 'subscribe') {
@@ -446,6 +470,111 @@ function startAliveInterval() {
     config.system.checkDiskInterval  = (config.system.checkDiskInterval !== 0) ? parseInt(config.system.checkDiskInterval, 10) || 300000 : 0;
     reportStatus();
     setInterval(reportStatus, config.system.statisticsInterval);
+
+    if (!livenessInterval) livenessInterval = setInterval(() => liveness.check(procs, config.system.liveness), Liveness.getInterval(config.system.liveness));
+}
+
+function setHealthy(id, healthy) {
+    if (procs[id].healthy === healthy) return;
+    if (healthy && procs[id].healthy === false) logger.info(`host.${hostname} instance ${id} answers liveness check again`);
+    procs[id].healthy = healthy;
+    outputCount++;
+    states.setState(id + '.healthy', {val: healthy, ack: true, from: 'system.host.' + hostname});
+}
+
+// Resource limits of instance are defined in common.resourceLimits: {cpu, memoryMB, openFiles, action}, see lib/resourceLimits.js
+// Usage is written into cpu, memRss and fds states of instances with limits or of all instances if system.resourceLimits.accounting is enabled.
+function getResourceSettings() {
+    const settings = config.system.resourceLimits || {};
+    return {
+        accounting: !!settings.accounting,
+        cgroupRoot: settings.cgroupRoot || '/sys/fs/cgroup/' + tools.appName.toLowerCase(),
+        action:     settings.action || 'log', // 'log', 'restart' or 'stop'
+        samples:    parseInt(settings.samples, 10) || 2
+    };
+}
+
+function applyResourceLimits(id) {
+    const proc   = procs[id];
+    const limits = ResourceLimits.normalize(proc.config.common.resourceLimits);
+    proc.resourceExceeded = 0;
+    if (!limits) return;
+    if (proc.process.isWorker) {
+        logger.warn(`host.${hostname} resource limits of ${id} are ignored, because it runs in worker thread`);
+        return;
+    }
+    if (os.platform() !== 'linux') {
+        logger.warn(`host.${hostname} resource limits of ${id} are only checked on ${os.platform()}`);
+        return;
+    }
+
+    const pid = proc.process.pid;
+    ResourceLimits.apply(getResourceSettings().cgroupRoot, id, pid, limits, (errors, result) => {
+        if (errors) errors.forEach(err => logger.warn(`host.${hostname} ${id}: ${err}`));
+        if (proc.process && proc.process.pid === pid) {
+            proc.cgroup = result.cgroup;
+        } else if (result.cgroup) {
+            // terminated in the meantime
+            ResourceLimits.release(getResourceSettings().cgroupRoot, id);
+        }
+    });
+}
+
+function checkResourceLimits(id, usage, limits, settings) {
+    const proc     = procs[id];
+    const exceeded = ResourceLimits.getExceeded(usage, limits);
+    if (!exceeded.length) {
+        if (proc.resourceExceeded >= settings.samples) logger.info(`host.${hostname} instance ${id} keeps its resource limits again`);
+        proc.resourceExceeded = 0;
+        return;
+    }
+
+    proc.resourceExceeded = (proc.resourceExceeded || 0) + 1;
+    // short peaks are ignored and the action is done only once
+    if (proc.resourceExceeded !== settings.samples || proc.stopping) return;
+
+    const action = proc.config.common.resourceLimits.action || settings.action;
+    const text   = `instance ${id} exceeds resource limits: ${exceeded.join(', ')}`;
+    if (action === 'restart') {
+        logger.error(`host.${hostname} ${text}. Restart it.`);
+        stopInstance(id, () => {
+            if (!procs[id] || !procs[id].config.common.enabled) return;
+            if (procs[id].restartTimer) clearTimeout(procs[id].restartTimer);
+            procs[id].restartTimer = setTimeout(_id => startInstance(_id), 2500, id);
+        });
+    } else if (action === 'stop') {
+        logger.error(`host.${hostname} ${text}. Disable it.`);
+        objects.extendObject(id, {common: {enabled: false}, from: 'system.host.' + hostname, ts: Date.now()}, err =>
+            err && logger.error(`host.${hostname} cannot disable ${id}: ${err}`));
+    } else {
+        logger.warn(`host.${hostname} ${text}`);
+    }
+}
+
+function reportResources() {
+    const settings = getResourceSettings();
+    Object.keys(procs).forEach(id => {
+        const proc = procs[id];
+        // usage of worker thread cannot be measured separately from runner process
+        if (!proc.process || proc.process.isWorker || !proc.config || !proc.config.common) return;
+        const limits = ResourceLimits.normalize(proc.config.common.resourceLimits);
+        if (!limits && !settings.accounting) return;
+
+        const pid = proc.process.pid;
+        ResourceLimits.readUsage(pid, (err, usage) => {
+            // instance could be restarted in the meantime
+            if (err || !states || !proc.process || proc.process.pid !== pid) return;
+            const from = 'system.host.' + hostname;
+            states.setState(id + '.cpu',    {val: usage.cpu,    ack: true, from: from});
+            states.setState(id + '.memRss', {val: usage.memRss, ack: true, from: from});
+            outputCount += 2;
+            if (usage.fds !== null) {
+                states.setState(id + '.fds', {val: usage.fds, ack: true, from: from});
+                outputCount++;
+            }
+            if (limits) checkResourceLimits(id, usage, limits, settings);
+        });
+    });
 }
 
 function reportStatus() {
@@ -518,6 +647,8 @@ function reportStatus() {
         });
     }
 
+    reportResources();
+
     // some statistics
     states.setState(id + '.inputCount',   {val: inputCount, ack: true, from: id});
     states.setState(id + '.outputCount',  {val: outputCount, ack: true, from: id});
@@ -1317,7 +1448,39 @@ function processMessage(msg) {
             }
             logger.info(tools.appName + ' ' + args.slice(1).join(' '));
 
+            objects.recordAudit({action: 'host.cmdExec', id: 'system.host.' + hostname, user: null, from: msg.from, details: {command: msg.message.data}});
+
             let child = spawn('node', args);
+
+            // Streamed response: {stdout: text} and {stderr: text} as partial results and {exitCode} as final result
+            if (ResponseStream.isRequested(msg)) {
+                const stream = new ResponseStream(sendTo, msg);
+                const pipe = (input, attr) => {
+                    if (!input) return;
+                    input.on('data', data => {
+                        data = data.toString().replace('\n', '');
+                        logger[attr === 'stdout' ? 'info' : 'error'](tools.appName + ' ' + data);
+                        if (!stream.write({[attr]: data}) && !stream.cancelled) {
+                            input.pause();
+                            stream.once('drain', () => input.resume());
+                        }
+                    });
+                };
+                pipe(child.stdout, 'stdout');
+                pipe(child.stderr, 'stderr');
+                // if requester is gone, the output will be only logged
+                stream.on('cancel', () => {
+                    child.stdout && child.stdout.resume();
+                    child.stderr && child.stderr.resume();
+                });
+                // 'close' comes after stdout and stderr are read completely, paused pipes can still have output after 'exit'
+                child.on('close', exitCode => {
+                    logger.info(tools.appName + ' exit ' + exitCode);
+                    stream.end({exitCode: exitCode});
+                });
+                break;
+            }
+
             if (child.stdout) {
                 child.stdout.on('data', function (data) {
                     data = data.toString().replace('\n', '');
@@ -1517,6 +1680,35 @@ function processMessage(msg) {
             }
             break;
 
+        case 'getRpcEndpoints':
+            // message is optional name of adapter ("email") or instance ("email.0")
+            if (msg.callback && msg.from) {
+                let prefix = 'system.adapter.';
+                let instance = null;
+                if (msg.message && typeof msg.message === 'string') {
+                    prefix += msg.message.replace(/^system\.adapter\./, '');
+                    if (prefix.match(/\.\d+$/)) {
+                        instance = prefix;
+                    } else {
+                        prefix += '.';
+                    }
+                }
+                objects.getObjectView('system', 'instance', {startkey: prefix, endkey: prefix + '\u9999'}, (err, res) => {
+                    const result = {};
+                    if (res && res.rows) {
+                        for (let r = 0; r < res.rows.length; r++) {
+                            if (instance && res.rows[r].id !== instance) continue;
+                            const endpoints = Rpc.getEndpoints(res.rows[r].value);
+                            if (Object.keys(endpoints).length) result[res.rows[r].id] = endpoints;
+                        }
+                    }
+                    sendTo(msg.from, msg.command, err ? {error: err} : {result: result}, msg.callback);
+                });
+            } else {
+                logger.error('host.' + hostname + ' Invalid request ' + msg.command + '. "callback" or "from" is null');
+            }
+            break;
+
         case 'getDiagData':
             if (msg.callback && msg.from) {
                 if (msg.message) {
@@ -1590,6 +1782,32 @@ function processMessage(msg) {
                 let logFile_ = logger.getFileName(); //__dirname + '/log/' + tools.appName + '.log';
                 if (!fs.existsSync(logFile_)) logFile_ = __dirname + '/../../log/' + tools.appName + '.log';
 
+                if (fs.existsSync(logFile_) && ResponseStream.isRequested(msg)) {
+                    // Streamed response: arrays of lines as partial results and {size} of log file as final result
+                    const stats  = fs.statSync(logFile_);
+                    const start  = (stats.size > 150 * lines) ? stats.size - 150 * lines : 0;
+                    const stream = new ResponseStream(sendTo, msg);
+                    const file   = fs.createReadStream(logFile_, {start: start, end: stats.size});
+                    let rest     = '';
+                    let skip     = start > 0; // first line is incomplete
+
+                    stream.on('cancel', () => file.destroy());
+                    file.on('data', chunk => {
+                        const _lines = (rest + chunk.toString()).split('\n');
+                        rest = _lines.pop();
+                        if (skip && _lines.length) {
+                            _lines.shift();
+                            skip = false;
+                        }
+                        if (_lines.length && !stream.write(_lines)) {
+                            file.pause();
+                            stream.once('drain', () => file.resume());
+                        }
+                    }).on('end', () => {
+                        if (rest && !skip) stream.write([rest]);
+                        stream.end({size: stats.size});
+                    }).on('error', err => stream.error(err));
+                } else
                 if (fs.existsSync(logFile_)) {
                     let stats = fs.statSync(logFile_);
 
@@ -1657,6 +1875,20 @@ function processMessage(msg) {
             if (msg.callback && msg.from) {
                 zipFiles = zipFiles || require(__dirname + '/lib/zipFiles');
                 zipFiles.readDirAsZip(objects, msg.message.id, msg.message.name, msg.message.options, function (err, base64) {
+                    if (base64 && ResponseStream.isRequested(msg)) {
+                        // Streamed response: parts of base64 string as partial results and {size} as final result
+                        const stream = new ResponseStream(sendTo, msg);
+                        let pos = 0;
+                        const pump = () => {
+                            while (pos < base64.length) {
+                                const part = base64.substring(pos, pos + ZIP_CHUNK_SIZE);
+                                pos += ZIP_CHUNK_SIZE;
+                                if (!stream.write(part)) return stream.once('drain', pump);
+                            }
+                            stream.end({size: base64.length});
+                        };
+                        pump();
+                    } else
                     if (base64) {
                         sendTo(msg.from, msg.command, {error: err, data: base64}, msg.callback);
                     } else {
@@ -1784,6 +2016,48 @@ function processMessage(msg) {
     }
 }
 
+// Encrypt attributes of native declared in encryptedNative of io-package.json, that are still stored as plain text,
+// e.g. values from time before the adapter declared them. The objects DB encrypts them on write.
+function migrateEncryptedNative(instance) {
+    const adapterDir = tools.getAdapterDir(instance.common.name);
+    let attrs = instance.encryptedNative || [];
+    if (adapterDir && fs.existsSync(adapterDir + '/io-package.json')) {
+        try {
+            const ioPack = JSON.parse(fs.readFileSync(adapterDir + '/io-package.json').toString());
+            if (Array.isArray(ioPack.encryptedNative)) {
+                attrs = attrs.concat(ioPack.encryptedNative.filter(attr => attrs.indexOf(attr) === -1));
+            }
+        } catch (e) {
+            logger.warn('host.' + hostname + ' cannot read io-package.json of ' + instance._id + ': ' + e);
+        }
+    }
+    const plaintext = EncryptedNative.getPlaintext(Object.assign({}, instance, {encryptedNative: attrs}));
+    if (!plaintext.length && attrs.length === (instance.encryptedNative || []).length) return;
+
+    if (plaintext.length) logger.info('host.' + hostname + ' encrypt native.' + plaintext.join(', native.') + ' of ' + instance._id);
+    objects.extendObject(instance._id, {encryptedNative: attrs, from: 'system.host.' + hostname, ts: Date.now()}, err =>
+        err && logger.error('host.' + hostname + ' cannot encrypt native of ' + instance._id + ': ' + err));
+}
+
+// Instances, that were installed with older versions, have no states like crashCount or healthy. Create the missing objects.
+function createInstanceStates(instance) {
+    if (!InstanceStates.hasStates(instance)) return;
+    InstanceStates.getObjects(instance._id).forEach(obj => {
+        objects.getObject(obj._id, (err, existing) => {
+            if (err || existing) return;
+            obj.from = 'system.host.' + hostname;
+            obj.ts   = Date.now();
+            objects.setObject(obj._id, obj, err => {
+                if (err) {
+                    logger.error('host.' + hostname + ' cannot create ' + obj._id + ': ' + err);
+                } else {
+                    logger.info('host.' + hostname + ' object ' + obj._id + ' created');
+                }
+            });
+        });
+    });
+}
+
 function getInstances() {
     objects.getObjectView('system', 'instance', {}, (err, doc) => {
         if (err && err.status_code === 404) {
@@ -1816,6 +2090,11 @@ function getInstances() {
                     objects.addPreserveSettings(instance.common.preserveSettings);
                 }
 
+                if (instance.common.host === hostname) {
+                    migrateEncryptedNative(instance);
+                    createInstanceStates(instance);
+                }
+
                 if (instance.common.mode === 'web' || instance.common.mode === 'none') {
                     if (instance.common.host === hostname) {
                         let name = instance._id.split('.')[2];
@@ -1836,6 +2115,13 @@ function getInstances() {
                 if (_ipArr.indexOf(instance.common.host) !== -1 || instance.common.host === hostname) {
                     procs[instance._id] = procs[instance._id] || {};
                     procs[instance._id].config = JSON.parse(JSON.stringify(instance));
+                    if (procs[instance._id].crashCount === undefined) {
+                        // crashes in row before restart of controller
+                        procs[instance._id].crashCount = 0;
+                        states.getState(instance._id + '.crashCount', (err, state) => {
+                            if (state && procs[instance._id]) procs[instance._id].crashCount = parseInt(state.val, 10) || 0;
+                        });
+                    }
                     if (instance.common.enabled && (!instance.common.webExtension || !instance.native.webInstance)) count++;
                 }
             }
@@ -1852,61 +2138,31 @@ function getInstances() {
 }
 
 function initInstances() {
-    let seconds = 0;
-    let interval = 2000;
+    const interval = 4000; // pause between starts
+    const toStart  = [];
     let id;
 
-    // Start first admin
     for (id in procs) {
         if (!procs.hasOwnProperty(id)) continue;
 
         if (procs[id].config.common.enabled && (!procs[id].config.common.webExtension || !procs[id].config.native.webInstance)) {
-            if (id.indexOf('system.adapter.admin') !== -1) {
-                // do not process if still running. It will be started when old one will be finished
-                if (procs[id].process) {
-                    logger.info('host.' + hostname + ' instance "' + id + '" was not started, because running.');
-                    continue;
-                }
-                if (installQueue.indexOf(id) === -1) {
-                    if (procs[id].restartTimer) {
-                        clearTimeout(procs[id].restartTimer);
-                    }
-                    procs[id].restartTimer = setTimeout(function (_id) {
-                        startInstance(_id);
-                    }, interval * seconds, id);
-
-                    seconds += 2; // 4 seconds pause between starts
+            // do not process if still running. It will be started when old one will be finished
+            if (procs[id].process) {
+                logger.info('host.' + hostname + ' instance "' + id + '" was not started, because running.');
+                continue;
+            }
+            if (installQueue.indexOf(id) === -1) {
+                // Start first admin
+                if (id.indexOf('system.adapter.admin') !== -1) {
+                    toStart.unshift(id);
+                } else {
+                    toStart.push(id);
                 }
             }
-        } else if (procs[id].process) {
+        } else {
             // stop instance if disabled
-            stopInstance(id);
-        }
-    }
-
-    for (id in procs) {
-        if (!procs.hasOwnProperty(id)) continue;
-
-        if (procs[id].config.common.enabled && (!procs[id].config.common.webExtension || !procs[id].config.native.webInstance)) {
-            if (id.indexOf('system.adapter.admin') === -1) {
-                // do not process if still running. It will be started when old one will be finished
-                if (procs[id].process) {
-                    logger.info('host.' + hostname + ' instance "' + id + '" was not started, because running.');
-                    continue;
-                }
-
-                if (installQueue.indexOf(id) === -1) {
-                    if (procs[id].restartTimer) {
-                        clearTimeout(procs[id].restartTimer);
-                    }
-                    procs[id].restartTimer = setTimeout(function (_id) {
-                        startInstance(_id);
-                    }, interval * seconds, id);
+            if (procs[id].process) stopInstance(id);
 
-                    seconds += 2; // 4 seconds pause between starts
-                }
-            }
-        } else {
             let name = id.split('.')[2];
             let adapterDir = tools.getAdapterDir(name);
             if (!fs.existsSync(adapterDir)) {
@@ -1917,6 +2173,76 @@ function initInstances() {
             }
         }
     }
+
+    // dependencies are read now, because startInstance deletes common.dependencies
+    const enabled = {};
+    for (id in procs) {
+        if (procs.hasOwnProperty(id) && procs[id].config.common.enabled) enabled[id] = procs[id].config;
+    }
+    instanceGraph = StartOrder.getGraph(enabled);
+
+    const result = StartOrder.sort(instanceGraph, toStart);
+    result.cycles.forEach(cycle => {
+        logger.error('host.' + hostname + ' cyclic dependency of instances: ' + cycle.join(' -> ') + '. Instances are started without waiting.');
+        // remove dependencies of cycle, so that nobody waits for each other
+        for (let i = 0; i < cycle.length - 1; i++) {
+            instanceGraph[cycle[i]] = instanceGraph[cycle[i]].filter(dep => dep !== cycle[i + 1]);
+        }
+    });
+
+    startInOrder(result.order, interval);
+}
+
+// Start instances one by one with pause between starts. Instance is started only if the daemons, that it depends on, are alive,
+// else the next instance in order is taken, so that one dead dependency does not delay independent instances.
+// Instance waits max system.dependencyTimeout ms after its dependencies are started.
+function startInOrder(order, interval) {
+    const generation = ++startGeneration; // new call of initInstances cancels the old order
+    const timeout    = parseInt(config.system.dependencyTimeout, 10) || 60000;
+    const queue      = order.slice();
+    const since      = {};
+
+    const next = () => {
+        startTimer = null;
+        if (generation !== startGeneration || isStopping) return;
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (!procs[queue[i]]) queue.splice(i, 1);
+        }
+        if (!queue.length) return;
+
+        // only daemons report alive
+        const deps    = {};
+        const started = [];
+        queue.forEach(id => {
+            deps[id] = (instanceGraph[id] || []).filter(dep => procs[dep] && procs[dep].config.common.enabled && procs[dep].config.common.mode === 'daemon');
+            deps[id].forEach(dep => queue.indexOf(dep) === -1 && started.indexOf(dep) === -1 && started.push(dep));
+        });
+
+        getAliveStates(started, alive => {
+            if (generation !== startGeneration || isStopping) return;
+            const result = StartOrder.getNext(queue, deps, alive, since, Date.now(), timeout);
+            if (!result.id) {
+                startTimer = setTimeout(next, 1000);
+                return;
+            }
+            const id = result.id;
+            if (result.missing.length) logger.warn('host.' + hostname + ' instance ' + id + ' is started without waiting for ' + result.missing.join(', '));
+            queue.splice(queue.indexOf(id), 1);
+            if (!procs[id].process && procs[id].config.common.enabled) startInstance(id);
+            if (queue.length) startTimer = setTimeout(next, interval);
+        });
+    };
+    if (startTimer) clearTimeout(startTimer);
+    next();
+}
+
+function getAliveStates(ids, callback) {
+    if (!ids.length) return callback({});
+    states.getStates(ids.map(id => id + '.alive'), (err, values) => {
+        const alive = {};
+        ids.forEach((id, i) => alive[id] = !!(values && values[i] && values[i].val));
+        callback(alive);
+    });
 }
 
 function checkVersion(id, name, version) {
@@ -2122,6 +2448,62 @@ function cleanErrors(id, now, doOutput) {
     }
 }
 
+// Settings for restart of crashed instances: system.crashLoop in iobroker.json
+function getCrashLoopSettings() {
+    const settings = (config.system && config.system.crashLoop) || {};
+    return {
+        delay:      parseInt(settings.delay, 10)      || 30000,
+        maxDelay:   parseInt(settings.maxDelay, 10)   || 1800000,
+        resetAfter: parseInt(settings.resetAfter, 10) || 600000,
+        maxCrashes: settings.maxCrashes === undefined ? 10 : parseInt(settings.maxCrashes, 10) || 0
+    };
+}
+
+function setCrashCount(id, count) {
+    procs[id].crashCount = count;
+    outputCount++;
+    states.setState(id + '.crashCount', {val: count, ack: true, from: 'system.host.' + hostname});
+}
+
+/**
+ * Count crash of instance and calculate delay of restart. Delay is doubled by every crash in row.
+ *
+ * @param {string} id ID of instance
+ * @return {number|null} delay in ms or null if instance crashed too often and must be disabled
+ */
+function registerCrash(id) {
+    const settings = getCrashLoopSettings();
+    if (procs[id].crashResetTimer) {
+        clearTimeout(procs[id].crashResetTimer);
+        delete procs[id].crashResetTimer;
+    }
+    setCrashCount(id, (procs[id].crashCount || 0) + 1);
+
+    if (settings.maxCrashes && procs[id].crashCount >= settings.maxCrashes) return null;
+    return Math.min(settings.delay * Math.pow(2, procs[id].crashCount - 1), settings.maxDelay);
+}
+
+// crashes are counted "in row", so counter is reset if instance runs long enough
+function startCrashResetTimer(id) {
+    if (!procs[id].crashCount) return;
+    if (procs[id].crashResetTimer) clearTimeout(procs[id].crashResetTimer);
+
+    procs[id].crashResetTimer = setTimeout(_id => {
+        if (!procs[_id]) return;
+        delete procs[_id].crashResetTimer;
+        if (procs[_id].process) setCrashCount(_id, 0);
+    }, getCrashLoopSettings().resetAfter, id);
+}
+
+// Daemon runs as worker thread in shared runner process instead of own process, if adapter supports it (common.workerThread)
+// and it is enabled for all instances of host (system.workerThreads.enabled) or for instance (common.runInWorker: true/false).
+function isWorkerInstance(instance) {
+    const common = instance.common;
+    if (common.mode !== 'daemon' || !common.workerThread || !WorkerPool.isSupported()) return false;
+    if (common.runInWorker !== undefined) return !!common.runInWorker;
+    return !!(config.system.workerThreads && config.system.workerThreads.enabled);
+}
+
 function startInstance(id, wakeUp) {
     if (isStopping || !connected) return;
 
@@ -2226,7 +2608,15 @@ function startInstance(id, wakeUp) {
             if (procs[id] && !procs[id].process) {
                 allInstancesStopped = false;
                 logger.debug('host.' + hostname + ' startInstance ' + name + '.' + args[0] + ' loglevel=' + args[1]);
-                procs[id].process = cp.fork(fileNameFull, args, {stdio: ['ignore', 'ignore', 'pipe', 'ipc']});
+                if (isWorkerInstance(instance)) {
+                    workerPool = workerPool || new WorkerPool({logger: logger});
+                    procs[id].process = workerPool.fork(id, fileNameFull, args, {memoryLimitMB: instance.common.memoryLimitMB});
+                } else {
+                    procs[id].process = cp.fork(fileNameFull, args, {stdio: ['ignore', 'ignore', 'pipe', 'ipc']});
+                }
+                procs[id].startedAt = Date.now();
+                procs[id].process.on('message', msg => liveness.onMessage(id, procs[id], msg));
+                applyResourceLimits(id);
 
                 // catch error output
                 if (procs[id].process.stderr) {
@@ -2249,9 +2639,17 @@ function startInstance(id, wakeUp) {
                 storePids(); // Store all pids to make possible kill them all
 
                 procs[id].process.on('exit', function (code, signal) {
-                    outputCount += 2;
-                    states.setState(id + '.alive',     {val: false, ack: true, from: 'system.host.' + hostname});
-                    states.setState(id + '.connected', {val: false, ack: true, from: 'system.host.' + hostname});
+                    outputCount += 3;
+                    states.setState(id + '.alive',        {val: false, ack: true, from: 'system.host.' + hostname});
+                    states.setState(id + '.connected',    {val: false, ack: true, from: 'system.host.' + hostname});
+                    states.setState(id + '.lastExitCode', {val: code,  ack: true, from: 'system.host.' + hostname});
+
+                    liveness.cancel(procs[id]);
+                    if (procs[id] && procs[id].healthy !== undefined) setHealthy(id, false);
+                    if (procs[id] && procs[id].cgroup) {
+                        ResourceLimits.release(getResourceSettings().cgroupRoot, id);
+                        procs[id].cgroup = false;
+                    }
 
                     cleanAutoSubscribes(id);
 
@@ -2310,17 +2708,25 @@ function startInstance(id, wakeUp) {
                         delete procs[id].process;
                     }
                     if (code !== DESIRED_TERMINATION && !wakeUp && connected && !isStopping && procs[id] && procs[id].config && procs[id].config.common && procs[id].config.common.enabled && (!procs[id].config.common.webExtension || !procs[id].config.native.webInstance) && mode !== 'once') {
-
-                        logger.info('host.' + hostname + ' Restart adapter ' + id + ' because enabled');
+                        // 4294967196 (-100) is special code that adapter wants itself to be restarted immediately
+                        const delay = code === 4294967196 ? 1000 : registerCrash(id);
 
                         //noinspection JSUnresolvedVariable
                         if (procs[id].restartTimer) {
                             clearTimeout(procs[id].restartTimer);
                         }
-                        procs[id].restartTimer = setTimeout(function (_id) {
-                            startInstance(_id);
-                        }, code === 4294967196 ? 1000 : (procs[id].config.common.restartSchedule ? 1000 : 30000), id);
-                        // 4294967196 (-100) is special code that adapter wants itself to be restarted immediately
+
+                        if (delay === null) {
+                            logger.error(`host.${hostname} instance ${id} crashed ${procs[id].crashCount} times in row and will be disabled. Please check the log, fix the problem and enable instance again.`);
+                            objects.extendObject(id, {common: {enabled: false}, from: 'system.host.' + hostname, ts: Date.now()}, err =>
+                                err && logger.error(`host.${hostname} cannot disable ${id}: ${err}`));
+                        } else {
+                            logger.info(`host.${hostname} Restart adapter ${id} because enabled` + (code === 4294967196 ? '' : ` in ${Math.round(delay / 1000)} seconds (crash ${procs[id].crashCount})`));
+
+                            procs[id].restartTimer = setTimeout(function (_id) {
+                                startInstance(_id);
+                            }, delay, id);
+                        }
                     } else {
                         if (code === DESIRED_TERMINATION) {
                             logger.info(`host.${hostname} Do not restart adapter ${id} because desired by instance`);
@@ -2334,7 +2740,8 @@ function startInstance(id, wakeUp) {
                     storePids(); // Store all pids to make possible kill them all
                 });
                 if (!wakeUp && procs[id] && procs[id].config.common && procs[id].config.common.enabled && (!procs[id].config.common.webExtension || !procs[id].config.native.webInstance) && mode !== 'once') {
-                    logger.info(`host.${hostname} instance ${instance._id} started with pid ${procs[id].process.pid}`);
+                    logger.info(`host.${hostname} instance ${instance._id} started with pid ${procs[id].process.pid}` + (procs[id].process.isWorker ? ' in worker thread' : ''));
+                    startCrashResetTimer(id);
                 }
             } else {
                 if (!wakeUp && procs[id]) logger.warn('host.' + hostname + ' instance ' + instance._id + ' already running with pid ' + procs[id].process.pid);
@@ -2626,6 +3033,33 @@ function stopInstance(id, callback) {
  }, 63000);
  */
 
+// Stop instances in reverse order of dependencies: instances, that nobody depends on, first.
+// Instances of one level are stopped together, next level waits till they are terminated.
+function stopInOrder() {
+    const levels = StartOrder.getLevels(instanceGraph, Object.keys(procs)).reverse();
+    const levelTimeout = Math.floor(stopTimeout / (levels.length || 1));
+
+    const nextLevel = () => {
+        const level = levels.shift();
+        if (!level) return;
+
+        const children = level.map(id => procs[id] && procs[id].process).filter(child => child);
+        level.forEach(id => procs[id] && stopInstance(id));
+
+        const started = Date.now();
+        const wait = () => {
+            const running = children.filter(child => child.exitCode === null && child.signalCode === null);
+            if (!running.length || Date.now() - started >= levelTimeout) {
+                nextLevel();
+            } else {
+                setTimeout(wait, 100);
+            }
+        };
+        wait();
+    };
+    nextLevel();
+}
+
 function stopInstances(forceStop, callback) {
     let timeout;
     function waitForInstances() {
@@ -2652,13 +3086,15 @@ function stopInstances(forceStop, callback) {
             isStopping = isStopping || Date.now();
         }
 
+        if (startTimer) {
+            clearTimeout(startTimer);
+            startTimer = null;
+        }
+
         if (forceStop || isDaemon) {
             // send instances SIGTERM, only needed if running in background (isDaemon)
             // or slave lost connection to master
-            for (let id in procs) {
-                if (!procs.hasOwnProperty(id)) continue;
-                stopInstance(id);
-            }
+            stopInOrder();
         }
 
         waitForInstances();
@@ -2687,6 +3123,7 @@ function stop() {
 
     stopInstances(false, function (wasForced) {
         if (objects && objects.destroy) objects.destroy();
+        if (workerPool) workerPool.destroy();
 
         outputCount++;
         states.setState('system.host.' + hostname + '.alive', {val: false, ack: true, from: 'system.host.' + hostname}, function () {
@@ -2712,19 +3149,11 @@ function stop() {
 // bootstrap
 function init() {
     // Get "objects" object
-    // If "file" and on the local machine
-    if (config.objects.type === 'file' && (!config.objects.host || config.objects.host === 'localhost' || config.objects.host === '127.0.0.1' || config.objects.host === '0.0.0.0')) {
-        Objects = require(__dirname + '/lib/objects/objectsInMemServer');
-    } else {
-        Objects = require(__dirname + '/lib/objects');
-    }
+    // If backend has own server (e.g. "file") and on the local machine, start the server
+    Objects = backends.getServer('objects', config.objects);
 
     // Get "states" object
-    if (config.states.type === 'file' && (!config.states.host || config.states.host === 'localhost' || config.states.host === '127.0.0.1' || config.states.host === '0.0.0.0')) {
-        States  = require(__dirname + '/lib/states/statesInMemServer');
-    } else {
-        States  = require(__dirname + '/lib/states');
-    }
+    States  = backends.getServer('states', config.states);
 
     // Detect if outputs to console are forced. By default they are disabled and redirected to log file
     if (config.log.noStdout && process.argv && (process.argv.indexOf('--console') !== -1 || process.argv.indexOf('--logs') !== -1)) {
@@ -2743,6 +3172,13 @@ function init() {
     // Delete all log files older than x das
     logger.activateDateChecker(true, config.log.maxDays);
 
+    liveness = new Liveness({
+        logger:     logger,
+        hostname:   hostname,
+        setHealthy: setHealthy,
+        notify:     (instance, text, id) => sendTo(instance, 'send', {text: text, instance: id})
+    });
+
     // If installed as npm module
     adapterDir = adapterDir.split('/');
     if (adapterDir.pop() === 'node_modules') {
@@ -13,6 +13,7 @@
 //   systemConfig:  if required system configuration. Store it in systemConfig attribute
 //   objectChange:  callback function (id, obj) that will be called if object changed
 //   stateChange:   callback function (id, obj) that will be called if state changed
+//   stateExpired:  callback function (id, lastState) that will be called if state expired (see "expire" in setState)
 //   message:       callback to inform about new message the adapter
 //   unload:        callback to stop the adapter
 //   config:        configuration of the connection to controller
@@ -24,11 +25,24 @@ const extend =            require('node.extend');
 const util =              require('util');
 const EventEmitter =      require('events').EventEmitter;
 const tools =             require('./tools');
+const backends =          require('./backends');
 const pidusage =          require('pidusage');
 const getConfigFileName = tools.getConfigFileName;
 let schedule;
 
 const password =          require('./password');
+const tokens =            require('./tokens');
+const totp =              require('./totp');
+const encryptedNative =   require('./encryptedNative');
+const Rpc =               require('./rpc');
+const ResponseStream =    require('./responseStream');
+const ResourceLimits =    require('./resourceLimits');
+let parentPort =          null; // set if instance runs in worker thread, see lib/workerPool.js
+try {
+    parentPort = require('worker_threads').parentPort;
+} catch (e) {
+    // worker threads are not supported by this node.js version
+}
 let config =            null;
 let that;
 let defaultObjs;
@@ -61,6 +75,10 @@ const ACCESS_USER_READ   = 0x400;
 // const ACCESS_CREATE      = 'create';
 
 const ERROR_OBJ_NOT_FOUND = 'Not exists';
+const ERROR_CONFLICT      = 'Conflict';
+const MAX_CONFLICT_RETRIES = 10; // extendObject with replaced arrays reads and writes object again, if it was changed in the meantime
+const ERROR_TIMEOUT       = 'Timeout';   // no response for sendTo/sendToHost in options.timeout
+const ERROR_CANCELLED     = 'Cancelled'; // sendTo/sendToHost was aborted with options.signal
 
 if (fs.existsSync(getConfigFileName())) {
     config = JSON.parse(fs.readFileSync(getConfigFileName(), 'utf8'));
@@ -202,28 +220,14 @@ function Adapter(options) {
 
     let States;
     if (config.states && config.states.type) {
-        if (config.states.type === 'file') {
-            States = require(__dirname + '/states/statesInMemClient');
-        } else if (config.states.type === 'redis') {
-            States = require(__dirname + '/states/statesInRedis');
-        } else {
-            throw 'Unknown objects type: ' + config.states.type;
-        }
+        States = backends.getClient('states', config.states);
     } else {
         States  = require(__dirname + '/states');
     }
 
     let Objects;
     if (config.objects && config.objects.type) {
-        if (config.objects.type === 'file') {
-            Objects = require(__dirname + '/objects/objectsInMemClient');
-        } else if (config.objects.type === 'redis') {
-            Objects = require(__dirname + '/objects/objectsInRedis');
-        } else if (config.objects.type === 'couch') {
-            Objects= require(__dirname + '/objects/objectsInCouch');
-        } else {
-            throw 'Unknown objects type: ' + config.objects.type;
-        }
+        Objects = backends.getClient('objects', config.objects);
     } else {
         Objects = require(__dirname + '/objects');
     }
@@ -251,6 +255,12 @@ function Adapter(options) {
     let reportInterval;
 
     let callbackId = 1;
+    let timeoutCount = 0; // requests without response in statistics interval
+    const rpcHandlers = {};     // command => handler, see registerRpcHandler
+    const rpcDeclarations = {}; // command => declaration given to registerRpcHandler
+    const usedOtps = {};        // user => counter of last accepted one-time password, see checkPassword
+    const MAX_FAILED_ATTEMPTS_LOG = 10; // last failed logins stored in system.user.X.failedLogins
+    const loginQueues = {};     // user => checks of checkPassword, that wait till the running check of user has written failed logins
     that.getPortRunning = null;
 
     /**
@@ -297,12 +307,17 @@ function Adapter(options) {
     /**
      * validates user and password
      *
+     * If two-factor authentication is enabled for the user ("iobroker user 2fa enable <user>"),
+     * the current code of the authenticator app must be given in options.otp. Every code can be used only once.
+     *
+     * Failed attempts are recorded in state system.user.X.failedLogins. After passwordPolicy.maxFailedAttempts of system.config
+     * the user is locked for passwordPolicy.lockoutTime seconds and the result is false even for the correct password.
      *
      * @alias checkPassword
      * @memberof Adapter
      * @param {string} user user name as text
      * @param {string} pw password as text
-     * @param {object} options optional user context
+     * @param {object} options optional user context, {otp: '123456'} - one-time password, {ip: '1.2.3.4'} - client address for failed attempts
      * @param {function} callback return result
      *        <pre><code>
      *            function (result) {
@@ -327,16 +342,174 @@ function Adapter(options) {
                 callback(false);
                 return;
             }
-            password(pw).check(obj.common.password, (err, res) => {
+            // failed logins are read, counted and written again, so parallel checks of the same user must wait
+            queueLogin(user, done => getPasswordPolicy(policy => {
+                readLoginFailures(user, failures => {
+                    if (failures.lockedUntil > Date.now()) {
+                        logger.warn(that.namespace + ' User ' + user + ' is locked till ' + new Date(failures.lockedUntil).toISOString() + ' after failed logins');
+                        done();
+                        callback(false);
+                        return;
+                    }
+                    checkCredentials(user, obj, pw, options, res => {
+                        const finish = () => {
+                            done();
+                            callback(res);
+                        };
+                        if (res) {
+                            if (failures.count || failures.lockedUntil) {
+                                failures.count       = 0;
+                                failures.lockedUntil = 0;
+                                writeLoginFailures(user, failures, finish);
+                            } else {
+                                finish();
+                            }
+                        } else {
+                            failures.count++;
+                            failures.attempts.push({ts: Date.now(), from: 'system.adapter.' + that.namespace, ip: (options && options.ip) || undefined});
+                            failures.attempts = failures.attempts.slice(-MAX_FAILED_ATTEMPTS_LOG);
+                            if (policy.maxFailedAttempts && failures.count >= policy.maxFailedAttempts) {
+                                failures.count       = 0;
+                                failures.lockedUntil = Date.now() + (policy.lockoutTime || 300) * 1000;
+                                logger.warn(that.namespace + ' User ' + user + ' locked for ' + (policy.lockoutTime || 300) + ' seconds after ' + policy.maxFailedAttempts + ' failed logins');
+                            }
+                            writeLoginFailures(user, failures, finish);
+                        }
+                    });
+                });
+            }));
+        });
+    };
+
+    // run task(done) for user after the tasks queued before
+    function queueLogin(user, task) {
+        if (loginQueues[user]) {
+            loginQueues[user].push(task);
+            return;
+        }
+        loginQueues[user] = [];
+        const run = task => task(() => {
+            const next = loginQueues[user].shift();
+            if (next) {
+                run(next);
+            } else {
+                delete loginQueues[user];
+            }
+        });
+        run(task);
+    }
+
+    function checkCredentials(user, obj, pw, options, callback) {
+        password(pw).check(obj.common.password, (err, res) => {
+            if (!res || !obj.common.totp || !obj.common.totp.secret) {
                 callback(res);
+                return;
+            }
+            that.getForeignObject('system.config', (err, config) => {
+                const secret = totp.decryptSecret(config && config.native && config.native.secret, obj.common.totp.secret);
+                if (secret === null) logger.error(that.namespace + ' Cannot decrypt secret of two-factor authentication for ' + user + '. Was secret of system.config changed?');
+                const counter = totp.verify(secret, options && options.otp);
+                if (counter === null || (usedOtps[user] !== undefined && counter <= usedOtps[user])) {
+                    logger.warn(that.namespace + ' Invalid or reused one-time password for ' + user);
+                    callback(false);
+                    return;
+                }
+                usedOtps[user] = counter;
+                callback(true);
             });
         });
-    };
+    }
+
+    // system.config common.passwordPolicy: {minLength, complexity, forbidDefault, maxFailedAttempts, lockoutTime}
+    function getPasswordPolicy(callback) {
+        that.getForeignObject('system.config', (err, obj) => callback((obj && obj.common && obj.common.passwordPolicy) || {}));
+    }
+
+    // failed logins are stored as JSON in state system.user.X.failedLogins: {count, lockedUntil, attempts: [{ts, from, ip}]}
+    function readLoginFailures(user, callback) {
+        that.states.getState(user + '.failedLogins', (err, state) => {
+            let failures = null;
+            try {
+                failures = state && state.val ? JSON.parse(state.val) : null;
+            } catch (e) {
+                logger.warn(that.namespace + ' Cannot parse ' + user + '.failedLogins: ' + e);
+            }
+            failures = failures || {};
+            callback({count: failures.count || 0, lockedUntil: failures.lockedUntil || 0, attempts: failures.attempts || []});
+        });
+    }
+
+    // object of state is created with first failed login
+    function writeLoginFailures(user, failures, callback) {
+        const id    = user + '.failedLogins';
+        const write = () => that.states.setState(id, {val: JSON.stringify(failures), ack: true, from: 'system.adapter.' + that.namespace}, () => callback());
+        that.getForeignObject(id, (err, obj) => {
+            if (obj) return write();
+            that.setForeignObject(id, {
+                type:   'state',
+                common: {
+                    name:  user.replace(regUser, '') + ' failed logins',
+                    desc:  'Set by checkPassword: {count, lockedUntil, attempts: [{ts, from, ip}]}',
+                    type:  'string',
+                    role:  'json',
+                    read:  true,
+                    write: false
+                },
+                native: {}
+            }, write);
+        });
+    }
     /**
      * Promise-version of Adapter.checkPassword
      */
     that.checkPasswordAsync = tools.promisifyNoError(that.checkPassword, that);
 
+    /**
+     * validates API token
+     *
+     * Tokens are created with "iobroker user token add <user> <name>" and can be given e.g. as "Authorization: Bearer <token>".
+     * Tokens of disabled users, revoked and expired tokens are invalid.
+     *
+     * @alias checkToken
+     * @memberof Adapter
+     * @param {string} token token as text, "Bearer " prefix is allowed
+     * @param {object} options optional user context
+     * @param {function} callback return result
+     *        <pre><code>
+     *            function (result, user) {
+     *              if (result) adapter.log.debug('Token of ' + user + ' is valid');
+     *            }
+     *        </code></pre>
+     */
+    that.checkToken = function checkToken(token, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+
+        if (!callback) throw 'checkToken: no callback';
+
+        const parsed = tokens.parse(token);
+        if (!parsed) {
+            callback(false, null);
+            return;
+        }
+
+        that.objects.getObject('system.user.' + parsed.user, options, (err, obj) => {
+            if (err || !obj || obj.type !== 'user' || !obj.common || (!obj.common.enabled && obj._id !== 'system.user.admin') || !tokens.verify(obj, token)) {
+                callback(false, null);
+            } else {
+                callback(true, obj._id);
+            }
+        });
+    };
+    /**
+     * Promise-version of Adapter.checkToken
+     *
+     * @return {Promise} {result, user}
+     */
+    that.checkTokenAsync = tools.promisifyNoError(that.checkToken, that, ['result', 'user']);
+
     /**
      * sets the user's password
      *
@@ -366,17 +539,23 @@ function Adapter(options) {
                 if (typeof callback === 'function') callback('User does not exist');
                 return;
             }
-            password(pw).hash(null, null, (err, res) => {
+            getPasswordPolicy(policy => password(pw).complexity(policy, err => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                     return;
                 }
-                that.extendForeignObject(user, {
-                    common: {
-                        password: res
+                password(pw).hash(null, null, (err, res) => {
+                    if (err) {
+                        if (typeof callback === 'function') callback(err);
+                        return;
                     }
-                }, options, () => (typeof callback === 'function') && callback(null));
-            });
+                    that.extendForeignObject(user, {
+                        common: {
+                            password: res
+                        }
+                    }, options, () => (typeof callback === 'function') && callback(null));
+                });
+            }));
         });
 
     };
@@ -866,13 +1045,26 @@ function Adapter(options) {
                         logger.error(options.name + '.' + instance + ' invalid config');
                         process.exit(2);
                     } else {
-                        createInstancesObjects(() => initAdapter(res));
+                        createInstancesObjects(() => decryptConfig(res, () => initAdapter(res)));
                     }
                 });
             }
         });
     }
 
+    // Attributes of native declared in encryptedNative are stored encrypted, adapter gets them decrypted in adapter.config
+    function decryptConfig(adapterConfig, callback) {
+        if (!adapterConfig || !Array.isArray(adapterConfig.encryptedNative) || !adapterConfig.encryptedNative.length) return callback();
+        that.getForeignObject('system.config', (err, obj) => {
+            const result = encryptedNative.decryptNative(adapterConfig, obj && obj.native && obj.native.secret);
+            if (result.errors.length) {
+                logger.error(that.namespace + ' cannot decrypt native.' + result.errors.join(', native.') + '. Was secret of system.config changed? Please enter the values again.');
+            }
+            adapterConfig.native = result.native;
+            callback();
+        });
+    }
+
     function autoSubscribeOn(cb) {
         if (!that.autoSubscribe) {
             // collect all
@@ -1029,11 +1221,14 @@ function Adapter(options) {
          *     type: 'state' // channel, device
          * }</code></pre>
          *
+         * Every write increases the revision of the object (obj._rev). With <b>options.expectedRev</b> the object
+         * will be written only if it still has this revision, otherwise callback is called with error 'Conflict'.
+         *
          * @alias setObject
          * @memberof Adapter
          * @param {string} id object ID, that must be overwritten or created.
          * @param {object} obj new object
-         * @param {object} options optional user context
+         * @param {object} options optional user context and expected revision, e.g. {expectedRev: 5}
          * @param {function} callback return result
          *        <pre><code>
          *            function (err, obj) {
@@ -1109,6 +1304,19 @@ function Adapter(options) {
          */
         that.setObjectAsync = tools.promisify(that.setObject, that);
 
+        // Write object read before only if nobody changed it in the meantime, else start again with "retry".
+        // If the caller gave the expected revision or MAX_CONFLICT_RETRIES is reached, the conflict is returned.
+        function setIfNotChanged(id, obj, options, retries, retry, callback) {
+            const expectedRev = options && options.expectedRev !== undefined ? options.expectedRev : (obj._rev || 0);
+            that.objects.setObject(id, obj, Object.assign({}, options, {expectedRev}), (err, res) => {
+                if (err === ERROR_CONFLICT && (!options || options.expectedRev === undefined) && retries < MAX_CONFLICT_RETRIES) {
+                    retry(retries + 1);
+                } else if (typeof callback === 'function') {
+                    callback(err, res);
+                }
+            });
+        }
+
         /**
          * Get all states, channels and devices of this adapter.
          *
@@ -1209,7 +1417,7 @@ function Adapter(options) {
          * @memberof Adapter
          * @param {string} id object ID, that must be extended
          * @param {object} obj part that must be extended
-         * @param {object} options optional user context
+         * @param {object} options optional user context and expected revision, e.g. {expectedRev: 5}
          * @param {function} callback return result
          *        <pre><code>
          *            function (err, obj) {
@@ -1243,7 +1451,7 @@ function Adapter(options) {
                 (obj.native && obj.native.devices))
             ) {
                 // Read whole object
-                that.objects.getObject(id, options, (err, oldObj) => {
+                const replaceArrays = retries => that.objects.getObject(id, options, (err, oldObj) => {
                     if (err) {
                         if (typeof callback === 'function') callback(err);
                         return;
@@ -1264,14 +1472,15 @@ function Adapter(options) {
                     if (obj.native && obj.native.devices && oldObj.native && oldObj.native.devices) {
                         oldObj.native.devices = [];
                     }
-                    obj = extend(true, oldObj, obj);
+                    const newObj = extend(true, oldObj, obj);
 
-                    if (!obj.from) obj.from = 'system.adapter.' + that.namespace;
-                    if (!obj.user) obj.user = (options ? options.user : '') || 'system.user.admin';
-                    if (!obj.ts) obj.ts = Date.now();
+                    if (!newObj.from) newObj.from = 'system.adapter.' + that.namespace;
+                    if (!newObj.user) newObj.user = (options ? options.user : '') || 'system.user.admin';
+                    if (!newObj.ts) newObj.ts = Date.now();
 
-                    that.objects.setObject(id, obj, options, callback);
+                    setIfNotChanged(id, newObj, options, retries || 0, replaceArrays, callback);
                 });
+                replaceArrays();
             } else {
                 if (!obj.from) obj.from = 'system.adapter.' + that.namespace;
                 if (!obj.user) obj.user = (options ? options.user : '') || 'system.user.admin';
@@ -1293,7 +1502,7 @@ function Adapter(options) {
          * @memberof Adapter
          * @param {string} id object ID, that must be overwritten or created.
          * @param {object} obj new object
-         * @param {object} options optional user context
+         * @param {object} options optional user context and expected revision, e.g. {expectedRev: 5}
          * @param {function} callback return result
          *        <pre><code>
          *            function (err, obj) {
@@ -1332,7 +1541,7 @@ function Adapter(options) {
          * @memberof Adapter
          * @param {string} id object ID, that must be extended
          * @param {object} obj part that must be extended
-         * @param {object} options optional user context
+         * @param {object} options optional user context and expected revision, e.g. {expectedRev: 5}
          * @param {function} callback return result
          *        <pre><code>
          *            function (err, obj) {
@@ -1355,7 +1564,7 @@ function Adapter(options) {
             if (obj && ((obj.native && (obj.native.repositories || obj.native.certificates || obj.native.devices)) ||
                 (obj.common && obj.common.members))) {
                 // Read whole object
-                that.objects.getObject(id, options, (err, oldObj) => {
+                const replaceArrays = retries => that.objects.getObject(id, options, (err, oldObj) => {
                     if (err) {
                         if (typeof callback === 'function') callback(err);
                         return;
@@ -1376,14 +1585,15 @@ function Adapter(options) {
                     if (obj.native && obj.native.devices && oldObj.native && oldObj.native.devices) {
                         oldObj.native.devices = [];
                     }
-                    obj = extend(true, oldObj, obj);
+                    const newObj = extend(true, oldObj, obj);
 
-                    if (!obj.from) obj.from = 'system.adapter.' + that.namespace;
-                    if (!obj.user) obj.user = (options ? options.user : '') || 'system.user.admin';
-                    if (!obj.ts) obj.ts = Date.now();
+                    if (!newObj.from) newObj.from = 'system.adapter.' + that.namespace;
+                    if (!newObj.user) newObj.user = (options ? options.user : '') || 'system.user.admin';
+                    if (!newObj.ts) newObj.ts = Date.now();
 
-                    that.objects.setObject(id, obj, callback);
+                    setIfNotChanged(id, newObj, options, retries || 0, replaceArrays, callback);
                 });
+                replaceArrays();
             } else {
                 if (!obj.from) obj.from = 'system.adapter.' + that.namespace;
                 if (!obj.user) obj.user = (options ? options.user : '') || 'system.user.admin';
@@ -1727,6 +1937,50 @@ function Adapter(options) {
          */
         that.findForeignObjectAsync = tools.promisify(that.findForeignObject, that, ["id", "name"]);
 
+        /**
+         * Find objects by attributes.
+         *
+         * Attributes are given with their path. Indexed attributes (by default type, common.type, common.role, common.name,
+         * keys of common.custom and enum membership) are found without reading all objects, e.g.:
+         * <pre><code>
+         *     adapter.queryObjects({type: 'state', 'common.role': 'value.temperature'}, ...);
+         *     adapter.queryObjects({'common.custom.*': 'history.0'}, ...);          // all objects with settings for history.0
+         *     adapter.queryObjects({enum: 'enum.rooms.kitchen', _id: 'hm-rpc.*'}, ...); // members of enum with pattern for ID
+         * </code></pre>
+         * If the value is an array, one of the values must match.
+         *
+         * @alias queryObjects
+         * @memberof Adapter
+         * @param {object} query attributes, that must match
+         * @param {object} options optional user context
+         * @param {function} callback return result
+         *        <pre><code>
+         *            function (err, objs) {
+         *              // objs is {"hm-rpc.0.ABC.1.TEMPERATURE": {...}, ...}
+         *              if (err) adapter.log.error('Cannot query objects: ' + err);
+         *            }
+         *        </code></pre>
+         */
+        that.queryObjects = function queryObjects(query, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = null;
+            }
+            that.objects.queryObjects(query, options, (err, res) => {
+                if (err) {
+                    if (typeof callback === 'function') callback(err);
+                    return;
+                }
+                const objs = {};
+                res.rows.forEach(row => objs[row.id] = row.value);
+                if (typeof callback === 'function') callback(null, objs);
+            });
+        };
+        /**
+         * Promise-version of Adapter.queryObjects
+         */
+        that.queryObjectsAsync = tools.promisify(that.queryObjects, that);
+
         /**
          * Get any object.
          *
@@ -1755,6 +2009,37 @@ function Adapter(options) {
          */
         that.getForeignObjectAsync = tools.promisify(that.getForeignObject, that);
 
+        /**
+         * Get last versions of any object.
+         *
+         * Versions are stored only if "objects.history.enabled" is set in iobroker.json.
+         * ID must be specified as a full name with adapter namespace. E.g "system.adapter.hm-rpc.0"
+         *
+         * @alias getObjectHistory
+         * @memberof Adapter
+         * @param {string} id exactly object ID (with namespace)
+         * @param {object} options optional user context
+         * @param {function} callback return result
+         *        <pre><code>
+         *            function (err, versions) {
+         *              // versions is [{rev: 5, ts: 1525000000000, user: 'system.user.admin', from: 'system.adapter.admin.0', obj: {...}}, ...]
+         *              // newest version first, obj is null if object was deleted
+         *              if (err) adapter.log.error('Cannot get history: ' + err);
+         *            }
+         *        </code></pre>
+         */
+        that.getObjectHistory = function getObjectHistory(id, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = null;
+            }
+            that.objects.getObjectHistory(id, options, callback);
+        };
+        /**
+         * Promise-version of Adapter.getObjectHistory
+         */
+        that.getObjectHistoryAsync = tools.promisify(that.getObjectHistory, that);
+
         /**
          * Delete an object of this instance.
          *
@@ -1826,6 +2111,57 @@ function Adapter(options) {
          */
         that.delForeignObjectAsync = tools.promisify(that.delForeignObject, that);
 
+        /**
+         * Change multiple objects at once.
+         *
+         * Either all operations are applied or, if one of them fails (e.g. because of access rights or revision conflict), none.
+         * IDs must be specified as full names with adapter namespace, e.g.
+         * <pre><code>
+         *     adapter.objectsTransaction([
+         *         {op: 'extend', id: 'system.adapter.hm-rpc.0', obj: {native: {port: 2001}}, expectedRev: 5},
+         *         {op: 'set', id: 'hm-rpc.0.info', obj: {type: 'channel', common: {name: 'Info'}, native: {}}},
+         *         {op: 'del', id: 'hm-rpc.0.old'}
+         *     ], (err, result) => {
+         *         // result is [{id: 'system.adapter.hm-rpc.0', rev: 6}, {id: 'hm-rpc.0.info', rev: 1}, {id: 'hm-rpc.0.old'}]
+         *         if (err === 'Conflict') adapter.log.warn(result.id + ' was changed by someone else');
+         *     });
+         * </code></pre>
+         *
+         * @alias objectsTransaction
+         * @memberof Adapter
+         * @param {object[]} operations list of {op: 'set' | 'extend' | 'del', id, obj, expectedRev}, expectedRev is optional
+         * @param {object} options optional user context
+         * @param {function} callback return result
+         *        <pre><code>
+         *            function (err, result) {
+         *              if (err) adapter.log.error('Cannot change objects: ' + err);
+         *            }
+         *        </code></pre>
+         */
+        that.objectsTransaction = function objectsTransaction(operations, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = null;
+            }
+            if (!Array.isArray(operations)) {
+                logger.error(tools.appendStackTrace(that.namespace + ' objectsTransaction: operations must be an array'));
+                if (typeof callback === 'function') callback('operations must be an array');
+                return;
+            }
+            operations.forEach(operation => {
+                if (operation && operation.obj) {
+                    if (!operation.obj.from) operation.obj.from = 'system.adapter.' + that.namespace;
+                    if (!operation.obj.user) operation.obj.user = (options ? options.user : '') || 'system.user.admin';
+                    if (!operation.obj.ts) operation.obj.ts = Date.now();
+                }
+            });
+            that.objects.transaction(operations, options, callback);
+        };
+        /**
+         * Promise-version of Adapter.objectsTransaction
+         */
+        that.objectsTransactionAsync = tools.promisify(that.objectsTransaction, that);
+
         /**
          * Subscribe for the changes of objects in this instance.
          **
@@ -3640,29 +3976,35 @@ function Adapter(options) {
                     that.states.delMessage('system.adapter.' + that.namespace, state._id);
                     const obj = state;
                     if (obj) {
-                        // If callback stored for this request
+                        if (ResponseStream.handleAck(obj)) {
+                            // acknowledge of partial result sent by createResponseStream
+                        } else
+                        // If this is partial result for sendTo or sendToHost with options.onData
                         if (obj.callback     &&
                             obj.callback.ack &&
                             obj.callback.id  &&
-                            that.callbacks   &&
-                            that.callbacks['_' + obj.callback.id]) {
+                            obj.callback.partial) {
+                            processPartial(obj);
+                        } else
+                        // If this is response for sendTo or sendToHost
+                        if (obj.callback     &&
+                            obj.callback.ack &&
+                            obj.callback.id) {
                             // Call callback function
-                            if (that.callbacks['_' + obj.callback.id].cb) {
-                                that.callbacks['_' + obj.callback.id].cb(obj.message);
-                                delete that.callbacks['_' + obj.callback.id];
+                            const callback = takeCallback('_' + obj.callback.id);
+                            if (callback) {
+                                if (callback.cb) callback.cb(obj.message);
+                            } else {
+                                logger.debug(that.namespace + ' Response for timed out or cancelled request ' + obj.callback.id + ' ignored');
                             }
                             // delete too old callbacks IDs, like garbage collector
                             const now = Date.now();
                             for (const _id in that.callbacks) {
-                                if (now - that.callbacks[_id].time > 3600000) delete that.callbacks[_id];
+                                if (now - that.callbacks[_id].time > 3600000) takeCallback(_id);
                             }
 
                         } else {
-                            if (options.message) {
-                                // Else inform about new message the adapter
-                                options.message(obj);
-                            }
-                            that.emit('message', obj);
+                            processRpc(obj);
                         }
                     }
                 } else {
@@ -3695,6 +4037,16 @@ function Adapter(options) {
                             });
                         }
                     }
+
+                    // "expired" has the last state before expiration, e.g. for watchdogs
+                    if (state && state.expired) {
+                        const _id = (options.noNamespace || config.noNamespace) && that._namespaceRegExp.test(id) ? id.substring(that.namespace.length + 1) : id;
+                        if (typeof options.stateExpired === 'function') {
+                            options.stateExpired(_id, state.expired);
+                        } else {
+                            setImmediate(() => that.emit('stateExpired', _id, state.expired));
+                        }
+                    }
                 }
             },
             connectTimeout: function (error) {
@@ -3707,42 +4059,125 @@ function Adapter(options) {
             }
         });
 
-        /**
-         * Send message to other adapter instance or all instances of adapter.
-         *
-         * This function sends a message to specific instance or all instances of some specific adapter.
-         * If no instance given (e.g. "pushover"), the callback argument will be ignored. Because normally many responses will come.
-         *
-         * @alias sendTo
-         * @memberof Adapter
-         * @param {string} instanceName name of the instance where the message must be send to. E.g. "pushover.0" or "system.adapter.pushover.0".
-         * @param {string} command command name, like "send", "browse", "list". Command is depend on target adapter implementation.
-         * @param {object} message object that will be given as argument for request
-         * @param {function} callback optional return result
-         *        <pre><code>
-         *            function (result) {
-         *              // result is target adapter specific and can vary from adapter to adapter
-         *              if (!result) adapter.log.error('No response received');
-         *            }
-         *        </code></pre>
-         */
-        that.sendTo = function sendTo(instanceName, command, message, callback) {
-            if ((typeof message === 'function') && (typeof callback === 'undefined')) {
+        // Remove callback of request, its timer and abort handler
+        function takeCallback(id) {
+            const callback = that.callbacks && that.callbacks[id];
+            if (callback) {
+                delete that.callbacks[id];
+                if (callback.timer) clearTimeout(callback.timer);
+                if (callback.signal) callback.signal.removeEventListener('abort', callback.abort);
+            }
+            return callback;
+        }
+
+        // Store callback for response. onError is called with ERROR_TIMEOUT or ERROR_CANCELLED if no response came.
+        // Returns false if request is already aborted and must not be sent.
+        function registerCallback(obj, message, options, callback, onError) {
+            // force subscribe even no messagebox enabled
+            if (!that.common.messagebox && !that.mboxSubscribed) {
+                that.mboxSubscribed = true;
+                that.states.subscribeMessage('system.adapter.' + that.namespace);
+            }
+
+            const signal = options && options.signal;
+            if (signal && signal.aborted) {
+                if (onError) setImmediate(onError, ERROR_CANCELLED);
+                return false;
+            }
+
+            obj.callback = {
+                message: message,
+                id:      callbackId++,
+                ack:     false,
+                time:    Date.now()
+            };
+            if (callbackId >= 0xFFFFFFFF) callbackId = 1;
+            if (!that.callbacks) that.callbacks = {};
+
+            const id = '_' + obj.callback.id;
+            const entry = that.callbacks[id] = {cb: callback, time: obj.callback.time};
+
+            if (options && typeof options.onData === 'function') {
+                obj.callback.stream = true;
+                entry.onData = options.onData;
+            }
+
+            if (options && options.timeout) {
+                // for streamed responses timeout is time without any partial result
+                entry.startTimer = () => {
+                    if (entry.timer) clearTimeout(entry.timer);
+                    entry.timer = setTimeout(() => {
+                        if (takeCallback(id)) {
+                            timeoutCount++;
+                            logger.warn(that.namespace + ' No response for "' + obj.command + '" in ' + options.timeout + 'ms');
+                            if (onError) onError(ERROR_TIMEOUT);
+                        }
+                    }, options.timeout);
+                };
+                entry.startTimer();
+            }
+            if (signal) {
+                entry.signal = signal;
+                entry.abort  = () => {
+                    if (takeCallback(id) && onError) onError(ERROR_CANCELLED);
+                };
+                signal.addEventListener('abort', entry.abort);
+            }
+            return true;
+        }
+
+        // Give partial result to options.onData of request and acknowledge it, so the responder can send more
+        function processPartial(obj) {
+            const entry = that.callbacks && that.callbacks['_' + obj.callback.id];
+            const reply = callback => that.states.pushMessage(obj.from, {
+                command:  obj.command,
+                message:  null,
+                from:     'system.adapter.' + that.namespace,
+                callback: Object.assign({id: obj.callback.id, ack: true}, callback)
+            });
+
+            if (!entry || !entry.onData) {
+                // request timed out or was cancelled
+                return reply({streamCancel: true});
+            }
+            if (entry.startTimer) entry.startTimer();
+
+            const seq = obj.callback.partial;
+            if (entry.onData.length >= 2) {
+                // onData acknowledges itself
+                entry.onData(obj.message, () => reply({streamAck: seq}));
+            } else {
+                entry.onData(obj.message);
+                reply({streamAck: seq});
+            }
+        }
+
+        // Arguments of sendTo and sendToHost can be (target, message), (target, command, message),
+        // (target, command, message, callback) or (target, command, message, options, callback)
+        function normalizeRequest(command, message, options, callback) {
+            if (typeof message === 'function' && options === undefined) {
                 callback = message;
-                message = undefined;
+                message  = undefined;
+            } else if (callback === undefined && !(options && (options.timeout !== undefined || options.signal !== undefined || options.onData !== undefined))) {
+                callback = options;
+                options  = null;
             }
             if (typeof message === 'undefined') {
                 message = command;
                 command = 'send';
             }
-            const obj = {command: command, message: message, from: 'system.adapter.' + that.namespace};
+            return {command: command, message: message, options: options || null, callback: callback};
+        }
+
+        function sendToInstance(instanceName, request, onError) {
+            const obj = {command: request.command, message: request.message, from: 'system.adapter.' + that.namespace};
 
             if (!instanceName.match(/^system\.adapter\./)) instanceName = 'system.adapter.' + instanceName;
 
-            if (typeof message !== 'object') {
-                that.log.debug('sendTo "' + command + '" to ' + instanceName + ' from system.adapter.' + that.namespace + ': ' + message);
+            if (typeof request.message !== 'object') {
+                that.log.debug('sendTo "' + request.command + '" to ' + instanceName + ' from system.adapter.' + that.namespace + ': ' + request.message);
             } else {
-                that.log.debug('sendTo "' + command + '" to ' + instanceName + ' from system.adapter.' + that.namespace);
+                that.log.debug('sendTo "' + request.command + '" to ' + instanceName + ' from system.adapter.' + that.namespace);
             }
 
             // If not specific instance
@@ -3756,68 +4191,71 @@ function Adapter(options) {
                     }
                 });
             } else {
-                if (callback) {
-                    if (typeof callback === 'function') {
-                        // force subscribe even no messagebox enabled
-                        if (!that.common.messagebox && !that.mboxSubscribed) {
-                            that.mboxSubscribed = true;
-                            that.states.subscribeMessage('system.adapter.' + that.namespace);
-                        }
-
-                        obj.callback = {
-                            message: message,
-                            id:      callbackId++,
-                            ack:     false,
-                            time:    Date.now()
-                        };
-                        if (callbackId >= 0xFFFFFFFF) callbackId = 1;
-                        if (!that.callbacks) that.callbacks = {};
-                        that.callbacks['_' + obj.callback.id] = {cb: callback};
-
-                        // delete too old callbacks IDs
-                        const now = Date.now();
-                        for (const _id in that.callbacks) {
-                            if (now - that.callbacks[_id].time > 3600000) delete that.callbacks[_id];
-                        }
+                if (request.callback) {
+                    if (typeof request.callback === 'function') {
+                        if (!registerCallback(obj, request.message, request.options, request.callback, onError)) return;
                     } else {
-                        obj.callback = callback;
+                        obj.callback = request.callback;
                         obj.callback.ack = true;
                     }
                 }
 
                 that.states.pushMessage(instanceName, obj);
             }
-        };
-        /**
-         * Promise-version of Adapter.sendTo
-         */
-        that.sendToAsync = tools.promisifyNoError(that.sendTo, that);
+        }
 
         /**
-         * Send message to specific host or to all hosts.
+         * Send message to other adapter instance or all instances of adapter.
          *
-         * This function sends a message to specific host or all hosts.
-         * If no host name given (e.g. null), the callback argument will be ignored. Because normally many responses will come.
+         * This function sends a message to specific instance or all instances of some specific adapter.
+         * If no instance given (e.g. "pushover"), the callback argument will be ignored. Because normally many responses will come.
          *
-         * @alias sendToHost
+         * If options.timeout is given and no response came in this time, the callback is called with {error: 'Timeout'}.
+         * If options.signal (e.g. from AbortController) is aborted before response, the callback is called with {error: 'Cancelled'}.
+         * Later responses are ignored.
+         *
+         * If options.onData is given, the target can send partial results before the final one (see {@link Adapter.createResponseStream}).
+         * Every partial result is acknowledged after onData returns or, if onData has two arguments, after ack() is called.
+         * options.timeout is then the time without any partial result.
+         *
+         * @alias sendTo
          * @memberof Adapter
-         * @param {string} hostName name of the host where the message must be send to. E.g. "myPC" or "system.host.myPC". If argument is empty, the message will be sent to all hosts.
-         * @param {string} command command name. One of: "cmdExec", "getRepository", "getInstalled", "getVersion", "getDiagData", "getLocationOnDisk", "getDevList", "getLogs", "delLogs", "readDirAsZip", "writeDirAsZip", "readObjectsAsZip", "writeObjectsAsZip", "checkLogging". Commands can be checked in controller.js (function processMessage)
+         * @param {string} instanceName name of the instance where the message must be send to. E.g. "pushover.0" or "system.adapter.pushover.0".
+         * @param {string} command command name, like "send", "browse", "list". Command is depend on target adapter implementation.
          * @param {object} message object that will be given as argument for request
+         * @param {object} options optional {timeout: ms, signal: AbortSignal, onData: function (chunk[, ack]) for partial results}
          * @param {function} callback optional return result
          *        <pre><code>
          *            function (result) {
-         *              // result is target adapter specific and can vary from command to command
+         *              // result is target adapter specific and can vary from adapter to adapter
          *              if (!result) adapter.log.error('No response received');
          *            }
          *        </code></pre>
          */
-        that.sendToHost = function sendToHost(hostName, command, message, callback) {
-            if (typeof message === 'undefined') {
-                message = command;
-                command = 'send';
-            }
-            const obj = {command: command, message: message, from: 'system.adapter.' + that.namespace};
+        that.sendTo = function sendTo(instanceName, command, message, options, callback) {
+            const request = normalizeRequest(command, message, options, callback);
+            sendToInstance(instanceName, request, typeof request.callback === 'function' ? error => request.callback({error: error}) : null);
+        };
+        /**
+         * Promise-version of Adapter.sendTo
+         *
+         * Rejects with 'Timeout' or 'Cancelled' if options.timeout or options.signal is given and no response came.
+         *
+         * @param {string} instanceName name of the instance, e.g. "pushover.0"
+         * @param {string} command command name
+         * @param {object} message object that will be given as argument for request
+         * @param {object} options optional {timeout: ms, signal: AbortSignal, onData: function (chunk[, ack])}
+         * @return {Promise} result of target adapter
+         */
+        that.sendToAsync = function sendToAsync(instanceName, command, message, options) {
+            return new Promise((resolve, reject) => {
+                const request = normalizeRequest(command, message, options || null, resolve);
+                sendToInstance(instanceName, request, reject);
+            });
+        };
+
+        function sendToHostInstance(hostName, request, onError) {
+            const obj = {command: request.command, message: request.message, from: 'system.adapter.' + that.namespace};
 
             if (hostName && !hostName.match(/^system\.host\./)) hostName = 'system.host.' + hostName;
 
@@ -3835,36 +4273,209 @@ function Adapter(options) {
                     }
                 });
             } else {
-                if (callback) {
-                    if (typeof callback === 'function') {
-                        // force subscribe even no messagebox enabled
-                        if (!that.common.messagebox && !that.mboxSubscribed) {
-                            that.mboxSubscribed = true;
-                            that.states.subscribeMessage('system.adapter.' + that.namespace);
-                        }
-
-                        obj.callback = {
-                            message: message,
-                            id:      callbackId++,
-                            ack:     false,
-                            time:    Date.now()
-                        };
-                        if (callbackId >= 0xFFFFFFFF) callbackId = 1;
-                        if (!that.callbacks) that.callbacks = {};
-                        that.callbacks['_' + obj.callback.id] = {cb: callback};
+                if (request.callback) {
+                    if (typeof request.callback === 'function') {
+                        if (!registerCallback(obj, request.message, request.options, request.callback, onError)) return;
                     } else {
-                        obj.callback     = callback;
+                        obj.callback     = request.callback;
                         obj.callback.ack = true;
                     }
                 }
 
                 that.states.pushMessage(hostName, obj);
             }
+        }
+
+        /**
+         * Send message to specific host or to all hosts.
+         *
+         * This function sends a message to specific host or all hosts.
+         * If no host name given (e.g. null), the callback argument will be ignored. Because normally many responses will come.
+         * Options are the same as by {@link Adapter.sendTo}.
+         *
+         * @alias sendToHost
+         * @memberof Adapter
+         * @param {string} hostName name of the host where the message must be send to. E.g. "myPC" or "system.host.myPC". If argument is empty, the message will be sent to all hosts.
+         * @param {string} command command name. One of: "cmdExec", "getRepository", "getInstalled", "getVersion", "getDiagData", "getLocationOnDisk", "getDevList", "getLogs", "delLogs", "readDirAsZip", "writeDirAsZip", "readObjectsAsZip", "writeObjectsAsZip", "checkLogging". Commands can be checked in controller.js (function processMessage)
+         * @param {object} message object that will be given as argument for request
+         * @param {object} options optional {timeout: ms, signal: AbortSignal, onData: function (chunk[, ack]) for partial results}
+         * @param {function} callback optional return result
+         *        <pre><code>
+         *            function (result) {
+         *              // result is target adapter specific and can vary from command to command
+         *              if (!result) adapter.log.error('No response received');
+         *            }
+         *        </code></pre>
+         */
+        that.sendToHost = function sendToHost(hostName, command, message, options, callback) {
+            const request = normalizeRequest(command, message, options, callback);
+            sendToHostInstance(hostName, request, typeof request.callback === 'function' ? error => request.callback({error: error}) : null);
         };
         /**
          * Promise-version of Adapter.sendToHost
+         *
+         * Rejects with 'Timeout' or 'Cancelled' if options.timeout or options.signal is given and no response came.
+         *
+         * @param {string} hostName name of the host, e.g. "myPC"
+         * @param {string} command command name
+         * @param {object} message object that will be given as argument for request
+         * @param {object} options optional {timeout: ms, signal: AbortSignal, onData: function (chunk[, ack])}
+         * @return {Promise} result of host
+         */
+        that.sendToHostAsync = function sendToHostAsync(hostName, command, message, options) {
+            return new Promise((resolve, reject) => {
+                const request = normalizeRequest(command, message, options || null, resolve);
+                sendToHostInstance(hostName, request, reject);
+            });
+        };
+
+        function replyRpc(obj, response) {
+            if (obj.callback && obj.from) that.sendTo(obj.from, obj.command, response, obj.callback);
+        }
+
+        // Registered RPC commands are validated and answered here, all other messages go to options.message and 'message' event
+        function processRpc(obj) {
+            const declaration = rpcDeclarations[obj.command] || Rpc.getEndpoints({common: that.common})[obj.command];
+            const handler     = rpcHandlers[obj.command];
+
+            if (declaration) {
+                const error = Rpc.validateArgs(declaration, obj.message);
+                if (error) {
+                    logger.warn(that.namespace + ' RPC "' + obj.command + '" from ' + obj.from + ': ' + error);
+                    return replyRpc(obj, {error: error});
+                }
+            }
+
+            if (handler) {
+                let answered = false;
+                const respond = (err, result) => {
+                    if (answered) return;
+                    answered = true;
+                    replyRpc(obj, err ? {error: Rpc.serializeError(err)} : {result: result === undefined ? null : result});
+                };
+                try {
+                    const promise = handler(obj.message, obj.from, respond);
+                    if (promise && typeof promise.then === 'function') {
+                        promise.then(result => respond(null, result), err => respond(err || 'Error'));
+                    }
+                } catch (e) {
+                    logger.error(that.namespace + ' RPC "' + obj.command + '" failed: ' + e);
+                    respond(e);
+                }
+            } else if (options.message || that.listenerCount('message')) {
+                if (options.message) {
+                    // Else inform about new message the adapter
+                    options.message(obj);
+                }
+                that.emit('message', obj);
+            } else {
+                replyRpc(obj, {error: Rpc.ERROR_UNKNOWN_COMMAND + ': ' + obj.command});
+            }
+        }
+
+        /**
+         * Create stream to send partial results for received message.
+         *
+         * Can be used if requester gave options.onData to sendTo (obj.callback.stream is true), otherwise only the final result can be sent.
+         *
+         * @alias createResponseStream
+         * @memberof Adapter
+         * @param {object} obj received message
+         * @return {object} stream with write(chunk) (returns false if 'drain' must be awaited), end(result) and error(err). Emits 'cancel' if requester is gone.
+         *        <pre><code>
+         *            adapter.on('message', obj => {
+         *                const stream = adapter.createResponseStream(obj);
+         *                rows.forEach(row => stream.write(row));
+         *                stream.end({count: rows.length});
+         *            });
+         *        </code></pre>
          */
-        that.sendToHostAsync = tools.promisifyNoError(that.sendToHost, that);
+        that.createResponseStream = function createResponseStream(obj) {
+            return new ResponseStream((target, command, message, callback) => that.sendTo(target, command, message, callback), obj);
+        };
+
+        /**
+         * Register handler for RPC command.
+         *
+         * Arguments of command are checked against "args" schema of declaration in common.rpc of io-package.json
+         * or of declaration given here. Invalid requests and unknown commands are answered with {error: 'text'} automatically.
+         * Messages without registered handler go to "message" event as before.
+         *
+         * @alias registerRpcHandler
+         * @memberof Adapter
+         * @param {string} command name of command, e.g. "send"
+         * @param {object} declaration optional {desc: 'text', args: JSON schema}
+         * @param {function} handler function (args, from, callback), callback is function (err, result). Instead of callback the handler can return Promise.
+         *        <pre><code>
+         *            adapter.registerRpcHandler('sum', {args: {type: 'array', items: {type: 'number'}}}, (args, from, callback) => {
+         *                callback(null, args.reduce((a, b) => a + b, 0));
+         *            });
+         *        </code></pre>
+         */
+        that.registerRpcHandler = function registerRpcHandler(command, declaration, handler) {
+            if (typeof declaration === 'function') {
+                handler     = declaration;
+                declaration = null;
+            }
+            if (declaration) {
+                rpcDeclarations[command] = declaration;
+            } else {
+                delete rpcDeclarations[command];
+            }
+            if (handler) {
+                rpcHandlers[command] = handler;
+            } else {
+                delete rpcHandlers[command];
+            }
+        };
+
+        /**
+         * Call RPC command of other adapter instance.
+         *
+         * Like {@link Adapter.sendTo}, but response {result} or {error} of {@link Adapter.registerRpcHandler} is converted into (err, result).
+         *
+         * @alias callRpc
+         * @memberof Adapter
+         * @param {string} instanceName name of the instance, e.g. "email.0"
+         * @param {string} command name of command
+         * @param {any} args arguments of command
+         * @param {object} options optional {timeout: ms, signal: AbortSignal}
+         * @param {function} callback function (err, result)
+         */
+        that.callRpc = function callRpc(instanceName, command, args, options, callback) {
+            if (typeof args === 'function') {
+                callback = args;
+                args     = undefined;
+                options  = null;
+            } else if (typeof options === 'function') {
+                callback = options;
+                options  = null;
+            }
+            that.sendTo(instanceName, command, args === undefined ? null : args, options || {}, response => {
+                if (!callback) return;
+                if (response && typeof response === 'object' && response.error !== undefined) {
+                    callback(response.error);
+                } else if (response && typeof response === 'object' && response.hasOwnProperty('result')) {
+                    callback(null, response.result);
+                } else {
+                    // adapter without registered handler
+                    callback(null, response);
+                }
+            });
+        };
+        /**
+         * Promise-version of Adapter.callRpc
+         *
+         * @param {string} instanceName name of the instance, e.g. "email.0"
+         * @param {string} command name of command
+         * @param {any} args arguments of command
+         * @param {object} options optional {timeout: ms, signal: AbortSignal}
+         * @return {Promise} result of command
+         */
+        that.callRpcAsync = function callRpcAsync(instanceName, command, args, options) {
+            return new Promise((resolve, reject) =>
+                that.callRpc(instanceName, command, args, options, (err, result) => err ? reject(err) : resolve(result)));
+        };
 
         /**
          * Writes value into states DB.
@@ -3886,7 +4497,7 @@ function Adapter(options) {
          *          q:      qualityAsNumber,  // default - 0 (ok)
          *          from:   origin,           // default - this adapter
          *          c:      comment,          // default - empty
-         *          expire: expireInSeconds   // default - 0
+         *          expire: expireInSeconds   // default - 0; fractions are allowed, e.g. 0.5. Expired state is published with val null and the last state in "expired"
          *      }
          *  </code></pre>
          * @param {boolean} ack optional is command(false) or status(true)
@@ -4026,7 +4637,7 @@ function Adapter(options) {
          *          q:      qualityAsNumber,  // default - 0 (ok)
          *          from:   origin,           // default - this adapter
          *          c:      comment,          // default - empty
-         *          expire: expireInSeconds   // default - 0
+         *          expire: expireInSeconds   // default - 0; fractions are allowed, e.g. 0.5. Expired state is published with val null and the last state in "expired"
          *      }
          *  </code></pre>
          * @param {boolean} ack optional is command(false) or status(true)
@@ -4113,7 +4724,7 @@ function Adapter(options) {
          *          q:      qualityAsNumber,  // default - 0 (ok)
          *          from:   origin,           // default - this adapter
          *          c:      comment,          // default - empty
-         *          expire: expireInSeconds   // default - 0
+         *          expire: expireInSeconds   // default - 0; fractions are allowed, e.g. 0.5. Expired state is published with val null and the last state in "expired"
          *      }
          *  </code></pre>
          * @param {boolean} ack optional is command(false) or status(true)
@@ -5278,9 +5889,18 @@ function Adapter(options) {
         }
     }
 
+    // Controller writes cpu and memRss, if it accounts usage of this instance (see reportResources in controller.js).
+    // In worker thread the process values are of the whole runner, so they are not written at all.
+    function isUsageReported() {
+        if (parentPort) return false;
+        const settings = config.system.resourceLimits || {};
+        return !settings.accounting && !ResourceLimits.normalize(that.common && that.common.resourceLimits);
+    }
+
     function reportStatus() {
         const id = 'system.adapter.' + that.namespace;
-        that.outputCount += 7;
+        const reportUsage = isUsageReported();
+        that.outputCount += reportUsage ? 9 : 8;
         that.states.setState(id + '.alive', {val: true, ack: true, expire: Math.floor(config.system.statisticsInterval / 1000) + 10, from: id});
         if (that.connected) {
             that.states.setState(id + '.connected', {val: true, ack: true, expire: 30, from: id});
@@ -5296,25 +5916,34 @@ function Adapter(options) {
         //   elapsed: 6650000,     // ms since the start of the process
         //   timestamp: 864000000  // ms since epoch
         // }
-        pidusage(process.pid, (err, stats) => {
-            // sometimes adapter is stopped, but this is still running
-            if (!err && that && that.states && that.states.setState && stats) {
-                that.states.setState(id + '.cpu',     {ack: true, from: id, val: parseFloat(stats.cpu).toFixed(2)});
-                that.states.setState(id + '.cputime', {ack: true, from: id, val: stats.ctime / 1000});
-                that.outputCount+=2;
-            }
-        });
+        if (!parentPort) {
+            pidusage(process.pid, (err, stats) => {
+                // sometimes adapter is stopped, but this is still running
+                if (!err && that && that.states && that.states.setState && stats) {
+                    if (reportUsage) {
+                        that.states.setState(id + '.cpu', {ack: true, from: id, val: parseFloat(stats.cpu).toFixed(2)});
+                        that.outputCount++;
+                    }
+                    that.states.setState(id + '.cputime', {ack: true, from: id, val: stats.ctime / 1000});
+                    that.outputCount++;
+                }
+            });
+        }
         //RSS is the resident set size, the portion of the process's memory held in RAM (as opposed to the swap space or the part held in the filesystem).
         const mem = process.memoryUsage();
-        that.states.setState(id + '.memRss', {val: parseFloat((mem.rss / 1048576/* 1MB */).toFixed(2)), ack: true, from: id});
+        if (reportUsage) that.states.setState(id + '.memRss', {val: parseFloat((mem.rss / 1048576/* 1MB */).toFixed(2)), ack: true, from: id});
         that.states.setState(id + '.memHeapTotal', {val: parseFloat((mem.heapTotal / 1048576/* 1MB */).toFixed(2)), ack: true, from: id});
         that.states.setState(id + '.memHeapUsed', {val: parseFloat((mem.heapUsed / 1048576/* 1MB */).toFixed(2)), ack: true, from: id});
         // Under windows toFixed returns string ?
         that.states.setState(id + '.uptime', {val: parseInt(process.uptime().toFixed(), 10), ack: true, from: id});
         that.states.setState(id + '.inputCount', {val: that.inputCount, ack: true, from: id});
         that.states.setState(id + '.outputCount', {val: that.outputCount, ack: true, from: id});
+        // sendTo/sendToHost requests waiting for response and requests without response in the interval
+        that.states.setState(id + '.sendToPending', {val: that.callbacks ? Object.keys(that.callbacks).length : 0, ack: true, from: id});
+        that.states.setState(id + '.sendToTimeouts', {val: timeoutCount, ack: true, from: id});
         that.inputCount  = 0;
         that.outputCount = 0;
+        timeoutCount     = 0;
     }
 
     function stop(isPause, isScheduled) {
@@ -5366,6 +5995,27 @@ function Adapter(options) {
 
     process.once('SIGINT', stop);
     process.once('SIGTERM', stop);
+
+    // liveness check of controller: answer comes only if event loop is not blocked
+    if (process.send) {
+        process.on('message', msg => {
+            if (msg && msg.command === 'ping' && process.connected) process.send({command: 'pong', id: msg.id});
+        });
+        // IPC channel must not keep adapters in mode "once" running
+        if (process.channel && process.channel.unref) process.channel.unref();
+    }
+    // in worker thread signals are not available: runner process sends stop and liveness check as messages
+    if (parentPort) {
+        parentPort.on('message', msg => {
+            if (!msg) return;
+            if (msg.command === 'stop') {
+                stop();
+            } else if (msg.command === 'ping') {
+                parentPort.postMessage({command: 'pong', id: msg.id});
+            }
+        });
+        parentPort.unref();
+    }
     // And the exit event shuts down the child.
     process.once('exit', stop);
 
@@ -0,0 +1,295 @@
+/**
+ *      Audit log of administrative changes
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module audit */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+// Every line in audit.jsonl (in data directory) is one JSON entry:
+// {
+//     ts:      1530000000000,            // time of change
+//     action:  'object.acl',             // object.create, object.delete, object.acl, user.create, user.change, user.delete,
+//                                        // group.create, group.change, group.delete, adapter.install, adapter.upgrade, adapter.delete, host.cmdExec,
+//                                        // host.rotateSecret
+//     id:      'hm-rpc.0.ABC',           // ID of object, adapter or host
+//     user:    'system.user.admin',      // user of the request, if known
+//     from:    'system.adapter.admin.0', // source instance
+//     details: {...}                     // depends on action, e.g. old and new acl
+// }
+//
+// Only one process per host writes the file: the objects DB server or, with redis, the controller (see "recordAudit" of objects DB).
+// Entries are collected and appended every flushInterval ms.
+// If the file is bigger than maxSizeMB, it is renamed to audit.1.jsonl (audit.1.jsonl to audit.2.jsonl and so on) and only "files" old files are kept.
+//
+// options = objects.audit in iobroker.json: {
+//     enabled:       false,
+//     maxSizeMB:     10,
+//     files:         5,
+//     flushInterval: 1000, // ms, 0 - write every entry immediately
+//     logger:        as in DB settings
+// };
+
+const FILE_NAME = 'audit.jsonl';
+
+/**
+ * Audit class
+ *
+ * @class
+ * @param {string} dataDir data directory, ends with "/"
+ * @param {object} options see above
+ * @return {object} object instance
+ */
+function Audit(dataDir, options) {
+    if (!(this instanceof Audit)) return new Audit(dataDir, options);
+    options = options || {};
+
+    const log      = options.logger || {warn: console.log, error: console.log};
+    const maxSize  = (parseFloat(options.maxSizeMB) || 10) * 1024 * 1024;
+    const files    = options.files === undefined ? 5 : parseInt(options.files, 10) || 0;
+    const fileName = dataDir + FILE_NAME;
+    const interval = options.flushInterval === undefined ? 1000 : parseInt(options.flushInterval, 10) || 0;
+
+    let buffer     = [];
+    let flushTimer = null;
+    let size       = null; // actual size of audit.jsonl, read once
+
+    // audit.jsonl, audit.1.jsonl, ... audit.<files>.jsonl
+    const getFileName = i => i ? dataDir + 'audit.' + i + '.jsonl' : fileName;
+
+    function rotate() {
+        size = 0;
+        try {
+            if (fs.existsSync(getFileName(files))) fs.unlinkSync(getFileName(files));
+            for (let i = files - 1; i >= 0; i--) {
+                if (fs.existsSync(getFileName(i))) fs.renameSync(getFileName(i), getFileName(i + 1));
+            }
+            // files = 0: no old files are kept
+            if (!files && fs.existsSync(getFileName(1))) fs.unlinkSync(getFileName(1));
+        } catch (e) {
+            log.error('Cannot rotate audit log ' + fileName + ': ' + e);
+        }
+    }
+
+    /**
+     * Write collected entries into the file
+     */
+    this.flush = function () {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (!buffer.length) return;
+        const text = buffer.join('');
+        buffer = [];
+        try {
+            if (size === null) size = fs.existsSync(fileName) ? fs.statSync(fileName).size : 0;
+            fs.appendFileSync(fileName, text);
+        } catch (e) {
+            log.error('Cannot write audit log ' + fileName + ': ' + e);
+            return;
+        }
+        size += Buffer.byteLength(text);
+        if (size >= maxSize) rotate();
+    };
+
+    /**
+     * Add entry to audit log
+     *
+     * @param {object} entry {action, id, user, from, details}, ts is set if missing
+     */
+    this.record = function (entry) {
+        buffer.push(JSON.stringify(Object.assign({ts: Date.now()}, entry)) + '\n');
+        if (!interval) {
+            this.flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(() => this.flush(), interval);
+        }
+    };
+
+    /**
+     * Write collected entries, called by shutting down
+     */
+    this.close = function () {
+        this.flush();
+    };
+
+    /**
+     * Read entries, oldest first
+     *
+     * @param {object} filter optional {since: ms, until: ms, user: 'admin', action: 'user' (also 'user.*'), id: 'hm-rpc.0.*', limit: last N entries}
+     * @return {object[]} entries
+     */
+    this.read = function (filter) {
+        filter = filter || {};
+        const user   = filter.user && !filter.user.startsWith('system.user.') ? 'system.user.' + filter.user : filter.user;
+        const idReg  = filter.id ? new RegExp('^' + filter.id.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$') : null;
+        const result = [];
+
+        this.flush();
+        for (let i = files; i >= 0; i--) {
+            const name = getFileName(i);
+            if (!fs.existsSync(name)) continue;
+            let lines;
+            try {
+                lines = fs.readFileSync(name).toString().split('\n');
+            } catch (e) {
+                log.error('Cannot read audit log ' + name + ': ' + e);
+                continue;
+            }
+            lines.forEach(line => {
+                if (!line) return;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    return; // broken last line after power loss
+                }
+                if (filter.since  && entry.ts < filter.since) return;
+                if (filter.until  && entry.ts > filter.until) return;
+                if (user          && entry.user !== user) return;
+                if (filter.action && entry.action !== filter.action && !(entry.action || '').startsWith(filter.action + '.')) return;
+                if (idReg         && !idReg.test(entry.id || '')) return;
+                result.push(entry);
+            });
+        }
+        return filter.limit ? result.slice(-filter.limit) : result;
+    };
+
+    /**
+     * Record change of object, if it is relevant for audit
+     *
+     * @param {string} id ID of object
+     * @param {object} before result of Audit.snapshot before change or null if object was new
+     * @param {object} after object after change or null if deleted
+     * @param {object} options optional user context of request
+     */
+    this.recordObjectChange = function (id, before, after, options) {
+        const entry = Audit.getObjectEntry(id, before, after, options);
+        if (entry) this.record(entry);
+    };
+}
+
+/**
+ * Create audit log from objects settings, if enabled
+ *
+ * @param {object} connection objects settings from iobroker.json with "audit" and "dataDir"
+ * @param {object} logger optional logger
+ * @return {object|null} Audit instance or null if audit is disabled
+ */
+Audit.create = function (connection, logger) {
+    if (!connection || !connection.audit || !connection.audit.enabled) return null;
+    return new Audit(Audit.getDataDir(connection), Object.assign({logger: logger}, connection.audit));
+};
+
+/**
+ * Get absolute data directory from settings
+ *
+ * @param {object} connection objects settings with optional "dataDir"
+ * @return {string} directory, ends with "/"
+ */
+Audit.getDataDir = function (connection) {
+    let dataDir = (connection && connection.dataDir) || require(__dirname + '/tools').getDefaultDataDir();
+    // All paths are relative to js-controller directory
+    if (dataDir.startsWith('./') || dataDir.startsWith('../')) dataDir = path.join(__dirname, '..', dataDir);
+    dataDir = path.normalize(dataDir).replace(/\\/g, '/');
+    if (dataDir[dataDir.length - 1] !== '/') dataDir += '/';
+    return dataDir;
+};
+
+/**
+ * Copy of attributes, that must be compared after change of object
+ *
+ * @param {object} obj object before change
+ * @return {object|null}
+ */
+Audit.snapshot = function (obj) {
+    if (!obj) return null;
+    return {
+        type:   obj.type,
+        acl:    obj.acl ? JSON.parse(JSON.stringify(obj.acl)) : null,
+        common: (obj.type === 'user' || obj.type === 'group') && obj.common ? JSON.parse(JSON.stringify(obj.common)) : null
+    };
+};
+
+/**
+ * Find relevant change of object
+ *
+ * @param {string} id ID of object
+ * @param {object} before result of Audit.snapshot or null if object was new
+ * @param {object} after object after change or null if deleted
+ * @return {object|null} entry {action, id, details} or null if nothing to record
+ */
+Audit.getObjectChange = function (id, before, after) {
+    const type   = (after && after.type) || (before && before.type);
+    const prefix = type === 'user' || type === 'group' ? type : 'object';
+
+    if (!before && !after) return null;
+    if (!before) return {action: prefix + '.create', id: id, details: {type: type}};
+    if (!after)  return {action: prefix + '.delete', id: id, details: {type: type}};
+
+    if (prefix !== 'object') {
+        // names of changed attributes only, values like password hash must not be in the log
+        const oldCommon = before.common || {};
+        const newCommon = after.common || {};
+        const changed   = Object.keys(Object.assign({}, oldCommon, newCommon))
+            .filter(attr => JSON.stringify(oldCommon[attr]) !== JSON.stringify(newCommon[attr]));
+        if (!changed.length) return null;
+        const details = {changed: changed};
+        // group membership is interesting for audit
+        if (changed.indexOf('members') !== -1) details.members = newCommon.members;
+        return {action: prefix + '.change', id: id, details: details};
+    }
+
+    if (JSON.stringify(before.acl || null) !== JSON.stringify(after.acl || null)) {
+        return {action: 'object.acl', id: id, details: {old: before.acl || null, new: after.acl || null}};
+    }
+    return null;
+};
+
+/**
+ * Create entry for change of object
+ *
+ * @param {string} id ID of object
+ * @param {object} before result of Audit.snapshot or null if object was new
+ * @param {object} after object after change or null if deleted
+ * @param {object} options optional user context of request
+ * @return {object|null} entry {ts, action, id, user, from, details} or null if nothing to record
+ */
+Audit.getObjectEntry = function (id, before, after, options) {
+    const change = Audit.getObjectChange(id, before, after);
+    if (!change) return null;
+    return Object.assign({ts: Date.now()}, change, {
+        user: (options && options.user) || null,
+        from: (after && after.from) || (options && options.from) || null
+    });
+};
+
+/**
+ * Parse time for filter, e.g. "2018-07-01", "2018-07-01T10:00:00", "30m", "24h" or "7d" (before now)
+ *
+ * @param {string|number} text
+ * @return {number|null} time in ms or null if invalid
+ */
+Audit.parseTime = function (text) {
+    if (text === undefined || text === null || text === '') return null;
+    const m = text.toString().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+    if (m) {
+        return Date.now() - parseFloat(m[1]) * {s: 1000, m: 60000, h: 3600000, d: 86400000}[m[2]];
+    }
+    const ts = new Date(text).getTime();
+    return isNaN(ts) ? null : ts;
+};
+
+module.exports = Audit;
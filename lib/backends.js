@@ -0,0 +1,228 @@
+/**
+ *      Registry of objects and states DB backends
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module backends */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const tools = require(__dirname + '/tools');
+
+// Every backend describes the classes for objects and/or states DB:
+// {
+//     objects: {
+//         client: ObjectsClass or path to module,  // used by adapters, setup and controller
+//         server: ObjectsServerClass or path        // optional. Will be started by controller if DB host is local
+//     },
+//     states: {
+//         client: StatesClass or path,
+//         server: StatesServerClass or path         // optional
+//     }
+// }
+//
+// Classes will be created with "new Class(settings)" and must call settings.connected if connected.
+// settings = {
+//     namespace:  'host.hostname',
+//     connection: config.objects or config.states from iobroker.json,
+//     logger:     logger,
+//     connected:  function () {},
+//     change:     function (id, objOrState) {}
+// }
+//
+// Third-party backends are npm modules named "iobroker.db-<type>" (or given in config.objects.module/config.states.module)
+// and export the same structure.
+
+const backends = {
+    file: {
+        objects: {
+            client: __dirname + '/objects/objectsInMemClient',
+            server: __dirname + '/objects/objectsInMemServer'
+        },
+        states: {
+            client: __dirname + '/states/statesInMemClient',
+            server: __dirname + '/states/statesInMemServer'
+        }
+    },
+    sqlite: {
+        objects: {
+            client: __dirname + '/objects/objectsInMemClient',
+            server: __dirname + '/objects/objectsInSqlite'
+        },
+        states: {
+            client: __dirname + '/states/statesInMemClient',
+            server: __dirname + '/states/statesInSqlite'
+        }
+    },
+    redis: {
+        objects: {
+            client: __dirname + '/objects/objectsInRedis'
+        },
+        states: {
+            client: __dirname + '/states/statesInRedis'
+        }
+    }
+};
+
+// Methods, that every backend must implement
+const METHODS = {
+    objects: [
+        'getObject', 'setObject', 'delObject', 'extendObject', 'getObjects', 'getKeys', 'getObjectsByPattern',
+        'getObjectView', 'getObjectList', 'queryObjects', 'getObjectHistory', 'recordAudit', 'readAudit', 'findObject', 'subscribe', 'unsubscribe',
+        'chownObject', 'chmodObject', 'transaction', 'readFile', 'writeFile', 'unlink', 'readDir', 'mkdir', 'rename', 'destroy'
+    ],
+    states: [
+        'getState', 'setState', 'delState', 'getStates', 'getKeys', 'subscribe', 'unsubscribe',
+        'pushMessage', 'delMessage', 'subscribeMessage', 'unsubscribeMessage', 'pushLog', 'subscribeLog', 'unsubscribeLog',
+        'getSession', 'setSession', 'destroySession', 'setBinaryState', 'getBinaryState', 'delBinaryState'
+    ]
+};
+
+function checkDbType(dbType) {
+    if (dbType !== 'objects' && dbType !== 'states') {
+        throw 'Invalid DB type: ' + dbType;
+    }
+}
+
+/**
+ * Register backend for objects and/or states DB
+ *
+ * @param {string} type name of backend as used in iobroker.json, e.g. "sqlite"
+ * @param {object} backend description of backend (see above)
+ */
+function register(type, backend) {
+    if (!type || typeof type !== 'string') {
+        throw 'Invalid backend type: ' + type;
+    }
+    if (!backend || (!backend.objects && !backend.states)) {
+        throw 'Backend "' + type + '" implements neither objects nor states';
+    }
+    for (const dbType in backend) {
+        if (!backend.hasOwnProperty(dbType) || !backend[dbType]) continue;
+        checkDbType(dbType);
+        if (!backend[dbType].client) {
+            throw 'Backend "' + type + '" has no client for ' + dbType;
+        }
+    }
+    backends[type] = backend;
+}
+
+/**
+ * Get description of the backend for objects or states from configuration.
+ * If backend is unknown, it will be loaded from the npm module.
+ *
+ * @param {string} dbType "objects" or "states"
+ * @param {object} config config.objects or config.states from iobroker.json
+ * @return {object} {client: Class, server: Class or null}
+ */
+function getBackend(dbType, config) {
+    checkDbType(dbType);
+    config = config || {};
+    const type = config.type || 'file';
+
+    if (!backends[type] || !backends[type][dbType]) {
+        const moduleName = config.module || (tools.appName.toLowerCase() + '.db-' + type);
+        let backend;
+        try {
+            backend = require(moduleName);
+        } catch (e) {
+            // errors inside of installed module must be visible
+            if (e.code !== 'MODULE_NOT_FOUND' || e.message.indexOf(`'${moduleName}'`) === -1) throw e;
+            throw 'Unknown ' + dbType + ' type: ' + type;
+        }
+        if (!backend || !backend[dbType]) {
+            throw 'Module "' + moduleName + '" does not support ' + dbType + ' DB';
+        }
+        register(type, backend);
+    }
+
+    const description = backends[type][dbType];
+    // load modules only if required, e.g. "redis" package is optional
+    if (typeof description.client === 'string') {
+        description.client = require(description.client);
+    }
+    if (typeof description.server === 'string') {
+        description.server = require(description.server);
+    }
+
+    return {
+        client: description.client,
+        server: description.server || null
+    };
+}
+
+/**
+ * Get class, that connects to DB
+ *
+ * @param {string} dbType "objects" or "states"
+ * @param {object} config config.objects or config.states from iobroker.json
+ * @return {function} class
+ */
+function getClient(dbType, config) {
+    return getBackend(dbType, config).client;
+}
+
+/**
+ * Get class, that can be started by controller as DB server. If backend has no server or server is not local, the client will be returned.
+ *
+ * @param {string} dbType "objects" or "states"
+ * @param {object} config config.objects or config.states from iobroker.json
+ * @return {function} class
+ */
+function getServer(dbType, config) {
+    const backend = getBackend(dbType, config);
+    if (backend.server && isLocal(config)) {
+        return backend.server;
+    } else {
+        return backend.client;
+    }
+}
+
+/**
+ * Check if the DB server runs on this host
+ *
+ * @param {object} config config.objects or config.states from iobroker.json
+ * @return {boolean}
+ */
+function isLocal(config) {
+    return !config || !config.host || config.host === 'localhost' || config.host === '127.0.0.1' || config.host === '0.0.0.0';
+}
+
+/**
+ * Check if instance of DB class implements all required methods
+ *
+ * @param {string} dbType "objects" or "states"
+ * @param {object} db instance of DB class
+ * @return {string[]} list of missing methods
+ */
+function checkInterface(dbType, db) {
+    checkDbType(dbType);
+    return METHODS[dbType].filter(method => !db || typeof db[method] !== 'function');
+}
+
+/**
+ * Get list of registered backends
+ *
+ * @return {string[]} list of types
+ */
+function getTypes() {
+    return Object.keys(backends);
+}
+
+module.exports = {
+    register,
+    getBackend,
+    getClient,
+    getServer,
+    isLocal,
+    checkInterface,
+    getTypes,
+    METHODS
+};
@@ -0,0 +1,130 @@
+/**
+ *      Encryption of native attributes of instances
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module encryptedNative */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const crypto = require('crypto');
+
+// Adapters declare in io-package.json: "encryptedNative": ["password", "token"]
+// The list is copied into system.adapter.X and system.adapter.X.Y objects.
+// The objects DB encrypts these attributes of native when an instance object is written,
+// the adapter gets them decrypted in adapter.config. The key is derived from native.secret of system.config.
+//
+// Encrypted value: "$/aes-256-cbc:<iv hex>:<data hex>", data is JSON of original value, so that the type is preserved.
+
+const PREFIX = '$/aes-256-cbc:';
+
+function getKey(secret) {
+    return crypto.createHash('sha256').update(secret.toString()).digest();
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check if value is encrypted
+ *
+ * @param {any} value
+ * @return {boolean}
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt value
+ *
+ * @param {string} secret native.secret of system.config
+ * @param {any} value any JSON value
+ * @return {string} encrypted value
+ */
+function encrypt(secret, value) {
+    const iv     = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', getKey(secret), iv);
+    return PREFIX + iv.toString('hex') + ':' + Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]).toString('hex');
+}
+
+/**
+ * Decrypt value
+ *
+ * @param {string} secret native.secret of system.config
+ * @param {any} value encrypted value, not encrypted values are returned unchanged
+ * @return {any} original value
+ * @throws if value cannot be decrypted, e.g. because of other secret
+ */
+function decrypt(secret, value) {
+    if (!isEncrypted(value)) return value;
+    const parts    = value.substring(PREFIX.length).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', getKey(secret), Buffer.from(parts[0], 'hex'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(parts[1] || '', 'hex')), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Get declared attributes with not encrypted values
+ *
+ * @param {object} obj instance object with encryptedNative
+ * @return {string[]} names of attributes
+ */
+function getPlaintext(obj) {
+    if (!obj || !obj.native || !Array.isArray(obj.encryptedNative)) return [];
+    return obj.encryptedNative.filter(attr => !isEmpty(obj.native[attr]) && !isEncrypted(obj.native[attr]));
+}
+
+/**
+ * Encrypt declared attributes of native, that are not encrypted yet
+ *
+ * @param {object} obj instance object with encryptedNative, will be modified
+ * @param {string} secret native.secret of system.config
+ * @return {number} number of encrypted attributes
+ */
+function encryptNative(obj, secret) {
+    const attrs = getPlaintext(obj);
+    if (!secret) return 0;
+    attrs.forEach(attr => obj.native[attr] = encrypt(secret, obj.native[attr]));
+    return attrs.length;
+}
+
+/**
+ * Decrypt declared attributes of native
+ *
+ * @param {object} obj instance object with encryptedNative
+ * @param {string} secret native.secret of system.config
+ * @return {{native: object, errors: string[]}} copy of native with decrypted values and names of attributes, that cannot be decrypted
+ */
+function decryptNative(obj, secret) {
+    const native = Object.assign({}, obj && obj.native);
+    const errors = [];
+    if (!obj || !Array.isArray(obj.encryptedNative)) return {native: native, errors: errors};
+
+    obj.encryptedNative.forEach(attr => {
+        if (!isEncrypted(native[attr])) return;
+        try {
+            native[attr] = decrypt(secret || '', native[attr]);
+        } catch (e) {
+            errors.push(attr);
+            native[attr] = '';
+        }
+    });
+    return {native: native, errors: errors};
+}
+
+module.exports = {
+    isEncrypted:   isEncrypted,
+    encrypt:       encrypt,
+    decrypt:       decrypt,
+    getPlaintext:  getPlaintext,
+    encryptNative: encryptNative,
+    decryptNative: decryptNative
+};
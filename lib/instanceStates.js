@@ -0,0 +1,123 @@
+/**
+ *      States of instances, that were added after instances could already be installed
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module instanceStates */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+// setup install creates these objects with the other states of new instance.
+// For instances, that were installed with older versions, the controller creates the missing objects on start.
+
+/**
+ * Check if instance has states like alive, cpu or crashCount
+ *
+ * @param {object} instance object system.adapter.name.X
+ * @return {boolean}
+ */
+function hasStates(instance) {
+    return !!(instance && instance.common && !instance.common.onlyWWW && instance.common.mode !== 'once');
+}
+
+/**
+ * Get objects of states
+ *
+ * @param {string} id instance ID, e.g. system.adapter.admin.0
+ * @return {object[]}
+ */
+function getObjects(id) {
+    const name = id.replace(/^system\.adapter\./, '');
+    return [
+        {
+            _id:    id + '.fds',
+            type:   'state',
+            common: {
+                name:  name + ' open files',
+                desc:  'Set by controller, if resource accounting is enabled or instance has resource limits',
+                read:  true,
+                write: false,
+                type:  'number',
+                role:  'indicator.state'
+            },
+            native: {}
+        },
+        {
+            _id:    id + '.sendToPending',
+            type:   'state',
+            common: {
+                name:  name + ' pending requests',
+                desc:  'Requests sent with sendTo or sendToHost and waiting for response',
+                type:  'number',
+                read:  true,
+                write: false,
+                role:  'state'
+            },
+            native: {}
+        },
+        {
+            _id:    id + '.sendToTimeouts',
+            type:   'state',
+            common: {
+                name:  name + ' timed out requests',
+                desc:  'Requests sent with sendTo or sendToHost without response in 15 seconds',
+                type:  'number',
+                read:  true,
+                write: false,
+                role:  'state',
+                unit:  'requests/15 seconds'
+            },
+            native: {}
+        },
+        {
+            _id:    id + '.crashCount',
+            type:   'state',
+            common: {
+                name:  name + ' crashes in row',
+                desc:  'Set by controller, restart is delayed longer with every crash',
+                type:  'number',
+                read:  true,
+                write: false,
+                role:  'state'
+            },
+            native: {}
+        },
+        {
+            _id:    id + '.healthy',
+            type:   'state',
+            common: {
+                name:  name + ' answers liveness check',
+                desc:  'Set by controller, if liveness check is enabled',
+                type:  'boolean',
+                read:  true,
+                write: false,
+                role:  'indicator.state'
+            },
+            native: {}
+        },
+        {
+            _id:    id + '.lastExitCode',
+            type:   'state',
+            common: {
+                name:  name + ' last exit code',
+                type:  'number',
+                read:  true,
+                write: false,
+                role:  'state'
+            },
+            native: {}
+        }
+    ];
+}
+
+module.exports = {
+    hasStates:  hasStates,
+    getObjects: getObjects
+};
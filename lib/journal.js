@@ -0,0 +1,170 @@
+/**
+ *      Append-only journal for the file based DBs
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module journal */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const fs = require('fs');
+
+// Every line in the journal is one JSON array: [operation, id, data]
+// The journal is replayed on top of the last snapshot and truncated when a new snapshot was written.
+//
+// options = {
+//    syncInterval: 1000, // how often the written entries will be flushed to disk (ms). 0 - after every entry
+//    logger:       as in DB settings
+// };
+
+/**
+ * Journal class
+ *
+ * @class
+ * @param {string} fileName full path to the journal file
+ * @param {object} options  see above
+ * @return {object} object instance
+ */
+function Journal(fileName, options) {
+    if (!(this instanceof Journal)) return new Journal(fileName, options);
+    options = options || {};
+
+    const log          = options.logger || {warn: console.log, error: console.log};
+    const syncInterval = options.syncInterval === undefined ? 1000 : parseInt(options.syncInterval, 10) || 0;
+
+    let fd        = null;
+    let syncTimer = null;
+    let size      = 0;
+
+    function sync() {
+        syncTimer = null;
+        if (fd === null) return;
+        try {
+            fs.fsyncSync(fd);
+        } catch (e) {
+            log.error('Cannot sync journal ' + fileName + ': ' + e);
+        }
+    }
+
+    function open() {
+        if (fd !== null) return;
+        fd   = fs.openSync(fileName, 'a');
+        size = fs.fstatSync(fd).size;
+    }
+
+    /**
+     * Read all entries from the journal and give them to the apply function.
+     * Broken lines (e.g. last line after power loss) are skipped.
+     *
+     * @param {function} apply function (operation, id, data)
+     * @return {number} number of applied entries
+     */
+    this.replay = function (apply) {
+        if (!fs.existsSync(fileName)) return 0;
+        let lines;
+        try {
+            lines = fs.readFileSync(fileName).toString().split('\n');
+        } catch (e) {
+            log.error('Cannot read journal ' + fileName + ': ' + e);
+            return 0;
+        }
+        let count = 0;
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i]) continue;
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (e) {
+                log.warn('Skip broken entry ' + (i + 1) + ' in journal ' + fileName + ': ' + e);
+                continue;
+            }
+            if (!Array.isArray(entry) || typeof entry[1] !== 'string') {
+                log.warn('Skip invalid entry ' + (i + 1) + ' in journal ' + fileName);
+                continue;
+            }
+            apply(entry[0], entry[1], entry[2]);
+            count++;
+        }
+        return count;
+    };
+
+    /**
+     * Append one entry to the journal. The entry is written synchronously, so it survives a crash of the process.
+     *
+     * @param {string} operation short name of operation, e.g. 's' for set or 'd' for delete
+     * @param {string} id        ID of the object or state
+     * @param {any}    [data]    data to store
+     */
+    this.append = function (operation, id, data) {
+        const line = JSON.stringify(data === undefined ? [operation, id] : [operation, id, data]) + '\n';
+        try {
+            open();
+            size += fs.writeSync(fd, line);
+        } catch (e) {
+            log.error('Cannot write journal ' + fileName + ': ' + e);
+            return;
+        }
+        if (!syncInterval) {
+            sync();
+        } else if (!syncTimer) {
+            syncTimer = setTimeout(sync, syncInterval);
+        }
+    };
+
+    /**
+     * Delete all entries. Must be called only after the snapshot with all changes was successfully written.
+     */
+    this.truncate = function () {
+        try {
+            if (fd !== null) {
+                fs.ftruncateSync(fd, 0);
+                fs.fsyncSync(fd);
+            } else if (fs.existsSync(fileName)) {
+                fs.truncateSync(fileName, 0);
+            }
+            size = 0;
+        } catch (e) {
+            log.error('Cannot truncate journal ' + fileName + ': ' + e);
+        }
+    };
+
+    /**
+     * Actual size of the journal in bytes
+     *
+     * @return {number}
+     */
+    this.getSize = function () {
+        if (fd === null && fs.existsSync(fileName)) {
+            return fs.statSync(fileName).size;
+        }
+        return size;
+    };
+
+    /**
+     * Flush the written entries and close the file
+     */
+    this.close = function () {
+        if (syncTimer) {
+            clearTimeout(syncTimer);
+            syncTimer = null;
+        }
+        if (fd !== null) {
+            sync();
+            try {
+                fs.closeSync(fd);
+            } catch (e) {
+                log.error('Cannot close journal ' + fileName + ': ' + e);
+            }
+            fd = null;
+        }
+    };
+}
+
+module.exports = Journal;
@@ -0,0 +1,141 @@
+/**
+ *      Liveness check of instances
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module liveness */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+// Controller pings daemon instances via IPC, instance answers only if its event loop is not blocked (see lib/adapter.js).
+// Enabled for all instances by system.liveness.enabled in iobroker.json or for one instance by common.liveness (true or {timeout, action, notify}).
+
+/**
+ * Get interval of checks
+ *
+ * @param {object} hostSettings system.liveness of iobroker.json
+ * @return {number} ms
+ */
+function getInterval(hostSettings) {
+    return parseInt(hostSettings && hostSettings.interval, 10) || 60000;
+}
+
+/**
+ * Get settings of check for instance
+ *
+ * @param {object} hostSettings system.liveness of iobroker.json
+ * @param {object} instance object system.adapter.name.X
+ * @return {object|null} {timeout, action, notify} or null if check is disabled for instance
+ */
+function getSettings(hostSettings, instance) {
+    const host = hostSettings || {};
+    const own  = instance && instance.common && instance.common.liveness;
+    if (own === false || (!host.enabled && !own)) return null;
+
+    const settings = Object.assign({}, host, typeof own === 'object' ? own : {});
+    return {
+        timeout: parseInt(settings.timeout, 10) || 10000,
+        action:  settings.action || 'restart', // 'restart', 'log' or 'notify'
+        notify:  settings.notify || ''         // instance for notification, e.g. 'email.0'
+    };
+}
+
+/**
+ * Sends liveness checks to instances of controller and does the action, if instance does not answer.
+ * Uses attributes of proc objects of controller: process, config, startedAt, stopping, healthy and liveness (pending check).
+ *
+ * @param {object} options {logger, hostname, setHealthy(id, healthy), notify(instance, text, id)}
+ */
+function Liveness(options) {
+    // allow use without new operator
+    if (!(this instanceof Liveness)) return new Liveness(options);
+
+    options = options || {};
+
+    const logger   = options.logger || console;
+    const hostname = options.hostname;
+    let nextId     = 1;
+
+    function onTimeout(id, proc, settings) {
+        if (!proc.liveness) return;
+        proc.liveness = null;
+        if (!proc.process) return;
+
+        const wasHealthy = proc.healthy !== false;
+        const text = `instance ${id} did not answer liveness check in ${settings.timeout} ms`;
+        options.setHealthy(id, false);
+
+        if (settings.action === 'restart') {
+            logger.error(`host.${hostname} ${text}. Restart it.`);
+            // blocked event loop cannot handle SIGTERM. Instance will be restarted as after crash.
+            proc.process.kill('SIGKILL');
+        } else if (wasHealthy) {
+            logger.warn(`host.${hostname} ${text}`);
+            if (settings.action === 'notify' && settings.notify) {
+                options.notify(settings.notify, `${hostname}: ${text}`, id);
+            }
+        }
+    }
+
+    /**
+     * Ping running daemon instances, if check is enabled for them
+     *
+     * @param {object} procs {id: proc} of controller
+     * @param {object} hostSettings system.liveness of iobroker.json
+     */
+    this.check = function (procs, hostSettings) {
+        const now = Date.now();
+        Object.keys(procs).forEach(id => {
+            const proc = procs[id];
+            if (!proc.process || !proc.process.connected || proc.stopping || proc.liveness || !proc.config || !proc.config.common || proc.config.common.mode !== 'daemon') return;
+            const settings = getSettings(hostSettings, proc.config);
+            // give instance time to start
+            if (!settings || now - proc.startedAt < getInterval(hostSettings)) return;
+
+            proc.liveness = {id: nextId++, timer: setTimeout(onTimeout, settings.timeout, id, proc, settings)};
+            if (nextId > 0xFFFFFFFF) nextId = 1;
+            try {
+                proc.process.send({command: 'ping', id: proc.liveness.id});
+            } catch (e) {
+                logger.warn(`host.${hostname} cannot send liveness check to ${id}: ${e}`);
+            }
+        });
+    };
+
+    /**
+     * Process message of instance
+     *
+     * @param {string} id instance ID
+     * @param {object} proc proc object of instance
+     * @param {object} msg message of instance, only {command: 'pong', id} is processed
+     */
+    this.onMessage = function (id, proc, msg) {
+        if (!msg || msg.command !== 'pong' || !proc || !proc.liveness || proc.liveness.id !== msg.id) return;
+        clearTimeout(proc.liveness.timer);
+        proc.liveness = null;
+        options.setHealthy(id, true);
+    };
+
+    /**
+     * Cancel pending check, e.g. if process terminated
+     *
+     * @param {object} proc proc object of instance
+     */
+    this.cancel = function (proc) {
+        if (!proc || !proc.liveness) return;
+        clearTimeout(proc.liveness.timer);
+        proc.liveness = null;
+    };
+}
+
+Liveness.getInterval = getInterval;
+Liveness.getSettings = getSettings;
+
+module.exports = Liveness;
@@ -0,0 +1,89 @@
+/**
+ *      Inheritance of access rights for new objects
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module objectsAcl */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+// If objects.aclInheritance is set in iobroker.json, a new object without acl gets the acl of:
+//   1. the nearest existing parent object with explicit acl, e.g. for hm-rpc.0.ABC.1.STATE: hm-rpc.0.ABC.1, hm-rpc.0.ABC, hm-rpc.0
+//   2. else the first enum with common.inheritAcl = true, that has the object or one of its parents in common.members
+//   3. else the nearest existing parent object with acl
+// Every object gets an acl (at least defaultNewAcl), so acl.explicit = true marks acl, that was set by "iobroker acl set".
+// The mark is not inherited. Parents can hold acl.state too (ignored for non-state objects by the checks), it is given to new states below them.
+// Objects in system.* are never inherited.
+
+/**
+ * Get IDs of parents, nearest first
+ *
+ * @param {string} id ID of object, e.g. "hm-rpc.0.ABC.1.STATE"
+ * @return {string[]} e.g. ["hm-rpc.0.ABC.1", "hm-rpc.0.ABC", "hm-rpc.0"]
+ */
+function getParentIds(id) {
+    const result = [];
+    if (!id || typeof id !== 'string' || /^(system|_design)\./.test(id)) return result;
+
+    const parts = id.split('.');
+    for (let i = parts.length - 1; i >= 2; i--) {
+        result.push(parts.slice(0, i).join('.'));
+    }
+    return result;
+}
+
+/**
+ * Check if acl of enum is inherited by its members
+ *
+ * @param {object} obj enum object
+ * @return {boolean}
+ */
+function isAclEnum(obj) {
+    return !!(obj && obj.type === 'enum' && obj.acl && obj.common && obj.common.inheritAcl && Array.isArray(obj.common.members));
+}
+
+/**
+ * Find acl for new object
+ *
+ * @param {string} id ID of new object
+ * @param {object} obj new object
+ * @param {object[]} parents parent objects in order of getParentIds, missing parents as null
+ * @param {object[]} enums enum objects, only these with common.inheritAcl are used
+ * @param {object} defaultNewAcl default acl from system.config, used for acl.state if parent has none
+ * @return {object|null} copy of acl or null if nothing to inherit
+ */
+function inherit(id, obj, parents, enums, defaultNewAcl) {
+    if (/^(system|_design)\./.test(id)) return null;
+
+    let source = (parents || []).find(parent => parent && parent.acl && parent.acl.explicit);
+    if (!source && enums && enums.length) {
+        const ids = [id].concat(getParentIds(id));
+        source = enums
+            .filter(isAclEnum)
+            .sort((a, b) => a._id > b._id ? 1 : (a._id < b._id ? -1 : 0))
+            .find(_enum => _enum.common.members.some(member => ids.indexOf(member) !== -1));
+    }
+    if (!source) source = (parents || []).find(parent => parent && parent.acl);
+    if (!source) return null;
+
+    const acl = Object.assign({}, source.acl);
+    delete acl.file;
+    delete acl.explicit;
+    if (obj && obj.type === 'state' && acl.state === undefined && defaultNewAcl && defaultNewAcl.state !== undefined) {
+        acl.state = defaultNewAcl.state;
+    }
+    return acl;
+}
+
+module.exports = {
+    getParentIds: getParentIds,
+    isAclEnum:    isAclEnum,
+    inherit:      inherit
+};
@@ -0,0 +1,167 @@
+/**
+ *      Versions of objects for objects DB
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module objectsHistory */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const fs      = require('fs');
+const Journal = require(__dirname + '/../journal');
+
+// Every change of object is stored as version:
+// {
+//     rev:  5,                          // revision of object or null if object was deleted
+//     ts:   1525000000000,              // time of change
+//     user: 'system.user.admin',        // who changed the object
+//     from: 'system.adapter.admin.0',   // "from" of object
+//     obj:  {...}                       // object itself or null if deleted
+// }
+//
+// New versions are appended to <fileName>.journal. The journal is compacted into <fileName>, if it is bigger than the file and at least 1 MB.
+// Versions of deleted objects are kept for "deletedDays" and only for the last "deletedCount" deleted objects.
+//
+// options = {
+//     count:        10,   // number of versions per object
+//     deletedCount: 1000, // number of deleted objects with versions
+//     deletedDays:  30,   // how long versions of deleted objects are kept
+//     logger:       as in DB settings
+// };
+
+const MIN_JOURNAL_SIZE = 1024 * 1024;
+
+/**
+ * Create version entry for object
+ *
+ * @param {object} obj  new object or null if deleted
+ * @param {string} user user, that changed the object
+ * @return {object} version
+ */
+function createVersion(obj, user) {
+    return {
+        rev:  obj ? (typeof obj._rev === 'number' ? obj._rev : 0) : null,
+        ts:   Date.now(),
+        user: user || (obj && obj.user) || null,
+        from: (obj && obj.from) || null,
+        obj:  obj ? JSON.parse(JSON.stringify(obj)) : null
+    };
+}
+
+/**
+ * ObjectsHistory class
+ *
+ * Keeps the last versions of every object in memory and appends them to the journal.
+ *
+ * @class
+ * @param {string} fileName file to store the versions, e.g. "objects.history.json"
+ * @param {object} options see above
+ * @return {object} object instance
+ */
+function ObjectsHistory(fileName, options) {
+    if (!(this instanceof ObjectsHistory)) return new ObjectsHistory(fileName, options);
+    options = options || {};
+
+    const log          = options.logger || {info: console.log, warn: console.log, error: console.log};
+    const count        = options.count || 10;
+    const deletedCount = options.deletedCount === undefined ? 1000 : parseInt(options.deletedCount, 10) || 0;
+    const deletedAge   = (options.deletedDays === undefined ? 30 : parseFloat(options.deletedDays) || 0) * 24 * 3600000;
+    const journal      = new Journal(fileName + '.journal', {logger: log});
+    let versions = {};        // id => versions, newest first
+    let deleted  = new Map(); // id => time of deletion, oldest first
+    let fileSize = 0;         // size of fileName after last compaction
+
+    // forget deleted objects, if there are too many or they are too old
+    function prune(now) {
+        for (const entry of deleted) {
+            if (deleted.size <= deletedCount && entry[1] >= now - deletedAge) break;
+            deleted.delete(entry[0]);
+            delete versions[entry[0]];
+        }
+    }
+
+    function apply(id, version) {
+        const list = versions[id] = versions[id] || [];
+        list.unshift(version);
+        if (list.length > count) list.length = count;
+
+        deleted.delete(id);
+        if (!version.obj) deleted.set(id, version.ts);
+    }
+
+    function compact() {
+        try {
+            const text = JSON.stringify(versions);
+            fs.writeFileSync(fileName + '.new', text);
+            fs.renameSync(fileName + '.new', fileName);
+            fileSize = Buffer.byteLength(text);
+        } catch (e) {
+            log.error('Cannot save ' + fileName + ': ' + e);
+            return;
+        }
+        journal.truncate();
+    }
+
+    /**
+     * Store new version of object
+     *
+     * @param {string} id   ID of object
+     * @param {object} obj  new object or null if deleted
+     * @param {string} user user, that changed the object
+     */
+    this.add = function (id, obj, user) {
+        const version = createVersion(obj, user);
+        apply(id, version);
+        prune(version.ts);
+
+        journal.append('v', id, version);
+        if (journal.getSize() > Math.max(fileSize, MIN_JOURNAL_SIZE)) compact();
+    };
+
+    /**
+     * Get stored versions of object
+     *
+     * @param {string} id ID of object
+     * @return {object[]} versions, newest first
+     */
+    this.get = function (id) {
+        return versions[id] || [];
+    };
+
+    /**
+     * Flush the journal and close it
+     */
+    this.close = function () {
+        journal.close();
+    };
+
+    if (fs.existsSync(fileName)) {
+        try {
+            const text = fs.readFileSync(fileName).toString();
+            versions = JSON.parse(text);
+            fileSize = Buffer.byteLength(text);
+        } catch (e) {
+            log.error('Cannot parse ' + fileName + ': ' + e);
+        }
+        // deleted objects in order of deletion
+        Object.keys(versions)
+            .filter(id => versions[id][0] && !versions[id][0].obj)
+            .sort((a, b) => versions[a][0].ts - versions[b][0].ts)
+            .forEach(id => deleted.set(id, versions[id][0].ts));
+    }
+    journal.replay((operation, id, version) => {
+        if (operation === 'v' && version) apply(id, version);
+    });
+    prune(Date.now());
+}
+
+ObjectsHistory.createVersion = createVersion;
+
+module.exports = ObjectsHistory;
@@ -548,6 +548,28 @@ function ObjectsInMemClient(settings) {
         });
     };
 
+    this.transaction = function (operations, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!client) return;
+        client.emit('transaction', operations, options, callback);
+    };
+
+    this.transactionAsync = function (operations, options) {
+        if (!client) return Promise.reject('No client');
+        return new Promise((resolve, reject) => {
+            this.transaction(operations, options, (err, res) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(res);
+                }
+            });
+        });
+    };
+
     this.getObject = function (id, options, callback) {
         if (typeof options === 'function') {
             callback = options;
@@ -582,6 +604,78 @@ function ObjectsInMemClient(settings) {
         });
     };
 
+    this.getObjectHistory = function (id, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.getObjectHistory(id, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        } else {
+            if (!client) return;
+            client.emit('getObjectHistory', id, options, callback);
+        }
+    };
+
+    this.queryObjects = function (query, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.queryObjects(query, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        } else {
+            if (!client) return;
+            client.emit('queryObjects', query, options, callback);
+        }
+    };
+
+    this.recordAudit = function (entry, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!client) return;
+        client.emit('recordAudit', entry, options, callback);
+    };
+
+    this.readAudit = function (filter, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.readAudit(filter, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        } else {
+            if (!client) return;
+            client.emit('readAudit', filter, options, callback);
+        }
+    };
+
     this.findObject = function (idOrName, type, options, callback) {
         if (typeof options === 'function') {
             callback = options;
@@ -626,4 +720,4 @@ function ObjectsInMemClient(settings) {
     };
 }
 
-module.exports = ObjectsInMemClient;
\ No newline at end of file
+module.exports = ObjectsInMemClient;
\ No newline at end of file
@@ -18,6 +18,13 @@ const fs          = require('fs');
 const path        = require('path');
 const socketio    = require('socket.io');
 const tools       = require(__dirname + '/../tools');
+const Journal     = require(__dirname + '/../journal');
+const ObjectsIndex = require(__dirname + '/objectsIndex');
+const ObjectsHistory = require(__dirname + '/objectsHistory');
+const ObjectsSchema = require(__dirname + '/objectsSchema');
+const ObjectsAcl  = require(__dirname + '/objectsAcl');
+const Audit       = require(__dirname + '/../audit');
+const EncryptedNative = require(__dirname + '/../encryptedNative');
 const getDefaultDataDir = tools.getDefaultDataDir;
 
 const stream      = require('stream');
@@ -52,6 +59,23 @@ const ACCESS_CREATE      = 'create';
 const SYSTEM_ADMIN_USER  = 'system.user.admin';
 const SYSTEM_ADMIN_GROUP = 'system.group.administrator';
 
+const ERROR_CONFLICT     = 'Conflict';
+const ERROR_HISTORY_DISABLED = 'Object history is disabled';
+const ERROR_AUDIT_DISABLED   = 'Audit log is disabled';
+
+// Objects written by older versions have no revision
+function getRevision(obj) {
+    return obj && typeof obj._rev === 'number' ? obj._rev : 0;
+}
+
+// checkObjectRights moves options without user into options.params
+function getExpectedRevision(options) {
+    if (!options) return undefined;
+    if (options.expectedRev !== undefined && options.expectedRev !== null) return options.expectedRev;
+    if (options.params && options.params.expectedRev !== undefined && options.params.expectedRev !== null) return options.params.expectedRev;
+    return undefined;
+}
+
 /* Writable memory stream */
 function WMStrm(key, options) {
     // allow use without new operator
@@ -92,6 +116,15 @@ function ObjectsInMemServer(settings) {
     let fileOptions      = {};
     let files            = {};
     let configTimer      = null;
+    let changedIds       = {};
+    let journal          = null;
+    let storage          = null;
+    let index            = null;
+    let history          = null;
+    let audit            = null; // audit log of administrative changes, if enabled
+    let validation       = settings.connection && settings.connection.validation; // 'off', 'warn' or 'reject'
+    let aclInheritance   = settings.connection && settings.connection.aclInheritance;
+    let aclEnums         = {}; // IDs of enums with common.inheritAcl
     let writeTimer       = null;
     let writeIds         = [];
     let users            = {};
@@ -142,6 +175,14 @@ function ObjectsInMemServer(settings) {
     let objectsName  = dataDir + 'objects.json';
     const objectsDir = dataDir + 'files/';
 
+    // changed objects are appended to journal and whole objects.json is written only sometimes
+    settings.connection.journal = settings.connection.journal || {};
+    let journalMaxSize = settings.connection.journal.maxSizeMB === undefined ? 5 : parseFloat(settings.connection.journal.maxSizeMB);
+    if (isNaN(journalMaxSize)) {
+        journalMaxSize = 5;
+    }
+    journalMaxSize *= 1024 * 1024;
+
     settings.backup = settings.backup || {
         disabled:   false,  // deactivates
         files:      24,     // minimum number of files
@@ -427,20 +468,31 @@ function ObjectsInMemServer(settings) {
                 file:       (ACCESS_USER_RW | ACCESS_GROUP_RW | ACCESS_EVERY_READ)
             };
             objects['system.config'].common.defaultNewAcl = Object.assign({}, defaultNewAcl);
+            markChanged('system.config');
         }
 
         let count = 0;
         // Set all objects without ACL to this one
-        for (let id in objects) {
-            if (objects.hasOwnProperty(id) && objects[id] && !objects[id].acl) {
-                objects[id].acl = Object.assign({}, defaultNewAcl);
-                delete objects[id].acl.file;
-                if (objects[id].type !== 'state') {
-                    delete objects[id].acl.state;
-                }
+        const update = () => {
+            for (let id in objects) {
+                if (objects.hasOwnProperty(id) && objects[id] && !objects[id].acl) {
+                    objects[id].acl = Object.assign({}, defaultNewAcl);
+                    delete objects[id].acl.file;
+                    if (objects[id].type !== 'state') {
+                        delete objects[id].acl.state;
+                    }
+                    objects[id]._rev = getRevision(objects[id]) + 1;
+                    markChanged(id);
 
-                count++;
+                    count++;
+                }
             }
+        };
+        // write all changes at once
+        if (storage) {
+            storage.transaction(update);
+        } else {
+            update();
         }
         if (typeof callback === 'function') callback(null, count);
     }
@@ -1780,28 +1832,37 @@ function ObjectsInMemServer(settings) {
 
     // -------------- OBJECT FUNCTIONS -------------------------------------------
     function checkObject(id, options, flag) {
+        return checkObjectAcl(objects[id], options, flag);
+    }
+
+    // check rights of object, that is not stored yet, e.g. in transaction
+    function checkObjectAcl(obj, options, flag) {
         // read rights of object
-        if (!objects[id] || !objects[id].common || !objects[id].acl || flag === ACCESS_LIST) {
+        if (!obj || !obj.common || !obj.acl || flag === ACCESS_LIST) {
+            return true;
+        }
+
+        // admin may access objects of locked down trees too, e.g. in lists
+        if (options.user === SYSTEM_ADMIN_USER || (options.groups && options.groups.indexOf(SYSTEM_ADMIN_GROUP) !== -1)) {
             return true;
         }
 
-        // checkObject always called after checkObjectRights and admin is checked there
-        if (objects[id].acl.owner !== options.user) {
+        if (obj.acl.owner !== options.user) {
             // Check if the user is in the group
-            if (options.groups.indexOf(objects[id].acl.ownerGroup) !== -1) {
+            if (options.groups.indexOf(obj.acl.ownerGroup) !== -1) {
                 // Check group rights
-                if (!(objects[id].acl.object & (flag << 4))) {
+                if (!(obj.acl.object & (flag << 4))) {
                     return false;
                 }
             } else {
                 // everybody
-                if (!(objects[id].acl.object & flag)) {
+                if (!(obj.acl.object & flag)) {
                     return false;
                 }
             }
         } else {
             // Check group rights
-            if (!(objects[id].acl.object & (flag << 8))) {
+            if (!(obj.acl.object & (flag << 8))) {
                 return false;
             }
         }
@@ -1988,7 +2049,134 @@ function ObjectsInMemServer(settings) {
         return text;
     }
 
+    // Compare-and-set: if options.expectedRev is given, the object may be changed only if it still has this revision
+    function checkRevision(id, options, callback) {
+        const expectedRev = getExpectedRevision(options);
+        if (expectedRev !== undefined && expectedRev !== getRevision(objects[id])) {
+            if (typeof callback === 'function') {
+                setImmediate(callback, ERROR_CONFLICT, {id: id, rev: getRevision(objects[id])});
+            }
+            return false;
+        }
+        return true;
+    }
+
+    // JSON schema validation: in "reject" mode invalid objects are not written
+    function checkSchema(id, obj, isExtend, callback) {
+        if (!validation || validation === 'off') return true;
+        if (isExtend) obj = extend(true, {}, objects[id] || {}, obj);
+
+        const error = ObjectsSchema.enforce(validation, id, obj, objects[ObjectsSchema.getAdapterId(id)], log);
+        if (error) {
+            if (typeof callback === 'function') setImmediate(callback, error);
+            return false;
+        }
+        return true;
+    }
+
+    // attributes of instance native, declared in encryptedNative, are stored encrypted with secret of system.config
+    function encryptNative(obj) {
+        if (!obj || obj.type !== 'instance' || !obj.encryptedNative) return;
+        const config = objects['system.config'];
+        EncryptedNative.encryptNative(obj, config && config.native && config.native.secret);
+    }
+
+    function markChanged(id, options) {
+        if (index) index.update(id, objects[id]);
+        if (history) history.add(id, objects[id], options && options.user);
+        if (id.startsWith('enum.')) {
+            if (ObjectsAcl.isAclEnum(objects[id])) {
+                aclEnums[id] = true;
+            } else {
+                delete aclEnums[id];
+            }
+        }
+
+        // storage (e.g. SQLite) writes every change immediately
+        if (storage) {
+            try {
+                if (objects[id]) {
+                    storage.set(id, objects[id]);
+                } else {
+                    storage.del(id);
+                }
+            } catch (e) {
+                log.error(namespace + ' Cannot store object ' + id + ': ' + e);
+            }
+            if (!configTimer && isBackupTime(Date.now())) {
+                configTimer = setTimeout(saveConfig, 5000);
+            }
+            return;
+        }
+
+        changedIds[id] = true;
+        if (!configTimer) {
+            configTimer = setTimeout(saveConfig, 5000);
+        }
+    }
+
+    function saveChangedObjects() {
+        for (let id in changedIds) {
+            if (!changedIds.hasOwnProperty(id)) continue;
+            if (objects[id]) {
+                journal.append('s', id, objects[id]);
+            } else {
+                journal.append('d', id);
+            }
+        }
+        changedIds = {};
+    }
+
+    // makes backups only if settings.backup.period is not 0
+    function isBackupTime(now) {
+        return !settings.backup.disabled && settings.backup.period && (!lastSave || now - lastSave > settings.backup.period);
+    }
+
+    // save files for the last x hours
+    function saveBackup(now, actual) {
+        lastSave = now;
+        let backFileName = backupDir + getTimeStr(now) + '_objects.json.gz';
+
+        if (!fs.existsSync(backFileName)) {
+            zlib = zlib || require('zlib');
+            let output = fs.createWriteStream(backFileName);
+            let compress = zlib.createGzip();
+            /* The following line will pipe everything written into compress to the file stream */
+            compress.pipe(output);
+            /* Since we're piped through the file stream, the following line will do:
+               'Hello World!'->gzip compression->file which is the desired effect */
+            compress.write(actual);
+            compress.end();
+
+            // analyse older files
+            deleteOldBackupFiles();
+        }
+    }
+
     function saveConfig() {
+        if (configTimer) {
+            clearTimeout(configTimer);
+            configTimer = null;
+        }
+
+        const now = Date.now();
+        const backupTime = isBackupTime(now);
+
+        // storage has every change already, so only the backup is written
+        if (storage) {
+            try {
+                if (backupTime) saveBackup(now, JSON.stringify(objects));
+            } catch (e) {
+                log.error(namespace + ' Cannot save backup of objects: ' + e);
+            }
+            return;
+        }
+
+        // write only changed objects till the journal is too big or the backup must be done
+        if (journal && !backupTime && journal.getSize() < journalMaxSize) {
+            return saveChangedObjects();
+        }
+
         if (fs.existsSync(objectsName)) {
             let old = fs.readFileSync(objectsName);
             fs.writeFileSync(objectsName + '.bak', old);
@@ -1997,38 +2185,14 @@ function ObjectsInMemServer(settings) {
             const actual = JSON.stringify(objects);
             fs.writeFileSync(objectsName, actual);
 
-            if (!settings.backup.disabled) {
-                // save files for the last x hours
-                const now = Date.now();
-
-                // makes backups only if settings.backupInterval is not 0
-                if (settings.backup.period && (!lastSave || now - lastSave > settings.backup.period)) {
-                    lastSave = now;
-                    let backFileName = backupDir + getTimeStr(now) + '_objects.json.gz';
-
-                    if (!fs.existsSync(backFileName)) {
-                        zlib = zlib || require('zlib');
-                        let output = fs.createWriteStream(backFileName);
-                        let compress = zlib.createGzip();
-                        /* The following line will pipe everything written into compress to the file stream */
-                        compress.pipe(output);
-                        /* Since we're piped through the file stream, the following line will do:
-                           'Hello World!'->gzip compression->file which is the desired effect */
-                        compress.write(actual);
-                        compress.end();
-
-                        // analyse older files
-                        deleteOldBackupFiles();
-                    }
-                }
-            }
+            // all changes are now in objects.json
+            changedIds = {};
+            if (journal) journal.truncate();
+
+            if (backupTime) saveBackup(now, actual);
         } catch (e) {
             log.error(namespace + ' Cannot save file ' + objectsName + ': ' + e);
         }
-        if (configTimer) {
-            clearTimeout(configTimer);
-            configTimer = null;
-        }
     }
 
     function subscribe(socket, type, pattern, options) {
@@ -2188,6 +2352,7 @@ function ObjectsInMemServer(settings) {
             let list = [];
             for (let k = 0; k < keys.length; k++) {
                 if (!checkObject(keys[k], options, ACCESS_WRITE)) continue;
+                const before = audit && Audit.snapshot(objects[keys[k]]);
                 if (!objects[keys[k]].acl) {
                     objects[keys[k]].acl = {
                         owner:      (defaultNewAcl && defaultNewAcl.owner)      || SYSTEM_ADMIN_USER,
@@ -2200,10 +2365,12 @@ function ObjectsInMemServer(settings) {
                 }
                 objects[keys[k]].acl.owner      = options.owner;
                 objects[keys[k]].acl.ownerGroup = options.ownerGroup;
+                objects[keys[k]]._rev = getRevision(objects[keys[k]]) + 1;
                 list.push(Object.assign({}, objects[keys[k]]));
+                markChanged(keys[k], options);
+                if (audit) audit.recordObjectChange(keys[k], before, objects[keys[k]], options);
             }
             if (typeof callback === 'function') callback(null, list);
-            if (!configTimer) configTimer = setTimeout(saveConfig, 5000);
         });
     }
     this.chownObject = function (pattern, options, callback) {
@@ -2259,6 +2426,7 @@ function ObjectsInMemServer(settings) {
             let list = [];
             for (let k = 0; k < keys.length; k++) {
                 if (!checkObject(keys[k], options, ACCESS_WRITE)) continue;
+                const before = audit && Audit.snapshot(objects[keys[k]]);
                 if (!objects[keys[k]].acl) {
                     objects[keys[k]].acl = {
                         owner:      (defaultNewAcl && defaultNewAcl.owner)      || SYSTEM_ADMIN_USER,
@@ -2271,10 +2439,12 @@ function ObjectsInMemServer(settings) {
                 }
                 if (options.object !== undefined) objects[keys[k]].acl.object = options.object;
                 if (options.state  !== undefined) objects[keys[k]].acl.state  = options.state;
+                objects[keys[k]]._rev = getRevision(objects[keys[k]]) + 1;
                 list.push(Object.assign({}, objects[keys[k]]));
+                markChanged(keys[k], options);
+                if (audit) audit.recordObjectChange(keys[k], before, objects[keys[k]], options);
             }
             if (typeof callback === 'function') callback(null, list);
-            if (!configTimer) configTimer = setTimeout(saveConfig, 5000);
         });
     }
     this.chmodObject = function (pattern, options, callback) {
@@ -2537,8 +2707,10 @@ function ObjectsInMemServer(settings) {
         obj._id = id;
 
         if (id === 'system.config' && obj && obj.common && objects[id] && objects[id].common && JSON.stringify(obj.common.defaultNewAcl) !== JSON.stringify(objects[id].common.defaultNewAcl)) {
+            // keep revision, so that expected revision matches by second call
+            obj._rev = getRevision(objects[id]);
             objects[id] = obj;
-            return setDefaultAcl(() => that.setObject(id, obj, options, callback));
+            return setDefaultAcl(() => _setObject(id, obj, options, callback));
         }
 
         if (!tools.checkNonEditable(objects[id], obj)) {
@@ -2568,6 +2740,15 @@ function ObjectsInMemServer(settings) {
             obj.acl = objects[id].acl;
         }
 
+        // new object gets rights of parent or enum
+        if (aclInheritance && !obj.acl && !objects[id]) {
+            const acl = ObjectsAcl.inherit(id, obj,
+                ObjectsAcl.getParentIds(id).map(parentId => objects[parentId]),
+                Object.keys(aclEnums).map(enumId => objects[enumId]),
+                defaultNewAcl);
+            if (acl) obj.acl = acl;
+        }
+
         // add user default rights
         if (defaultNewAcl && !obj.acl) {
             obj.acl = Object.assign({}, defaultNewAcl);
@@ -2596,6 +2777,10 @@ function ObjectsInMemServer(settings) {
             obj.acl.ownerGroup = options.ownerGroup;
         }
 
+        encryptNative(obj);
+
+        const before = audit && Audit.snapshot(objects[id]);
+        obj._rev = getRevision(objects[id]) + 1;
         objects[id] = JSON.parse(JSON.stringify(obj));
         publishAll('objects', id, obj);
         if (typeof callback === 'function') {
@@ -2603,9 +2788,8 @@ function ObjectsInMemServer(settings) {
                 callback(null, {id: id});
             });
         }
-        if (!configTimer) {
-            configTimer = setTimeout(saveConfig, 5000);
-        }
+        markChanged(id, options);
+        if (audit) audit.recordObjectChange(id, before, objects[id], options);
     }
 
     /**
@@ -2643,7 +2827,7 @@ function ObjectsInMemServer(settings) {
                 if (typeof callback === 'function') {
                     callback(err);
                 }
-            } else {
+            } else if (checkRevision(id, options, callback) && checkSchema(id, obj, false, callback)) {
                 return _setObject(id, obj, options, callback);
             }
         });
@@ -2670,6 +2854,7 @@ function ObjectsInMemServer(settings) {
                 return;
             }
 
+            const before = audit && Audit.snapshot(objects[id]);
             delete objects[id];
             publishAll('objects', id, null);
             if (typeof callback === 'function') {
@@ -2677,9 +2862,8 @@ function ObjectsInMemServer(settings) {
                     callback(null);
                 });
             }
-            if (!configTimer) {
-                configTimer = setTimeout(saveConfig, 5000);
-            }
+            markChanged(id, options);
+            if (audit) audit.recordObjectChange(id, before, null, options);
         } else {
             if (typeof callback === 'function') {
                 setImmediate(function () {
@@ -2709,7 +2893,7 @@ function ObjectsInMemServer(settings) {
         checkObjectRights(id, options, ACCESS_DELETE, (err, options) => {
             if (err) {
                 if (typeof callback === 'function') callback(err);
-            } else {
+            } else if (checkRevision(id, options, callback)) {
                 return _delObject(id, options, callback);
             }
         });
@@ -2727,6 +2911,124 @@ function ObjectsInMemServer(settings) {
         });
     };
 
+    // returns error text if operation cannot be applied on obj (actual state of object in transaction)
+    function checkOperation(operation, obj, options) {
+        const id = operation.id;
+        if (operation.op === 'del') {
+            if (!obj) return 'Not exists';
+            if (obj.common && obj.common.dontDelete) return 'Object is marked as non deletable';
+            if (!options.acl.object.delete && options.user !== SYSTEM_ADMIN_USER && (options.groups || []).indexOf(SYSTEM_ADMIN_GROUP) === -1) return 'permissionError';
+        } else if (operation.op === 'set' || operation.op === 'extend') {
+            if (!operation.obj) return 'obj is null';
+            const newObj = operation.op === 'set' ? operation.obj : extend(true, {}, obj || {}, operation.obj);
+            if (!tools.checkNonEditable(obj, newObj)) return 'Invalid password for update of vendor information';
+            const schemaError = ObjectsSchema.enforce(validation, id, newObj, objects[ObjectsSchema.getAdapterId(id)], log);
+            if (schemaError) return schemaError;
+        } else {
+            return `Invalid operation: ${operation.op}`;
+        }
+        if (!checkObjectAcl(obj, options, ACCESS_WRITE)) return 'permissionError';
+        return null;
+    }
+
+    function _transaction(operations, options, callback) {
+        // check all operations first, so nothing is changed if one of them fails.
+        // Like in objectsInRedis operations on the same ID are checked in order on a working copy.
+        const working = {}; // {id: obj or null if deleted}
+        for (let i = 0; i < operations.length; i++) {
+            const operation = operations[i];
+            if (!operation || !operation.id || regCheckId.test(operation.id)) {
+                return setImmediate(callback, `Invalid ID: ${operation && operation.id}`, {id: operation && operation.id});
+            }
+            const id  = operation.id;
+            const obj = working.hasOwnProperty(id) ? working[id] : objects[id];
+            const err = checkOperation(operation, obj, options);
+            if (err) {
+                return setImmediate(callback, err, {id: id});
+            }
+            // expected revision is compared with the revision before transaction
+            if (!checkRevision(id, {expectedRev: operation.expectedRev}, callback)) return;
+
+            if (operation.op === 'del') {
+                working[id] = null;
+            } else if (operation.op === 'set') {
+                // acl of existing object is kept by _setObject
+                working[id] = !operation.obj.acl && obj && obj.acl ? Object.assign({}, operation.obj, {acl: obj.acl}) : operation.obj;
+            } else {
+                working[id] = extend(true, {}, obj || {}, operation.obj);
+            }
+        }
+
+        const results = [];
+        const apply = () => {
+            operations.forEach(operation => {
+                if (operation.op === 'del') {
+                    _delObject(operation.id, options);
+                    results.push({id: operation.id});
+                } else {
+                    // transaction does not wait for the callback, so the result is read directly
+                    (operation.op === 'set' ? _setObject : _extendObject)(operation.id, operation.obj, options);
+                    results.push({id: operation.id, rev: getRevision(objects[operation.id])});
+                }
+            });
+        };
+        // write all changes at once
+        if (storage) {
+            storage.transaction(apply);
+        } else {
+            apply();
+        }
+        setImmediate(callback, null, results);
+    }
+
+    /**
+     * Change multiple objects at once
+     *
+     * All operations are checked first (ID, access rights, expected revision) and
+     * if one of them fails, no object is changed.
+     *
+     * @alias transaction
+     * @memberof objectsInMemServer
+     * @param {object[]} operations [{op: 'set' | 'extend' | 'del', id: 'adapter.0.obj', obj: {...}, expectedRev: 5}], obj and expectedRev are optional
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, [{id, rev}]). By conflict err is 'Conflict' and second argument is {id, rev}
+     */
+    this.transaction = function (operations, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.transaction(operations, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        }
+        if (!Array.isArray(operations)) {
+            return setImmediate(callback, 'operations must be an array');
+        }
+
+        if (options && options.acl) options.acl = null;
+        checkObjectRights(null, options, ACCESS_WRITE, (err, options) => {
+            if (err) {
+                callback(err);
+            } else if (defaultNewAcl && options.owner && !options.ownerGroup) {
+                // resolve owner group before, so that all changes are made synchronously
+                that.getUserGroup(options.owner, (user, groups /* , permissions */) => {
+                    options.ownerGroup = (groups && groups[0]) || (defaultNewAcl && defaultNewAcl.ownerGroup) || SYSTEM_ADMIN_GROUP;
+                    _transaction(operations, options, callback);
+                });
+            } else {
+                _transaction(operations, options, callback);
+            }
+        });
+    };
+
     function _applyView(func, params, options, callback) {
         let result = {
             rows: []
@@ -2738,8 +3040,22 @@ function ObjectsInMemServer(settings) {
 
         let f = eval('(' + func.map.replace(/emit/g, '_emit_') + ')');
 
-        for (let id in objects) {
-            if (!objects.hasOwnProperty(id)) continue;
+        // Use index for views like "function(doc) { if (doc.type === 'state') emit(doc._id, doc) }"
+        const m = func.map.match(/^\s*function\s*\(doc\)\s*{\s*if\s*\(doc\.type\s*===?\s*['"]([^'"]+)['"]\)/);
+        let ids;
+        if (m && index.isIndexed('type')) {
+            ids = index.query({type: m[1]});
+        } else if (storage) {
+            ids = storage.getIds({
+                startkey: params && params.startkey,
+                endkey:   params && params.endkey
+            });
+        } else {
+            ids = Object.keys(objects);
+        }
+
+        for (let i = 0; i < ids.length; i++) {
+            const id = ids[i];
             if (params) {
                 if (params.startkey && id < params.startkey) continue;
                 if (params.endkey   && id > params.endkey)   continue;
@@ -2849,7 +3165,11 @@ function ObjectsInMemServer(settings) {
             rows: []
         };
 
-        for (let id in objects) {
+        // storage delivers already sorted IDs
+        const ids = storage && options.sorted ? storage.getIds({startkey: params && params.startkey, endkey: params && params.endkey}) : Object.keys(objects);
+
+        for (let i = 0; i < ids.length; i++) {
+            const id = ids[i];
             if (!checkObject(id, options, ACCESS_READ)) continue;
             if (params) {
                 if (params.startkey && id < params.startkey) continue;
@@ -2881,6 +3201,137 @@ function ObjectsInMemServer(settings) {
         }
         callback(null, result);
     }
+    function _queryObjects(query, options, callback) {
+        const rows = index.find(query, objects)
+            .filter(id => checkObject(id, options, ACCESS_READ))
+            .map(id => ({id: id, value: clone(objects[id])}));
+        callback(null, {rows: rows});
+    }
+
+    /**
+     * Find objects by attributes
+     *
+     * Indexed attributes (see objects.indexes in iobroker.json) are read from index, all others are checked for every object.
+     *
+     * @alias queryObjects
+     * @memberof objectsInMemServer
+     * @param {object} query e.g. {type: 'state', 'common.role': 'value.temperature', 'common.custom.*': 'history.0', enum: 'enum.rooms.kitchen', _id: 'hm-rpc.0.*'}
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, {rows: [{id, value}]}), rows are sorted by ID
+     */
+    this.queryObjects = function (query, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.queryObjects(query, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        }
+
+        if (options && options.acl) options.acl = null;
+        checkObjectRights(null, options, 'list', (err, options) => {
+            if (err) {
+                callback(err);
+            } else {
+                _queryObjects(query, options, callback);
+            }
+        });
+    };
+
+    /**
+     * Get last versions of object
+     *
+     * Versions are stored only if "history.enabled" is set in objects settings.
+     *
+     * @alias getObjectHistory
+     * @memberof objectsInMemServer
+     * @param {string} id ID of the object
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, [{rev, ts, user, from, obj}]), newest version first
+     */
+    this.getObjectHistory = function (id, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.getObjectHistory(id, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        }
+
+        if (options && options.acl) options.acl = null;
+        checkObjectRights(id, options, ACCESS_READ, (err, options) => {
+            if (err) {
+                callback(err);
+            } else if (!history) {
+                callback(ERROR_HISTORY_DISABLED);
+            } else if (!checkObject(id, options, ACCESS_READ)) {
+                callback('permissionError');
+            } else {
+                callback(null, history.get(id));
+            }
+        });
+    };
+
+    /**
+     * Write entry into audit log, e.g. installation of adapter. Nothing is written if audit log is disabled.
+     *
+     * @alias recordAudit
+     * @memberof objectsInMemServer
+     * @param {object} entry {action, id, user, from, details}
+     * @param {object} options options for access control are optional
+     * @param {function} callback optional return function (err)
+     */
+    this.recordAudit = function (entry, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (audit && entry && entry.action) audit.record(entry);
+        if (typeof callback === 'function') callback(null);
+    };
+
+    /**
+     * Read entries of audit log, oldest first
+     *
+     * @alias readAudit
+     * @memberof objectsInMemServer
+     * @param {object} filter optional {since, until, user, action, id, limit}, see lib/audit.js
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, entries)
+     */
+    this.readAudit = function (filter, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (options && options.acl) options.acl = null;
+        checkObjectRights(null, options, ACCESS_LIST, err => {
+            if (err) {
+                callback(err);
+            } else if (!audit) {
+                callback(ERROR_AUDIT_DISABLED);
+            } else {
+                callback(null, audit.read(filter));
+            }
+        });
+    };
+
     this.getObjectList = function (params, options, callback) {
         if (typeof options === 'function') {
             callback = options;
@@ -2932,6 +3383,7 @@ function ObjectsInMemServer(settings) {
         }
 
         if (id === 'system.config' && obj && obj.common && objects[id] && objects[id].common && JSON.stringify(obj.common.defaultNewAcl) !== JSON.stringify(objects[id].common.defaultNewAcl)) {
+            obj._rev = getRevision(objects[id]);
             objects[id] = obj;
             return setDefaultAcl(() => {
                 _extendObject(id, obj, options, callback);
@@ -2942,10 +3394,13 @@ function ObjectsInMemServer(settings) {
         if (objects[id] && objects[id].nonEdit) {
             oldObj = Object.assign({}, objects[id])
         }
+        const before = audit && Audit.snapshot(objects[id]);
 
         objects[id] = objects[id] || {};
+        const rev = getRevision(objects[id]);
         objects[id] = extend(true, objects[id], obj);
         objects[id]._id = id;
+        objects[id]._rev = rev + 1;
 
         // add user default rights
         if (defaultNewAcl && !objects[id].acl) {
@@ -2984,13 +3439,16 @@ function ObjectsInMemServer(settings) {
             return;
         }
 
+        encryptNative(objects[id]);
+
         publishAll('objects', id, objects[id]);
 
         if (typeof callback === 'function') {
             setImmediate(() => callback(null, {id: id, value: objects[id]}, id));
         }
 
-        if (!configTimer) configTimer = setTimeout(saveConfig, 5000);
+        markChanged(id, options);
+        if (audit) audit.recordObjectChange(id, before, objects[id], options);
     }
     this.extendObject = function (id, obj, options, callback) {
         if (typeof options === 'function') {
@@ -3014,7 +3472,7 @@ function ObjectsInMemServer(settings) {
         checkObjectRights(id, options, 2/*write*/, function (err, options) {
             if (err) {
                 if (typeof callback === 'function') callback(err);
-            } else {
+            } else if (checkRevision(id, options, callback) && checkSchema(id, obj, true, callback)) {
                 return _extendObject(id, obj, options, callback);
             }
         });
@@ -3050,15 +3508,10 @@ function ObjectsInMemServer(settings) {
             callback(null, idOrName, objects[idOrName].common.name);
         } else {
             // Assume it is name
-            for (let id in objects) {
-                if (!checkObject(id, options, ACCESS_READ)) continue;
-                if (objects[id].common &&
-                    objects[id].common.name === idOrName &&
-                    (!type || (objects[id].common && objects[id].common.type === type))) {
-                    return callback(null, id, idOrName);
-                }
-            }
-            callback(null, null, idOrName);
+            const query = {'common.name': idOrName};
+            if (type) query['common.type'] = type;
+            const ids = index.find(query, objects).filter(id => checkObject(id, options, ACCESS_READ));
+            callback(null, ids.length ? ids[0] : null, idOrName);
         }
     }
 
@@ -3110,6 +3563,9 @@ function ObjectsInMemServer(settings) {
         if (fs.existsSync(objectsName)) {
             fs.unlinkSync(objectsName);
         }
+        if (journal) journal.truncate();
+        if (storage) storage.clear();
+        changedIds = {};
         if (typeof callback === 'function') callback();
     }
 
@@ -3228,6 +3684,26 @@ function ObjectsInMemServer(settings) {
             that.delObject.apply(that, arguments);
         });
 
+        socket.on('transaction', function (operations, options, callback) {
+            that.transaction.apply(that, arguments);
+        });
+
+        socket.on('queryObjects', function (query, options, callback) {
+            that.queryObjects.apply(that, arguments);
+        });
+
+        socket.on('getObjectHistory', function (id, options, callback) {
+            that.getObjectHistory.apply(that, arguments);
+        });
+
+        socket.on('recordAudit', function (entry, options, callback) {
+            that.recordAudit.apply(that, arguments);
+        });
+
+        socket.on('readAudit', function (filter, options, callback) {
+            that.readAudit.apply(that, arguments);
+        });
+
         socket.on('findObject', function (idOrName, type, options, callback) {
             that.findObject.apply(that, arguments);
         });
@@ -3315,6 +3791,10 @@ function ObjectsInMemServer(settings) {
     // Destructor of the class. Called by shutting down.
     this.destroy = function () {
         if (configTimer) saveConfig();
+        if (journal) journal.close();
+        if (storage) storage.close();
+        if (history) history.close();
+        if (audit) audit.close();
 
         saveFileSettings(true);
 
@@ -3335,7 +3815,11 @@ function ObjectsInMemServer(settings) {
     };
 
     let __construct = (function () {
-        if (fs.existsSync(objectsName)) {
+        if (settings.storage) {
+            // e.g. SQLite instead of objects.json
+            storage = new settings.storage(dataDir, 'objects', {logger: log});
+            objects = storage.load();
+        } else if (fs.existsSync(objectsName)) {
             try {
                 objects = JSON.parse(fs.readFileSync(objectsName).toString());
             } catch (e) {
@@ -3362,6 +3846,48 @@ function ObjectsInMemServer(settings) {
             objects = {};
         }
 
+        // apply changes stored after last full save of objects.json
+        if (!storage && !settings.connection.journal.disabled) {
+            journal = new Journal(objectsName + '.journal', {
+                syncInterval: settings.connection.journal.syncInterval,
+                logger:       log
+            });
+            const count = journal.replay((operation, id, obj) => {
+                if (operation === 's') {
+                    objects[id] = obj;
+                } else if (operation === 'd') {
+                    delete objects[id];
+                } else {
+                    log.warn(namespace + ' Unknown operation "' + operation + '" in journal for ' + id);
+                }
+            });
+            if (count) {
+                log.info(namespace + ' Restored ' + count + ' changes from ' + objectsName + '.journal');
+            }
+        }
+
+        // last versions of every object, if enabled
+        if (settings.connection.history && settings.connection.history.enabled) {
+            history = new ObjectsHistory(dataDir + 'objects.history.json', {
+                count:        settings.connection.history.count,
+                deletedCount: settings.connection.history.deletedCount,
+                deletedDays:  settings.connection.history.deletedDays,
+                logger:       log
+            });
+        }
+
+        if (settings.connection.audit && settings.connection.audit.enabled) {
+            audit = new Audit(dataDir, Object.assign({logger: log}, settings.connection.audit));
+        }
+
+        // secondary indexes for queryObjects
+        index = new ObjectsIndex(settings.connection.indexes);
+        for (const id in objects) {
+            if (!objects.hasOwnProperty(id)) continue;
+            index.update(id, objects[id]);
+            if (ObjectsAcl.isAclEnum(objects[id])) aclEnums[id] = true;
+        }
+
         // init default new acl
         if (objects['system.config'] && objects['system.config'].common && objects['system.config'].common.defaultNewAcl) {
             defaultNewAcl = Object.assign({}, objects['system.config'].common.defaultNewAcl);
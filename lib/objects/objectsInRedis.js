@@ -14,12 +14,60 @@
 
 const extend      = require('node.extend');
 const tools       = require(__dirname + '/../tools');
+const ObjectsIndex = require(__dirname + '/objectsIndex');
+const ObjectsHistory = require(__dirname + '/objectsHistory');
+const ObjectsSchema = require(__dirname + '/objectsSchema');
+const ObjectsAcl  = require(__dirname + '/objectsAcl');
+const Audit       = require(__dirname + '/../audit');
+const EncryptedNative = require(__dirname + '/../encryptedNative');
 const redis       = require('redis');
 const stream      = require('stream');
 const util        = require('util');
 const Writable    = stream.Writable;
 let   memStore    = {};
 
+const ERROR_CONFLICT = 'Conflict';
+const MAX_CONFLICT_RETRIES = 10; // setObject and extendObject without expected revision try again, if object was changed in the meantime
+const regCheckId = /[\]\[*,;'"`<>\\?]/;
+const ERROR_HISTORY_DISABLED = 'Object history is disabled';
+const ERROR_AUDIT_DISABLED   = 'Audit log is disabled';
+
+// Writes objects only if their revisions are still the expected ones.
+// KEYS are the objects, ARGV are the expected revisions followed by JSON of objects ('' to delete object).
+// Returns 0 or the 1-based index of the object with other revision.
+const WRITE_SCRIPT = `
+for i, key in ipairs(KEYS) do
+    local old = redis.call('GET', key)
+    local rev = 0
+    if old then
+        local obj = cjson.decode(old)
+        if type(obj._rev) == 'number' then rev = obj._rev end
+    end
+    if rev ~= tonumber(ARGV[i]) then return i end
+end
+for i, key in ipairs(KEYS) do
+    local value = ARGV[#KEYS + i]
+    if value == '' then
+        redis.call('DEL', key)
+    else
+        redis.call('SET', key, value)
+    end
+end
+return 0`;
+
+// Objects written by older versions have no revision
+function getRevision(obj) {
+    return obj && typeof obj._rev === 'number' ? obj._rev : 0;
+}
+
+// checkObjectRights moves options without user into options.params
+function getExpectedRevision(options) {
+    if (!options) return undefined;
+    if (options.expectedRev !== undefined && options.expectedRev !== null) return options.expectedRev;
+    if (options.params && options.params.expectedRev !== undefined && options.params.expectedRev !== null) return options.params.expectedRev;
+    return undefined;
+}
+
 /* Writable memory stream */
 function WMStrm(key, options) {
     // allow use without new operator
@@ -55,9 +103,20 @@ function ObjectsInRedis(settings) {
     const ioRegExp        = new RegExp('^' + redisNamespace);
     const onChange        = settings.change; // on change handler
     const redisNamespaceL = redisNamespace.length;
+    // versions are stored outside of objects namespace, so that they are not found by getKeys
+    const historyNamespace = (settings.redisNamespace || 'config') + 'History.';
+    const historyCount     = settings.connection && settings.connection.history && settings.connection.history.enabled ? (settings.connection.history.count || 10) : 0;
+    const historyDeletedMs = (historyCount && settings.connection.history.deletedDays !== undefined ? parseFloat(settings.connection.history.deletedDays) || 0 : 30) * 24 * 3600000;
+    const validation       = settings.connection && settings.connection.validation; // 'off', 'warn' or 'reject'
+    const aclInheritance   = settings.connection && settings.connection.aclInheritance;
+    // changes of enums are received with own pattern, so that they are not mixed with patterns of subscribe
+    const aclEnumPattern   = redisNamespace + 'enu[m].*';
 
     let client;
     let sub;
+    let aclEnums            = null; // {id: obj} enums with common.inheritAcl, read once and then updated by changes of enums
+    let aclEnumsQueue       = null; // callbacks, that wait for reading of enums
+    let aclEnumsChanges     = null; // {id: obj} changes of enums during reading
     let that                = this;
     let users               = {};
     let groups              = {};
@@ -102,6 +161,16 @@ function ObjectsInRedis(settings) {
         log.silly = log.debug;
     }
 
+    // every process publishes audit entries, the controller of every host (settings.writeAudit) writes all of them into its own file
+    const auditEnabled = !!(settings.connection.audit && settings.connection.audit.enabled);
+    const auditChannel = (settings.redisNamespace || 'config') + 'Audit';
+    const audit        = settings.writeAudit ? Audit.create(settings.connection, log) : null;
+
+    function recordObjectChange(id, before, after, options) {
+        const entry = Audit.getObjectEntry(id, before, after, options);
+        if (entry) client.publish(auditChannel, JSON.stringify(entry));
+    }
+
     // -------------- FILE FUNCTIONS -------------------------------------------
     function checkFile(id, name, options, flag) {
         // read file settings from redis
@@ -860,7 +929,7 @@ function ObjectsInRedis(settings) {
             options = null;
         }
         if (!options || !options.checked) {
-            checkObjectRights(options, 0x2/*write*/, function (err, options) {
+            checkObjectRights(null, options, 0x2/*write*/, function (err, options) {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -910,7 +979,7 @@ function ObjectsInRedis(settings) {
         return true;
     }
 
-    function checkObjectRights(options, flag, callback) {
+    function checkObjectRights(id, options, flag, callback) {
         options = options || {};
         if (!options.user) {
             // Before files converted, lets think: if no options it is admin
@@ -960,7 +1029,7 @@ function ObjectsInRedis(settings) {
                 options.acl    = acl || {};
                 options.groups = groups;
                 options.group  = groups ? groups[0] : null;
-                checkObjectRights(options, flag, callback);
+                checkObjectRights(id, options, flag, callback);
             });
             return;
         }
@@ -1022,6 +1091,240 @@ function ObjectsInRedis(settings) {
         return callback(null, options);
     }
     
+    // merge object with the stored one: preserved settings, access rights and revision
+    function prepareObject(id, obj, oldObj, options) {
+        if (!tools.checkNonEditable(oldObj, obj)) {
+            return 'Invalid password for update of vendor information';
+        }
+        obj._id = id;
+
+        // do not delete common settings, like "history" or "mobile". It can be erased only with "null"
+        if (oldObj && oldObj.common) {
+            for (let i = 0; i < preserveSettings.length; i++) {
+                // remove settings if desired
+                if (obj.common && obj.common[preserveSettings[i]] === null) {
+                    delete obj.common[preserveSettings[i]];
+                    continue;
+                }
+
+                if (oldObj.common[preserveSettings[i]] !== undefined && (!obj.common || obj.common[preserveSettings[i]] === undefined)) {
+                    if (!obj.common) obj.common = {};
+                    obj.common[preserveSettings[i]] = oldObj.common[preserveSettings[i]];
+                }
+            }
+        }
+
+        if (oldObj && oldObj.acl && !obj.acl) {
+            obj.acl = oldObj.acl;
+        }
+
+        // add user default rights
+        if (defaultNewAcl && !obj.acl) {
+            obj.acl = Object.assign({}, defaultNewAcl);
+            delete obj.acl.file;
+            if (obj.type !== 'state') {
+                delete obj.acl.state;
+            }
+            if (options.owner) {
+                obj.acl.owner = options.owner;
+                obj.acl.ownerGroup = options.ownerGroup || null;
+            }
+        }
+        if (defaultNewAcl && obj.acl && !obj.acl.ownerGroup && options.ownerGroup) {
+            obj.acl.ownerGroup = options.ownerGroup;
+        }
+
+        obj._rev = getRevision(oldObj) + 1;
+        return null;
+    }
+
+    // JSON schema validation: returns error text in "reject" mode. Native schema is read from adapter object.
+    function checkSchema(id, obj, callback) {
+        if (!validation || validation === 'off') return callback(null);
+        const adapterId = ObjectsSchema.getAdapterId(id);
+        if (!adapterId) return callback(ObjectsSchema.enforce(validation, id, obj, null, log));
+
+        client.get(redisNamespace + adapterId, (err, adapterObj) => {
+            try {
+                adapterObj = adapterObj ? JSON.parse(adapterObj) : null;
+            } catch (e) {
+                adapterObj = null;
+            }
+            callback(ObjectsSchema.enforce(validation, id, obj, adapterObj, log));
+        });
+    }
+
+    function parseObjects(objs) {
+        return (objs || []).map(obj => {
+            try {
+                return obj ? JSON.parse(obj) : null;
+            } catch (e) {
+                return null;
+            }
+        });
+    }
+
+    function setAclEnum(list, id, obj) {
+        if (ObjectsAcl.isAclEnum(obj)) {
+            list[id] = obj;
+        } else {
+            delete list[id];
+        }
+    }
+
+    // called for every published change of enum (aclEnumPattern)
+    function onEnumChange(id, obj) {
+        if (aclEnums) setAclEnum(aclEnums, id, obj);
+        if (aclEnumsChanges) aclEnumsChanges[id] = obj;
+    }
+
+    // enums with common.inheritAcl are read only once
+    function getAclEnums(callback) {
+        if (aclEnums) return callback(aclEnums);
+        if (aclEnumsQueue) return aclEnumsQueue.push(callback);
+        aclEnumsQueue   = [callback];
+        aclEnumsChanges = {};
+
+        const done = (err, keys, objs) => {
+            const result = {};
+            parseObjects(objs).forEach((obj, i) => setAclEnum(result, keys[i].substring(redisNamespaceL), obj));
+            Object.keys(aclEnumsChanges).forEach(id => setAclEnum(result, id, aclEnumsChanges[id]));
+            // read again by next object, if error
+            if (!err) aclEnums = result;
+            const queue = aclEnumsQueue;
+            aclEnumsQueue   = null;
+            aclEnumsChanges = null;
+            queue.forEach(cb => cb(result));
+        };
+
+        client.keys(redisNamespace + 'enum.*', (err, keys) => {
+            if (err || !keys || !keys.length) return done(err, [], []);
+            client.mget(keys, (err, objs) => done(err, keys, objs));
+        });
+    }
+
+    // new object gets rights of parent or enum. Parents are read for every new object.
+    function inheritAcl(id, obj, oldObj, callback) {
+        const parentIds = ObjectsAcl.getParentIds(id);
+        if (!aclInheritance || obj.acl || oldObj || !parentIds.length) return callback();
+
+        getAclEnums(enums => {
+            client.mget(parentIds.map(parentId => redisNamespace + parentId), (err, parents) => {
+                const acl = ObjectsAcl.inherit(id, obj, parseObjects(parents), Object.keys(enums).map(enumId => enums[enumId]), defaultNewAcl);
+                if (acl) obj.acl = acl;
+                callback();
+            });
+        });
+    }
+
+    // get owner group of new object, that gets default rights
+    function getOwnerGroup(obj, oldObj, options, callback) {
+        if (!defaultNewAcl || obj.acl || (oldObj && oldObj.acl) || !options.owner || options.ownerGroup) return callback();
+
+        that.getUserGroup(options.owner, (user, groups /* , permissions */) => {
+            if (!groups || !groups[0]) {
+                options.ownerGroup = (defaultNewAcl && defaultNewAcl.ownerGroup) || 'system.group.administrator';
+            } else {
+                options.ownerGroup = groups[0];
+            }
+            callback();
+        });
+    }
+
+    // attributes of instance native, declared in encryptedNative, are stored encrypted with secret of system.config
+    function encryptNative(obj, callback) {
+        if (!obj || obj.type !== 'instance' || !EncryptedNative.getPlaintext(obj).length) return callback();
+
+        client.get(redisNamespace + 'system.config', (err, config) => {
+            try {
+                config = config ? JSON.parse(config) : null;
+            } catch (e) {
+                config = null;
+            }
+            EncryptedNative.encryptNative(obj, config && config.native && config.native.secret);
+            callback();
+        });
+    }
+
+    // store version of object in list, if history is enabled. Versions of deleted object expire after history.deletedDays.
+    function addHistory(id, obj, options) {
+        if (!historyCount) return;
+        const key   = historyNamespace + id;
+        const multi = client.multi()
+            .lpush(key, JSON.stringify(ObjectsHistory.createVersion(obj, options && options.user)))
+            .ltrim(key, 0, historyCount - 1);
+        if (obj) {
+            multi.persist(key);
+        } else {
+            multi.pexpire(key, Math.max(historyDeletedMs, 1));
+        }
+        multi.exec(err => err && log.warn(settings.namespace + ' Cannot store history of ' + id + ': ' + err));
+    }
+
+    /**
+     * Get last versions of object
+     *
+     * Versions are stored only if "history.enabled" is set in objects settings.
+     *
+     * @param {string} id ID of the object
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, [{rev, ts, user, from, obj}]), newest version first
+     */
+    this.getObjectHistory = function (id, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.getObjectHistory(id, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        }
+
+        if (!options || !options.checked) {
+            checkObjectRights(id, options, 0x4/*read*/, (err, options) => {
+                if (err) {
+                    callback(err);
+                } else {
+                    return this.getObjectHistory(id, options, callback);
+                }
+            });
+            return;
+        }
+        if (!historyCount) {
+            return callback(ERROR_HISTORY_DISABLED);
+        }
+
+        client.lrange(historyNamespace + id, 0, -1, (err, list) => {
+            if (err) return callback(err);
+            const versions = [];
+            (list || []).forEach(text => {
+                try {
+                    versions.push(JSON.parse(text));
+                } catch (e) {
+                    log.error(`Cannot parse history of ${id} - ${text}: ${JSON.stringify(e)}`);
+                }
+            });
+            if (versions.length && versions[0].obj && !checkObject(versions[0].obj, options, 0x4/*read*/)) {
+                return callback('permissionError');
+            }
+            callback(null, versions);
+        });
+    };
+
+    // write (or delete with '') objects at once, if nobody changed them since they were read
+    function writeObjects(ids, revs, values, callback) {
+        const args = [WRITE_SCRIPT, ids.length].concat(ids.map(id => redisNamespace + id), revs, values);
+        args.push((err, index) => callback(err, index ? ids[index - 1] : null));
+        client.eval.apply(client, args);
+    }
+
     function clone(obj) {
         if (obj === null || obj === undefined || typeof obj !== 'object')
             return obj;
@@ -1036,9 +1339,60 @@ function ObjectsInRedis(settings) {
         return temp;
     }
 
+    /**
+     * Publish entry for audit log, e.g. installation of adapter. Nothing is published if audit log is disabled.
+     *
+     * @alias recordAudit
+     * @memberof objectsInRedis
+     * @param {object} entry {action, id, user, from, details}
+     * @param {object} options options for access control are optional
+     * @param {function} callback optional return function (err)
+     */
+    this.recordAudit = (entry, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!auditEnabled || !entry || !entry.action) {
+            if (typeof callback === 'function') callback(null);
+            return;
+        }
+        client.publish(auditChannel, JSON.stringify(Object.assign({ts: Date.now()}, entry)), err => {
+            if (typeof callback === 'function') callback(err || null);
+        });
+    };
+
+    /**
+     * Read entries of audit log of this host, oldest first. The file is written by controller of this host.
+     *
+     * @alias readAudit
+     * @memberof objectsInRedis
+     * @param {object} filter optional {since, until, user, action, id, limit}, see lib/audit.js
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, entries)
+     */
+    this.readAudit = (filter, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!options || !options.checked) {
+            checkObjectRights(null, options, 'list', (err, options) => {
+                if (err) {
+                    callback(err);
+                } else {
+                    return this.readAudit(filter, options, callback);
+                }
+            });
+            return;
+        }
+        if (!auditEnabled) return callback(ERROR_AUDIT_DISABLED);
+        callback(null, (audit || Audit.create(settings.connection, log)).read(filter));
+    };
+
     this.subscribe = (pattern, options, callback) => {
         if (!options || !options.checked) {
-            checkObjectRights(options, 'list', (err, options) => {
+            checkObjectRights(null, options, 'list', (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1056,7 +1410,7 @@ function ObjectsInRedis(settings) {
 
     this.unsubscribe = (pattern, options, callback) => {
         if (!options || !options.checked) {
-            checkObjectRights(options, 'list', (err, options) => {
+            checkObjectRights(null, options, 'list', (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1103,7 +1457,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options.checked) {
-            checkObjectRights(options, 0x2/*write*/, (err, options) => {
+            checkObjectRights(null, options, 0x2/*write*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1137,7 +1491,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options.checked) {
-            checkObjectRights(options, 0x2/*write*/, (err, options) => {
+            checkObjectRights(null, options, 0x2/*write*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1160,7 +1514,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options || !options.checked) {
-            checkObjectRights(options, 0x4/*read*/, (err, options) => {
+            checkObjectRights(id, options, 0x4/*read*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1193,7 +1547,7 @@ function ObjectsInRedis(settings) {
             options = null;
         }
         if (!options || !options.checked) {
-            checkObjectRights(options, 'list', (err, options) => {
+            checkObjectRights(null, options, 'list', (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1248,7 +1602,7 @@ function ObjectsInRedis(settings) {
             options = null;
         }
         if (!options || !options.checked) {
-            checkObjectRights(options, 0x4/*read*/, (err, options) => {
+            checkObjectRights(null, options, 0x4/*read*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1310,7 +1664,7 @@ function ObjectsInRedis(settings) {
             options = null;
         }
         if (!options || !options.checked) {
-            checkObjectRights(options, 0x4/*read*/, (err, options) => {
+            checkObjectRights(null, options, 0x4/*read*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1381,7 +1735,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options || !options.checked) {
-            checkObjectRights(options, 0x2/*write*/, function (err, options) {
+            checkObjectRights(id, options, 0x2/*write*/, function (err, options) {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1419,6 +1773,14 @@ function ObjectsInRedis(settings) {
                 return;
             }
 
+            const expectedRev = getExpectedRevision(options);
+            if (expectedRev !== undefined && expectedRev !== getRevision(oldObj)) {
+                if (typeof callback === 'function') {
+                    callback(ERROR_CONFLICT, {id: id, rev: getRevision(oldObj)});
+                }
+                return;
+            }
+
             if (id === 'system.config' && obj && obj.common && oldObj && oldObj.common && JSON.stringify(obj.common.defaultNewAcl) !== JSON.stringify(oldObj.common.defaultNewAcl)) {
                 oldObj = obj;
                 return setDefaultAcl(function () {
@@ -1426,68 +1788,45 @@ function ObjectsInRedis(settings) {
                 });
             }
 
-            if (!tools.checkNonEditable(oldObj, obj)) {
-                if (typeof callback === 'function') {
-                    callback('Invalid password for update of vendor information');
-                }
-                return;
-            }
-
-            // do not delete common settings, like "history" or "mobile". It can be erased only with "null"
-            if (oldObj && oldObj.common) {
-                for (let i = 0; i < preserveSettings.length; i++) {
-                    // remove settings if desired
-                    if (obj.common && obj.common[preserveSettings[i]] === null) {
-                        delete obj.common[preserveSettings[i]];
-                        continue;
-                    }
-
-                    if (oldObj.common[preserveSettings[i]] !== undefined && (!obj.common || obj.common[preserveSettings[i]] === undefined)) {
-                        if (!obj.common) obj.common = {};
-                        obj.common[preserveSettings[i]] = oldObj.common[preserveSettings[i]];
+            inheritAcl(id, obj, oldObj, () => getOwnerGroup(obj, oldObj, options, () => {
+                // object could be changed by other process, so try again with original object
+                const original = JSON.parse(JSON.stringify(obj));
+                const error = prepareObject(id, obj, oldObj, options);
+                if (error) {
+                    if (typeof callback === 'function') {
+                        callback(error);
                     }
+                    return;
                 }
-            }
 
-            if (oldObj && oldObj.acl && !obj.acl) {
-                obj.acl = oldObj.acl;
-            }
-
-            // add user default rights
-            if (defaultNewAcl && !obj.acl) {
-                obj.acl = Object.assign({}, defaultNewAcl);
-                delete obj.acl.file;
-                if (obj.type !== 'state') {
-                    delete obj.acl.state;
-                }
-                if (options.owner) {
-                    obj.acl.owner = options.owner;
-
-                    if (!options.ownerGroup) {
-                        obj.acl.ownerGroup = null;
-                        this.getUserGroup(options.owner, (user, groups /* , permissions */) => {
-                            if (!groups || !groups[0]) {
-                                options.ownerGroup = (defaultNewAcl && defaultNewAcl.ownerGroup) || 'system.group.administrator';
-                            } else {
-                                options.ownerGroup = groups[0];
-                            }
-                            this.setObject(id, obj, options, callback);
-                        });
+                encryptNative(obj, () => checkSchema(id, obj, schemaError => {
+                    if (schemaError) {
+                        if (typeof callback === 'function') callback(schemaError);
                         return;
                     }
-                }
-            }
-            if (defaultNewAcl && obj.acl && !obj.acl.ownerGroup && options.ownerGroup) {
-                obj.acl.ownerGroup = options.ownerGroup;
-            }
-            const jsonObj = JSON.stringify(obj);
-            client.set(redisNamespace + id, jsonObj, function (err) {
-                log.silly(settings.namespace + ' redis set', id, obj);
-                client.publish(redisNamespace + id, jsonObj);
-                if (typeof callback === 'function') {
-                    callback(err, {id: id});
-                }
-            })
+                    const jsonObj = JSON.stringify(obj);
+                    writeObjects([id], [getRevision(oldObj)], [jsonObj], (err, conflict) => {
+                        if (conflict) {
+                            const retries = (options.conflictRetries || 0) + 1;
+                            if (expectedRev !== undefined || retries > MAX_CONFLICT_RETRIES) {
+                                if (typeof callback === 'function') callback(ERROR_CONFLICT, {id: id});
+                            } else {
+                                this.setObject(id, original, Object.assign({}, options, {conflictRetries: retries}), callback);
+                            }
+                            return;
+                        }
+                        log.silly(settings.namespace + ' redis set', id, obj);
+                        if (!err) {
+                            client.publish(redisNamespace + id, jsonObj);
+                            addHistory(id, obj, options);
+                            if (auditEnabled) recordObjectChange(id, Audit.snapshot(oldObj), obj, options);
+                        }
+                        if (typeof callback === 'function') {
+                            callback(err, {id: id});
+                        }
+                    });
+                }));
+            }));
         });
     };
 
@@ -1498,7 +1837,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options || !options.checked) {
-            checkObjectRights(options, 'delete', (err, options) => {
+            checkObjectRights(id, options, 'delete', (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1526,10 +1865,33 @@ function ObjectsInRedis(settings) {
                 }
                 return;
             }
-            client.del(redisNamespace + id, function (err) {
-                client.publish(redisNamespace + id, null);
-                if (typeof callback === 'function') callback(err);
-            });
+
+            const expectedRev = getExpectedRevision(options);
+            if (expectedRev !== undefined && expectedRev !== getRevision(oldObj)) {
+                if (typeof callback === 'function') {
+                    callback(ERROR_CONFLICT, {id: id, rev: getRevision(oldObj)});
+                }
+                return;
+            }
+            if (expectedRev === undefined) {
+                client.del(redisNamespace + id, function (err) {
+                    client.publish(redisNamespace + id, null);
+                    if (!err && oldObj) addHistory(id, null, options);
+                    if (!err && oldObj && auditEnabled) recordObjectChange(id, Audit.snapshot(oldObj), null, options);
+                    if (typeof callback === 'function') callback(err);
+                });
+            } else {
+                writeObjects([id], [expectedRev], [''], (err, conflict) => {
+                    if (conflict) {
+                        err = ERROR_CONFLICT;
+                    } else if (!err) {
+                        client.publish(redisNamespace + id, null);
+                        addHistory(id, null, options);
+                        if (auditEnabled) recordObjectChange(id, Audit.snapshot(oldObj), null, options);
+                    }
+                    if (typeof callback === 'function') callback(err);
+                });
+            }
         });
     };
     // this function is very ineffective. Because reads all objects and then process them
@@ -1589,7 +1951,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options || !options.checked) {
-            checkObjectRights(options, 4/*read*/, (err, options) => {
+            checkObjectRights(null, options, 4/*read*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1657,7 +2019,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options || !options.checked) {
-            checkObjectRights(options, 4/*read*/, (err, options) => {
+            checkObjectRights(null, options, 4/*read*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1716,7 +2078,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options || !options.checked) {
-            checkObjectRights(options, 2/*write*/, (err, options) => {
+            checkObjectRights(id, options, 2/*write*/, (err, options) => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1727,13 +2089,200 @@ function ObjectsInRedis(settings) {
         }
 
         this.getObject(id, options, function (err, data) {
+            const rev = getRevision(data);
+            const expectedRev = getExpectedRevision(options);
+            if (expectedRev !== undefined && expectedRev !== rev) {
+                if (typeof callback === 'function') callback(ERROR_CONFLICT, {id: id, rev: rev});
+                return;
+            }
             let newObj = extend(true, data || {}, obj);
-            that.setObject(id, newObj, options, function (err, res) {
+            // write only if object was not changed in the meantime, else extend it again
+            that.setObject(id, newObj, Object.assign({}, options, {expectedRev: rev}), function (err, res) {
+                const retries = (options.conflictRetries || 0) + 1;
+                if (err === ERROR_CONFLICT && expectedRev === undefined && retries <= MAX_CONFLICT_RETRIES) {
+                    return that.extendObject(id, obj, Object.assign({}, options, {conflictRetries: retries}), callback);
+                }
                 if (typeof callback === 'function') callback(err, {id: id, value: res}, id);
             });
         });
     };
 
+    function _transaction(operations, options, callback) {
+        // every object is read once, operations on the same ID are applied in order on a working copy
+        const ids  = operations.map(operation => operation.id).filter((id, i, list) => list.indexOf(id) === i);
+        const keys = ids.map(id => redisNamespace + id);
+        // adapter objects are read together with objects for validation of native
+        const adapterIds = [];
+        if (validation && validation !== 'off') {
+            ids.forEach(id => {
+                const adapterId = ObjectsSchema.getAdapterId(id);
+                if (adapterId && adapterIds.indexOf(adapterId) === -1) adapterIds.push(adapterId);
+            });
+        }
+        // secret for encryption of native is read together with objects, if instances are written
+        const configIds = ids.find(id => id.startsWith('system.adapter.')) ? ['system.config'] : [];
+        // parents of new objects for inheritance of acl, parents in transaction are taken from working copy
+        const parentIds = [];
+        if (aclInheritance) {
+            ids.forEach(id => ObjectsAcl.getParentIds(id).forEach(parentId => {
+                if (ids.indexOf(parentId) === -1 && parentIds.indexOf(parentId) === -1) parentIds.push(parentId);
+            }));
+        }
+        const getEnums = aclInheritance ? getAclEnums : cb => cb({});
+        getEnums(enums => client.mget(keys.concat(adapterIds.concat(configIds, parentIds).map(id => redisNamespace + id)), (err, oldObjs) => {
+            if (err) return callback(err);
+
+            const adapterObjs = {};
+            adapterIds.forEach((id, i) => {
+                try {
+                    adapterObjs[id] = JSON.parse(oldObjs[keys.length + i]);
+                } catch (e) {
+                    adapterObjs[id] = null;
+                }
+            });
+
+            let config = null;
+            if (configIds.length) {
+                try {
+                    config = JSON.parse(oldObjs[keys.length + adapterIds.length]);
+                } catch (e) {
+                    config = null;
+                }
+            }
+
+            const parents = {};
+            parseObjects(oldObjs.slice(keys.length + adapterIds.length + configIds.length)).forEach((obj, i) => parents[parentIds[i]] = obj);
+            const aclEnumList = Object.keys(enums).map(enumId => enums[enumId]);
+
+            const working = {}; // {id: {obj, rev}}, rev is revision before transaction
+            ids.forEach((id, i) => {
+                let obj = null;
+                try {
+                    obj = oldObjs[i] ? JSON.parse(oldObjs[i]) : null;
+                } catch (e) {
+                    log.error(`Cannot parse ${id} - ${oldObjs[i]}: ${JSON.stringify(e)}`);
+                }
+                working[id] = {obj: obj, rev: getRevision(obj)};
+            });
+
+            const changes = []; // for publish, history and audit log
+            const results = [];
+            // check all operations first, so nothing is changed if one of them fails
+            for (let i = 0; i < operations.length; i++) {
+                const operation = operations[i];
+                const oldObj    = working[operation.id].obj;
+                if (!checkObject(oldObj, options, 0x2/*write*/)) {
+                    return callback('permissionError', {id: operation.id});
+                }
+                // like in objectsInMemServer expected revision is compared with the revision before transaction
+                if (operation.expectedRev !== undefined && operation.expectedRev !== null && operation.expectedRev !== working[operation.id].rev) {
+                    return callback(ERROR_CONFLICT, {id: operation.id, rev: working[operation.id].rev});
+                }
+
+                let obj = null;
+                if (operation.op === 'del') {
+                    if (!oldObj) return callback('Not exists', {id: operation.id});
+                    if (oldObj.common && oldObj.common.dontDelete) return callback('Object is marked as non deletable', {id: operation.id});
+                    if (!options.acl.object.delete) return callback('permissionError', {id: operation.id});
+                    results.push({id: operation.id});
+                } else if (operation.op === 'set' || operation.op === 'extend') {
+                    if (!operation.obj) return callback('obj is null', {id: operation.id});
+                    obj = operation.op === 'set' ? JSON.parse(JSON.stringify(operation.obj)) : extend(true, {}, oldObj || {}, operation.obj);
+                    // new object gets rights of parent or enum like in setObject
+                    if (aclInheritance && !oldObj && !obj.acl) {
+                        const acl = ObjectsAcl.inherit(operation.id, obj,
+                            ObjectsAcl.getParentIds(operation.id).map(parentId => working[parentId] ? working[parentId].obj : parents[parentId]),
+                            aclEnumList, defaultNewAcl);
+                        if (acl) obj.acl = acl;
+                    }
+                    const error = prepareObject(operation.id, obj, oldObj, options) ||
+                        ObjectsSchema.enforce(validation, operation.id, obj, adapterObjs[ObjectsSchema.getAdapterId(operation.id)], log);
+                    if (error) return callback(error, {id: operation.id});
+                    if (obj.type === 'instance') EncryptedNative.encryptNative(obj, config && config.native && config.native.secret);
+                    results.push({id: operation.id, rev: obj._rev});
+                } else {
+                    return callback(`Invalid operation: ${operation.op}`, {id: operation.id});
+                }
+                changes.push({id: operation.id, before: Audit.snapshot(oldObj), obj: obj});
+                working[operation.id].obj = obj;
+            }
+
+            const revs   = ids.map(id => working[id].rev);
+            const values = ids.map(id => working[id].obj ? JSON.stringify(working[id].obj) : '');
+            writeObjects(ids, revs, values, (err, conflict) => {
+                if (conflict) return callback(ERROR_CONFLICT, {id: conflict});
+                if (err) return callback(err);
+                changes.forEach(change => {
+                    client.publish(redisNamespace + change.id, change.obj ? JSON.stringify(change.obj) : null);
+                    addHistory(change.id, change.obj, options);
+                    if (auditEnabled) recordObjectChange(change.id, change.before, change.obj, options);
+                });
+                callback(null, results);
+            });
+        }));
+    }
+
+    /**
+     * Change multiple objects at once
+     *
+     * All operations are checked first (ID, access rights, expected revision) and
+     * if one of them fails, no object is changed.
+     *
+     * @param {object[]} operations [{op: 'set' | 'extend' | 'del', id: 'adapter.0.obj', obj: {...}, expectedRev: 5}], obj and expectedRev are optional
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, [{id, rev}]). By conflict err is 'Conflict' and second argument is {id, rev}
+     */
+    this.transaction = function (operations, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.transaction(operations, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        }
+
+        if (!options || !options.checked) {
+            checkObjectRights(null, options, 2/*write*/, (err, options) => {
+                if (err) {
+                    callback(err);
+                } else {
+                    return this.transaction(operations, options, callback);
+                }
+            });
+            return;
+        }
+
+        if (!Array.isArray(operations)) {
+            return callback('operations must be an array');
+        }
+        for (let i = 0; i < operations.length; i++) {
+            if (!operations[i] || !operations[i].id || regCheckId.test(operations[i].id)) {
+                return callback(`Invalid ID: ${operations[i] && operations[i].id}`);
+            }
+        }
+        if (!operations.length) {
+            return callback(null, []);
+        }
+
+        if (defaultNewAcl && options.owner && !options.ownerGroup) {
+            // resolve owner group before, so that prepareObject works synchronously
+            this.getUserGroup(options.owner, (user, groups /* , permissions */) => {
+                options.ownerGroup = (groups && groups[0]) || (defaultNewAcl && defaultNewAcl.ownerGroup) || 'system.group.administrator';
+                _transaction(operations, options, callback);
+            });
+        } else {
+            _transaction(operations, options, callback);
+        }
+    };
+
     this.setConfig = this.setObject;
 
     this.delConfig = this.delObject;
@@ -1749,7 +2298,7 @@ function ObjectsInRedis(settings) {
         }
 
         if (!options || !options.checked) {
-            checkObjectRights(options, 'list', function (err, options) {
+            checkObjectRights(null, options, 'list', function (err, options) {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1759,27 +2308,80 @@ function ObjectsInRedis(settings) {
             return;
         }
 
-        if (!objects) {
-            if (typeof callback === 'function') callback('Not implemented');
-            return;
-        }
-
         // Assume it is ID
-        if (objects[idOrName] && (!type || (objects[idOrName].common && objects[idOrName].common.type === type))) {
-            if (typeof callback === 'function') callback(null, idOrName, objects[idOrName].common.name);
-        } else {
+        this.getObject(idOrName, options, (err, obj) => {
+            if (obj && (!type || (obj.common && obj.common.type === type))) {
+                if (typeof callback === 'function') callback(null, idOrName, obj.common && obj.common.name);
+                return;
+            }
             // Assume it is name
-            for (let id in objects) {
-                if (!checkObject(objects[id], options, 4/*read*/)) continue;
-                if (objects[id].common &&
-                    objects[id].common.name === idOrName &&
-                    (!type || (objects[id].common && objects[id].common.type === type))) {
-                    if (typeof callback === 'function') callback(null, id, idOrName);
-                    return;
+            const query = {'common.name': idOrName};
+            if (type) query['common.type'] = type;
+            _queryObjects(query, options, (err, res) => {
+                if (typeof callback === 'function') callback(err, res && res.rows.length ? res.rows[0].id : null, idOrName);
+            });
+        });
+    };
+
+    // Redis has no secondary indexes, so all objects matching query._id (or all objects) are read and checked
+    function _queryObjects(query, options, callback) {
+        // only "*" is a wildcard in _id, other special characters of KEYS pattern are escaped
+        const pattern = typeof query._id === 'string' && query._id ? query._id.replace(/[?[\]\\]/g, '\\$&') : '*';
+        client.keys(redisNamespace + pattern, (err, keys) => {
+            if (err || !keys || !keys.length) return callback(err, {rows: []});
+            client.mget(keys, (err, objs) => {
+                if (err) return callback(err);
+                const all = {};
+                for (let i = 0; i < keys.length; i++) {
+                    try {
+                        if (objs[i]) all[keys[i].substring(redisNamespaceL)] = JSON.parse(objs[i]);
+                    } catch (e) {
+                        log.error(`Cannot parse ${keys[i]} - ${objs[i]}: ${JSON.stringify(e)}`);
+                    }
                 }
-            }
-            if (typeof callback === 'function') callback(null, null, idOrName);
+                const rows = new ObjectsIndex([]).find(query, all)
+                    .filter(id => checkObject(all[id], options, 4/*read*/))
+                    .map(id => ({id: id, value: all[id]}));
+                callback(null, {rows: rows});
+            });
+        });
+    }
+
+    /**
+     * Find objects by attributes
+     *
+     * @param {object} query e.g. {type: 'state', 'common.role': 'value.temperature', 'common.custom.*': 'history.0', enum: 'enum.rooms.kitchen', _id: 'hm-rpc.0.*'}
+     * @param {object} options options for access control are optional
+     * @param {function} callback return function (err, {rows: [{id, value}]}), rows are sorted by ID
+     */
+    this.queryObjects = function (query, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
         }
+        if (!callback) {
+            return new Promise((resolve, reject) => {
+                this.queryObjects(query, options, (err, res) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(res);
+                    }
+                });
+            });
+        }
+
+        if (!options || !options.checked) {
+            checkObjectRights(null, options, 'list', (err, options) => {
+                if (err) {
+                    callback(err);
+                } else {
+                    return this.queryObjects(query, options, callback);
+                }
+            });
+            return;
+        }
+        _queryObjects(query, options, callback);
     };
 
     // can be called only from js-controller
@@ -1799,7 +2401,7 @@ function ObjectsInRedis(settings) {
         options = options || {};
 
         if (!options.checked) {
-            checkObjectRights(options, 0x2/*write*/, function (err, options) {
+            checkObjectRights(null, options, 0x2/*write*/, function (err, options) {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                 } else {
@@ -1823,6 +2425,7 @@ function ObjectsInRedis(settings) {
 
     // Destructor of the class. Called by shutting down.
     this.destroy = () => {
+        if (audit) audit.close();
         if (client) {
             client.quit();
             client = null;
@@ -1843,7 +2446,21 @@ function ObjectsInRedis(settings) {
             sub    = redis.createClient(settings.connection.port, settings.connection.host, settings.connection.options);
         }
 
-        if (typeof onChange === 'function') {
+        if (aclInheritance) sub.psubscribe(aclEnumPattern);
+
+        if (audit) {
+            sub.subscribe(auditChannel);
+            sub.on('message', (channel, message) => {
+                if (channel !== auditChannel) return;
+                try {
+                    audit.record(JSON.parse(message));
+                } catch (e) {
+                    log.error(`Cannot parse audit entry ${message}: ${e}`);
+                }
+            });
+        }
+
+        if (typeof onChange === 'function' || aclInheritance) {
             sub.on('pmessage', (pattern, channel, message) => {
                 log.debug(settings.namespace + ' redis pmessage ', pattern, channel, message);
                 try {
@@ -1851,7 +2468,11 @@ function ObjectsInRedis(settings) {
                         const id = channel.substring(redisNamespaceL);
                         try {
                             const obj = message ? JSON.parse(message) : null;
-                            onChange(id, obj);
+                            if (pattern === aclEnumPattern) {
+                                onEnumChange(id, obj);
+                            } else if (typeof onChange === 'function') {
+                                onChange(id, obj);
+                            }
                         } catch (e) {
                             log.error(`Cannot parse ${id} - ${message}: ${JSON.stringify(e)}`);
                         }
@@ -1879,6 +2500,8 @@ function ObjectsInRedis(settings) {
         });
 
         sub.on('connect', error => {
+            // changes of enums could be lost without connection
+            aclEnums = null;
             if (settings.connection.port === 0) {
                 log.info(settings.namespace + ' Objects connected to redis: ' + settings.connection.host);
             } else {
@@ -1894,4 +2517,4 @@ function ObjectsInRedis(settings) {
 }
 
 
-module.exports = ObjectsInRedis;
\ No newline at end of file
+module.exports = ObjectsInRedis;
\ No newline at end of file
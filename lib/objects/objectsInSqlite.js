@@ -0,0 +1,26 @@
+/**
+ *      Object DB in memory with SQLite storage - Server
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/* jshint -W097 */
+/* jshint strict: false */
+/* jslint node: true */
+'use strict';
+
+const ObjectsInMemServer = require(__dirname + '/objectsInMemServer');
+const SqliteStorage      = require(__dirname + '/../sqliteStorage');
+
+// Same as objectsInMemServer, but objects are stored in <dataDir>/objects.sqlite instead of objects.json.
+// Clients connect with objectsInMemClient.
+function ObjectsInSqlite(settings) {
+    settings = settings || {};
+    settings.storage = SqliteStorage;
+    return new ObjectsInMemServer(settings);
+}
+
+module.exports = ObjectsInSqlite;
@@ -0,0 +1,201 @@
+/**
+ *      Secondary indexes for objects DB
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module objectsIndex */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const tools = require(__dirname + '/../tools');
+
+// Indexes are declared by the path of attribute, e.g.:
+//   'type'            - obj.type
+//   'common.role'     - obj.common.role, arrays are indexed by every element
+//   'common.custom.*' - keys of obj.common.custom, e.g. "history.0"
+//   'enum'            - IDs of enums, that have the object in common.members
+// Queries use the same names: {type: 'state', 'common.role': 'value.temperature', 'common.custom.*': 'history.0', enum: 'enum.rooms.kitchen'}.
+// Value of query can be an array, then one of the values must match. "_id" is a pattern like "hm-rpc.0.*".
+const DEFAULT_INDEXES = ['type', 'common.type', 'common.role', 'common.name', 'common.custom.*', 'enum'];
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function isPrimitive(value) {
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+// Get all values of object for the index name as strings
+function getValues(obj, name) {
+    const parts = name.split('.');
+    const keys  = parts[parts.length - 1] === '*';
+    if (keys) parts.pop();
+
+    let value = obj;
+    for (let i = 0; i < parts.length && value !== null && value !== undefined; i++) {
+        value = typeof value === 'object' ? value[parts[i]] : undefined;
+    }
+
+    if (value === null || value === undefined) {
+        return [];
+    } else if (keys) {
+        return typeof value === 'object' ? Object.keys(value).filter(key => value[key] !== null && value[key] !== undefined) : [];
+    } else if (Array.isArray(value)) {
+        return value.filter(isPrimitive).map(String);
+    } else if (isPrimitive(value)) {
+        return [String(value)];
+    } else {
+        return [];
+    }
+}
+
+/**
+ * ObjectsIndex class
+ *
+ * Index is maintained incrementally: update must be called after every change of object.
+ *
+ * @class
+ * @param {string[]} names indexes, see DEFAULT_INDEXES
+ * @return {object} object instance
+ */
+function ObjectsIndex(names) {
+    if (!(this instanceof ObjectsIndex)) return new ObjectsIndex(names);
+
+    names = names || DEFAULT_INDEXES;
+
+    const indexes = {}; // name => value => Set of IDs
+    const entries = {}; // id => [[name, value]], to remove old values by change
+    const members = {}; // enum id => members, because membership is stored in enum and not in object
+
+    names.forEach(name => indexes[name] = new Map());
+
+    function add(name, value, id) {
+        let ids = indexes[name].get(value);
+        if (!ids) {
+            ids = new Set();
+            indexes[name].set(value, ids);
+        }
+        ids.add(id);
+    }
+
+    function remove(name, value, id) {
+        const ids = indexes[name].get(value);
+        if (ids) {
+            ids.delete(id);
+            if (!ids.size) indexes[name].delete(value);
+        }
+    }
+
+    /**
+     * Update index after object was changed or deleted
+     *
+     * @param {string} id  ID of object
+     * @param {object} obj new object or null if deleted
+     */
+    this.update = function (id, obj) {
+        if (entries[id]) {
+            entries[id].forEach(entry => remove(entry[0], entry[1], id));
+            delete entries[id];
+        }
+        if (obj) {
+            const list = [];
+            names.forEach(name => {
+                if (name === 'enum') return;
+                getValues(obj, name).forEach(value => {
+                    add(name, value, id);
+                    list.push([name, value]);
+                });
+            });
+            if (list.length) entries[id] = list;
+        }
+
+        if (indexes.enum) {
+            if (members[id]) {
+                members[id].forEach(member => remove('enum', id, member));
+                delete members[id];
+            }
+            if (obj && obj.type === 'enum' && obj.common && Array.isArray(obj.common.members)) {
+                members[id] = obj.common.members.filter(member => typeof member === 'string');
+                members[id].forEach(member => add('enum', id, member));
+            }
+        }
+    };
+
+    /**
+     * Get IDs from indexes only. Attributes without index are ignored.
+     *
+     * @param {object} query e.g. {type: 'state', 'common.role': 'value.temperature'}
+     * @return {string[]|null} sorted IDs or null if no attribute of query is indexed
+     */
+    this.query = function (query) {
+        let result = null;
+        for (const name in query) {
+            if (!query.hasOwnProperty(name) || !indexes[name]) continue;
+
+            const ids = new Set();
+            toArray(query[name]).forEach(value => {
+                const set = indexes[name].get(String(value));
+                if (set) set.forEach(id => ids.add(id));
+            });
+            result = result ? result.filter(id => ids.has(id)) : Array.from(ids);
+        }
+        return result && result.sort();
+    };
+
+    /**
+     * Find objects matching query. Attributes without index are checked for every object.
+     *
+     * @param {object} query e.g. {type: 'state', 'common.role': ['value.temperature', 'value.humidity'], _id: 'hm-rpc.0.*'}
+     * @param {object} objects map id => object
+     * @return {string[]} sorted IDs of existing objects
+     */
+    this.find = function (query, objects) {
+        query = query || {};
+        const ids = this.query(query) || Object.keys(objects).sort();
+        const reg = query._id ? new RegExp(tools.pattern2RegEx(query._id)) : null;
+
+        const filters = [];
+        for (const name in query) {
+            if (!query.hasOwnProperty(name) || indexes[name] || name === '_id') continue;
+
+            const values = toArray(query[name]).map(String);
+            if (name === 'enum') {
+                // enum without index: collect members from enum objects
+                const enumMembers = new Set();
+                values.forEach(enumId => {
+                    const obj = objects[enumId];
+                    if (obj && obj.common && Array.isArray(obj.common.members)) {
+                        obj.common.members.forEach(member => enumMembers.add(member));
+                    }
+                });
+                filters.push((id, obj) => enumMembers.has(id));
+            } else {
+                filters.push((id, obj) => getValues(obj, name).some(value => values.indexOf(value) !== -1));
+            }
+        }
+
+        return ids.filter(id => objects[id] && (!reg || reg.test(id)) && filters.every(filter => filter(id, objects[id])));
+    };
+
+    /**
+     * Check if attribute is indexed
+     *
+     * @param {string} name name of index, e.g. "common.role"
+     * @return {boolean}
+     */
+    this.isIndexed = function (name) {
+        return !!indexes[name];
+    };
+}
+
+ObjectsIndex.DEFAULT_INDEXES = DEFAULT_INDEXES;
+
+module.exports = ObjectsIndex;
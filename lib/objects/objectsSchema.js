@@ -0,0 +1,288 @@
+/**
+ *      Validation of objects with JSON schemas
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module objectsSchema */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+// Every object type can have a schema (subset of JSON schema draft 4):
+//   type, enum, required, properties, additionalProperties, items, minimum, maximum, minLength, maxLength, pattern, anyOf
+// Objects of types without schema are not checked.
+//
+// Adapters can describe "native" of their objects in io-package.json, by type of object:
+// "common": {
+//     "nativeSchema": {
+//         "instance": {"type": "object", "required": ["port"], "properties": {"port": {"type": "integer", "minimum": 1}}},
+//         "state":    {"type": "object", "properties": {"address": {"type": "string"}}}
+//     }
+// }
+// The schema of "instance" is used for system.adapter.<name>.X, all others for objects in <name>.X.*.
+//
+// Validation mode is set in iobroker.json with objects.validation: 'off', 'warn' (only log) or 'reject' (do not write object).
+
+const name = {type: ['string', 'object']};
+
+const schemas = {
+    state: {
+        type: 'object',
+        required: ['common'],
+        properties: {
+            common: {
+                type: 'object',
+                required: ['name', 'type', 'role'],
+                properties: {
+                    name:  name,
+                    type:  {enum: ['number', 'string', 'boolean', 'array', 'object', 'mixed', 'file', 'json']},
+                    role:  {type: 'string'},
+                    read:  {type: 'boolean'},
+                    write: {type: 'boolean'},
+                    min:   {type: 'number'},
+                    max:   {type: 'number'},
+                    unit:  {type: 'string'},
+                    desc:  name,
+                    states: {type: ['object', 'string']}
+                }
+            },
+            native: {type: 'object'}
+        }
+    },
+    channel: {
+        type: 'object',
+        required: ['common'],
+        properties: {
+            common: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: name,
+                    role: {type: 'string'}
+                }
+            },
+            native: {type: 'object'}
+        }
+    },
+    instance: {
+        type: 'object',
+        required: ['common', 'native'],
+        properties: {
+            common: {
+                type: 'object',
+                required: ['name', 'enabled', 'mode'],
+                properties: {
+                    name:    {type: 'string'},
+                    enabled: {type: 'boolean'},
+                    host:    {type: 'string'},
+                    mode:    {enum: ['none', 'daemon', 'subscribe', 'schedule', 'once', 'extension']}
+                }
+            },
+            native: {type: 'object'}
+        }
+    },
+    adapter: {
+        type: 'object',
+        required: ['common'],
+        properties: {
+            common: {
+                type: 'object',
+                required: ['name', 'version'],
+                properties: {
+                    name:         {type: 'string'},
+                    version:      {type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+'},
+                    nativeSchema: {type: 'object'}
+                }
+            },
+            native: {type: 'object'}
+        }
+    },
+    enum: {
+        type: 'object',
+        required: ['common'],
+        properties: {
+            common: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name:    name,
+                    members: {type: 'array', items: {type: 'string'}}
+                }
+            }
+        }
+    }
+};
+
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isType(value, type) {
+    if (type === 'integer') return typeof value === 'number' && Math.floor(value) === value;
+    return getType(value) === type;
+}
+
+// collect errors like "common.type must be one of number, string" into errors
+function check(schema, value, path, errors) {
+    const at = path || 'object';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => isType(value, type))) {
+            errors.push(`${at} must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+        return;
+    }
+    if (schema.anyOf && !schema.anyOf.some(sub => {
+        const subErrors = [];
+        check(sub, value, path, subErrors);
+        return !subErrors.length;
+    })) {
+        errors.push(`${at} does not match any schema`);
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+    } else if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must have at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+    } else if (Array.isArray(value)) {
+        if (schema.items) value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, errors));
+    } else if (value && typeof value === 'object') {
+        (schema.required || []).forEach(attr => {
+            if (value[attr] === undefined || value[attr] === null) errors.push(`${path ? path + '.' : ''}${attr} is missing`);
+        });
+        Object.keys(value).forEach(attr => {
+            const attrPath = path ? path + '.' + attr : attr;
+            if (schema.properties && schema.properties[attr]) {
+                if (value[attr] !== undefined && value[attr] !== null) check(schema.properties[attr], value[attr], attrPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${attrPath} is not allowed`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, value[attr], attrPath, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Register or replace schema for object type
+ *
+ * @param {string} type type of object, e.g. "state" or "device"
+ * @param {object|null} schema JSON schema or null to disable validation of this type
+ */
+function register(type, schema) {
+    if (schema) {
+        schemas[type] = schema;
+    } else {
+        delete schemas[type];
+    }
+}
+
+/**
+ * Get schema for object type
+ *
+ * @param {string} type type of object
+ * @return {object|undefined} JSON schema
+ */
+function getSchema(type) {
+    return schemas[type];
+}
+
+/**
+ * Get ID of adapter object, that can describe native of the object
+ *
+ * @param {string} id ID of object, e.g. "hm-rpc.0.ABC.STATE" or "system.adapter.hm-rpc.0"
+ * @return {string|null} e.g. "system.adapter.hm-rpc"
+ */
+function getAdapterId(id) {
+    const parts = (id || '').split('.');
+    if (parts[0] === 'system') {
+        return parts[1] === 'adapter' && parts.length === 4 ? 'system.adapter.' + parts[2] : null;
+    }
+    return parts.length > 2 && /^\d+$/.test(parts[1]) ? 'system.adapter.' + parts[0] : null;
+}
+
+/**
+ * Validate object
+ *
+ * @param {object} obj object to check
+ * @param {object} adapterObj optional adapter object with common.nativeSchema, see getAdapterId
+ * @return {string[]} errors, empty if object is valid
+ */
+function validate(obj, adapterObj) {
+    const errors = [];
+    if (!obj || typeof obj !== 'object') {
+        errors.push('object must be object');
+        return errors;
+    }
+    if (obj.type && schemas[obj.type]) {
+        check(schemas[obj.type], obj, '', errors);
+    }
+    const nativeSchema = adapterObj && adapterObj.common && adapterObj.common.nativeSchema && adapterObj.common.nativeSchema[obj.type];
+    if (nativeSchema) {
+        check(nativeSchema, obj.native || {}, 'native', errors);
+    }
+    return errors;
+}
+
+/**
+ * Validate any value, e.g. arguments of RPC command
+ *
+ * @param {object} schema JSON schema
+ * @param {any} value value to check
+ * @param {string} name optional name of value for error texts, e.g. "args"
+ * @return {string[]} errors, empty if value is valid
+ */
+function validateValue(schema, value, name) {
+    const errors = [];
+    check(schema, value, name || '', errors);
+    return errors;
+}
+
+/**
+ * Validate object according to validation mode of DB
+ *
+ * @param {string} mode 'off', 'warn' or 'reject'
+ * @param {string} id ID of object
+ * @param {object} obj object to check
+ * @param {object} adapterObj optional adapter object with common.nativeSchema
+ * @param {object} log logger
+ * @return {string|null} error text if object must not be written
+ */
+function enforce(mode, id, obj, adapterObj, log) {
+    if (!mode || mode === 'off') return null;
+
+    const errors = validate(obj, adapterObj);
+    if (!errors.length) return null;
+
+    const text = `Invalid object ${id}: ${errors.join('; ')}`;
+    if (mode === 'reject') return text;
+
+    log.warn(text);
+    return null;
+}
+
+module.exports = {
+    register:      register,
+    getSchema:     getSchema,
+    getAdapterId:  getAdapterId,
+    validate:      validate,
+    validateValue: validateValue,
+    enforce:       enforce
+};
@@ -37,6 +37,8 @@
 const crypto  = require('crypto');
 let   version = null;
 
+const DEFAULT_PASSWORD = 'iobroker'; // password of admin after installation
+
 const password = pw => {
     return {
         hash: (salt, iterations, callback) => {
@@ -77,11 +79,30 @@ const password = pw => {
             });
 
         },
-        complexity: callback => {
-            // Todo: Check for password complexity
-            return true;
+        // policy is common.passwordPolicy of system.config: {minLength: 8, complexity: 3, forbidDefault: true}
+        // complexity is the number of required character classes: lower case, upper case, digits, special characters
+        complexity: (policy, callback) => {
+            if (typeof policy === 'function') {
+                callback = policy;
+                policy = null;
+            }
+            policy = policy || {};
+            const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(reg => reg.test(pw || '')).length;
+            let error = null;
+
+            if (policy.minLength && (pw || '').length < policy.minLength) {
+                error = 'Password must have at least ' + policy.minLength + ' characters';
+            } else if (policy.complexity && classes < policy.complexity) {
+                error = 'Password must contain at least ' + policy.complexity + ' of: lower case letters, upper case letters, digits, special characters';
+            } else if (policy.forbidDefault && (pw || '').toLowerCase() === DEFAULT_PASSWORD) {
+                error = 'Default password is not allowed';
+            }
+            if (typeof callback === 'function') callback(error);
+            return !error;
         }
     };
 };
 
-module.exports = password;
\ No newline at end of file
+password.DEFAULT_PASSWORD = DEFAULT_PASSWORD;
+
+module.exports = password;
\ No newline at end of file
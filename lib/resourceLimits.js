@@ -0,0 +1,206 @@
+/**
+ *      Resource limits and accounting of instances
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module resourceLimits */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const fs       = require('fs');
+const mkdirp   = require('mkdirp');
+const path     = require('path');
+const cp       = require('child_process');
+const pidusage = require('pidusage');
+
+// Limits are defined in common.resourceLimits of instance:
+// {"cpu": 50, "memoryMB": 200, "openFiles": 1024}
+// - cpu: percent of one core, 200 = two cores. Needs cgroup v2.
+// - memoryMB: resident memory incl. native memory. Needs cgroup v2.
+// - openFiles: maximal number of file descriptors. Set with prlimit from util-linux.
+// Every instance gets own cgroup under the cgroup root, e.g. /sys/fs/cgroup/iobroker/admin.0
+// The controller must be allowed to write there (root or systemd unit with Delegate=yes).
+// Without cgroup v2 the limits are only checked by the controller.
+
+const CPU_PERIOD = 100000; // µs
+
+/**
+ * Read limits from common.resourceLimits
+ *
+ * @param {object} limits common.resourceLimits
+ * @return {object|null} {cpu, memoryMB, openFiles} only with valid values or null if no limits
+ */
+function normalize(limits) {
+    if (!limits || typeof limits !== 'object') return null;
+    const result = {};
+    ['cpu', 'memoryMB', 'openFiles'].forEach(attr => {
+        const value = parseInt(limits[attr], 10);
+        if (value > 0) result[attr] = value;
+    });
+    return Object.keys(result).length ? result : null;
+}
+
+/**
+ * Check if cgroup v2 is mounted for the cgroup root
+ *
+ * @param {string} root cgroup root of instances, e.g. /sys/fs/cgroup/iobroker
+ * @return {boolean}
+ */
+function isCgroupAvailable(root) {
+    return !!root && fs.existsSync(path.join(path.dirname(root), 'cgroup.controllers'));
+}
+
+/**
+ * Get cgroup directory of instance
+ *
+ * @param {string} root cgroup root of instances
+ * @param {string} id instance ID, e.g. system.adapter.admin.0
+ * @return {string} e.g. /sys/fs/cgroup/iobroker/admin.0
+ */
+function getCgroupDir(root, id) {
+    return path.join(root, id.replace(/^system\.adapter\./, '').replace(/[^\w.-]/g, '_'));
+}
+
+/**
+ * Move process into own cgroup with CPU and memory limits
+ *
+ * @param {string} root cgroup root of instances
+ * @param {string} id instance ID
+ * @param {number} pid process ID of instance
+ * @param {object} limits result of normalize
+ * @throws error if cgroup cannot be written
+ */
+function applyCgroup(root, id, pid, limits) {
+    if (!fs.existsSync(root)) mkdirp.sync(root);
+
+    // enable controllers for cgroup root and for cgroups of instances. Parent may be not writable, if controllers are already enabled.
+    try {
+        fs.writeFileSync(path.join(path.dirname(root), 'cgroup.subtree_control'), '+cpu +memory');
+    } catch (e) {
+        // ignore
+    }
+    fs.writeFileSync(path.join(root, 'cgroup.subtree_control'), '+cpu +memory');
+
+    const dir = getCgroupDir(root, id);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'cpu.max'),    limits.cpu      ? Math.round(limits.cpu * CPU_PERIOD / 100) + ' ' + CPU_PERIOD : 'max ' + CPU_PERIOD);
+    fs.writeFileSync(path.join(dir, 'memory.max'), limits.memoryMB ? String(limits.memoryMB * 1048576) : 'max');
+    fs.writeFileSync(path.join(dir, 'cgroup.procs'), String(pid));
+}
+
+/**
+ * Set limit of open files of process
+ *
+ * @param {number} pid process ID of instance
+ * @param {number} openFiles maximal number of file descriptors
+ * @param {function} callback (err)
+ */
+function applyPrlimit(pid, openFiles, callback) {
+    cp.execFile('prlimit', ['--pid', String(pid), '--nofile=' + openFiles + ':' + openFiles], (err, stdout, stderr) =>
+        callback(err ? (stderr || err.message || err).toString().trim() : null));
+}
+
+/**
+ * Apply all limits to started instance. Only on linux.
+ *
+ * @param {string} root cgroup root of instances
+ * @param {string} id instance ID
+ * @param {number} pid process ID of instance
+ * @param {object} limits result of normalize
+ * @param {function} callback (errors, {cgroup: boolean, prlimit: boolean}), errors is array of strings or null
+ */
+function apply(root, id, pid, limits, callback) {
+    const result = {cgroup: false, prlimit: false};
+    const errors = [];
+
+    if ((limits.cpu || limits.memoryMB) && isCgroupAvailable(root)) {
+        try {
+            applyCgroup(root, id, pid, limits);
+            result.cgroup = true;
+        } catch (e) {
+            errors.push('cannot write cgroup ' + getCgroupDir(root, id) + ': ' + e.message);
+        }
+    } else if (limits.cpu || limits.memoryMB) {
+        errors.push('cgroup v2 is not available for ' + root + '. CPU and memory are only checked.');
+    }
+
+    if (!limits.openFiles) return callback(errors.length ? errors : null, result);
+
+    applyPrlimit(pid, limits.openFiles, err => {
+        if (err) {
+            errors.push('cannot limit open files: ' + err);
+        } else {
+            result.prlimit = true;
+        }
+        callback(errors.length ? errors : null, result);
+    });
+}
+
+/**
+ * Delete cgroup of instance after process terminated
+ *
+ * @param {string} root cgroup root of instances
+ * @param {string} id instance ID
+ */
+function release(root, id) {
+    try {
+        fs.rmdirSync(getCgroupDir(root, id));
+    } catch (e) {
+        // ignore
+    }
+}
+
+/**
+ * Measure usage of process
+ *
+ * @param {number} pid process ID of instance
+ * @param {function} callback (err, {cpu, memRss, fds}), cpu in percent of one core, memRss in MB, fds is null if unknown
+ */
+function readUsage(pid, callback) {
+    pidusage(pid, (err, stats) => {
+        if (err || !stats) return callback(err || 'no statistics for ' + pid);
+        fs.readdir('/proc/' + pid + '/fd', (err, files) => {
+            callback(null, {
+                cpu:    Math.round(parseFloat(stats.cpu) * 100) / 100,
+                memRss: Math.round(stats.memory / 10485.76/* 1MB / 100 */) / 100,
+                fds:    err ? null : files.length
+            });
+        });
+    });
+}
+
+/**
+ * Compare usage with limits
+ *
+ * @param {object} usage result of readUsage
+ * @param {object} limits result of normalize
+ * @return {string[]} descriptions of exceeded limits, e.g. ['memory 250 MB > 200 MB']
+ */
+function getExceeded(usage, limits) {
+    const result = [];
+    if (!usage || !limits) return result;
+    if (limits.cpu && usage.cpu > limits.cpu) result.push(`cpu ${usage.cpu}% > ${limits.cpu}%`);
+    if (limits.memoryMB && usage.memRss > limits.memoryMB) result.push(`memory ${usage.memRss} MB > ${limits.memoryMB} MB`);
+    // process cannot open more files, so reaching of limit is reported
+    if (limits.openFiles && usage.fds !== null && usage.fds >= limits.openFiles) result.push(`open files ${usage.fds} >= ${limits.openFiles}`);
+    return result;
+}
+
+module.exports = {
+    normalize:         normalize,
+    isCgroupAvailable: isCgroupAvailable,
+    getCgroupDir:      getCgroupDir,
+    applyCgroup:       applyCgroup,
+    applyPrlimit:      applyPrlimit,
+    apply:             apply,
+    release:           release,
+    readUsage:         readUsage,
+    getExceeded:       getExceeded
+};
@@ -0,0 +1,157 @@
+/**
+ *      Streaming responses for sendTo and sendToHost
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module responseStream */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const util         = require('util');
+const EventEmitter = require('events').EventEmitter;
+
+// All messages go through the messagebox like normal responses:
+//   request:  obj.callback.stream = true       - requester accepts partial results (sendTo with options.onData)
+//   partial:  callback {id, ack: true, partial: seq}      - chunk number seq (1, 2, ...) in message
+//   ack:      callback {id, ack: true, streamAck: seq}    - sent back by requester after chunk was processed
+//   cancel:   callback {id, ack: true, streamCancel: true} - requester is not interested anymore (timeout or cancelled)
+//   final:    normal response with original callback     - final result or {error: 'text'}
+//
+// The responder has at most WINDOW unacknowledged chunks, after that write() returns false and 'drain' is emitted after acks.
+
+const WINDOW      = 16;
+const ACK_TIMEOUT = 60000; // stream is cancelled if requester does not acknowledge chunks in this time
+
+// open streams by "from#id" of request, to route acknowledges
+const streams = {};
+
+/**
+ * Stream of partial results for one request
+ *
+ * Events: 'drain' - more chunks can be written, 'cancel' - requester cancelled the request, no more chunks will be sent.
+ *
+ * @param {function} send sendTo function of adapter or host: (target, command, message, callbackObj)
+ * @param {object} request received message with from, command and callback
+ * @param {object} options optional {window: number of unacknowledged chunks}
+ * @constructor
+ */
+function ResponseStream(send, request, options) {
+    if (!(this instanceof ResponseStream)) return new ResponseStream(send, request, options);
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    const key    = request.from + '#' + (request.callback && request.callback.id);
+    const window = options.window || WINDOW;
+    let seq      = 0;
+    let acked    = 0;
+    let timer    = null;
+
+    // false if requester waits only for final result, chunks are not sent then
+    this.streaming = ResponseStream.isRequested(request);
+    this.finished  = !request.from || !request.callback;
+    this.cancelled = false;
+
+    if (this.streaming) streams[key] = this;
+
+    const close = () => {
+        this.finished = true;
+        if (timer) clearTimeout(timer);
+        timer = null;
+        delete streams[key];
+    };
+
+    /**
+     * Send partial result
+     *
+     * @param {any} chunk partial result
+     * @return {boolean} false if requester must acknowledge chunks first, wait for 'drain'
+     */
+    this.write = chunk => {
+        if (this.finished) return false;
+        if (!this.streaming) return true;
+        seq++;
+        send(request.from, request.command, chunk, {id: request.callback.id, partial: seq});
+        if (seq - acked < window) return true;
+
+        if (!timer) timer = setTimeout(() => this.cancel(), ACK_TIMEOUT);
+        return false;
+    };
+
+    /**
+     * Send final result and close stream
+     *
+     * @param {any} result final result
+     */
+    this.end = result => {
+        if (this.finished) return;
+        close();
+        send(request.from, request.command, result === undefined ? null : result, request.callback);
+    };
+
+    /**
+     * Send error as final result and close stream
+     *
+     * @param {any} err Error or text
+     */
+    this.error = err => this.end({error: err instanceof Error ? err.message : err});
+
+    // called by handleAck
+    this.ack = _seq => {
+        if (this.finished || _seq <= acked) return;
+        const full = seq - acked >= window;
+        acked = _seq;
+        if (timer) clearTimeout(timer);
+        timer = null;
+        if (full && seq - acked < window) this.emit('drain');
+    };
+
+    this.cancel = () => {
+        if (this.finished) return;
+        close();
+        this.cancelled = true;
+        this.emit('cancel');
+    };
+}
+util.inherits(ResponseStream, EventEmitter);
+
+/**
+ * Check if requester accepts partial results
+ *
+ * @param {object} request received message
+ * @return {boolean}
+ */
+ResponseStream.isRequested = function (request) {
+    return !!(request && request.from && request.callback && request.callback.stream);
+};
+
+/**
+ * Process acknowledge or cancel of requester. Must be called for every received message before it is handled as response.
+ *
+ * @param {object} obj received message
+ * @return {boolean} true if message was acknowledge or cancel and is processed
+ */
+ResponseStream.handleAck = function (obj) {
+    if (!obj || !obj.callback || (obj.callback.streamAck === undefined && !obj.callback.streamCancel)) return false;
+
+    const stream = streams[obj.from + '#' + obj.callback.id];
+    if (stream) {
+        if (obj.callback.streamCancel) {
+            stream.cancel();
+        } else {
+            stream.ack(obj.callback.streamAck);
+        }
+    }
+    return true;
+};
+
+ResponseStream.WINDOW = WINDOW;
+
+module.exports = ResponseStream;
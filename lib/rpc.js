@@ -0,0 +1,81 @@
+/**
+ *      Declarative RPC commands on top of the messagebox
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module rpc */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const ObjectsSchema = require(__dirname + '/objects/objectsSchema');
+
+// Adapters declare their RPC commands in io-package.json:
+// "common": {
+//     "rpc": {
+//         "send": {
+//             "desc": "Send e-mail",
+//             "args": {"type": "object", "required": ["to"], "properties": {"to": {"type": "string"}, "text": {"type": "string"}}}
+//         }
+//     }
+// }
+// "args" is JSON schema for message of sendTo and is optional.
+//
+// Every response has the form {result: any} or {error: 'text'}.
+
+const ERROR_UNKNOWN_COMMAND   = 'Unknown command';
+const ERROR_INVALID_ARGUMENTS = 'Invalid arguments';
+
+/**
+ * Check arguments of command against its declaration
+ *
+ * @param {object} declaration declaration of command from io-package.json, e.g. {desc: '...', args: {...}}
+ * @param {any} args message of request
+ * @return {string|null} error text or null if arguments are valid
+ */
+function validateArgs(declaration, args) {
+    if (!declaration || !declaration.args) return null;
+
+    const errors = ObjectsSchema.validateValue(declaration.args, args, 'args');
+    return errors.length ? ERROR_INVALID_ARGUMENTS + ': ' + errors.join('; ') : null;
+}
+
+/**
+ * Convert error of handler into text, that can be sent back
+ *
+ * @param {any} err Error, string or any other value
+ * @return {string} error text
+ */
+function serializeError(err) {
+    if (err instanceof Error) return err.message;
+    if (typeof err === 'string') return err;
+    try {
+        return JSON.stringify(err);
+    } catch (e) {
+        return String(err);
+    }
+}
+
+/**
+ * Get declared RPC commands of instance or adapter object
+ *
+ * @param {object} obj object system.adapter.name.X or system.adapter.name
+ * @return {object} command => {desc, args}
+ */
+function getEndpoints(obj) {
+    return (obj && obj.common && obj.common.rpc && typeof obj.common.rpc === 'object') ? obj.common.rpc : {};
+}
+
+module.exports = {
+    ERROR_UNKNOWN_COMMAND:   ERROR_UNKNOWN_COMMAND,
+    ERROR_INVALID_ARGUMENTS: ERROR_INVALID_ARGUMENTS,
+    validateArgs:            validateArgs,
+    serializeError:          serializeError,
+    getEndpoints:            getEndpoints
+};
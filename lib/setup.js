@@ -14,8 +14,10 @@
 
 // TODO need info about progress of stopping
 
-const fs    = require('fs');
-const tools = require('./tools');
+const fs       = require('fs');
+const tools    = require('./tools');
+const backends = require('./backends');
+const Audit    = require('./audit');
 
 // @ts-ignore
 require('events').EventEmitter.prototype._maxListeners = 100;
@@ -27,6 +29,8 @@ function initYargs() {
     yargs = require('yargs')
             .usage('Commands:\n' +
                 tools.appName + ' setup [--objects <host>] [--states <host>] [custom]\n' +
+                tools.appName + ' setup custom --migrate\n' +
+                tools.appName + ' setup rotate-secret\n' +
                 tools.appName + ' start\n' +
                 tools.appName + ' stop\n' +
                 tools.appName + ' start <adapter>\n' +
@@ -52,6 +56,11 @@ function initYargs() {
                 tools.appName + ' object chmod <object-mode> [state-mode] <id>\n' +
                 tools.appName + ' object chown <user> <group> <id>\n' +
                 tools.appName + ' object list <id>\n' +
+                tools.appName + ' object history <id>\n' +
+                tools.appName + ' object revert <id> <rev>\n' +
+                tools.appName + ' object validate [pattern]\n' +
+                tools.appName + ' acl show <id> [--recursive]\n' +
+                tools.appName + ' acl set <id> [--owner <user>] [--ownerGroup <group>] [--object <mode>] [--state <mode>] [--recursive]\n' +
                 tools.appName + ' state get <id> [\n' +
                 tools.appName + ' state getplain <id> [--pretty]\n' +
                 tools.appName + ' state getvalue <id>\n' +
@@ -59,6 +68,7 @@ function initYargs() {
                 tools.appName + ' state del <id>\n' +
                 tools.appName + ' message <adapter>[.instanceid] <command> [<message>]\n' +
                 tools.appName + ' list <type> [filter]\n' +
+                tools.appName + ' list objects [filter] [--type state] [--role value.temperature] [--custom history.0] [--enum enum.rooms.kitchen]\n' +
                 tools.appName + ' chmod <mode> <file>\n' +
                 tools.appName + ' chown <user> <group> <file>\n' +
                 tools.appName + ' touch <file>\n' +
@@ -71,7 +81,13 @@ function initYargs() {
                 tools.appName + ' user enable <user>\n' +
                 tools.appName + ' user disable <user>\n' +
                 tools.appName + ' user get <user>\n' +
-                tools.appName + ' user check <user> [--password pass]\n' +
+                tools.appName + ' user check <user> [--password pass] [--otp code]\n' +
+                tools.appName + ' user check\n' +
+                tools.appName + ' user 2fa enable <user>\n' +
+                tools.appName + ' user 2fa disable <user>\n' +
+                tools.appName + ' user token add <user> [name] [--expires days]\n' +
+                tools.appName + ' user token list <user>\n' +
+                tools.appName + ' user token revoke <user> <id>\n' +
                 tools.appName + ' group add <group>\n' +
                 tools.appName + ' group del <group>\n' +
                 tools.appName + ' group list <group>\n' +
@@ -80,6 +96,7 @@ function initYargs() {
                 tools.appName + ' group get <group>\n' +
                 tools.appName + ' group adduser <group> <user>\n' +
                 tools.appName + ' group deluser <group> <user>\n' +
+                tools.appName + ' audit list [--since 2018-07-01|24h] [--until time] [--user user] [--action user|object.acl|...] [--id pattern] [--limit n]\n' +
                 tools.appName + ' host this \n' +
                 tools.appName + ' set <adapter>.<instance> [--port port] [--ip address] [--ssl true|false]\n' +
                 tools.appName + ' license <license.file or license.text>\n' +
@@ -321,7 +338,8 @@ function processCommand(command, args, params, callback) {
                         console.log(`Objects type: ${config.objects.type}`);
                         console.log(`States  type: ${config.states.type}`);
                     }
-                    callback(exitCode);
+                    if (isOffline) return callback(exitCode);
+                    showCrashLoops(() => callback(exitCode));
                 });
             })();
             break;
@@ -436,7 +454,37 @@ function processCommand(command, args, params, callback) {
 
         case 'setup':
             (function () {
-                if (args[0] === 'custom') {
+                if (args[0] === 'rotate-secret') {
+                    dbConnect(params, () => {
+                        const Backup = require(__dirname + '/setup/setupBackup.js');
+                        const Secret = require(__dirname + '/setup/setupSecret.js');
+                        const secret = new Secret({
+                            objects: objects,
+                            backup:  new Backup({
+                                states:            states,
+                                objects:           objects,
+                                cleanDatabase:     cleanDatabase,
+                                restartController: restartController,
+                                processExit:       callback
+                            })
+                        });
+
+                        secret.rotate((err, result) => {
+                            if (err) {
+                                console.error('Cannot rotate secret: ' + err);
+                                console.error('Call "' + tools.appName + ' setup rotate-secret" again to continue.');
+                                return callback(28);
+                            }
+                            console.log('Backup created: ' + result.backup);
+                            console.log('Secret rotated: ' + result.attributes + ' value(s) of ' + result.instances + ' instance(s)' + (result.users ? ', two-factor authentication of ' + result.users + ' user(s)' : '') + (result.multihost ? ' and password of multihost service' : '') + ' encrypted with new secret.');
+                            if (result.errors.length) {
+                                console.warn('Following values could not be decrypted and must be entered again: ' + result.errors.join(', '));
+                            }
+                            console.log('Please restart ' + tools.appName + ', so that all processes use the new secret.');
+                            recordAudit('host.rotateSecret', 'system.config', {instances: result.instances, attributes: result.attributes, users: result.users, multihost: result.multihost}, () => callback());
+                        });
+                    });
+                } else if (args[0] === 'custom') {
                     const readline = require('readline');
 
                     let config;
@@ -450,13 +498,30 @@ function processCommand(command, args, params, callback) {
                     } catch (e) {
                         config = require(__dirname + '/../conf/' + tools.appName + '-dist.json');
                     }
+                    const oldConfig = JSON.parse(JSON.stringify(config));
+
+                    // with --migrate all objects, states and files will be copied into new DBs before config is changed
+                    const saveConfig = () => {
+                        if (!params.migrate) {
+                            fs.writeFileSync(tools.getConfigFileName(), JSON.stringify(config, null, 2));
+                            return;
+                        }
+                        dbConnect(params, (objects, states) => {
+                            const Migrate = require(__dirname + '/setup/setupMigrate.js');
+                            const migrate = new Migrate({
+                                objects: objects,
+                                states:  states
+                            });
+                            migrate.migrate(oldConfig, config, err => callback(err ? 27 : undefined));
+                        });
+                    };
 
                     const rl = readline.createInterface({
                         input:  process.stdin,
                         output: process.stdout
                     });
 
-                    rl.question('Type of objects DB [(f)ile, (c)ouch, (r)edis], default [file]: ', otype => {
+                    rl.question('Type of objects DB [(f)ile, (s)qlite, (r)edis], default [file]: ', otype => {
                         if (!otype) {
                             otype = 'file';
                         } else {
@@ -464,9 +529,9 @@ function processCommand(command, args, params, callback) {
 
                             if (otype === 'r') otype = 'redis';
                             if (otype === 'f') otype = 'file';
-                            if (otype === 'c') otype = 'couch';
+                            if (otype === 's') otype = 'sqlite';
 
-                            if (otype !== 'file' && otype !== 'couch' && otype !== 'redis') {
+                            if (otype !== 'file' && otype !== 'sqlite' && otype !== 'redis') {
                                 console.log('Unknown objects type: ' + otype);
                                 callback(23);
                             }
@@ -479,26 +544,21 @@ function processCommand(command, args, params, callback) {
                             }
                             let op;
 
-                            if (otype === 'file') {
+                            if (otype === 'file' || otype === 'sqlite') {
                                 op = 9001;
                             } else if (otype === 'redis') {
                                 op = 6379;
-                            } else if (otype === 'couch') {
-                                op = 5984;
                             }
 
                             rl.question('Port of objects DB(' + otype + '), default[' + op + ']: ', oport => {
                                 let ot;
                                 if (!oport) {
-                                    if (otype === 'file') {
+                                    if (otype === 'file' || otype === 'sqlite') {
                                         oport = 9001;
-                                        ot = 'file';
+                                        ot = otype;
                                     } else if (otype === 'redis') {
                                         ot = 'redis';
                                         oport = 6379;
-                                    } else if (otype === 'couch') {
-                                        ot = 'couch';
-                                        oport = 5984;
                                     }
                                 } else {
                                     oport = parseInt(oport, 10);
@@ -507,7 +567,7 @@ function processCommand(command, args, params, callback) {
                                         callback(23);
                                     }
                                 }
-                                rl.question('Type of states DB [(f)file, (r)edis], default [' + ot + ']: ', stype => {
+                                rl.question('Type of states DB [(f)file, (s)qlite, (r)edis], default [' + ot + ']: ', stype => {
                                     if (!stype) {
                                         stype = ot;
                                     } else {
@@ -515,8 +575,9 @@ function processCommand(command, args, params, callback) {
 
                                         if (stype === 'r') stype = 'redis';
                                         if (stype === 'f') stype = 'file';
+                                        if (stype === 's') stype = 'sqlite';
 
-                                        if (stype !== 'file' && stype !== 'redis') {
+                                        if (stype !== 'file' && stype !== 'sqlite' && stype !== 'redis') {
                                             console.log('Unknown states type: ' + stype);
                                             callback(23);
                                         }
@@ -530,7 +591,7 @@ function processCommand(command, args, params, callback) {
                                         }
                                         let sp;
 
-                                        if (stype === 'file') {
+                                        if (stype === 'file' || stype === 'sqlite') {
                                             sp = 9000;
                                         } else if (stype === 'redis') {
                                             sp = 6379;
@@ -538,7 +599,7 @@ function processCommand(command, args, params, callback) {
 
                                         rl.question('Port of states DB (' + stype + '), default[' + sp + ']: ', sport => {
                                             if (!sport) {
-                                                if (stype === 'file') {
+                                                if (stype === 'file' || stype === 'sqlite') {
                                                     sport = 9000;
                                                 } else if (stype === 'redis') {
                                                     sport = 6379;
@@ -550,8 +611,8 @@ function processCommand(command, args, params, callback) {
                                                     callback(23);
                                                 }
                                             }
-                                            if ((stype === 'file' && (shost === 'localhost' || shost === '127.0.0.1')) ||
-                                                (otype === 'file' && (ohost === 'localhost' || ohost === '127.0.0.1'))) {
+                                            if (((stype === 'file' || stype === 'sqlite') && (shost === 'localhost' || shost === '127.0.0.1')) ||
+                                                ((otype === 'file' || otype === 'sqlite') && (ohost === 'localhost' || ohost === '127.0.0.1'))) {
                                                 rl.question('Data directory (file), default[../' + tools.getDefaultDataDir() + ']: ', dir => {
                                                     if (!dir) dir = tools.getDefaultDataDir();
 
@@ -572,12 +633,12 @@ function processCommand(command, args, params, callback) {
                                                         config.objects.host    = ohost;
                                                         config.objects.type    = otype;
                                                         config.objects.port    = oport;
-                                                        if (config.objects.type === 'file') config.objects.dataDir = dir;
+                                                        if (config.objects.type === 'file' || config.objects.type === 'sqlite') config.objects.dataDir = dir;
                                                         config.states.host     = shost;
                                                         config.states.type     = stype;
                                                         config.states.port     = sport;
-                                                        if (config.states.type === 'file') config.states.dataDir = dir;
-                                                        fs.writeFileSync(tools.getConfigFileName(), JSON.stringify(config, null, 2));
+                                                        if (config.states.type === 'file' || config.states.type === 'sqlite') config.states.dataDir = dir;
+                                                        saveConfig();
                                                     });
                                                 });
                                             } else {
@@ -603,7 +664,7 @@ function processCommand(command, args, params, callback) {
                                                     config.states.port      = sport;
                                                     config.states.dataDir   = undefined;
                                                     config.objects.dataDir  = undefined;
-                                                    fs.writeFileSync(tools.getConfigFileName(), JSON.stringify(config, null, 2));
+                                                    saveConfig();
                                                 });
                                             }
                                         });
@@ -726,7 +787,7 @@ function processCommand(command, args, params, callback) {
 
                         if (name) {
                             upload.uploadAdapter(name, true, true, () => {
-                                upload.uploadAdapter(name, false, true, () => callback());
+                                upload.uploadAdapter(name, false, true, () => recordAudit('adapter.install', 'system.adapter.' + name, {url: url}, () => callback()));
                             });
                         } else {
                             // Try to find io-package.json with newest date
@@ -746,7 +807,7 @@ function processCommand(command, args, params, callback) {
                             if (dir && (new Date()).getTime() - date.getTime() < 3600000) {
                                 name = dir.substring(tools.appName.length + 1);
                                 upload.uploadAdapter(name, true, true, () => {
-                                    upload.uploadAdapter(name, false, true, () => callback());
+                                    upload.uploadAdapter(name, false, true, () => recordAudit('adapter.install', 'system.adapter.' + name, {url: url}, () => callback()));
                                 });
                             } else {
                                 callback();
@@ -837,7 +898,7 @@ function processCommand(command, args, params, callback) {
                     });
 
                     if (!fs.existsSync(adapterDir)) {
-                        install.downloadPacket(repoUrl, name, null, () => {
+                        install.downloadPacket(repoUrl, name, null, () => recordAudit('adapter.install', 'system.adapter.' + name, repoUrl ? {repo: repoUrl} : undefined, () => {
                             if (command !== 'install' && command !== 'i') {
                                 install.createInstance(name, params, () => callback());
                             } else {
@@ -855,7 +916,7 @@ function processCommand(command, args, params, callback) {
                                     });
                                 });
                             }
-                        });
+                        }));
                     } else {
                         if (command !== 'install' && command !== 'i') {
                             install.createInstance(name, params, () => callback());
@@ -961,7 +1022,9 @@ function processCommand(command, args, params, callback) {
                         });
 
                         console.log('Delete adapter "' + adpr + '.' + instance + '"');
-                        install.deleteInstance(adpr, instance, () => callback());
+                        install.deleteInstance(adpr, instance, () => {
+                            recordAudit('adapter.delete', 'system.adapter.' + adpr + '.' + instance, undefined, () => callback());
+                        });
                     });
                 } else {
                     dbConnect(params, () => {
@@ -975,7 +1038,9 @@ function processCommand(command, args, params, callback) {
                             params:        params
                         });
                         console.log('Delete adapter "' + adpr + '"');
-                        install.deleteAdapter(adpr, (a, resultCode) => callback(resultCode));
+                        install.deleteAdapter(adpr, (a, resultCode) => {
+                            recordAudit('adapter.delete', 'system.adapter.' + adpr, resultCode ? {resultCode: resultCode} : undefined, () => callback(resultCode));
+                        });
                     });
                 }
             })();
@@ -1164,6 +1229,39 @@ function processCommand(command, args, params, callback) {
                         });
                     });
                 } else
+                if (cmd === 'validate') {
+                    const ObjectsSchema = require(__dirname + '/objects/objectsSchema');
+                    pattern = args[1];
+
+                    dbConnect(params, () => {
+                        // adapter objects describe native of their instances and objects
+                        objects.queryObjects({type: 'adapter'}, {user: 'system.user.admin'}, (err, adapters) => {
+                            const adapterObjs = {};
+                            if (adapters) adapters.rows.forEach(row => adapterObjs[row.id] = row.value);
+
+                            objects.queryObjects(pattern ? {_id: pattern} : {}, {user: 'system.user.admin'}, (err, res) => {
+                                if (err) {
+                                    console.error(err);
+                                    return callback(33);
+                                }
+                                let invalid = 0;
+                                res.rows.forEach(row => {
+                                    const errors = ObjectsSchema.validate(row.value, adapterObjs[ObjectsSchema.getAdapterId(row.id)]);
+                                    if (errors.length) {
+                                        invalid++;
+                                        errors.forEach(error => console.log(row.id + ': ' + error));
+                                    }
+                                });
+                                console.log(invalid + ' of ' + res.rows.length + ' objects are invalid');
+                                if (invalid) {
+                                    callback(1);
+                                } else {
+                                    callback();
+                                }
+                            });
+                        });
+                    });
+                } else
                 if (id) {
                     Objects = require(__dirname + '/objects');
 
@@ -1184,6 +1282,54 @@ function processCommand(command, args, params, callback) {
                             });
                         });
                     } else
+                    if (cmd === 'history') {
+                        dbConnect(params, () => {
+                            objects.getObjectHistory(id, {user: 'system.user.admin'}, (err, versions) => {
+                                if (err) {
+                                    console.error(err);
+                                    callback(3);
+                                } else {
+                                    const List = require(__dirname + '/setup/setupList.js');
+                                    const list = new List({
+                                        states:      states,
+                                        objects:     objects,
+                                        processExit: callback
+                                    });
+                                    list.showObjectHistory(versions);
+                                    callback();
+                                }
+                            });
+                        });
+                    } else
+                    if (cmd === 'revert') {
+                        const rev = parseInt(args[2], 10);
+                        if (isNaN(rev)) {
+                            console.log('No revision found. Example: "object revert system.adapter.admin.0 5"');
+                            callback(1);
+                            return;
+                        }
+                        dbConnect(params, () => {
+                            objects.getObjectHistory(id, {user: 'system.user.admin'}, (err, versions) => {
+                                const version = versions && versions.find(version => version.rev === rev && version.obj);
+                                if (err || !version) {
+                                    console.error(err || 'Revision ' + rev + ' of ' + id + ' not found');
+                                    callback(3);
+                                    return;
+                                }
+                                // stored object becomes the new revision
+                                delete version.obj._rev;
+                                objects.setObject(id, version.obj, {user: 'system.user.admin'}, err => {
+                                    if (err) {
+                                        console.error('Cannot revert ' + id + ': ' + err);
+                                        callback(3);
+                                    } else {
+                                        console.log(id + ' reverted to revision ' + rev);
+                                        callback();
+                                    }
+                                });
+                            });
+                        });
+                    } else
                     if (cmd === 'del' || cmd === 'delete') {
                         dbConnect(params, () => {
                             objects.delObject(id, err => {
@@ -1204,6 +1350,99 @@ function processCommand(command, args, params, callback) {
             })();
             break;
 
+        case 'acl':
+            (function () {
+                const cmd = args[0];
+                const id  = args[1];
+
+                if (!id || (cmd !== 'show' && cmd !== 'set')) {
+                    console.log('Invalid parameters. Example: "acl set hm-rpc.0.ABC --owner tenant --object 660 --recursive"');
+                    return callback(1);
+                }
+
+                const acl = {};
+                if (cmd === 'set') {
+                    if (params.owner) {
+                        acl.owner = params.owner.toString().match(/^system\.user\./) ? params.owner.toString() : 'system.user.' + params.owner;
+                    }
+                    if (params.ownerGroup) {
+                        acl.ownerGroup = params.ownerGroup.toString().match(/^system\.group\./) ? params.ownerGroup.toString() : 'system.group.' + params.ownerGroup;
+                    }
+                    //yargs has converted modes to numbers
+                    if (params.object !== undefined) acl.object = parseInt(params.object.toString(), 16);
+                    if (params.state  !== undefined) acl.state  = parseInt(params.state.toString(), 16);
+
+                    if (!Object.keys(acl).length || Number.isNaN(acl.object) || Number.isNaN(acl.state)) {
+                        console.log('Nothing to change. Example: "acl set hm-rpc.0.ABC --owner tenant --object 660 --recursive"');
+                        return callback(1);
+                    }
+                }
+
+                dbConnect(params, () => {
+                    const Acl  = require(__dirname + '/setup/setupAcl.js');
+                    const List = require(__dirname + '/setup/setupList.js');
+                    const _acl = new Acl({objects: objects});
+                    const list = new List({
+                        states:      states,
+                        objects:     objects,
+                        processExit: callback
+                    });
+                    const show = (err, objs) => {
+                        if (err) {
+                            console.error(err);
+                            return callback(1);
+                        }
+                        list.showObjectHeader();
+                        objs.forEach(obj => list.showObject(obj));
+                        callback();
+                    };
+
+                    if (cmd === 'show') {
+                        _acl.show(id, !!params.recursive, show);
+                    } else {
+                        _acl.set(id, acl, !!params.recursive, show);
+                    }
+                });
+            })();
+            break;
+
+        case 'audit':
+            (function () {
+                const cmd = args[0];
+                if (cmd !== 'list') {
+                    console.log('Unknown command "' + (cmd || '') + '". Example: "audit list --since 24h --user admin"');
+                    return callback(1);
+                }
+                const filter = {
+                    since:  Audit.parseTime(params.since),
+                    until:  Audit.parseTime(params.until),
+                    user:   params.user   !== undefined ? params.user.toString()   : null,
+                    action: params.action !== undefined ? params.action.toString() : null,
+                    id:     params.id     !== undefined ? params.id.toString()     : null,
+                    limit:  parseInt(params.limit, 10) || 0
+                };
+                if ((params.since !== undefined && !filter.since) || (params.until !== undefined && !filter.until)) {
+                    console.log('Invalid time. Examples: "--since 2018-07-01", "--since 2018-07-01T10:00:00", "--since 24h"');
+                    return callback(1);
+                }
+
+                // with redis the log of this host is read, that has entries of all hosts
+                dbConnect(params, () => {
+                    objects.readAudit(filter, (err, entries) => {
+                        if (err) {
+                            console.log(err === 'Audit log is disabled' ? 'Audit log is disabled. Enable it with "objects.audit.enabled" in ' + tools.appName.toLowerCase() + '.json' : 'Cannot read audit log: ' + err);
+                            return callback(1);
+                        }
+                        entries.forEach(entry => {
+                            console.log(new Date(entry.ts).toISOString() + ' | ' + entry.action + ' | ' + entry.id + ' | ' +
+                                (entry.user || '-') + ' | ' + (entry.from || '-') + (entry.details ? ' | ' + JSON.stringify(entry.details) : ''));
+                        });
+                        callback();
+                    });
+                });
+            })();
+            break;
+
         case 's':
         case 'state':
             (function () {
@@ -1874,10 +2113,13 @@ function processCommand(command, args, params, callback) {
                     const Users = require(__dirname + '/setup/setupUsers.js');
                     const users = new Users({
                         objects:     objects,
+                        states:      states,
                         processExit: callback
                     });
                     const password = params.password;
                     const group    = params.ingroup || 'system.group.administrator';
+                    // yargs makes number from code, so restore leading zeros
+                    const otp      = params.otp !== undefined ? ('000000' + params.otp).slice(-6) : undefined;
 
                     if (command === 'add') {
                         users.addUserPrompt(user, group, password, err => {
@@ -1901,8 +2143,34 @@ function processCommand(command, args, params, callback) {
                             }
                         });
                     }
+                    else if (command === 'check' && !user) {
+                        // report password policy status of all users
+                        users.checkPolicy((err, report) => {
+                            if (err) {
+                                console.error(err);
+                                return callback(30);
+                            }
+                            const policy = report.policy;
+                            console.log('Password policy: minimal length ' + (policy.minLength || 'any') + ', character classes ' + (policy.complexity || 'any') +
+                                ', default password ' + (policy.forbidDefault ? 'forbidden' : 'allowed') +
+                                ', lockout ' + (policy.maxFailedAttempts ? 'after ' + policy.maxFailedAttempts + ' failed logins for ' + (policy.lockoutTime || 300) + ' seconds' : 'disabled'));
+                            console.log('    User                     | Enabled | Default password | 2FA | Failed logins | Locked till');
+                            console.log('-----------------------------+---------+------------------+-----+---------------+-------------------------');
+                            // String.prototype.padEnd exists only since node 8
+                            const padEnd = (text, length) => text + ' '.repeat(Math.max(0, length - text.length));
+                            let warnings = 0;
+                            report.users.forEach(status => {
+                                if (status.enabled && (status.defaultPassword || status.lockedUntil)) warnings++;
+                                console.log('    ' + padEnd(status.id.replace('system.user.', ''), 24) + ' | ' + padEnd(status.enabled ? 'yes' : 'no', 7) +
+                                    ' | ' + padEnd(status.defaultPassword ? 'YES' : 'no', 16) + ' | ' + padEnd(status.twoFactor ? 'yes' : 'no', 3) +
+                                    ' | ' + padEnd(status.failedLogins.toString(), 13) + ' | ' + (status.lockedUntil ? new Date(status.lockedUntil).toISOString() : '-'));
+                            });
+                            if (warnings) console.warn(warnings + ' enabled user(s) with default password or locked');
+                            callback();
+                        });
+                    }
                     else if (command === 'check') {
-                        users.checkUserPassword(user, password, err => {
+                        users.checkUserPassword(user, password, otp, err => {
                             if (err) {
                                 console.error(err);
                                 callback(30);
@@ -1945,6 +2213,87 @@ function processCommand(command, args, params, callback) {
                             }
                         });
                     }
+                    else if (command === 'token') {
+                        const tokenCommand = args[1];
+                        user = (args[2] || '').toString().replace(/^system\.user\./, '');
+                        if (!user) {
+                            console.warn('Please define user name, like: "user token list admin"');
+                            return callback(1);
+                        }
+
+                        if (tokenCommand === 'add') {
+                            const expires = params.expires ? Date.now() + parseFloat(params.expires) * 24 * 3600000 : 0;
+                            users.addToken(user, args[3] !== undefined ? args[3].toString() : '', expires, (err, token) => {
+                                if (err) {
+                                    console.error(err);
+                                    callback(30);
+                                } else {
+                                    console.log('Token for "' + user + '" created. It will not be shown again:');
+                                    console.log(token);
+                                    callback();
+                                }
+                            });
+                        } else if (tokenCommand === 'list') {
+                            users.listTokens(user, (err, list) => {
+                                if (err) {
+                                    console.error(err);
+                                    callback(30);
+                                } else {
+                                    list.forEach(token => console.log(token.id + ' | ' + token.name + ' | created ' + new Date(token.created).toISOString() +
+                                        ' | ' + (token.expires ? (token.expired ? 'expired ' : 'expires ') + new Date(token.expires).toISOString() : 'never expires')));
+                                    if (!list.length) console.log('User "' + user + '" has no tokens');
+                                    callback();
+                                }
+                            });
+                        } else if (tokenCommand === 'revoke' || tokenCommand === 'del') {
+                            users.revokeToken(user, (args[3] || '').toString(), err => {
+                                if (err) {
+                                    console.error(err);
+                                    callback(30);
+                                } else {
+                                    console.log('Token "' + args[3] + '" of user "' + user + '" revoked');
+                                    callback();
+                                }
+                            });
+                        } else {
+                            console.warn('Unknown command "token ' + (tokenCommand || '') + '". Available commands are: add, list, revoke');
+                            callback(1);
+                        }
+                    }
+                    else if (command === '2fa') {
+                        const faCommand = args[1];
+                        user = (args[2] || '').toString().replace(/^system\.user\./, '');
+                        if (!user) {
+                            console.warn('Please define user name, like: "user 2fa enable admin"');
+                            return callback(1);
+                        }
+
+                        if (faCommand === 'enable') {
+                            users.enable2fa(user, (err, uri) => {
+                                if (err) {
+                                    console.error(err);
+                                    callback(30);
+                                } else {
+                                    console.log('Two-factor authentication for "' + user + '" enabled. Add this URI to the authenticator app (e.g. as QR code):');
+                                    console.log(uri);
+                                    callback();
+                                }
+                            });
+                        } else if (faCommand === 'disable') {
+                            users.disable2fa(user, err => {
+                                if (err) {
+                                    console.error(err);
+                                    callback(30);
+                                } else {
+                                    console.log('Two-factor authentication for "' + user + '" disabled');
+                                    callback();
+                                }
+                            });
+                        } else {
+                            console.warn('Unknown command "2fa ' + (faCommand || '') + '". Available commands are: enable, disable');
+                            callback(1);
+                        }
+                    }
                     else if (command === 'get') {
                         users.getUser(user, (err, isEnabled) => {
                             if (err) {
@@ -1957,7 +2306,7 @@ function processCommand(command, args, params, callback) {
                         });
                     }
                     else {
-                        console.warn('Unknown command "' + command + '". Available commands are: add, del, passwd, enable, disable, check, get');
+                        console.warn('Unknown command "' + command + '". Available commands are: add, del, passwd, enable, disable, check, get, token, 2fa');
                         callback(1);
                     }
                 });
@@ -2994,6 +3343,40 @@ function getRepository(repoUrl, params, callback) {
     }
 }
 
+// audit log of this host or null if disabled in iobroker.json
+// entry is written by objects DB, nothing is written if audit log is disabled
+function recordAudit(action, id, details, callback) {
+    objects.recordAudit({action: action, id: id, user: null, from: 'system.host.' + tools.getHostName() + '.cli', details: details}, () => callback());
+}
+
+// show instances, that crashed in row, with states crashCount and lastExitCode set by controller
+function showCrashLoops(callback) {
+    objects.getObjectView('system', 'instance', {startkey: 'system.adapter.', endkey: 'system.adapter.\u9999'}, null, (err, res) => {
+        const instances = ((res && res.rows) || []).map(row => row.value).filter(obj => obj && obj.common);
+        if (!instances.length) return callback();
+
+        const ids = [];
+        instances.forEach(obj => ids.push(obj._id + '.crashCount', obj._id + '.lastExitCode'));
+        states.getStates(ids, (err, values) => {
+            values = values || [];
+            const lines = [];
+            instances.forEach((obj, i) => {
+                const count = values[i * 2] ? parseInt(values[i * 2].val, 10) || 0 : 0;
+                if (!count) return;
+                const code = values[i * 2 + 1] ? values[i * 2 + 1].val : null;
+                lines.push('  ' + obj._id.substring('system.adapter.'.length) + ': ' + count + ' crash' + (count === 1 ? '' : 'es') + ' in row, last exit code ' + code +
+                    (obj.common.enabled ? '' : ', disabled') + (obj.common.host ? ' (' + obj.common.host + ')' : ''));
+            });
+            if (lines.length) {
+                console.log('');
+                console.log('Crash-looping instances:');
+                lines.forEach(line => console.log(line));
+            }
+            callback();
+        });
+    });
+}
+
 function dbConnect(onlyCheck, params, callback) {
     if (typeof onlyCheck === 'object') {
         callback  = params;
@@ -3030,15 +3413,19 @@ function dbConnect(onlyCheck, params, callback) {
     setTimeout(() => {
         if (isObjectConnected && isStatesConnected) return;
 
+        // DB of controller (file, sqlite) can be opened without running controller
+        const isOffline = !!backends.getBackend('objects', config.objects).server;
+
         if (onlyCheck) {
-            if (typeof callback === 'function') callback(null, null, config.objects.type === 'file', config.objects.type);
+            if (typeof callback === 'function') callback(null, null, isOffline, config.objects.type);
             return;
         }
 
         if (!isObjectConnected) {
-            if (config.objects.type === 'file') {
+            const ObjectsServer = backends.getBackend('objects', config.objects).server;
+            if (ObjectsServer) {
                 // Just open in memory DB itself
-                Objects = require(__dirname + '/objects/objectsInMemServer');
+                Objects = ObjectsServer;
                 objects = new Objects({
                     connection: config.objects,
                     logger: {
@@ -3051,7 +3438,7 @@ function dbConnect(onlyCheck, params, callback) {
                     connected: () => {
                         isObjectConnected = true;
                         if (isStatesConnected && typeof callback === 'function') {
-                            callback(objects, states, config.objects.type === 'file', config.objects.type);
+                            callback(objects, states, isOffline, config.objects.type);
                         }
                     }
                 });
@@ -3062,9 +3449,10 @@ function dbConnect(onlyCheck, params, callback) {
         }
 
         if (!isStatesConnected) {
-            if (config.states.type === 'file') {
+            const StatesServer = backends.getBackend('states', config.states).server;
+            if (StatesServer) {
                 // Just open in memory DB itself
-                States = require(__dirname + '/states/statesInMemServer');
+                States = StatesServer;
                 states = new States({
                     connection: config.states,
                     logger: {
@@ -3077,7 +3465,7 @@ function dbConnect(onlyCheck, params, callback) {
                     connected: () => {
                         isStatesConnected = true;
                         if (isObjectConnected && typeof callback === 'function') {
-                            callback(objects, states, config.objects.type === 'file', config.objects.type);
+                            callback(objects, states, isOffline, config.objects.type);
                         }
                     }
                 });
@@ -0,0 +1,78 @@
+'use strict';
+
+// Show and change access rights of object, with "recursive" of all objects below it too.
+// For enum "recursive" means its members and all objects below them.
+function Acl(options) {
+    options = options || {};
+
+    if (!options.objects) throw 'Invalid arguments: objects is missing';
+
+    const objects = options.objects;
+    const admin   = {user: 'system.user.admin'};
+
+    function collect(id, recursive, callback) {
+        objects.getObject(id, admin, (err, obj) => {
+            if (!obj) return callback('Object "' + id + '" not found');
+            if (!recursive) return callback(null, [obj]);
+
+            const result = {};
+            result[id] = obj;
+
+            let roots = [id];
+            if (obj.type === 'enum' && obj.common && Array.isArray(obj.common.members)) {
+                roots = roots.concat(obj.common.members);
+            }
+
+            let count = roots.length;
+            roots.forEach(root => {
+                objects.getObjectList({startkey: root, endkey: root + '.\u9999'}, admin, (err, res) => {
+                    if (res && res.rows) {
+                        res.rows.forEach(row => {
+                            if (row.value && (row.id === root || row.id.startsWith(root + '.'))) result[row.id] = row.value;
+                        });
+                    }
+                    if (!--count) callback(null, Object.keys(result).sort().map(_id => result[_id]));
+                });
+            });
+        });
+    }
+
+    /**
+     * Read object and, if recursive, all objects below it
+     *
+     * @param {string} id ID of object
+     * @param {boolean} recursive
+     * @param {function} callback function (err, objs)
+     */
+    this.show = function (id, recursive, callback) {
+        collect(id, recursive, callback);
+    };
+
+    /**
+     * Change access rights of object and, if recursive, of all objects below it.
+     *
+     * acl.state is written to channels and devices too, so that new states below them inherit it (objects.aclInheritance).
+     * acl is marked as explicit, so that it takes precedence over enums for new objects below it.
+     *
+     * @param {string} id ID of object
+     * @param {object} acl changed attributes: {owner, ownerGroup, object, state}
+     * @param {boolean} recursive
+     * @param {function} callback function (err, changedObjs)
+     */
+    this.set = function (id, acl, recursive, callback) {
+        collect(id, recursive, (err, objs) => {
+            if (err) return callback(err);
+
+            let i = 0;
+            const next = () => {
+                if (i >= objs.length) return callback(null, objs);
+                const obj = objs[i++];
+                obj.acl = Object.assign({}, obj.acl, acl, {explicit: true});
+                objects.setObject(obj._id, obj, admin, err => err ? callback(obj._id + ': ' + err) : setImmediate(next));
+            };
+            next();
+        });
+    };
+}
+
+module.exports = Acl;
@@ -10,6 +10,7 @@ function Install(options) {
     const path             = require('path');
     const semver           = require('semver');
     const child_process    = require('child_process');
+    const InstanceStates   = require('../instanceStates.js');
     // todo solve it somehow
     const unsafePermAlways = [tools.appName.toLowerCase() + '.zwave', tools.appName.toLowerCase() + '.amazon-dash', tools.appName.toLowerCase() + '.xbox'];
     const isRootOnUnix     = typeof process.getuid === 'function' && process.getuid() === 0;
@@ -550,7 +551,8 @@ function Install(options) {
                 _id:      'system.adapter.' + adapterConf.common.name,
                 type:     'adapter',
                 common:   adapterConf.common,
-                native:   adapterConf.native
+                native:   adapterConf.native,
+                encryptedNative: adapterConf.encryptedNative // attributes of native, that are stored encrypted
             });
 
             function setObjects(_objs, _callback) {
@@ -790,7 +792,7 @@ function Install(options) {
                         const _id = 'system.adapter.' + adapter + '.' + instance;
 
                         let objs;
-                        if (!instanceObj.common.onlyWWW && instanceObj.common.mode !== 'once') {
+                        if (InstanceStates.hasStates(instanceObj)) {
                             objs = [
                                 {
                                     _id:    _id + '.alive',
@@ -923,7 +925,7 @@ function Install(options) {
                                     },
                                     native: {}
                                 }
-                            ];
+                            ].concat(InstanceStates.getObjects(_id));
                         } else {
                             objs = [];
                         }
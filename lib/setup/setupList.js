@@ -88,6 +88,18 @@ function List(options) {
         console.log('---------+---------+--------------+--------------+--------------');
     };
 
+    this.showObjectHistory = versions => {
+        console.log('   Rev | Date                     |         User | From');
+        console.log('-------+--------------------------+--------------+--------------');
+        versions.forEach(version => {
+            let rev = version.obj ? version.rev.toString() : 'del';
+            if (rev.length < 7) rev = new Array(7 - rev.length).join(' ') + rev;
+            let user = (version.user || '').replace(/^system\.user\./, '');
+            if (user.length < 13) user = new Array(13 - user.length).join(' ') + user;
+            console.log(rev + ' | ' + new Date(version.ts).toISOString() + ' | ' + user + ' | ' + (version.from || ''));
+        });
+    };
+
     this.showObject = obj => {
         //drwxr-xr-x   1 odroid odroid    43 Oct  3  2013 .xsessionrc
         let text = '';
@@ -221,6 +233,16 @@ function List(options) {
         }
     };
 
+    // query for indexed attributes, e.g. "list objects --type state --role value.temperature --custom history.0 --enum enum.rooms.kitchen"
+    function getQuery(flags) {
+        const query = {};
+        if (flags.type)   query.type                = flags.type;
+        if (flags.role)   query['common.role']      = flags.role;
+        if (flags.custom) query['common.custom.*']  = flags.custom;
+        if (flags.enum)   query.enum                = flags.enum;
+        return query;
+    }
+
     function readOnlineState(lines, flags, cb, _result) {
         _result = _result || [];
         if (!lines || !lines.length) {
@@ -245,7 +267,7 @@ function List(options) {
             switch (type) {
                 case 'objects':
                 case 'o':
-                    objects.getObjectList(null, (err, objs) => {
+                    objects.queryObjects(getQuery(flags), (err, objs) => {
                         let reg = filter ? new RegExp(tools.pattern2RegEx(filter)) : null;
                         for (let i = 0; i < objs.rows.length; i++) {
                             let name = objs.rows[i].value && objs.rows[i].value.common && objs.rows[i].value.common.name;
@@ -297,7 +319,7 @@ function List(options) {
 
                 case 'adapters':
                 case 'a':
-                    objects.getObjectList({startkey: 'system.adapter.', endkey: 'system.adapter.\u9999'}, (err, objs) => {
+                    objects.queryObjects({type: 'adapter', _id: 'system.adapter.*'}, (err, objs) => {
                         let reg = filter ? new RegExp(tools.pattern2RegEx('system.adapter.' + filter)) : null;
                         for (let i = 0; i < objs.rows.length; i++) {
                             if (objs.rows[i].value.type !== 'adapter') continue;
@@ -322,7 +344,7 @@ function List(options) {
 
                 case 'instances':
                 case 'i':
-                    objects.getObjectList({startkey: 'system.adapter.', endkey: 'system.adapter.\u9999'}, (err, objs) => {
+                    objects.queryObjects({type: 'instance', _id: 'system.adapter.*'}, (err, objs) => {
                         const reg = filter ? new RegExp(tools.pattern2RegEx('system.adapter.' + filter)) : null;
                         objs.rows.sort(function (a, b) {
                             if (a.id > b.id) return 1;
@@ -0,0 +1,466 @@
+'use strict';
+
+// Migration of objects, states and files from actual DB backends into new ones.
+// Source DBs stay online during migration, target DBs are opened in this process.
+// Config file will be switched only if all counts and checksums are equal, otherwise target DBs are restored.
+function Migrate(options) {
+    // allow use without new operator
+    if (!(this instanceof Migrate)) return new Migrate(options);
+
+    const fs       = require('fs');
+    const crypto   = require('crypto');
+    const tools    = require(__dirname + '/../tools.js');
+    const backends = require(__dirname + '/../backends.js');
+    const hostname = tools.getHostName();
+
+    options = options || {};
+
+    if (!options.states)  throw 'Invalid arguments: states is missing';
+    if (!options.objects) throw 'Invalid arguments: objects is missing';
+
+    const objects        = options.objects;
+    const states         = options.states;
+    const configFileName = options.configFileName || tools.getConfigFileName();
+    const logger         = {
+        silly: msg => {},
+        debug: msg => {},
+        info:  msg => {},
+        warn:  msg => console.log(msg),
+        error: msg => console.log(msg)
+    };
+
+    function forEachSeries(list, iterator, callback) {
+        let i = 0;
+        const next = err => {
+            if (err || i >= list.length) return callback(err);
+            const item = list[i++];
+            if (i % 200 === 0) {
+                setImmediate(iterator, item, next);
+            } else {
+                iterator(item, next);
+            }
+        };
+        next();
+    }
+
+    // JSON with sorted attributes, so that the checksum does not depend on the order of attributes in DB
+    function stringify(value) {
+        if (Buffer.isBuffer(value)) {
+            return JSON.stringify(value.toString('base64'));
+        } else if (Array.isArray(value)) {
+            return '[' + value.map(stringify).join(',') + ']';
+        } else if (value && typeof value === 'object') {
+            return '{' + Object.keys(value).sort()
+                .filter(attr => value[attr] !== undefined)
+                .map(attr => JSON.stringify(attr) + ':' + stringify(value[attr]))
+                .join(',') + '}';
+        } else {
+            return JSON.stringify(value === undefined ? null : value);
+        }
+    }
+
+    function checksum(values) {
+        const hash = crypto.createHash('sha256');
+        Object.keys(values).sort().forEach(id => hash.update(id + '\n' + stringify(values[id]) + '\n'));
+        return hash.digest('hex');
+    }
+
+    function getFreePort(callback) {
+        const server = require('net').createServer();
+        server.listen(0, '127.0.0.1', () => {
+            const port = server.address().port;
+            server.close(() => callback(port));
+        });
+    }
+
+    // Check if source and target are the same DB, e.g. only port of local server was changed
+    function isSameDb(dbType, oldConfig, newConfig) {
+        if ((oldConfig.type || 'file') !== (newConfig.type || 'file')) return false;
+
+        if (backends.getBackend(dbType, newConfig).server && backends.isLocal(oldConfig) && backends.isLocal(newConfig)) {
+            return (oldConfig.dataDir || '') === (newConfig.dataDir || '');
+        } else {
+            return oldConfig.host === newConfig.host && oldConfig.port === newConfig.port;
+        }
+    }
+
+    function connectDb(dbType, config, callback) {
+        let backend;
+        try {
+            backend = backends.getBackend(dbType, config);
+        } catch (e) {
+            return callback(e);
+        }
+        let connected = false;
+        let db;
+        const timeout = config.connectTimeout || 2000;
+        // without timeout migration would hang, if target DB is not reachable, and rollback would never run
+        const timer = setTimeout(() => {
+            if (connected) return;
+            connected = true;
+            db && db.destroy();
+            callback('timeout after ' + timeout + ' ms');
+        }, timeout);
+        const done = (err, result) => {
+            if (connected) return;
+            connected = true;
+            clearTimeout(timer);
+            callback(err, result);
+        };
+        const settings = {
+            connection: config,
+            logger:     logger,
+            connected:  () => done(null, db)
+        };
+
+        if (backend.server && backends.isLocal(config)) {
+            // Controller can still run with the same port, so the server for migration listens on other port
+            getFreePort(port => {
+                if (connected) return;
+                settings.connection = Object.assign({}, config, {host: '127.0.0.1', port: port});
+                try {
+                    db = new backend.server(settings);
+                } catch (e) {
+                    done(e);
+                }
+            });
+        } else {
+            try {
+                db = new backend.client(settings);
+            } catch (e) {
+                done(e);
+            }
+        }
+    }
+
+    function readObjects(db, callback) {
+        db.getObjectList({include_docs: true}, (err, res) => {
+            if (err) return callback('Cannot read objects: ' + err);
+            const result = {};
+            res && res.rows && res.rows.forEach(row => {
+                if (row.value) {
+                    // revisions are counted by every DB itself
+                    result[row.id] = Object.assign({}, row.value);
+                    delete result[row.id]._rev;
+                }
+            });
+            callback(null, result);
+        });
+    }
+
+    function readStates(db, callback) {
+        db.getKeys('*', (err, keys) => {
+            if (err) return callback('Cannot read states: ' + err);
+            if (!keys || !keys.length) return callback(null, {});
+
+            db.getStates(keys, (err, values) => {
+                if (err) return callback('Cannot read states: ' + err);
+                const result = {};
+                for (let i = 0; i < keys.length; i++) {
+                    // binary states are migrated separately
+                    if (values[i] !== null && values[i] !== undefined && !Buffer.isBuffer(values[i])) {
+                        result[keys[i]] = values[i];
+                    }
+                }
+                callback(null, result);
+            });
+        });
+    }
+
+    function readBinaryStates(db, ids, callback) {
+        const result = {};
+        forEachSeries(ids, (id, next) => {
+            db.getBinaryState(id, (err, data) => {
+                if (!err && data) result[id] = data;
+                next();
+            });
+        }, () => callback(null, result));
+    }
+
+    function readFiles(db, id, path, result, callback) {
+        db.readDir(id, path, null, (err, files) => {
+            // not existing directory is not an error
+            if (err || !files) return callback(null, result);
+
+            forEachSeries(files, (file, next) => {
+                const name = path ? path + '/' + file.file : file.file;
+                if (file.isDir) {
+                    readFiles(db, id, name, result, next);
+                } else {
+                    db.readFile(id, name, null, (err, data, mimeType) => {
+                        if (err) return next('Cannot read file ' + id + '/' + name + ': ' + err);
+                        result.push({id: id, name: name, data: Buffer.isBuffer(data) ? data : Buffer.from(data || ''), mimeType: mimeType});
+                        next();
+                    });
+                }
+            }, err => callback(err, result));
+        });
+    }
+
+    function setObject(db, id, obj, callback) {
+        if (obj === null) {
+            db.delObject(id, null, () => callback());
+        } else {
+            db.setObject(id, JSON.parse(JSON.stringify(obj)), null, err => callback(err ? 'Cannot write object ' + id + ': ' + err : null));
+        }
+    }
+
+    function setState(db, id, state, callback) {
+        if (state === null) {
+            db.delState(id, () => callback());
+        } else if (typeof db.setRawState === 'function') {
+            db.setRawState(id, state, err => callback(err ? 'Cannot write state ' + id + ': ' + err : null));
+        } else {
+            db.setState(id, state, err => callback(err ? 'Cannot write state ' + id + ': ' + err : null));
+        }
+    }
+
+    function setBinaryState(db, id, data, callback) {
+        if (data === null) {
+            db.delBinaryState(id, () => callback());
+        } else {
+            db.setBinaryState(id, data, err => callback(err ? 'Cannot write binary state ' + id + ': ' + err : null));
+        }
+    }
+
+    function writeFile(db, file, data, callback) {
+        if (data === null) {
+            db.unlink(file.id, file.name, null, () => callback());
+        } else {
+            db.writeFile(file.id, file.name, data, file.mimeType ? {mimeType: file.mimeType} : null, err =>
+                callback(err ? 'Cannot write file ' + file.id + '/' + file.name + ': ' + err : null));
+        }
+    }
+
+    // Write all values of source into target and remember previous values of target for rollback
+    function copyValues(source, target, write, backup, callback) {
+        const ids = Object.keys(source).concat(Object.keys(target).filter(id => !source.hasOwnProperty(id)));
+        let count = 0;
+        forEachSeries(ids, (id, next) => {
+            const value = source.hasOwnProperty(id) ? source[id] : null;
+            if (stringify(value) === stringify(target.hasOwnProperty(id) ? target[id] : null)) return next();
+
+            backup[id] = target.hasOwnProperty(id) ? target[id] : null;
+            write(id, value, err => {
+                if (++count % 200 === 0) {
+                    console.log('host.' + hostname + ' Processed ' + count + '/' + ids.length);
+                }
+                next(err);
+            });
+        }, callback);
+    }
+
+    function compare(name, source, target, callback) {
+        const sourceCount = Object.keys(source).length;
+        const targetCount = Object.keys(target).length;
+        if (sourceCount !== targetCount) {
+            return callback('Number of ' + name + ' differs: ' + sourceCount + ' in source, ' + targetCount + ' in target');
+        }
+        const sourceChecksum = checksum(source);
+        if (sourceChecksum !== checksum(target)) {
+            const id = Object.keys(source).find(id => stringify(source[id]) !== stringify(target[id]));
+            return callback('Checksum of ' + name + ' differs' + (id ? ', e.g. for ' + id : ''));
+        }
+        console.log('host.' + hostname + ' ' + sourceCount + ' ' + name + ' verified, checksum ' + sourceChecksum);
+        callback();
+    }
+
+    function migrateObjects(source, target, backup, callback) {
+        readObjects(source, (err, sourceObjects) => {
+            if (err) return callback(err);
+            readObjects(target, (err, targetObjects) => {
+                if (err) return callback(err);
+                console.log('host.' + hostname + ' Migrate ' + Object.keys(sourceObjects).length + ' objects');
+                copyValues(sourceObjects, targetObjects, (id, obj, cb) => setObject(target, id, obj, cb), backup.objects, err => {
+                    if (err) return callback(err);
+                    readObjects(target, (err, targetObjects) => {
+                        if (err) return callback(err);
+                        compare('objects', sourceObjects, targetObjects, err => callback(err, sourceObjects));
+                    });
+                });
+            });
+        });
+    }
+
+    function migrateFiles(source, target, sourceObjects, backup, callback) {
+        // files are stored for meta objects, e.g. "vis.0" or "admin"
+        const ids = Object.keys(sourceObjects).filter(id => sourceObjects[id].type === 'meta');
+        const sourceFiles = {};
+        const targetFiles = {};
+        const list = [];
+
+        forEachSeries(ids, (id, next) => readFiles(source, id, '', list, next), err => {
+            if (err) return callback(err);
+            console.log('host.' + hostname + ' Migrate ' + list.length + ' files');
+
+            forEachSeries(list, (file, next) => {
+                const key = file.id + '/' + file.name;
+                sourceFiles[key] = file.data;
+                target.readFile(file.id, file.name, null, (err, data) => {
+                    const old = !err && data !== undefined && data !== null ? (Buffer.isBuffer(data) ? data : Buffer.from(data)) : null;
+                    // e.g. files directory of source and target is the same
+                    if (old && old.equals(file.data)) {
+                        targetFiles[key] = old;
+                        return next();
+                    }
+                    backup.files.push({id: file.id, name: file.name, data: old});
+                    writeFile(target, file, file.data, err => {
+                        if (err) return next(err);
+                        target.readFile(file.id, file.name, null, (err, data) => {
+                            if (!err && data !== undefined && data !== null) {
+                                targetFiles[key] = Buffer.isBuffer(data) ? data : Buffer.from(data);
+                            }
+                            next();
+                        });
+                    });
+                });
+            }, err => {
+                if (err) return callback(err);
+                compare('files', sourceFiles, targetFiles, callback);
+            });
+        });
+    }
+
+    function migrateStates(source, target, sourceObjects, backup, callback) {
+        readStates(source, (err, sourceStates) => {
+            if (err) return callback(err);
+            readStates(target, (err, targetStates) => {
+                if (err) return callback(err);
+                console.log('host.' + hostname + ' Migrate ' + Object.keys(sourceStates).length + ' states');
+                copyValues(sourceStates, targetStates, (id, state, cb) => setState(target, id, state, cb), backup.states, err => {
+                    if (err) return callback(err);
+                    readStates(target, (err, targetStates) => {
+                        if (err) return callback(err);
+                        compare('states', sourceStates, targetStates, err => {
+                            if (err) return callback(err);
+
+                            // binary states cannot be listed, so take IDs from objects
+                            const ids = Object.keys(sourceObjects).filter(id => sourceObjects[id].type === 'state' &&
+                                sourceObjects[id].common && sourceObjects[id].common.type === 'file');
+                            readBinaryStates(source, ids, (err, sourceBinary) => {
+                                readBinaryStates(target, ids, (err, targetBinary) => {
+                                    copyValues(sourceBinary, targetBinary, (id, data, cb) => setBinaryState(target, id, data, cb), backup.binary, err => {
+                                        if (err) return callback(err);
+                                        readBinaryStates(target, ids, (err, targetBinary) => compare('binary states', sourceBinary, targetBinary, callback));
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    function rollback(targetObjects, targetStates, backup, callback) {
+        console.log('host.' + hostname + ' Rollback of target DB');
+        const restore = (db, values, write, cb) => {
+            if (!db) return cb();
+            forEachSeries(Object.keys(values), (id, next) => write(db, id, values[id], err => {
+                if (err) console.error('host.' + hostname + ' ' + err);
+                next();
+            }), cb);
+        };
+        // files first, because access rights for files are taken from objects
+        forEachSeries(backup.files, (file, next) => writeFile(targetObjects, file, file.data, err => {
+            if (err) console.error('host.' + hostname + ' ' + err);
+            next();
+        }), () =>
+            restore(targetObjects, backup.objects, setObject, () =>
+                restore(targetStates, backup.states, setState, () =>
+                    restore(targetStates, backup.binary, setBinaryState, callback))));
+    }
+
+    function switchConfig(config) {
+        if (fs.existsSync(configFileName)) {
+            fs.writeFileSync(configFileName + '.bak', fs.readFileSync(configFileName));
+        }
+        try {
+            fs.writeFileSync(configFileName, JSON.stringify(config, null, 2));
+        } catch (e) {
+            if (fs.existsSync(configFileName + '.bak')) {
+                fs.writeFileSync(configFileName, fs.readFileSync(configFileName + '.bak'));
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Copy all objects, files and states into new DBs and switch the configuration
+     *
+     * @param {object} oldConfig actual content of iobroker.json
+     * @param {object} newConfig new content of iobroker.json
+     * @param {function} callback called with error or null if migration done
+     */
+    this.migrate = function (oldConfig, newConfig, callback) {
+        let migrateObjectsDb;
+        let migrateStatesDb;
+        try {
+            migrateObjectsDb = !isSameDb('objects', oldConfig.objects || {}, newConfig.objects || {});
+            migrateStatesDb  = !isSameDb('states',  oldConfig.states  || {}, newConfig.states  || {});
+        } catch (e) {
+            console.error('host.' + hostname + ' Migration failed: ' + e);
+            return callback(e);
+        }
+        const backup = {objects: {}, files: [], states: {}, binary: {}};
+        let targetObjects = null;
+        let targetStates  = null;
+
+        const done = err => {
+            const finish = () => {
+                targetObjects && targetObjects.destroy();
+                targetStates  && targetStates.destroy();
+                callback(err);
+            };
+
+            if (err) {
+                console.error('host.' + hostname + ' Migration failed: ' + err);
+                rollback(targetObjects, targetStates, backup, finish);
+            } else {
+                try {
+                    switchConfig(newConfig);
+                } catch (e) {
+                    err = 'Cannot write ' + configFileName + ': ' + e;
+                    console.error('host.' + hostname + ' Migration failed: ' + err);
+                    return rollback(targetObjects, targetStates, backup, finish);
+                }
+                console.log('host.' + hostname + ' Migration done. Please restart ' + tools.appName + ' to use new DB');
+                finish();
+            }
+        };
+
+        const connect = (dbType, necessary, cb) => {
+            if (!necessary) return cb(null, null);
+            connectDb(dbType, newConfig[dbType], (err, db) => cb(err ? 'Cannot connect to ' + dbType + ' DB: ' + err : null, db));
+        };
+
+        connect('objects', migrateObjectsDb, (err, _targetObjects) => {
+            targetObjects = _targetObjects;
+            if (err) return done(err);
+            connect('states', migrateStatesDb, (err, _targetStates) => {
+                targetStates = _targetStates;
+                if (err) return done(err);
+
+                if (migrateObjectsDb) {
+                    migrateObjects(objects, targetObjects, backup, (err, sourceObjects) => {
+                        if (err) return done(err);
+                        migrateFiles(objects, targetObjects, sourceObjects, backup, err => {
+                            if (err || !migrateStatesDb) return done(err);
+                            migrateStates(states, targetStates, sourceObjects, backup, done);
+                        });
+                    });
+                } else if (migrateStatesDb) {
+                    readObjects(objects, (err, sourceObjects) => {
+                        if (err) return done(err);
+                        migrateStates(states, targetStates, sourceObjects, backup, done);
+                    });
+                } else {
+                    console.log('host.' + hostname + ' Objects and states DB are not changed, nothing to migrate');
+                    done();
+                }
+            });
+        });
+    };
+}
+
+module.exports = Migrate;
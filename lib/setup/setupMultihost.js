@@ -55,14 +55,14 @@ function Multihost(options) {
 
     function showMHState(config, changed, callback) {
         if (config.multihostService.enabled) {
-            if (config.objects.type === 'file' && (config.objects.host === '127.0.0.1' || config.objects.host === 'localhost')) {
+            if ((config.objects.type === 'file' || config.objects.type === 'sqlite') && (config.objects.host === '127.0.0.1' || config.objects.host === 'localhost')) {
                 console.log('Server accept connections for objects on all IP addresses.');
                 config.objects.host = '0.0.0.0';
                 changed = true;
             } else if (config.objects.type === 'redis') {
                 console.log('Please check the binding of redis service. By default it is only local: http://download.redis.io/redis-stable/redis.conf\nChange "bind 127.0.0.1" to "bind 0.0.0.0" or to others.')
             }
-            if (config.states.type  === 'file' && (config.states.host  === '127.0.0.1' || config.states.host  === 'localhost')) {
+            if ((config.states.type  === 'file' || config.states.type  === 'sqlite') && (config.states.host  === '127.0.0.1' || config.states.host  === 'localhost')) {
                 console.log('Server accept connections for states on all IP addresses.');
                 config.states.host = '0.0.0.0';
                 changed = true;
@@ -0,0 +1,245 @@
+'use strict';
+
+// Rotation of native.secret of system.config.
+// All values, that are encrypted with the secret, are encrypted again with the new one:
+// password of multihost service in iobroker.json, attributes of instances declared in encryptedNative and secrets of two-factor authentication of users.
+// Both secrets are stored in secretRotation.json near iobroker.json till the end, so an interrupted rotation is continued by the next call.
+// Instances, users and system.config are written in one transaction, so all values are encrypted with the old secret till the transaction is done.
+// New password of multihost service is stored in the journal before iobroker.json is replaced.
+function Secret(options) {
+    // allow use without new operator
+    if (!(this instanceof Secret)) return new Secret(options);
+
+    const fs              = require('fs');
+    const crypto          = require('crypto');
+    const tools           = require(__dirname + '/../tools.js');
+    const EncryptedNative = require(__dirname + '/../encryptedNative.js');
+    const totp            = require(__dirname + '/../totp.js');
+    const hostname        = tools.getHostName();
+
+    options = options || {};
+
+    if (!options.objects) throw 'Invalid arguments: objects is missing';
+    if (!options.backup)  throw 'Invalid arguments: backup is missing';
+
+    const objects        = options.objects;
+    const backup         = options.backup; // instance of setupBackup
+    const configFileName = options.configFileName || tools.getConfigFileName();
+    const journalName    = configFileName.replace(/[^/\\]+$/, '') + 'secretRotation.json';
+
+    function readJournal() {
+        if (!fs.existsSync(journalName)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(journalName, 'utf8'));
+        } catch (e) {
+            console.error('Cannot read ' + journalName + ': ' + e);
+            return null;
+        }
+    }
+
+    function writeJournal(journal) {
+        fs.writeFileSync(journalName, JSON.stringify(journal, null, 2), {mode: 0o600});
+    }
+
+    // encrypt declared attributes of native again
+    function reencryptNative(obj, oldSecret, newSecret) {
+        const result = {changed: 0, errors: []};
+        obj.encryptedNative.forEach(attr => {
+            const value = obj.native && obj.native[attr];
+            if (!EncryptedNative.isEncrypted(value)) return;
+            try {
+                obj.native[attr] = EncryptedNative.encrypt(newSecret, EncryptedNative.decrypt(oldSecret, value));
+                result.changed++;
+            } catch (e) {
+                result.errors.push(obj._id + ': native.' + attr);
+            }
+        });
+        // plain text values are encrypted with new secret directly
+        result.changed += EncryptedNative.encryptNative(obj, newSecret);
+        return result;
+    }
+
+    // encrypt common.totp.secret of user again
+    function reencryptTotp(obj, oldSecret, newSecret) {
+        const secret = totp.decryptSecret(oldSecret, obj.common.totp.secret);
+        if (secret === null) return {changed: false, error: obj._id + ': common.totp.secret'};
+        obj.common.totp.secret = totp.encryptSecret(newSecret, secret);
+        return {changed: true};
+    }
+
+    function addOperation(operations, obj) {
+        obj.from = 'system.host.' + hostname + '.cli';
+        obj.ts   = Date.now();
+        operations.push({op: 'set', id: obj._id, obj: obj, expectedRev: obj._rev || 0});
+    }
+
+    function rotateObjects(journal, callback) {
+        objects.getObject('system.config', (err, config) => {
+            if (err || !config) return callback('Cannot read system.config: ' + (err || 'not found'));
+            config.native = config.native || {};
+            // transaction was done before interruption
+            if (config.native.secret === journal.newSecret) return callback();
+            if (config.native.secret !== journal.oldSecret) return callback('Secret of system.config was changed in the meantime');
+
+            objects.getObjectView('system', 'instance', {startkey: 'system.adapter.', endkey: 'system.adapter.\u9999'}, null, (err, res) => {
+                if (err) return callback('Cannot read instances: ' + err);
+
+                const operations = [];
+                (res && res.rows || []).forEach(row => {
+                    const obj = row.value;
+                    if (!obj || !Array.isArray(obj.encryptedNative)) return;
+                    const result = reencryptNative(obj, journal.oldSecret, journal.newSecret);
+                    journal.errors = journal.errors.concat(result.errors);
+                    if (!result.changed) return;
+                    journal.attributes += result.changed;
+                    journal.instances++;
+                    addOperation(operations, obj);
+                });
+
+                objects.getObjectView('system', 'user', {startkey: 'system.user.', endkey: 'system.user.\u9999'}, null, (err, res) => {
+                    if (err) return callback('Cannot read users: ' + err);
+
+                    (res && res.rows || []).forEach(row => {
+                        const obj = row.value;
+                        if (!obj || !obj.common || !obj.common.totp || !obj.common.totp.secret) return;
+                        const result = reencryptTotp(obj, journal.oldSecret, journal.newSecret);
+                        if (result.error) journal.errors.push(result.error);
+                        if (!result.changed) return;
+                        journal.users = (journal.users || 0) + 1;
+                        addOperation(operations, obj);
+                    });
+
+                    config.native.secret = journal.newSecret;
+                    addOperation(operations, config);
+
+                    objects.transaction(operations, null, err => callback(err ? 'Cannot write objects: ' + err : null));
+                });
+            });
+        });
+    }
+
+    // same as tools.decryptPhrase, but without error output, because a failed decryption is expected here
+    function decryptPhrase(secret, data) {
+        try {
+            const decipher = crypto.createDecipher('aes192', secret);
+            return Buffer.concat([decipher.update(data, 'hex'), decipher.final()]).toString('utf8');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function rotateConfig(journal, callback) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(configFileName, 'utf8'));
+        } catch (e) {
+            return callback('Cannot read ' + configFileName + ': ' + e);
+        }
+        const mh = config.multihostService;
+        if (!mh || !mh.password) return callback();
+
+        const write = () => {
+            // file was written before interruption
+            if (mh.password !== journal.multihostPassword) {
+                mh.password = journal.multihostPassword;
+                // replace file at once
+                fs.writeFileSync(configFileName + '.tmp', JSON.stringify(config, null, 2));
+                fs.renameSync(configFileName + '.tmp', configFileName);
+            }
+            journal.multihost = true;
+            callback();
+        };
+        if (journal.multihostPassword) return write();
+
+        const password = decryptPhrase(journal.oldSecret, mh.password);
+        if (password === null) return callback('Cannot decrypt password of multihost service');
+
+        tools.encryptPhrase(journal.newSecret, password, encoded => {
+            journal.multihostPassword = encoded;
+            writeJournal(journal);
+            write();
+        });
+    }
+
+    function start(callback) {
+        const journal = readJournal();
+        if (journal) {
+            console.log('Continue rotation of secret started at ' + new Date(journal.ts).toISOString());
+            return callback(null, journal);
+        }
+        objects.getObject('system.config', (err, config) => {
+            if (err || !config || !config.native || !config.native.secret) {
+                return callback('Cannot read secret of system.config. Call "' + tools.appName + ' setup" first.');
+            }
+            callback(null, {
+                ts:         Date.now(),
+                oldSecret:  config.native.secret,
+                newSecret:  crypto.randomBytes(24).toString('hex'),
+                backup:     null,
+                objects:    false,
+                config:     false,
+                instances:  0,
+                attributes: 0,
+                users:      0,
+                multihost:  false,
+                errors:     []
+            });
+        });
+    }
+
+    /**
+     * Generate new secret and encrypt all known encrypted values with it
+     *
+     * @param {function} callback (err, {backup, instances, attributes, users, multihost, errors}), errors are names of values, that could not be decrypted
+     */
+    this.rotate = function (callback) {
+        start((err, journal) => {
+            if (err) return callback(err);
+            writeJournal(journal);
+
+            const finish = err => {
+                if (err) return callback(err);
+                fs.unlinkSync(journalName);
+                callback(null, {
+                    backup:     journal.backup,
+                    instances:  journal.instances,
+                    attributes: journal.attributes,
+                    users:      journal.users || 0,
+                    multihost:  journal.multihost,
+                    errors:     journal.errors
+                });
+            };
+
+            const rotate = () => {
+                if (!journal.objects) {
+                    return rotateObjects(journal, err => {
+                        if (err) return finish(err);
+                        journal.objects = true;
+                        writeJournal(journal);
+                        rotate();
+                    });
+                }
+                if (!journal.config) {
+                    return rotateConfig(journal, err => {
+                        if (err) return finish(err);
+                        journal.config = true;
+                        writeJournal(journal);
+                        rotate();
+                    });
+                }
+                finish();
+            };
+
+            if (journal.backup) return rotate();
+
+            // backup with old secret, before anything is changed
+            backup.createBackup(null, filePath => {
+                journal.backup = filePath;
+                writeJournal(journal);
+                rotate();
+            });
+        });
+    };
+}
+
+module.exports = Secret;
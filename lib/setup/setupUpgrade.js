@@ -16,6 +16,7 @@ function Upgrade(options) {
     const restartController = options.restartController;
     const getRepository     = options.getRepository;
     const params            = options.params;
+    const objects           = options.objects;
     let semver;
     let configData = null;
 
@@ -112,6 +113,17 @@ function Upgrade(options) {
             }
 
             let count = 0;
+            const finished = () => {
+                if (--count) return;
+                console.log(`Adapter "${name}" updated`);
+                objects.recordAudit({
+                    action:  'adapter.upgrade',
+                    id:      'system.adapter.' + name,
+                    user:    null,
+                    from:    'system.host.' + hostname + '.cli',
+                    details: {from: ioInstalled.common.version, to: iopack && iopack.common && iopack.common.version}
+                }, () => callback && callback(name));
+            };
             installNpm(name, (err, _name) => {
                 if (err) {
                     processExit(err);
@@ -121,22 +133,10 @@ function Upgrade(options) {
                     upload.uploadAdapter(name, false, true, () => {
                         // extend all adapter instance default configs with current config
                         // (introduce potentially new attributes while keeping current settings)
-                        upload.upgradeAdapterObjects(name, iopack, () => {
-                            count--;
-                            if (!count) {
-                                console.log('Adapter "' + name + '" updated');
-                                if (callback) callback(name);
-                            }
-                        });
+                        upload.upgradeAdapterObjects(name, iopack, finished);
                     });
                     count++;
-                    upload.uploadAdapter(name, true, true, () => {
-                        count--;
-                        if (!count) {
-                            console.log(`Adapter "${name}" updated`);
-                            if (callback) callback(name);
-                        }
-                    });
+                    upload.uploadAdapter(name, true, true, finished);
                 }
             });
         }
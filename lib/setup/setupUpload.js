@@ -525,6 +525,11 @@ function Upload(options) {
                             // all common settings should be taken from new one
                             newObject.common = extendCommon(newObject.common, iopack.common, newObject._id.split('.').pop());
                             newObject.native = extendNative(newObject.native, iopack.native);
+                            // attributes, that were already encrypted, must stay in list, else adapter gets them encrypted
+                            if (iopack.encryptedNative) {
+                                newObject.encryptedNative = (newObject.encryptedNative || []).concat(iopack.encryptedNative)
+                                    .filter((attr, i, list) => list.indexOf(attr) === i);
+                            }
 
                             newObject.common.installedVersion = iopack.common.version;
                             newObject.common.version          = iopack.common.version;
@@ -612,6 +617,11 @@ function Upload(options) {
                 } else {
                     obj.common = iopack.common || {};
                     obj.native = iopack.native || {};
+                    if (iopack.encryptedNative) {
+                        obj.encryptedNative = iopack.encryptedNative;
+                    } else {
+                        delete obj.encryptedNative;
+                    }
 
                     obj.common.installedVersion = iopack.common.version;
 
@@ -11,29 +11,44 @@ function Users(options) {
     if (!options.processExit) throw 'Invalid arguments: processExit is missing';
 
     const objects     = options.objects;
+    const states      = options.states; // optional, for failed logins in checkPolicy and delUser
     const processExit = options.processExit;
 
+    // check password against common.passwordPolicy of system.config
+    function checkPasswordPolicy(pw, callback) {
+        objects.getObject('system.config', (err, obj) => {
+            const password = require(__dirname + '/../password');
+            password(pw).complexity(obj && obj.common && obj.common.passwordPolicy, callback);
+        });
+    }
+
     this.addUser = function (user, pw, callback) {
         const _user = user.replace(/\s/g, '_');
         objects.getObject('system.user.' + _user, (err, obj) => {
             if (obj) {
                 if (callback) callback('User yet exists');
             } else {
-                objects.setObject('system.user.' + _user, {
-                    type: 'user',
-                    common: {
-                        name: user,
-                        enabled: true
-                    },
-                    from: 'system.host.' + tools.getHostName() + '.cli',
-                    ts: Date.now(),
-                    native: {}
-                }, err => {
-                    if (!err) {
-                        that.setPassword(user, pw, callback);
-                    } else {
+                checkPasswordPolicy(pw, err => {
+                    if (err) {
                         if (typeof callback === 'function') callback(err);
+                        return;
                     }
+                    objects.setObject('system.user.' + _user, {
+                        type: 'user',
+                        common: {
+                            name: user,
+                            enabled: true
+                        },
+                        from: 'system.host.' + tools.getHostName() + '.cli',
+                        ts: Date.now(),
+                        native: {}
+                    }, err => {
+                        if (!err) {
+                            that.setPassword(user, pw, callback);
+                        } else {
+                            if (typeof callback === 'function') callback(err);
+                        }
+                    });
                 });
             }
         });
@@ -54,20 +69,30 @@ function Users(options) {
             }
             const password = require(__dirname + '/../password');
 
-            password(pw).hash(null, null, (err, res) => {
+            checkPasswordPolicy(pw, err => {
                 if (err) {
                     if (typeof callback === 'function') callback(err);
                     return;
                 }
-                obj.common.password = res;
-                obj.from = 'system.host.' + tools.getHostName() + '.cli';
-                obj.ts = Date.now();
-                objects.setObject('system.user.' + _user, obj, err => (typeof callback === 'function') && callback(err));
+                password(pw).hash(null, null, (err, res) => {
+                    if (err) {
+                        if (typeof callback === 'function') callback(err);
+                        return;
+                    }
+                    obj.common.password = res;
+                    obj.from = 'system.host.' + tools.getHostName() + '.cli';
+                    obj.ts = Date.now();
+                    objects.setObject('system.user.' + _user, obj, err => (typeof callback === 'function') && callback(err));
+                });
             });
         });
     };
     
-    this.checkPassword = function (user, pw, callback) {
+    this.checkPassword = function (user, pw, otp, callback) {
+        if (typeof otp === 'function') {
+            callback = otp;
+            otp = undefined;
+        }
         objects.getObject('system.user.' + user, (err, obj) => {
             if (err || !obj) {
                 if (typeof callback === 'function') callback('User does not exist');
@@ -76,6 +101,21 @@ function Users(options) {
             const password = require(__dirname + '/../password');
 
             password(pw).check(obj.common.password, (err, res) => {
+                if (!err && res && obj.common.totp && obj.common.totp.secret) {
+                    if (otp === undefined || otp === null || otp === '') {
+                        err = 'two-factor authentication is enabled, one-time password is required (--otp)';
+                        res = false;
+                    } else {
+                        const totp = require(__dirname + '/../totp');
+                        return objects.getObject('system.config', (_err, config) => {
+                            const secret = totp.decryptSecret(config && config.native && config.native.secret, obj.common.totp.secret);
+                            if (secret === null) {
+                                err = 'cannot decrypt secret of two-factor authentication. Was secret of system.config changed?';
+                            }
+                            if (typeof callback === 'function') callback(err, totp.verify(secret, otp) !== null);
+                        });
+                    }
+                }
                 if (typeof callback === 'function') callback(err, res);
             });
         });
@@ -99,6 +139,9 @@ function Users(options) {
                     objects.delObject('system.user.' + _user, err => {
                         // Remove this user from all groups
                         if (!err) {
+                            // failed logins of checkPassword
+                            objects.delObject('system.user.' + _user + '.failedLogins', () =>
+                                states && states.delState('system.user.' + _user + '.failedLogins'));
                             objects.getObjectList({startkey: 'system.group.', endkey: 'system.group.\u9999'}, (err, groups) => {
                                 let count = 0;
                                 for (let i = 0; i < groups.rows.length; i++) {
@@ -327,7 +370,11 @@ function Users(options) {
         });
     };
 
-    this.checkUserPassword = function (user, password, callback) {
+    this.checkUserPassword = function (user, password, otp, callback) {
+        if (typeof otp === 'function') {
+            callback = otp;
+            otp = undefined;
+        }
         let prompt;
         let schema;
         if (!user && !password) {
@@ -353,7 +400,7 @@ function Users(options) {
             prompt.start();
 
             prompt.get(schema, function (err, result) {
-                that.checkPassword(result.username, result.password, (err, res) => {
+                that.checkPassword(result.username, result.password, otp, (err, res) => {
                     if (err || !res) {
                         if (callback) callback('Password for user "' + result.username + '" does not matched' + (err ? ': ' + err : ''));
                     } else {
@@ -378,7 +425,7 @@ function Users(options) {
             prompt.start();
 
             prompt.get(schema, function (err, result) {
-                that.checkPassword(user, result.password, (err, res) => {
+                that.checkPassword(user, result.password, otp, (err, res) => {
                     if (err || !res) {
                         if (callback) callback('Password for user "' + user + '" does not matched' + (err ? ': ' + err : ''));
                     } else {
@@ -387,7 +434,7 @@ function Users(options) {
                 });
             });
         } else{
-            this.checkPassword(user, password, (err, res) => {
+            this.checkPassword(user, password, otp, (err, res) => {
                 if (err || !res) {
                     if (callback) callback('Password for user "' + user + '" does not matched' + (err ? ': ' + err : ''));
                 } else {
@@ -397,6 +444,135 @@ function Users(options) {
         }
     };
     
+    /**
+     * Report password policy status of all users
+     *
+     * @param {function} callback function (err, {policy, users: [{id, enabled, defaultPassword, twoFactor, failedLogins, lockedUntil, lastFailedLogin}]})
+     */
+    this.checkPolicy = function (callback) {
+        const password = require(__dirname + '/../password');
+
+        objects.getObject('system.config', (err, config) => {
+            const policy = (config && config.common && config.common.passwordPolicy) || {};
+
+            objects.getObjectList({startkey: 'system.user.', endkey: 'system.user.\u9999'}, (err, res) => {
+                const users = ((res && res.rows) || []).map(row => row.value).filter(obj => obj && obj.type === 'user');
+                const result = [];
+
+                let i = 0;
+                const next = () => {
+                    if (i >= users.length) return callback(null, {policy: policy, users: result});
+                    const obj = users[i++];
+                    const status = {
+                        id:              obj._id,
+                        enabled:         obj.common.enabled || obj._id === 'system.user.admin',
+                        defaultPassword: false,
+                        twoFactor:       !!(obj.common.totp && obj.common.totp.secret),
+                        failedLogins:    0,
+                        lockedUntil:     0,
+                        lastFailedLogin: 0
+                    };
+                    result.push(status);
+
+                    password(password.DEFAULT_PASSWORD).check(obj.common.password, (err, isDefault) => {
+                        status.defaultPassword = !!isDefault;
+                        if (!states) return setImmediate(next);
+
+                        states.getState(obj._id + '.failedLogins', (err, state) => {
+                            try {
+                                const failures = state && state.val ? JSON.parse(state.val) : {};
+                                const attempts = failures.attempts || [];
+                                status.failedLogins    = failures.count || 0;
+                                status.lockedUntil     = failures.lockedUntil > Date.now() ? failures.lockedUntil : 0;
+                                status.lastFailedLogin = attempts.length ? attempts[attempts.length - 1].ts : 0;
+                            } catch (e) {
+                                console.warn('Cannot parse ' + obj._id + '.failedLogins: ' + e);
+                            }
+                            setImmediate(next);
+                        });
+                    });
+                };
+                next();
+            });
+        });
+    };
+
+    // read user object and give it to modify, then store it
+    function changeUser(user, modify, callback) {
+        if (user && user.match(/^system\.user\./)) user = user.substring('system.user.'.length);
+
+        objects.getObject('system.user.' + user, (err, obj) => {
+            if (err || !obj) {
+                if (typeof callback === 'function') callback('User does not exist');
+                return;
+            }
+            const error = modify(obj);
+            if (error) {
+                if (typeof callback === 'function') callback(error);
+                return;
+            }
+            obj.from = 'system.host.' + tools.getHostName() + '.cli';
+            obj.ts = Date.now();
+            objects.setObject(obj._id, obj, err => (typeof callback === 'function') && callback(err));
+        });
+    }
+
+    this.addToken = function (user, name, expires, callback) {
+        const Tokens = require(__dirname + '/../tokens');
+        let created;
+
+        changeUser(user, obj => {
+            created = Tokens.generate(obj._id.replace(/^system\.user\./, ''), name, expires);
+            obj.common.tokens = obj.common.tokens || {};
+            obj.common.tokens[created.id] = created.entry;
+        }, err => callback(err, err ? null : created.token));
+    };
+
+    this.revokeToken = function (user, id, callback) {
+        changeUser(user, obj => {
+            if (!obj.common.tokens || !obj.common.tokens[id]) return 'Token "' + id + '" not found';
+            delete obj.common.tokens[id];
+        }, callback);
+    };
+
+    // Two-factor authentication: secret of authenticator app is stored encrypted with secret of system.config in common.totp of user.
+    // callback(err, uri) - uri "otpauth://..." must be scanned or entered in authenticator app
+    this.enable2fa = function (user, callback) {
+        const totp   = require(__dirname + '/../totp');
+        const secret = totp.generateSecret();
+        let name;
+
+        objects.getObject('system.config', (err, config) => {
+            if (err || !config || !config.native || !config.native.secret) {
+                return callback('Cannot read secret of system.config. Call "' + tools.appName + ' setup" first.');
+            }
+            changeUser(user, obj => {
+                if (obj.common.totp && obj.common.totp.secret) return 'Two-factor authentication is already enabled for user "' + user + '". Disable it first to create a new secret.';
+                name = obj.common.name || user;
+                obj.common.totp = {secret: totp.encryptSecret(config.native.secret, secret), created: Date.now()};
+            }, err => callback(err, err ? null : totp.getUri(secret, name, tools.appName)));
+        });
+    };
+
+    this.disable2fa = function (user, callback) {
+        changeUser(user, obj => {
+            if (!obj.common.totp) return 'Two-factor authentication is not enabled for user "' + user + '"';
+            delete obj.common.totp;
+        }, callback);
+    };
+
+    this.listTokens = function (user, callback) {
+        if (user && user.match(/^system\.user\./)) user = user.substring('system.user.'.length);
+
+        objects.getObject('system.user.' + user, (err, obj) => {
+            if (err || !obj) {
+                if (callback) callback('User does not exist');
+            } else {
+                if (callback) callback(null, require(__dirname + '/../tokens').list(obj));
+            }
+        });
+    };
+
     this.getUser = function (user, callback) {
         objects.getObject('system.user.' + user, (err, obj) => {
             if (err) {
@@ -508,4 +684,4 @@ function Users(options) {
     };
 }
 
-module.exports = Users;
\ No newline at end of file
+module.exports = Users;
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ *      SQLite storage for objects and states DB
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module sqliteStorage */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const fs      = require('fs');
+const Journal = require(__dirname + '/journal');
+
+// Storage replaces objects.json/states.json of in memory DB. All values are still cached in memory,
+// but every change is written in transaction into SQLite file and the type index is used for views.
+//
+// options = {
+//    logger:      as in DB settings,
+//    synchronous: 'NORMAL' // SQLite synchronous mode: 'OFF', 'NORMAL' or 'FULL'
+// };
+
+/**
+ * SqliteStorage class
+ *
+ * @class
+ * @param {string} dataDir directory with data files, ends with "/"
+ * @param {string} name    "objects" or "states"
+ * @param {object} options see above
+ * @return {object} object instance
+ */
+function SqliteStorage(dataDir, name, options) {
+    if (!(this instanceof SqliteStorage)) return new SqliteStorage(dataDir, name, options);
+    options = options || {};
+
+    const log      = options.logger || {info: console.log, warn: console.log, error: console.log};
+    const fileName = dataDir + name + '.sqlite';
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        throw 'Cannot load "better-sqlite3". Please install it with "npm install better-sqlite3": ' + e;
+    }
+
+    const db = new Database(fileName);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = ' + (options.synchronous || 'NORMAL'));
+    db.exec('CREATE TABLE IF NOT EXISTS data (id TEXT PRIMARY KEY, type TEXT, val TEXT, bin BLOB)');
+    db.exec('CREATE INDEX IF NOT EXISTS data_type ON data (type, id)');
+
+    const statements = {
+        set:    db.prepare('INSERT OR REPLACE INTO data (id, type, val, bin) VALUES (?, ?, ?, ?)'),
+        del:    db.prepare('DELETE FROM data WHERE id = ?'),
+        all:    db.prepare('SELECT id, val, bin FROM data'),
+        count:  db.prepare('SELECT COUNT(*) AS count FROM data'),
+        clear:  db.prepare('DELETE FROM data')
+    };
+    // prepared statements for getIds
+    const queries = {};
+
+    function getType(value) {
+        return value && typeof value === 'object' && typeof value.type === 'string' ? value.type : null;
+    }
+
+    /**
+     * Read all entries from DB
+     *
+     * @return {object} map id => value
+     */
+    this.load = function () {
+        const result = {};
+        const rows = statements.all.all();
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i].bin) {
+                result[rows[i].id] = rows[i].bin;
+            } else {
+                try {
+                    result[rows[i].id] = JSON.parse(rows[i].val);
+                } catch (e) {
+                    log.error('Cannot parse value of "' + rows[i].id + '" in ' + fileName + ': ' + e);
+                }
+            }
+        }
+        return result;
+    };
+
+    /**
+     * Write value. Buffers are stored as BLOB.
+     *
+     * @param {string} id    ID of object or state
+     * @param {any}    value object, state or buffer
+     */
+    this.set = function (id, value) {
+        if (Buffer.isBuffer(value)) {
+            statements.set.run(id, null, null, value);
+        } else {
+            statements.set.run(id, getType(value), JSON.stringify(value), null);
+        }
+    };
+
+    /**
+     * Delete value
+     *
+     * @param {string} id ID of object or state
+     */
+    this.del = function (id) {
+        statements.del.run(id);
+    };
+
+    /**
+     * Execute all changes in one transaction
+     *
+     * @param {function} fn function, that makes changes
+     */
+    this.transaction = function (fn) {
+        db.transaction(fn)();
+    };
+
+    /**
+     * Get sorted IDs from index
+     *
+     * @param {object} params {type: 'state', startkey: 'hm-rpc.0.', endkey: 'hm-rpc.0.香'}, all are optional
+     * @return {string[]} sorted list of IDs
+     */
+    this.getIds = function (params) {
+        params = params || {};
+        const where = [];
+        const args  = [];
+        if (params.type) {
+            where.push('type = ?');
+            args.push(params.type);
+        }
+        if (params.startkey) {
+            where.push('id >= ?');
+            args.push(params.startkey);
+        }
+        if (params.endkey) {
+            where.push('id <= ?');
+            args.push(params.endkey);
+        }
+        const sql = 'SELECT id FROM data' + (where.length ? ' WHERE ' + where.join(' AND ') : '') + ' ORDER BY id';
+        queries[sql] = queries[sql] || db.prepare(sql);
+        return queries[sql].all.apply(queries[sql], args).map(row => row.id);
+    };
+
+    /**
+     * Delete all values
+     */
+    this.clear = function () {
+        statements.clear.run();
+    };
+
+    /**
+     * Close DB
+     */
+    this.close = function () {
+        if (db.open) db.close();
+    };
+
+    // Migration: take values from <name>.json and its journal if DB is new
+    (function __construct(that) {
+        if (statements.count.get().count || !fs.existsSync(dataDir + name + '.json')) return;
+
+        let values;
+        try {
+            values = JSON.parse(fs.readFileSync(dataDir + name + '.json').toString());
+        } catch (e) {
+            log.error('Cannot import ' + dataDir + name + '.json: ' + e);
+            return;
+        }
+        new Journal(dataDir + name + '.json.journal', {logger: log}).replay((operation, id, data) => {
+            if (operation === 's') {
+                values[id] = data;
+            } else if (operation === 'b') {
+                values[id] = Buffer.from(data, 'base64');
+            } else if (operation === 'd') {
+                delete values[id];
+            }
+        });
+
+        that.transaction(() => {
+            for (const id in values) {
+                if (values.hasOwnProperty(id) && values[id] !== null && values[id] !== undefined) {
+                    that.set(id, values[id]);
+                }
+            }
+        });
+        log.info('Imported ' + Object.keys(values).length + ' ' + name + ' from ' + dataDir + name + '.json into ' + fileName);
+    })(this);
+}
+
+module.exports = SqliteStorage;
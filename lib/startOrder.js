@@ -0,0 +1,193 @@
+/**
+ *      Order of start and stop of instances by dependencies
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module startOrder */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+// Instance must be started after instances of:
+// - common.dependencies and common.globalDependencies: [{"admin": ">=1.0.0"}, "hm-rpc"] or {"admin": ">=1.0.0"}
+// - common.startAfter: ["hm-rpc.0", "system.adapter.mqtt.1", "admin"] - instances or all instances of adapter
+// Only instances in the given list (enabled instances of this host) are taken into account.
+
+// names from dependencies in all supported formats
+function getNames(deps) {
+    if (!deps) return [];
+    if (typeof deps === 'string') return [deps];
+    if (Array.isArray(deps)) {
+        const names = [];
+        deps.forEach(dep => names.push.apply(names, typeof dep === 'string' ? [dep] : Object.keys(dep || {})));
+        return names;
+    }
+    return typeof deps === 'object' ? Object.keys(deps) : [];
+}
+
+/**
+ * Get instances, that must be started before instance
+ *
+ * @param {object} instance instance object
+ * @param {string[]} ids IDs of all instances, e.g. ['system.adapter.admin.0', 'system.adapter.hm-rpc.0']
+ * @return {string[]} IDs of instances from ids
+ */
+function getDependencies(instance, ids) {
+    const common = (instance && instance.common) || {};
+    const result = [];
+    const add = id => {
+        if (id !== instance._id && result.indexOf(id) === -1) result.push(id);
+    };
+
+    getNames(common.dependencies)
+        .concat(getNames(common.globalDependencies))
+        .concat(getNames(common.startAfter))
+        .forEach(name => {
+            if (!name || name === 'js-controller') return;
+            name = name.replace(/^system\.adapter\./, '');
+            if (/\.\d+$/.test(name)) {
+                if (ids.indexOf('system.adapter.' + name) !== -1) add('system.adapter.' + name);
+            } else {
+                const prefix = 'system.adapter.' + name + '.';
+                ids.filter(id => id.startsWith(prefix) && /^\d+$/.test(id.substring(prefix.length))).forEach(add);
+            }
+        });
+    return result;
+}
+
+/**
+ * Build dependency graph
+ *
+ * @param {object} instances {id: instance object}
+ * @return {object} {id: [IDs of instances, that must be started before]}
+ */
+function getGraph(instances) {
+    const ids   = Object.keys(instances);
+    const graph = {};
+    ids.forEach(id => graph[id] = getDependencies(instances[id], ids));
+    return graph;
+}
+
+// find one cycle in nodes, that could not be sorted
+function findCycle(graph, nodes) {
+    const path = [];
+    const visit = id => {
+        const pos = path.indexOf(id);
+        if (pos !== -1) return path.slice(pos).concat(id);
+        path.push(id);
+        const deps = (graph[id] || []).filter(dep => nodes.indexOf(dep) !== -1);
+        for (let i = 0; i < deps.length; i++) {
+            const cycle = visit(deps[i]);
+            if (cycle) return cycle;
+        }
+        path.pop();
+        return null;
+    };
+    for (let i = 0; i < nodes.length; i++) {
+        const cycle = visit(nodes[i]);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+/**
+ * Sort instances topologically. Order of ids is kept as far as possible.
+ * Instances in cycles are appended at the end in original order.
+ *
+ * @param {object} graph result of getGraph
+ * @param {string[]} ids instances to sort, dependencies to other instances are ignored
+ * @return {{order: string[], cycles: string[][]}} cycles like ['a', 'b', 'a']
+ */
+function sort(graph, ids) {
+    const order   = [];
+    let rest      = ids.slice();
+    const getDeps = id => (graph[id] || []).filter(dep => ids.indexOf(dep) !== -1 && dep !== id);
+
+    let found = true;
+    while (found && rest.length) {
+        found = false;
+        for (let i = 0; i < rest.length; i++) {
+            if (getDeps(rest[i]).every(dep => order.indexOf(dep) !== -1)) {
+                order.push(rest[i]);
+                rest.splice(i, 1);
+                found = true;
+                break;
+            }
+        }
+    }
+
+    const cycles = [];
+    let nodes = rest.slice();
+    while (nodes.length) {
+        const cycle = findCycle(graph, nodes);
+        if (!cycle) break;
+        cycles.push(cycle);
+        nodes = nodes.filter(id => cycle.indexOf(id) === -1);
+    }
+
+    return {order: order.concat(rest), cycles: cycles};
+}
+
+/**
+ * Group instances by depth in graph: level 0 has no dependencies, level 1 depends only on level 0 and so on.
+ * Instances of one level can be stopped together.
+ *
+ * @param {object} graph result of getGraph
+ * @param {string[]} ids instances
+ * @return {string[][]} levels
+ */
+function getLevels(graph, ids) {
+    const sorted = sort(graph, ids).order;
+    const depth  = {};
+    const levels = [];
+    sorted.forEach(id => {
+        // dependencies in cycles are not sorted before, so they are ignored
+        depth[id] = (graph[id] || [])
+            .filter(dep => depth[dep] !== undefined)
+            .reduce((max, dep) => Math.max(max, depth[dep] + 1), 0);
+        levels[depth[id]] = levels[depth[id]] || [];
+        levels[depth[id]].push(id);
+    });
+    return levels;
+}
+
+/**
+ * Find next instance to start: the first one in queue, whose dependencies are started and alive.
+ * If dependencies are started, but not alive since timeout, instance is started anyway.
+ *
+ * @param {string[]} queue sorted IDs of instances, that are not started yet
+ * @param {object} deps {id: [IDs of instances, that must be alive before]}
+ * @param {object} alive {id: boolean} alive state of started dependencies
+ * @param {object} since {id: ms} time since all dependencies of instance are started, will be updated
+ * @param {number} now current time in ms
+ * @param {number} timeout max time in ms to wait for dependencies
+ * @return {{id: string|null, missing: string[]}} id is null, if all instances must wait. missing are dependencies, that are still not alive
+ */
+function getNext(queue, deps, alive, since, now, timeout) {
+    for (let i = 0; i < queue.length; i++) {
+        const id = queue[i];
+        const list = deps[id] || [];
+        // dependency is not started yet
+        if (list.find(dep => queue.indexOf(dep) !== -1)) continue;
+
+        const missing = list.filter(dep => !alive[dep]);
+        if (!missing.length) return {id: id, missing: missing};
+        since[id] = since[id] || now;
+        if (now - since[id] >= timeout) return {id: id, missing: missing};
+    }
+    return {id: null, missing: []};
+}
+
+module.exports = {
+    getDependencies: getDependencies,
+    getGraph:        getGraph,
+    sort:            sort,
+    getLevels:       getLevels,
+    getNext:         getNext
+};
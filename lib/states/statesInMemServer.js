@@ -17,6 +17,7 @@
 const socketio          = require('socket.io');
 const fs                = require('fs');
 const tools             = require(__dirname + '/../tools');
+const Journal           = require(__dirname + '/../journal');
 const getDefaultDataDir = tools.getDefaultDataDir;
 
 // settings = {
@@ -30,8 +31,13 @@ const getDefaultDataDir = tools.getDefaultDataDir;
 //           error: function (msg) {}
 //    },
 //    connection: {
-//           dataDir: 'relative path'
+//           dataDir: 'relative path',
+//           journal: {
+//               disabled:     false, // deactivates the write-ahead journal
+//               syncInterval: 1000   // flush journal to disk every x ms, 0 - after every write
+//           }
 //    },
+//    storage: null, // optional storage class (e.g. SqliteStorage), that replaces states.json and journal
 //    auth: null, //unused
 //    secure: true/false,
 //    certificates: as required by createServer
@@ -53,9 +59,11 @@ function StatesInMemory(settings) {
     let globalMessageId = Math.round(Math.random() * 100000000);
     let globalLogId     = Math.round(Math.random() * 100000000);
 
-    let expires         = [];
+    let expires         = {};   // id => time in ms, when the state expires
+    let expireTimer     = null;
+    let nextExpire      = null; // time of expireTimer
     let adapterSubs     = [];
-    let lastExpire      = null;
+    let lastExpire      = null; // sessions are checked every 5 seconds
     let expiresInterval = null;
     let namespace       = settings.namespace || '';
     let lastSave        = null;
@@ -83,6 +91,8 @@ function StatesInMemory(settings) {
 
     let statesName  = dataDir + 'states.json';
     let stateTimer  = null;
+    let journal     = null;
+    let storage     = null;
     let that        = this;
 
     const backupDir  = settings.backup.path || (dataDir + 'backup-objects/');
@@ -139,7 +149,11 @@ function StatesInMemory(settings) {
         settings.connection.maxQueue = settings.connection.maxQueue || 1000;
 
         // load values from file
-        if (fs.existsSync(statesName)) {
+        if (settings.storage) {
+            // e.g. SQLite instead of states.json
+            storage = new settings.storage(dataDir, 'states', {logger: log});
+            states = storage.load();
+        } else if (fs.existsSync(statesName)) {
             try {
                 states = JSON.parse(fs.readFileSync(statesName).toString());
             } catch (e) {
@@ -166,9 +180,6 @@ function StatesInMemory(settings) {
             states = {};
         }
 
-        // Reset expires, that are still in DB
-        expireAll();
-
         // Check if directory exists
         statesName = statesName.replace(/\\/g, '/');
         /** @type {string|string[]} */
@@ -177,6 +188,24 @@ function StatesInMemory(settings) {
         parts = parts.join('/');
         if (!fs.existsSync(parts)) fs.mkdirSync(parts);
 
+        // apply all changes since last snapshot
+        settings.connection.journal = settings.connection.journal || {};
+        if (!storage && !settings.connection.journal.disabled) {
+            journal = new Journal(statesName + '.journal', {
+                syncInterval: settings.connection.journal.syncInterval,
+                logger:       log
+            });
+            const count = journal.replay(applyJournalEntry);
+            if (count) {
+                log.info(namespace + ' Restored ' + count + ' changes from ' + statesName + '.journal');
+                // store restored values in snapshot
+                if (!stateTimer) stateTimer = setTimeout(saveState, 30000);
+            }
+        }
+
+        // Reset expires, that are still in DB
+        expireAll();
+
         _initWebServer(settings.connection, server);
 
         if (settings.connected) {
@@ -186,28 +215,100 @@ function StatesInMemory(settings) {
         }
     })();
 
-    function expireAll() {
-        for (let i = expires.length - 1; i >= 0; i--) {
-            let e = expires[i];
-            if (states[e]) {
-                states[e].ts  = Date.now();
-                states[e].lc = (states[e].val) ? states[e].ts : states[e].lc;
-                states[e].val = null;
-                delete states[e].expire;
-                that.publishAll('state', e, states[e]);
+    function applyJournalEntry(operation, id, data) {
+        if (operation === 's') {
+            states[id] = data;
+        } else if (operation === 'b') {
+            states[id] = Buffer.from(data, 'base64');
+        } else if (operation === 'd') {
+            delete states[id];
+        } else {
+            log.warn(namespace + ' Unknown operation "' + operation + '" in journal for ' + id);
+        }
+    }
+
+    function stateChanged(id) {
+        // storage (e.g. SQLite) writes every change immediately
+        if (storage) {
+            try {
+                if (states[id] !== undefined) {
+                    storage.set(id, states[id]);
+                } else {
+                    storage.del(id);
+                }
+            } catch (e) {
+                log.error(namespace + ' Cannot store state ' + id + ': ' + e);
+            }
+            if (!stateTimer && isBackupTime(Date.now())) stateTimer = setTimeout(saveState, 30000);
+            return;
+        }
+
+        if (journal) {
+            if (states[id] === undefined) {
+                journal.append('d', id);
+            } else if (Buffer.isBuffer(states[id])) {
+                journal.append('b', id, states[id].toString('base64'));
+            } else {
+                journal.append('s', id, states[id]);
             }
         }
-        // Set as expire all states that could expire
+        if (!stateTimer) stateTimer = setTimeout(saveState, 30000);
+    }
+
+    // Set value to null and publish the state with the last state in "expired"
+    function expireState(id) {
+        delete expires[id];
+        const state = states[id];
+        if (!state || state.expire === undefined) return;
+
+        const lastState = Object.assign({}, state);
+        delete lastState.expire;
+        delete lastState.expired;
+
+        state.ts      = Date.now();
+        state.lc      = (state.val !== null && state.val !== undefined) ? state.ts : state.lc;
+        state.val     = null;
+        state.expired = lastState;
+        delete state.expire;
+        stateChanged(id);
+        // by start of DB nobody is subscribed yet
+        if (server.io) that.publishAll('state', id, state);
+    }
+
+    function scheduleExpire(time) {
+        if (expireTimer) clearTimeout(expireTimer);
+        nextExpire  = time;
+        expireTimer = setTimeout(expireStates, Math.max(time - Date.now(), 0));
+    }
+
+    function expireStates() {
+        expireTimer = null;
+        nextExpire  = null;
+        const now = Date.now();
+        let next = null;
+        for (const id in expires) {
+            if (!expires.hasOwnProperty(id)) continue;
+            if (expires[id] <= now) {
+                expireState(id);
+            } else if (next === null || expires[id] < next) {
+                next = expires[id];
+            }
+        }
+        if (next !== null) scheduleExpire(next);
+    }
+
+    function expireAll() {
+        if (expireTimer) {
+            clearTimeout(expireTimer);
+            expireTimer = null;
+            nextExpire  = null;
+        }
+        // Set as expired all states that could expire, also from the last run
         for (let t in states) {
             if (!states.hasOwnProperty(t) || !states[t]) continue;
-            if (states[t].expire !== undefined) {
-                states[t].ts  = Date.now();
-                states[t].lc = (states[t].val) ? states[t].ts : states[t].lc;
-                states[t].val = null;
-                delete states[t].expire;
-            }
+            if (states[t].expire !== undefined) expireState(t);
         }
-        expires = [];
+        expires = {};
     }
 
     function expiresCheck() {
@@ -215,27 +316,6 @@ function StatesInMemory(settings) {
         if (lastExpire !== null) {
             let diff = now - lastExpire;
             let count = 0;
-            for (let i = expires.length - 1; i >= 0; i--) {
-                let e = expires[i];
-                if (states[e] && states[e].expire !== undefined) {
-                    states[e].expire -= diff;
-
-                    // if expired
-                    if (states[e].expire < 0) {
-                        // Set value to null
-                        states[e].ts  = Date.now();
-                        states[e].lc  = (states[e].val) ? states[e].ts : states[e].lc;
-                        states[e].val = null;
-                        expires.splice(i, 1);
-                        delete states[e].expire;
-                        that.publishAll('state', e, states[e]);
-                    } else {
-                        count++;
-                    }
-                } else {
-                    expires.splice(i, 1);
-                }
-            }
 
             for (let t in session) {
                 session[t]._expire -= diff;
@@ -345,21 +425,31 @@ function StatesInMemory(settings) {
         return text;
     }
 
+    // makes backups only if settings.backup.period is not 0
+    function isBackupTime(now) {
+        return !settings.backup.disabled && settings.backup.period && (!lastSave || now - lastSave > settings.backup.period);
+    }
+
     function saveState() {
-        if (fs.existsSync(statesName)) {
+        // storage has every change already, so only the backup is written
+        if (!storage && fs.existsSync(statesName)) {
             let old = fs.readFileSync(statesName);
             fs.writeFileSync(statesName + '.bak', old);
         }
         const actual = JSON.stringify(states);
         try {
-            fs.writeFileSync(statesName, actual);
+            if (!storage) {
+                fs.writeFileSync(statesName, actual);
+
+                // all changes are now in snapshot
+                if (journal) journal.truncate();
+            }
 
             if (!settings.backup.disabled) {
                 // save files for the last x hours
                 const now = Date.now();
 
-                // makes backups only if settings.backupInterval is not 0
-                if (settings.backup.period && (!lastSave || now - lastSave > settings.backup.period)) {
+                if (isBackupTime(now)) {
                     lastSave = now;
                     let backFileName = backupDir + getTimeStr(now) + '_states.json.gz';
 
@@ -536,6 +626,8 @@ function StatesInMemory(settings) {
     this.destroy = function () {
         expireAll();
         if (stateTimer) saveState();
+        if (journal) journal.close();
+        if (storage) storage.close();
 
         if (server.io) {
             if (server.io.sockets && server.io.sockets.connected) {
@@ -680,26 +772,21 @@ function StatesInMemory(settings) {
 
         // set object in redis
         if (state.expire) {
-            state.expire *= 1000; // make ms from seconds
-
-            if (expires.indexOf(id) === -1) expires.push(id);
-
-            if (!expiresInterval) {
-                lastExpire = Date.now();
-                expiresInterval = setInterval(expiresCheck, 5000);
-            } else {
-                if (lastExpire) state.expire -= (Date.now() - lastExpire);
-            }
+            state.expire = Math.round(state.expire * 1000); // make ms from seconds, fractions of second are allowed
+            expires[id] = Date.now() + state.expire;
+            if (nextExpire === null || expires[id] < nextExpire) scheduleExpire(expires[id]);
             obj.expire = state.expire;
+        } else {
+            delete expires[id];
         }
         states[id] = obj;
+        stateChanged(id);
         if (typeof callback === 'function') callback(null, id);
-
-        if (!stateTimer) stateTimer = setTimeout(saveState, 30000);
      };
 
     this.setRawState = function (id, state, callback) {
         states[id] = state;
+        stateChanged(id);
        if (typeof callback === 'function')  {
            setImmediate(callback, null, id);
        }
@@ -708,6 +795,7 @@ function StatesInMemory(settings) {
     this.delState = function (id, callback) {
         if (states[id]) {
             delete states[id];
+            stateChanged(id);
             this.publishAll('state', id, null);
         }
         if (typeof callback === 'function') {
@@ -942,10 +1030,8 @@ function StatesInMemory(settings) {
 
     this.setBinaryState = function (id, data, callback) {
         states[id] = data;
+        stateChanged(id);
         if (typeof callback === 'function') callback(null, id);
-        if (!stateTimer) {
-            stateTimer = setTimeout(saveState, 30000);
-        }
     };
 
     this.getBinaryState = function (id, callback) {
@@ -959,6 +1045,7 @@ function StatesInMemory(settings) {
     this.delBinaryState = function (id, callback) {
         if (states[id]) {
             delete states[id];
+            stateChanged(id);
         }
         if (typeof callback === 'function') callback(null, id);
     };
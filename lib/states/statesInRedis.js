@@ -16,12 +16,17 @@
 
 const redis = require('redis');
 
+// Read and delete the last state of expired key. Only one client gets the state, so the event is published once.
+const EXPIRED_SCRIPT = "local value = redis.call('get', KEYS[1]) if value then redis.call('del', KEYS[1]) end return value";
+
 function StateRedis(settings) {
 
     const redisNamespace   = (settings.redisNamespace   || 'io') + '.';
     const namespaceMsg     = (settings.namespaceMsg     || 'messagebox') + '.';
     const namespaceLog     = (settings.namespaceLog     || 'log') + '.';
     const namespaceSession = (settings.namespaceSession || 'session') + '.';
+    // copy of states with expire, to publish the last value after expiration
+    const namespaceExpire  = (settings.namespaceExpire  || 'expire') + '.';
     const onChange         = settings.change; // on change handler
     let globalMessageId    = Math.round(Math.random() * 100000000);
     let globalLogId        = Math.round(Math.random() * 100000000);
@@ -194,12 +199,27 @@ function StateRedis(settings) {
 
             // set object in redis
             if (expire) {
-                //console.log('setex',redisNamespace + id, expire, JSON.stringify(obj));
-                client.setex(redisNamespace + id, expire, JSON.stringify(obj), function () {
-                    if (typeof callback === 'function') {
-                        callback();
-                    }
-                });
+                // fractions of second are allowed
+                obj.expire = Math.round(expire * 1000);
+                const jsonObj = JSON.stringify(obj);
+                client.multi()
+                    .psetex(redisNamespace + id, obj.expire, jsonObj)
+                    .set(namespaceExpire + id, jsonObj)
+                    .exec(function () {
+                        if (typeof callback === 'function') {
+                            callback();
+                        }
+                    });
+            } else if (oldObj.expire) {
+                // expiration is cancelled
+                client.multi()
+                    .set(redisNamespace + id, JSON.stringify(obj))
+                    .del(namespaceExpire + id)
+                    .exec(function () {
+                        if (typeof callback === 'function') {
+                            callback();
+                        }
+                    });
             } else {
                 //console.log('set',redisNamespace + id, JSON.stringify(obj));
                 client.set(redisNamespace + id, JSON.stringify(obj), function () {
@@ -286,7 +306,7 @@ function StateRedis(settings) {
     };
 
     this.delState = function (id, callback) {
-        client.del(redisNamespace + id, function (err) {
+        client.del(redisNamespace + id, namespaceExpire + id, function (err) {
             if (err) {
                 log.warn(settings.namespace + ' redis del ' + id + ', error - ' + err);
             } else {
@@ -585,6 +605,57 @@ function StateRedis(settings) {
             if (typeof callback === 'function')  callback();
         });
     };
+    // Redis deletes expired states itself and informs about it with keyspace notification.
+    // The last state is published with val null and the last state in "expired".
+    function onExpired(key) {
+        if (!client || key.substring(0, redisNamespace.length) !== redisNamespace) return;
+        const id = key.substring(redisNamespace.length);
+
+        client.eval(EXPIRED_SCRIPT, 1, namespaceExpire + id, (err, lastState) => {
+            if (err) {
+                log.warn(settings.namespace + ' Cannot read expired state ' + id + ': ' + err);
+                return;
+            }
+            if (!lastState) return; // other client was faster
+
+            try {
+                lastState = JSON.parse(lastState);
+            } catch (e) {
+                log.warn(settings.namespace + ' Cannot parse expired state ' + id + ': ' + lastState);
+                return;
+            }
+            delete lastState.expire;
+            const ts = Date.now();
+            client.publish(key, JSON.stringify({
+                val:     null,
+                ack:     lastState.ack,
+                ts:      ts,
+                lc:      lastState.val !== null ? ts : lastState.lc,
+                q:       lastState.q,
+                from:    lastState.from,
+                expired: lastState
+            }));
+        });
+    }
+
+    function enableExpiredEvents() {
+        client.config('GET', 'notify-keyspace-events', (err, res) => {
+            if (err) {
+                log.warn(settings.namespace + ' Cannot read notify-keyspace-events, expired states will not be published: ' + err);
+                return;
+            }
+            const flags = (res && res[1]) || '';
+            let newFlags = flags;
+            if (newFlags.indexOf('E') === -1) newFlags += 'E';
+            if (newFlags.indexOf('x') === -1 && newFlags.indexOf('A') === -1) newFlags += 'x';
+            if (newFlags !== flags) {
+                client.config('SET', 'notify-keyspace-events', newFlags, err => {
+                    if (err) log.warn(settings.namespace + ' Cannot set notify-keyspace-events, expired states will not be published: ' + err);
+                });
+            }
+        });
+    }
+
     (function __construct() {
         if (settings.connection.port === 0) {
             // initiate a unix socket connection using the parameter 'host'
@@ -611,6 +682,13 @@ function StateRedis(settings) {
             });
         }
 
+        const db = (settings.connection.options && settings.connection.options.db) || 0;
+        const expiredChannel = '__keyevent@' + db + '__:expired';
+        sub.subscribe(expiredChannel);
+        sub.on('message', (channel, key) => {
+            if (channel === expiredChannel) onExpired(key);
+        });
+
         client.on('error', error => {
             if (typeof settings.disconnected === 'function') {
                 settings.disconnected(error);
@@ -633,6 +711,7 @@ function StateRedis(settings) {
         });
 
         client.on('connect', error => {
+            enableExpiredEvents();
             if (typeof settings.connected === 'function') settings.connected();
         });
     })();
@@ -0,0 +1,26 @@
+/**
+ *      States DB in memory with SQLite storage - Server
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/* jshint -W097 */
+/* jshint strict: false */
+/* jslint node: true */
+'use strict';
+
+const StatesInMemServer = require(__dirname + '/statesInMemServer');
+const SqliteStorage     = require(__dirname + '/../sqliteStorage');
+
+// Same as statesInMemServer, but states are stored in <dataDir>/states.sqlite instead of states.json.
+// Clients connect with statesInMemClient.
+function StatesInSqlite(settings) {
+    settings = settings || {};
+    settings.storage = SqliteStorage;
+    return new StatesInMemServer(settings);
+}
+
+module.exports = StatesInSqlite;
@@ -0,0 +1,112 @@
+/**
+ *      API tokens of users
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module tokens */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const crypto = require('crypto');
+const tools  = require('./tools');
+
+// Tokens are stored hashed in common.tokens of system.user.X:
+//   "tokens": {"<id>": {"name": "backup script", "hash": "sha256$<hex>", "created": 1530000000000, "expires": 0}}
+// The token itself is "u<X as hex>.<id>.<secret>" and is shown only once, when it is created.
+// User is part of token, so that only one user object must be read to check it.
+// IDs start with "t", so that the command line does not convert them into numbers.
+// Secrets are random, so a simple sha256 is enough (unlike passwords no pbkdf2 is required).
+
+const ID_LENGTH     = 8;  // bytes
+const SECRET_LENGTH = 32; // bytes
+
+function hash(secret) {
+    return 'sha256$' + crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Split token into user, id and secret
+ *
+ * @param {string} token token like "u<user>.<id>.<secret>", optionally with "Bearer " prefix
+ * @return {{user: string, id: string, secret: string}|null} user is X of system.user.X, null if token is not formatted correctly
+ */
+function parse(token) {
+    if (!token || typeof token !== 'string') return null;
+    const m = token.replace(/^Bearer\s+/i, '').trim().match(/^u((?:[0-9a-f]{2})+)\.(t[0-9a-f]+)\.([0-9a-f]+)$/);
+    return m ? {user: Buffer.from(m[1], 'hex').toString('utf8'), id: m[2], secret: m[3]} : null;
+}
+
+/**
+ * Create new token
+ *
+ * @param {string} user X of system.user.X
+ * @param {string} name description of token, e.g. "backup script"
+ * @param {number} expires optional time of expiration in ms since epoch, 0 - never
+ * @return {{id: string, token: string, entry: object}} token must be given to the user, entry stored in common.tokens[id]
+ */
+function generate(user, name, expires) {
+    const id     = 't' + crypto.randomBytes(ID_LENGTH).toString('hex');
+    const secret = crypto.randomBytes(SECRET_LENGTH).toString('hex');
+    return {
+        id:    id,
+        token: 'u' + Buffer.from(user, 'utf8').toString('hex') + '.' + id + '.' + secret,
+        entry: {
+            name:    name || id,
+            hash:    hash(secret),
+            created: Date.now(),
+            expires: expires || 0
+        }
+    };
+}
+
+/**
+ * Check token against stored tokens of user
+ *
+ * @param {object} userObj object system.user.X of user in token
+ * @param {string} token token like "u<user>.<id>.<secret>"
+ * @return {object|null} {id, name} of token or null if token is invalid, revoked or expired
+ */
+function verify(userObj, token) {
+    const parsed = parse(token);
+    const tokens = userObj && userObj.common && userObj.common.tokens;
+    if (!parsed || !tokens || !tokens[parsed.id]) return null;
+
+    const entry = tokens[parsed.id];
+    if (entry.expires && entry.expires < Date.now()) return null;
+
+    if (!tools.timingSafeEqual(entry.hash || '', hash(parsed.secret))) return null;
+
+    return {id: parsed.id, name: entry.name};
+}
+
+/**
+ * List tokens of user without hashes
+ *
+ * @param {object} userObj object system.user.X
+ * @return {object[]} [{id, name, created, expires, expired}]
+ */
+function list(userObj) {
+    const tokens = (userObj && userObj.common && userObj.common.tokens) || {};
+    const now    = Date.now();
+    return Object.keys(tokens).map(id => ({
+        id:      id,
+        name:    tokens[id].name,
+        created: tokens[id].created,
+        expires: tokens[id].expires || 0,
+        expired: !!(tokens[id].expires && tokens[id].expires < now)
+    }));
+}
+
+module.exports = {
+    parse:    parse,
+    generate: generate,
+    verify:   verify,
+    list:     list
+};
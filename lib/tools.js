@@ -177,6 +177,19 @@ function decryptPhrase(password, data, callback) {
     }
 }
 
+// Compare strings or buffers in constant time, e.g. codes or tokens. crypto.timingSafeEqual exists only since node 6.6.
+// Only the length is not hidden.
+function timingSafeEqual(a, b) {
+    a = Buffer.isBuffer(a) ? a : Buffer.from((a || '').toString());
+    b = Buffer.isBuffer(b) ? b : Buffer.from((b || '').toString());
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+}
+
 function getAppName() {
     const parts = __dirname.replace(/\\/g, '/').split('/');
     return parts[parts.length - 2].split('.')[0];
@@ -1448,6 +1461,7 @@ module.exports = {
     promiseSequence,
     rmdirRecursiveSync,
     sendDiagInfo,
+    timingSafeEqual,
     upToDate,
     checkNonEditable,
     copyAttributes,
@@ -0,0 +1,178 @@
+/**
+ *      Time-based one-time passwords (RFC 6238) for two-factor authentication
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module totp */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const crypto = require('crypto');
+const tools  = require('./tools');
+
+// Secret is stored base32 encoded and encrypted with native.secret of system.config in common.totp.secret of system.user.X
+// and is enabled with "iobroker user 2fa enable <user>". Encrypted secret: "$/aes-256-cbc:<iv hex>:<data hex>".
+// Codes have 6 digits, are valid for 30 seconds and are accepted one period before and after (clock skew).
+
+const PERIOD   = 30;
+const DIGITS   = 6;
+const WINDOW   = 1;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PREFIX   = '$/aes-256-cbc:';
+
+function base32Encode(buffer) {
+    let bits   = 0;
+    let value  = 0;
+    let result = '';
+    for (let i = 0; i < buffer.length; i++) {
+        value = (value << 8) | buffer[i];
+        bits += 8;
+        while (bits >= 5) {
+            result += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) result += ALPHABET[(value << (5 - bits)) & 31];
+    return result;
+}
+
+function base32Decode(text) {
+    text = (text || '').toUpperCase().replace(/[\s=]/g, '');
+    let bits  = 0;
+    let value = 0;
+    const bytes = [];
+    for (let i = 0; i < text.length; i++) {
+        const pos = ALPHABET.indexOf(text[i]);
+        if (pos === -1) throw new Error('Invalid base32 character: ' + text[i]);
+        value = (value << 5) | pos;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function getKey(systemSecret) {
+    return crypto.createHash('sha256').update((systemSecret || '').toString()).digest();
+}
+
+// HOTP of RFC 4226
+function hotp(key, counter, digits) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+    const hmac   = crypto.createHmac('sha1', key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code   = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
+    return ('000000000' + code).slice(-digits);
+}
+
+/**
+ * Create new random secret
+ *
+ * @return {string} base32 encoded secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calculate code for given time
+ *
+ * @param {string} secret base32 encoded secret
+ * @param {number} time optional time in ms, default now
+ * @return {string} code with 6 digits
+ */
+function generate(secret, time) {
+    return hotp(base32Decode(secret), Math.floor((time || Date.now()) / 1000 / PERIOD), DIGITS);
+}
+
+/**
+ * Check code
+ *
+ * @param {string} secret base32 encoded secret
+ * @param {string} code code from authenticator app
+ * @param {number} time optional time in ms, default now
+ * @return {number|null} counter of matched period (to reject reuse of the same code) or null if code is invalid
+ */
+function verify(secret, code, time) {
+    code = (code === undefined || code === null ? '' : code).toString().replace(/\s/g, '');
+    if (!secret || !/^\d+$/.test(code) || code.length !== DIGITS) return null;
+
+    const key     = base32Decode(secret);
+    const counter = Math.floor((time || Date.now()) / 1000 / PERIOD);
+    for (let i = -WINDOW; i <= WINDOW; i++) {
+        const expected = hotp(key, counter + i, DIGITS);
+        if (tools.timingSafeEqual(expected, code)) return counter + i;
+    }
+    return null;
+}
+
+/**
+ * Create URI for authenticator apps (usually shown as QR code)
+ *
+ * @param {string} secret base32 encoded secret
+ * @param {string} account name of user, e.g. "admin"
+ * @param {string} issuer optional name of system, default "ioBroker"
+ * @return {string} otpauth://totp/... URI
+ */
+function getUri(secret, account, issuer) {
+    issuer = issuer || 'ioBroker';
+    return 'otpauth://totp/' + encodeURIComponent(issuer) + ':' + encodeURIComponent(account) +
+        '?secret=' + secret + '&issuer=' + encodeURIComponent(issuer) + '&algorithm=SHA1&digits=' + DIGITS + '&period=' + PERIOD;
+}
+
+/**
+ * Encrypt secret for common.totp.secret of user
+ *
+ * @param {string} systemSecret native.secret of system.config
+ * @param {string} secret base32 encoded secret
+ * @return {string} encrypted secret
+ */
+function encryptSecret(systemSecret, secret) {
+    const iv     = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', getKey(systemSecret), iv);
+    return PREFIX + iv.toString('hex') + ':' + Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]).toString('hex');
+}
+
+/**
+ * Decrypt common.totp.secret of user
+ *
+ * @param {string} systemSecret native.secret of system.config
+ * @param {string} stored common.totp.secret
+ * @return {string|null} base32 encoded secret or null if it is not encrypted or cannot be decrypted
+ */
+function decryptSecret(systemSecret, stored) {
+    if (typeof stored !== 'string' || stored.substring(0, PREFIX.length) !== PREFIX) return null;
+    const parts = stored.substring(PREFIX.length).split(':');
+    let secret;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-cbc', getKey(systemSecret), Buffer.from(parts[0], 'hex'));
+        secret = Buffer.concat([decipher.update(Buffer.from(parts[1] || '', 'hex')), decipher.final()]).toString('utf8');
+    } catch (e) {
+        return null;
+    }
+    // wrong key can give valid padding by chance, but not a valid base32 secret
+    return /^[A-Z2-7]+$/.test(secret) ? secret : null;
+}
+
+module.exports = {
+    base32Encode:   base32Encode,
+    base32Decode:   base32Decode,
+    generateSecret: generateSecret,
+    generate:       generate,
+    verify:         verify,
+    getUri:         getUri,
+    encryptSecret:  encryptSecret,
+    decryptSecret:  decryptSecret
+};
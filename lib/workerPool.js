@@ -0,0 +1,185 @@
+/**
+ *      Instances in worker threads of one shared runner process
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/** @module workerPool */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const cp           = require('child_process');
+const util         = require('util');
+const EventEmitter = require('events').EventEmitter;
+const PassThrough  = require('stream').PassThrough;
+
+/**
+ * Check if node.js supports worker threads
+ *
+ * @return {boolean}
+ */
+function isSupported() {
+    try {
+        return !!require('worker_threads').Worker;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Instance in worker thread. Has the same interface as ChildProcess, as far as the controller uses it:
+ * pid (of runner process), connected, exitCode, signalCode, stderr, kill(signal), send(message) and events 'message' and 'exit'.
+ *
+ * @param {string} id instance ID
+ * @param {number} key unique key of this start, messages of runner are routed by it
+ * @param {number} pid process ID of runner
+ * @param {function} send sends message to runner
+ */
+function WorkerProcess(id, key, pid, send) {
+    EventEmitter.call(this);
+
+    this.id         = id;
+    this.key        = key;
+    this.pid        = pid;
+    this.isWorker   = true;
+    this.connected  = true;
+    this.exitCode   = null;
+    this.signalCode = null;
+    this.stderr     = new PassThrough();
+
+    // SIGKILL terminates the thread at once, other signals ask the instance to stop itself
+    this.kill = function (signal) {
+        send({command: 'stop', key: key, signal: signal || 'SIGTERM'});
+        return true;
+    };
+
+    this.send = function (message) {
+        send({command: 'message', key: key, message: message});
+        return true;
+    };
+}
+util.inherits(WorkerProcess, EventEmitter);
+
+/**
+ * Starts instances as worker threads in one runner process (lib/workerRunner.js).
+ * Every instance has own Adapter object in own thread. If instance crashes, only its thread terminates.
+ * If runner process crashes, all its instances are reported as terminated.
+ *
+ * @param {object} options {logger}
+ */
+function WorkerPool(options) {
+    // allow use without new operator
+    if (!(this instanceof WorkerPool)) return new WorkerPool(options);
+
+    options = options || {};
+
+    const logger  = options.logger || console;
+    const workers = {}; // {key: WorkerProcess}, old thread of instance can still stop, while the new one is started
+    let runner    = null;
+    let nextKey   = 1;
+
+    function onExit(worker, code, signal) {
+        if (workers[worker.key] !== worker) return;
+        delete workers[worker.key];
+        worker.connected  = false;
+        worker.exitCode   = code;
+        worker.signalCode = signal;
+        worker.stderr.end();
+        worker.emit('exit', code, signal);
+    }
+
+    function onMessage(msg) {
+        const worker = msg && workers[msg.key];
+        if (!worker) return;
+
+        if (msg.command === 'message') {
+            worker.emit('message', msg.message);
+        } else if (msg.command === 'stderr') {
+            worker.stderr.write(msg.text);
+        } else if (msg.command === 'exit') {
+            onExit(worker, msg.code, null);
+        }
+    }
+
+    function getRunner() {
+        if (runner) return runner;
+
+        const _runner = cp.fork(__dirname + '/workerRunner.js', [], {stdio: ['ignore', 'ignore', 'pipe', 'ipc']});
+        runner = _runner;
+        logger.info('worker runner started with pid ' + _runner.pid);
+
+        _runner.on('message', onMessage);
+        _runner.stderr.on('data', data => logger.error('worker runner: ' + data.toString()));
+        _runner.on('error', err => logger.error('worker runner: ' + err));
+        _runner.on('exit', (code, signal) => {
+            if (runner === _runner) runner = null;
+            const gone = Object.keys(workers).map(key => workers[key]).filter(worker => worker.pid === _runner.pid);
+            if (gone.length) logger.error(`worker runner terminated with ${signal || 'code ' + code}, instances ${gone.map(worker => worker.id).join(', ')} are terminated too`);
+            // threads are gone with the process
+            gone.forEach(worker => onExit(worker, signal ? null : code, signal));
+        });
+        return runner;
+    }
+
+    function send(_runner, msg) {
+        if (!_runner.connected) return;
+        try {
+            _runner.send(msg);
+        } catch (e) {
+            logger.warn('cannot send to worker runner: ' + e);
+        }
+    }
+
+    /**
+     * Start instance in worker thread
+     *
+     * @param {string} id instance ID
+     * @param {string} file start file of adapter
+     * @param {string[]} args arguments of adapter, e.g. [instance, loglevel]
+     * @param {object} [forkOptions] {memoryLimitMB}
+     * @return {WorkerProcess}
+     */
+    this.fork = function (id, file, args, forkOptions) {
+        forkOptions = forkOptions || {};
+        const _runner = getRunner();
+        const key     = nextKey++;
+        const worker  = new WorkerProcess(id, key, _runner.pid, msg => send(_runner, msg));
+        workers[key]  = worker;
+
+        send(_runner, {
+            command:  'start',
+            key:      key,
+            id:       id,
+            file:     file,
+            argv:     args.map(arg => String(arg)),
+            memoryMB: parseInt(forkOptions.memoryLimitMB, 10) || 0
+        });
+        return worker;
+    };
+
+    /**
+     * Number of threads, incl. threads, that are stopping
+     *
+     * @return {number}
+     */
+    this.getCount = function () {
+        return Object.keys(workers).length;
+    };
+
+    /**
+     * Stop runner process with all threads
+     */
+    this.destroy = function () {
+        if (runner) runner.kill();
+    };
+}
+
+WorkerPool.isSupported = isSupported;
+
+module.exports = WorkerPool;
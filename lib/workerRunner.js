@@ -0,0 +1,79 @@
+/**
+ *      Runner process for instances in worker threads, started by lib/workerPool.js
+ *
+ *      Copyright 2018 bluefox <dogafox@gmail.com>
+ *
+ *      MIT License
+ *
+ */
+
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node: true */
+'use strict';
+
+const Worker = require('worker_threads').Worker;
+
+const STOP_TIMEOUT = 5000; // ms, then thread is terminated like process with SIGKILL
+const workers      = {}; // {key: Worker}, key is unique for every start of instance
+
+process.title = 'io.worker-runner';
+
+function send(msg) {
+    if (process.connected) process.send(msg);
+}
+
+function start(msg) {
+    const key = msg.key;
+    let worker;
+    try {
+        worker = new Worker(msg.file, {
+            argv:           msg.argv,
+            stderr:         true,
+            resourceLimits: msg.memoryMB ? {maxOldGenerationSizeMb: msg.memoryMB} : undefined
+        });
+    } catch (e) {
+        send({command: 'stderr', key: key, text: (e.stack || e) + '\n'});
+        send({command: 'exit',   key: key, code: 1});
+        return;
+    }
+
+    workers[key] = worker;
+    worker.stderr.on('data', data => send({command: 'stderr', key: key, text: data.toString()}));
+    worker.on('message', message => send({command: 'message', key: key, message: message}));
+    worker.on('error', err => send({command: 'stderr', key: key, text: (err && err.stack || err) + '\n'}));
+    worker.on('exit', code => {
+        clearTimeout(worker.stopTimer);
+        delete workers[key];
+        // same codes as for process, e.g. -100 => 4294967196
+        send({command: 'exit', key: key, code: code >>> 0});
+    });
+}
+
+function stop(msg) {
+    const worker = workers[msg.key];
+    if (!worker) return;
+
+    if (msg.signal === 'SIGKILL') {
+        worker.terminate();
+        return;
+    }
+    worker.postMessage({command: 'stop'});
+    if (!worker.stopTimer) worker.stopTimer = setTimeout(() => worker.terminate(), STOP_TIMEOUT);
+}
+
+process.on('message', msg => {
+    if (!msg) return;
+    if (msg.command === 'start') {
+        start(msg);
+    } else if (msg.command === 'stop') {
+        stop(msg);
+    } else if (msg.command === 'message' && workers[msg.key]) {
+        workers[msg.key].postMessage(msg.message);
+    }
+});
+
+// controller terminated
+process.on('disconnect', () => {
+    Promise.all(Object.keys(workers).map(key => workers[key].terminate())).then(() => process.exit(0));
+});
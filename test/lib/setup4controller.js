@@ -8,6 +8,7 @@
 var fs            = require('fs');
 var path          = require('path');
 var rootDir       = path.normalize(__dirname + '/../../');
+var backends      = require(rootDir + 'lib/backends');
 //var pkg           = require(rootDir + 'package.json');
 //var debug         = typeof v8debug === 'object';
 
@@ -42,7 +43,8 @@ function startController(options, callback) {
             pass:               options.objects.pass || '',
             noFileCache:        (options.objects.noFileCache === undefined) ? options.objects.noFileCache : true,
             connectTimeout:     options.objects.connectTimeout || 2000,
-            dataDir:            options.objects.dataDir || ''
+            dataDir:            options.objects.dataDir || '',
+            aclInheritance:     options.objects.aclInheritance
         },
         logger: options.objects.logger || options.logger || {
             silly: function (msg) {
@@ -71,34 +73,13 @@ function startController(options, callback) {
         change: options.objects.onChange || null
     };
 
-    var Objects;
-
-    if (options.objects && options.objects.type) {
-        if (options.objects.type === 'file') {
-            Objects = require(rootDir + 'lib/objects/objectsInMemServer');
-        } else if (options.objects.type === 'redis') {
-            Objects = require(rootDir + 'lib/objects/objectsInRedis');
-        } else if (options.objects.type === 'couch') {
-            Objects = require(rootDir + 'lib/objects/objectsInCouch');
-        }
-    } else {
-        Objects = require(rootDir + 'lib/objects/objectsInMemServer');
-    }
+    // Start server of backend, e.g. in memory DB, or just connect to it
+    var Objects = backends.getServer('objects', options.objects);
 
 
     objects = new Objects(settingsObjects);
 
-    var States;
-    // Just open in memory DB itself
-    if (options.states && options.states.type) {
-        if (options.states.type === 'redis') {
-            States = require(rootDir + 'lib/states/statesInRedis');
-        } else {
-            States = require(rootDir + 'lib/states/statesInMemServer');
-        }
-    } else {
-        States = require(rootDir + 'lib/states/statesInMemServer');
-    }
+    var States = backends.getServer('states', options.states);
 
     var settingsStates = {
         connection: {
@@ -5,6 +5,9 @@
 'use strict';
 
 const promiseSequence = require('../../lib/tools').promiseSequence;
+const tokens          = require('../../lib/tokens');
+const totp            = require('../../lib/totp');
+const password        = require('../../lib/password');
 
 /**
  * @typedef {{adapter: {[fnName: string]: (...args: any[]) => any}}} Context
@@ -92,6 +95,123 @@ function register(it, expect, context) {
         return promiseSequence(tests);
     });
 
+    //checkToken
+    it(context.name + ' ' + context.adapterShortName + ' adapter: validates API token', function (done) {
+        this.timeout(2000);
+
+        expect(context.adapter.checkToken.bind('t1.2')).to.throw('checkToken: no callback');
+
+        const valid   = tokens.generate('admin', 'test');
+        const expired = tokens.generate('admin', 'old', Date.now() - 1000);
+        context.adapter.extendForeignObject('system.user.admin', {common: {tokens: {[valid.id]: valid.entry, [expired.id]: expired.entry}}}, err => {
+            expect(err).to.be.not.ok;
+            context.adapter.checkToken('Bearer ' + valid.token, (res, user) => {
+                expect(res).to.be.true;
+                expect(user).to.be.equal('system.user.admin');
+
+                context.adapter.checkTokenAsync(valid.token.replace(/[0-9a-f]+$/, '0123')).then(res => {
+                    expect(res).to.be.deep.equal({result: false, user: null});
+                    return context.adapter.checkTokenAsync(expired.token);
+                }).then(res => {
+                    expect(res.result).to.be.false;
+                    // revoke
+                    context.adapter.extendForeignObject('system.user.admin', {common: {tokens: {[valid.id]: null, [expired.id]: null}}}, () => {
+                        context.adapter.checkToken(valid.token, res => {
+                            expect(res).to.be.false;
+                            done();
+                        });
+                    });
+                }).catch(done);
+            });
+        });
+    });
+
+    //checkPassword with two-factor authentication
+    it(context.name + ' ' + context.adapterShortName + ' adapter: validates one-time password', function (done) {
+        this.timeout(3000);
+
+        const secret = totp.generateSecret();
+        // secret of authenticator app is stored encrypted with secret of system.config
+        const setSystemSecret = cb => context.adapter.getForeignObject('system.config', (err, obj) => {
+            obj = obj || {type: 'config', common: {}, native: {}};
+            obj.native = obj.native || {};
+            obj.native.secret = obj.native.secret || 'otpSystemSecret';
+            context.adapter.setForeignObject('system.config', obj, () => cb(obj.native.secret));
+        });
+        setSystemSecret(systemSecret => password('pass2fa').hash(null, null, (err, hash) => {
+            expect(err).to.be.not.ok;
+            context.adapter.setForeignObject('system.user.otptest', {
+                type: 'user',
+                common: {name: 'otptest', enabled: true, password: hash, totp: {secret: totp.encryptSecret(systemSecret, secret), created: Date.now()}},
+                native: {}
+            }, err => {
+                expect(err).to.be.not.ok;
+                context.adapter.checkPasswordAsync('otptest', 'pass2fa').then(res => {
+                    expect(res).to.be.false;
+                    return context.adapter.checkPasswordAsync('otptest', 'pass2fa', {otp: totp.generate(secret, Date.now() - 300000)});
+                }).then(res => {
+                    expect(res).to.be.false;
+                    return context.adapter.checkPasswordAsync('otptest', 'pass2fa', {otp: totp.generate(secret)});
+                }).then(res => {
+                    expect(res).to.be.true;
+                    // code can be used only once
+                    return context.adapter.checkPasswordAsync('otptest', 'pass2fa', {otp: totp.generate(secret)});
+                }).then(res => {
+                    expect(res).to.be.false;
+                    context.adapter.delForeignObject('system.user.otptest', () => done());
+                }).catch(done);
+            });
+        }));
+    });
+
+    //checkPassword with lockout
+    it(context.name + ' ' + context.adapterShortName + ' adapter: locks user after failed logins', function (done) {
+        this.timeout(3000);
+
+        const setPolicy = (policy, cb) => context.adapter.getForeignObject('system.config', (err, obj) => {
+            obj.common.passwordPolicy = policy;
+            context.adapter.setForeignObject('system.config', obj, cb);
+        });
+
+        password('lock1234').hash(null, null, (err, hash) => {
+            context.adapter.setForeignObject('system.user.locktest', {
+                type: 'user',
+                common: {name: 'locktest', enabled: true, password: hash},
+                native: {}
+            }, () => setPolicy({maxFailedAttempts: 2, lockoutTime: 60}, () => {
+                context.adapter.checkPasswordAsync('locktest', 'wrong', {ip: '10.0.0.1'}).then(res => {
+                    expect(res).to.be.false;
+                    return context.adapter.checkPasswordAsync('locktest', 'lock1234');
+                }).then(res => {
+                    // counter is reset by successful login
+                    expect(res).to.be.true;
+                    // parallel checks are counted both
+                    return Promise.all([context.adapter.checkPasswordAsync('locktest', 'wrong'), context.adapter.checkPasswordAsync('locktest', 'wrong')]);
+                }).then(res => {
+                    expect(res).to.be.deep.equal([false, false]);
+                    // locked now, even with correct password
+                    return context.adapter.checkPasswordAsync('locktest', 'lock1234');
+                }).then(res => {
+                    expect(res).to.be.false;
+                    context.adapter.getForeignState('system.user.locktest.failedLogins', (err, state) => {
+                        const failures = JSON.parse(state.val);
+                        expect(failures.lockedUntil).to.be.above(Date.now());
+                        expect(failures.attempts.length).to.be.equal(3);
+                        expect(failures.attempts[0].ip).to.be.equal('10.0.0.1');
+                        expect(failures.attempts[0].from).to.be.equal('system.adapter.' + context.adapterShortName + '.0');
+
+                        context.adapter.getForeignObject('system.user.locktest.failedLogins', (err, obj) => {
+                            expect(obj.type).to.be.equal('state');
+                            setPolicy({}, () => context.adapter.delForeignObject('system.user.locktest', () =>
+                                context.adapter.delForeignObject('system.user.locktest.failedLogins', () =>
+                                context.adapter.delForeignState('system.user.locktest.failedLogins', () => done()))));
+                        });
+                    });
+                }).catch(done);
+            }));
+        });
+    });
+
     //setPassword
     it(context.name + ' ' + context.adapterShortName + ' adapter: sets the users password', function (done) {
         this.timeout(1000);
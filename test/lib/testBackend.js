@@ -0,0 +1,110 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+// Conformance tests for objects and states DB backends.
+// Third-party backends can run them with:
+//
+// require('iobroker.js-controller/test/lib/testBackend')({
+//     objectsConfig: {type: 'mongo', host: '127.0.0.1', port: 27017, ...},
+//     statesConfig:  {type: 'mongo', host: '127.0.0.1', port: 27017, ...},
+//     name: 'Mongo',
+//     cleanup: function () {} // optional, delete DB files before adapter tests
+// });
+
+const expect      = require('chai').expect;
+const setup       = require(__dirname + '/setup4controller');
+const backends    = require(__dirname + '/../../lib/backends');
+const testAdapter = require(__dirname + '/testAdapter');
+const testObjects = require(__dirname + '/testObjects');
+const testObjectsTransaction = require(__dirname + '/testObjectsTransaction');
+
+function cleanObjects(objects, pattern, callback) {
+    objects.getKeys(pattern, function (err, keys) {
+        let count = keys ? keys.length : 0;
+        if (!count) return callback();
+        keys.forEach(id => objects.delObject(id, () => !--count && callback()));
+    });
+}
+
+function testBackend(options) {
+    options.name = options.name || 'Test';
+
+    const context = {
+        objects: null,
+        states:  null,
+        name:    options.name + ' backend'
+    };
+
+    describe(context.name + ': Test interface', function () {
+        before(context.name + ': Start js-controller', function (_done) {
+            this.timeout(5000);
+
+            setup.startController({
+                    objects: JSON.parse(JSON.stringify(options.objectsConfig)),
+                    states:  JSON.parse(JSON.stringify(options.statesConfig))
+                },
+                function (_objects, _states) {
+                    context.objects = _objects;
+                    context.states  = _states;
+                    expect(context.objects).to.be.ok;
+                    expect(context.states).to.be.ok;
+                    // tests expect, that no test objects exist
+                    cleanObjects(context.objects, 'testObject.0.*', _done);
+                }
+            );
+        });
+
+        it(context.name + ': objects should implement all methods', function () {
+            expect(backends.checkInterface('objects', context.objects)).to.be.deep.equal([]);
+        });
+
+        it(context.name + ': states should implement all methods', function () {
+            expect(backends.checkInterface('states', context.states)).to.be.deep.equal([]);
+        });
+
+        it(context.name + ': states should set, read and delete state', function (done) {
+            const id = 'testBackend.0.state';
+            context.states.setState(id, {val: 'value', ack: true}, function (err) {
+                expect(err).to.be.not.ok;
+                context.states.getState(id, function (err, state) {
+                    expect(err).to.be.not.ok;
+                    expect(state.val).to.be.equal('value');
+                    expect(state.ack).to.be.true;
+                    expect(state.ts).to.be.ok;
+                    expect(state.lc).to.be.ok;
+                    context.states.getKeys('testBackend.0.*', function (err, keys) {
+                        expect(err).to.be.not.ok;
+                        expect(keys).to.include(id);
+                        context.states.delState(id, function (err) {
+                            expect(err).to.be.not.ok;
+                            context.states.getState(id, function (err, state) {
+                                expect(state).to.be.not.ok;
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        testObjectsTransaction.register(it, expect, context);
+        testObjects.register(it, expect, context);
+
+        after(context.name + ': Stop js-controller', function (done) {
+            this.timeout(5000);
+            setup.stopController(function () {
+                // adapter tests start with objects.json and states.json, so DB must be empty
+                if (options.cleanup) options.cleanup();
+                done();
+            });
+        });
+    });
+
+    // all tests with adapter: states, objects, files, messages and so on
+    testAdapter(options);
+}
+
+module.exports = testBackend;
@@ -66,6 +66,39 @@ function register(it, expect, context) {
 
     })).timeout(2000);
 
+    // password policy
+    it(testName + 'user password policy', tools.poorMansAsync(function* () {
+        let err;
+        const setPolicy = policy => new Promise(resolve => context.objects.getObject('system.config', (err, obj) => {
+            obj.common.passwordPolicy = policy;
+            context.objects.setObject('system.config', obj, () => resolve());
+        }));
+
+        yield setPolicy({minLength: 8, complexity: 3, forbidDefault: true});
+
+        err = yield setup.processCommandAsync(context.objects, context.states, 'user', ['passwd', 'admin'], { password: 'Ab1' });
+        expect(err).to.be.ok;
+        err = yield setup.processCommandAsync(context.objects, context.states, 'user', ['passwd', 'admin'], { password: 'abcdefgh1' });
+        expect(err).to.be.ok;
+        err = yield setup.processCommandAsync(context.objects, context.states, 'user', ['add', 'policyUser'], { password: context.appName.toLowerCase() });
+        expect(err).to.be.ok;
+        err = yield setup.processCommandAsync(context.objects, context.states, 'user', ['get', 'policyUser'], {});
+        expect(err).to.be.ok;
+
+        // report of all users
+        err = yield setup.processCommandAsync(context.objects, context.states, 'user', ['check'], {});
+        expect(err).to.be.not.ok;
+
+        err = yield setup.processCommandAsync(context.objects, context.states, 'user', ['passwd', 'admin'], { password: 'Abcdefg1' });
+        expect(err).to.be.not.ok;
+
+        yield setPolicy({minLength: 0, complexity: 0, forbidDefault: false});
+
+        // set password back
+        err = yield setup.processCommandAsync(context.objects, context.states, 'passwd', ['admin'], { password: context.appName.toLowerCase() });
+        expect(err).to.be.not.ok;
+    })).timeout(4000);
+
     // user get
     it(testName + 'user get', tools.poorMansAsync(function* () {
         let err;
@@ -304,6 +337,27 @@ function register(it, expect, context) {
         err = yield setup.processCommandAsync(context.objects, context.states, 'isrun', [], {});
         expect(err).to.be.not.ok;
     }));
+
+    it(testName + 'status shows crash-looping instances', tools.poorMansAsync(function* () {
+        const id = 'system.adapter.admin.0';
+        yield new Promise(resolve => context.states.setState(id + '.crashCount', {val: 3, ack: true}, () => resolve()));
+        yield new Promise(resolve => context.states.setState(id + '.lastExitCode', {val: 1, ack: true}, () => resolve()));
+
+        const lines = [];
+        const log = console.log;
+        console.log = text => lines.push(text);
+        let err;
+        try {
+            err = yield setup.processCommandAsync(context.objects, context.states, 'status', [], {});
+        } finally {
+            console.log = log;
+        }
+        expect(err).to.be.not.ok;
+        expect(lines).to.contain('Crash-looping instances:');
+        expect(lines.find(line => line && line.startsWith('  admin.0:'))).to.contain('3 crashes in row, last exit code 1');
+
+        yield new Promise(resolve => context.states.setState(id + '.crashCount', {val: 0, ack: true}, () => resolve()));
+    }));
     // restart adapter
     // restart ??
 
@@ -4,6 +4,26 @@
 /* jshint expr:true */
 'use strict';
 
+const EventEmitter = require('events').EventEmitter;
+
+// AbortController exists only since node 15, so the test uses the part of it, that sendTo needs
+function createAbortController() {
+    const emitter = new EventEmitter();
+    const signal  = {
+        aborted:             false,
+        addEventListener:    (event, listener) => emitter.on(event, listener),
+        removeEventListener: (event, listener) => emitter.removeListener(event, listener)
+    };
+    return {
+        signal: signal,
+        abort:  () => {
+            if (signal.aborted) return;
+            signal.aborted = true;
+            emitter.emit('abort');
+        }
+    };
+}
+
 function register(it, expect, context) {
     var testName = context.name + ' ' + context.adapterShortName + ' adapter: ';
     var gid = 'system.adapter.' + context.adapterShortName;
@@ -92,6 +112,106 @@ function register(it, expect, context) {
         });
     });
     
+    it(testName + 'check sendTo with response and timeout', function (done) {
+        this.timeout(3000);
+        context.onAdapterMessage = function (obj) {
+            if (obj.command === 'ping') {
+                context.adapter.sendTo(obj.from, obj.command, 'pong', obj.callback);
+            }
+        };
+        context.adapter.sendTo(context.adapterShortName + '.0', 'ping', {}, {timeout: 2000}, function (result) {
+            expect(result).to.be.equal('pong');
+            context.onAdapterMessage = null;
+            expect(Object.keys(context.adapter.callbacks)).to.be.deep.equal([]);
+
+            context.adapter.sendTo('nonexisting.0', 'ping', {}, {timeout: 100}, function (result) {
+                expect(result).to.be.deep.equal({error: 'Timeout'});
+                done();
+            });
+        });
+    });
+
+    it(testName + 'check sendToAsync with timeout and cancel', function () {
+        this.timeout(3000);
+        const controller = createAbortController();
+        const cancelled = context.adapter.sendToAsync('nonexisting.0', 'ping', {}, {signal: controller.signal}).then(() => {
+            throw new Error('must be cancelled');
+        }, err => expect(err).to.be.equal('Cancelled'));
+        setTimeout(() => controller.abort(), 50);
+
+        const timedOut = context.adapter.sendToAsync('nonexisting.0', 'ping', {}, {timeout: 100}).then(() => {
+            throw new Error('must time out');
+        }, err => expect(err).to.be.equal('Timeout'));
+
+        return Promise.all([cancelled, timedOut]).then(() => {
+            expect(Object.keys(context.adapter.callbacks)).to.be.deep.equal([]);
+        });
+    });
+
+    it(testName + 'check sendTo with streamed response', function (done) {
+        this.timeout(5000);
+        let drained = 0;
+        context.onAdapterMessage = function (obj) {
+            if (obj.command !== 'count') return;
+            const stream = context.adapter.createResponseStream(obj);
+            let i = 0;
+            const pump = () => {
+                while (i < obj.message.count) {
+                    if (!stream.write(++i)) return stream.once('drain', () => {
+                        drained++;
+                        pump();
+                    });
+                }
+                stream.end({count: i});
+            };
+            pump();
+        };
+
+        const received = [];
+        const onData = (chunk, ack) => {
+            received.push(chunk);
+            setTimeout(ack, 1);
+        };
+        context.adapter.sendTo(context.adapterShortName + '.0', 'count', {count: 40}, {timeout: 2000, onData: onData}, function (result) {
+            context.onAdapterMessage = null;
+            expect(result).to.be.deep.equal({count: 40});
+            expect(received.length).to.be.equal(40);
+            expect(received[0]).to.be.equal(1);
+            expect(received[39]).to.be.equal(40);
+            expect(drained).to.be.at.least(2);
+            done();
+        });
+    });
+
+    it(testName + 'check RPC handler with validation of arguments', function (done) {
+        this.timeout(3000);
+        const declaration = {desc: 'Sum of numbers', args: {type: 'array', items: {type: 'number'}}};
+        context.adapter.registerRpcHandler('sum', declaration, (args, from, callback) => {
+            expect(from).to.be.equal('system.adapter.' + context.adapterShortName + '.0');
+            callback(null, args.reduce((a, b) => a + b, 0));
+        });
+        context.adapter.registerRpcHandler('fail', () => Promise.reject(new Error('Broken')));
+
+        context.adapter.callRpc(context.adapterShortName + '.0', 'sum', [1, 2, 3], {timeout: 2000}, (err, result) => {
+            expect(err).to.be.not.ok;
+            expect(result).to.be.equal(6);
+
+            context.adapter.callRpcAsync(context.adapterShortName + '.0', 'sum', [1, 'a'], {timeout: 2000}).then(() => {
+                throw new Error('must be rejected');
+            }, err => {
+                expect(err).to.be.equal('Invalid arguments: args[1] must be number');
+                return context.adapter.callRpcAsync(context.adapterShortName + '.0', 'fail', null, {timeout: 2000});
+            }).then(() => {
+                throw new Error('must be rejected');
+            }, err => {
+                expect(err).to.be.equal('Broken');
+                context.adapter.registerRpcHandler('sum', null);
+                context.adapter.registerRpcHandler('fail', null);
+                done();
+            }).catch(done);
+        });
+    });
+
     // getSession
     // setSession
     // destroySession
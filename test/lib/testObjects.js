@@ -330,6 +330,97 @@ function register(it, expect, context) {
         });
     });
 
+    it(textName + 'should query objects', done => {
+        const objects = context.objects;
+        const id = namespace + '.query';
+        objects.setObject(id, {type: 'state', common: {name: 'query', role: 'value.query', custom: {'history.0': {enabled: true}}}, native: {}}, err => {
+            expect(err).to.be.not.ok;
+            objects.queryObjects({type: 'state', 'common.role': 'value.query'}, (err, res) => {
+                expect(err).to.be.not.ok;
+                expect(res.rows.length).to.be.equal(1);
+                expect(res.rows[0].id).to.be.equal(id);
+                expect(res.rows[0].value.common.name).to.be.equal('query');
+                objects.queryObjects({'common.custom.*': 'history.0', _id: namespace + '.*'}).then(res => {
+                    expect(res.rows.map(row => row.id)).to.be.deep.equal([id]);
+                    return objects.findObject('query', 'state');
+                }).then(foundId => {
+                    expect(foundId).to.be.not.ok;
+                    objects.findObject('query', null, (err, foundId) => {
+                        expect(foundId).to.be.equal(id);
+                        objects.delObject(id, () => {
+                            objects.queryObjects({'common.role': 'value.query'}, (err, res) => {
+                                expect(res.rows.length).to.be.equal(0);
+                                done();
+                            });
+                        });
+                    });
+                }).catch(err => {
+                    expect(err).to.be.not.ok;
+                });
+            });
+        });
+    });
+
+    it(textName + 'should increase revision and detect conflict', done => {
+        const objects = context.objects;
+        const id = namespace + '.rev';
+        objects.setObject(id, {type: 'state', common: {name: 'rev'}, native: {}}, err => {
+            expect(err).to.be.not.ok;
+            objects.getObject(id, (err, obj) => {
+                const rev = obj._rev;
+                expect(rev).to.be.a('number');
+                objects.setObject(id, obj, {expectedRev: rev}, err => {
+                    expect(err).to.be.not.ok;
+                    objects.setObject(id, obj, {expectedRev: rev}, (err, res) => {
+                        expect(err).to.be.equal('Conflict');
+                        expect(res.id).to.be.equal(id);
+                        objects.extendObject(id, {common: {def: 1}}, {expectedRev: rev + 1}, err => {
+                            expect(err).to.be.not.ok;
+                            objects.getObject(id, (err, obj) => {
+                                expect(obj._rev).to.be.equal(rev + 2);
+                                expect(obj.common.def).to.be.equal(1);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it(textName + 'should change objects in transaction', done => {
+        const objects = context.objects;
+        objects.transaction([
+            {op: 'set', id: namespace + '.txn1', obj: {type: 'state', common: {name: 'txn1'}, native: {}}},
+            {op: 'extend', id: namespace + '.rev', obj: {common: {def: 2}}}
+        ], (err, res) => {
+            expect(err).to.be.not.ok;
+            expect(res.length).to.be.equal(2);
+            expect(res[0].id).to.be.equal(namespace + '.txn1');
+            // nothing is changed if one operation fails
+            objects.transaction([
+                {op: 'set', id: namespace + '.txn2', obj: {type: 'state', common: {name: 'txn2'}, native: {}}},
+                {op: 'del', id: namespace + '.txn1', expectedRev: 0}
+            ], (err, res) => {
+                expect(err).to.be.equal('Conflict');
+                expect(res.id).to.be.equal(namespace + '.txn1');
+                objects.getObject(namespace + '.txn2', (err, obj) => {
+                    expect(obj).to.be.not.ok;
+                    objects.transaction([
+                        {op: 'del', id: namespace + '.txn1'},
+                        {op: 'del', id: namespace + '.rev'}
+                    ], err => {
+                        expect(err).to.be.not.ok;
+                        objects.getObject(namespace + '.rev', (err, obj) => {
+                            expect(obj).to.be.not.ok;
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
     it(textName + 'should close DB', done => {
         const objects = context.objects;
         // we running as a server, so nothing should happens
@@ -338,4 +429,4 @@ function register(it, expect, context) {
     });
 }
 
-module.exports.register = register;
\ No newline at end of file
+module.exports.register = register;
\ No newline at end of file
@@ -623,6 +623,45 @@ function register(it, expect, context) {
         });
     });
 
+    // queryObjects
+    it(testName + 'Check query objects', function (done) {
+        const id = context.adapterShortName + '.0.' + gid + 'Query';
+        context.adapter.setObject(gid + 'Query', {type: 'state', common: {name: 'query', type: 'number', role: 'value.query'}, native: {}}, function (err) {
+            expect(err).to.be.null;
+            context.adapter.queryObjects({type: 'state', 'common.role': 'value.query'}, function (err, objs) {
+                expect(err).to.be.null;
+                expect(Object.keys(objs)).to.be.deep.equal([id]);
+                expect(objs[id].common.name).to.be.equal('query');
+                context.adapter.delObject(gid + 'Query', done);
+            });
+        });
+    });
+
+    // objectsTransaction
+    it(testName + 'Check objects transaction', function (done) {
+        const id = context.adapterShortName + '.0.' + gid + 'Transaction';
+        context.adapter.objectsTransaction([
+            {op: 'set', id: id, obj: {type: 'state', common: {name: 'transaction', type: 'number', role: 'value'}, native: {}}},
+            {op: 'extend', id: id, obj: {native: {attr: 1}}}
+        ], function (err, result) {
+            expect(err).to.be.null;
+            expect(result[1].rev).to.be.equal(result[0].rev + 1);
+
+            context.adapter.objectsTransaction([
+                {op: 'extend', id: id, obj: {native: {attr: 2}}, expectedRev: result[0].rev}
+            ], function (err, res) {
+                expect(err).to.be.equal('Conflict');
+                expect(res.id).to.be.equal(id);
+
+                context.objects.getObject(id, function (err, obj) {
+                    expect(obj.native.attr).to.be.equal(1);
+                    expect(obj.from).to.be.equal('system.adapter.' + context.adapterShortName + '.0');
+                    context.adapter.delForeignObject(id, done);
+                });
+            });
+        });
+    });
+
     // files
 }
 
@@ -0,0 +1,93 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+// Same results of transaction for every objects DB backend.
+// Only results of transaction are checked, so that the test does not depend on other methods of backend.
+function register(it, expect, context) {
+    const textName = context.name + ' objects: ';
+    const namespace = 'testTransaction.0';
+    const state = {type: 'state', common: {name: 'transaction', type: 'number', role: 'value'}, native: {}};
+
+    it(textName + 'should apply operations on the same object in order', done => {
+        const objects = context.objects;
+        const id = namespace + '.created';
+        // object does not exist before transaction
+        objects.transaction([
+            {op: 'set', id: id, obj: state},
+            {op: 'extend', id: id, obj: {native: {attr: 1}}},
+            {op: 'del', id: id}
+        ], (err, res) => {
+            expect(err).to.be.not.ok;
+            expect(res.length).to.be.equal(3);
+            expect(res[1].rev).to.be.equal(res[0].rev + 1);
+            expect(res[2].id).to.be.equal(id);
+
+            objects.transaction([{op: 'del', id: id}], (err, res) => {
+                expect(err).to.be.equal('Not exists');
+                expect(res.id).to.be.equal(id);
+                done();
+            });
+        });
+    });
+
+    it(textName + 'should reject operation on object deleted in the same transaction', done => {
+        const objects = context.objects;
+        const id = namespace + '.deleted';
+        objects.transaction([{op: 'set', id: id, obj: state}], (err, res) => {
+            expect(err).to.be.not.ok;
+            const rev = res[0].rev;
+
+            objects.transaction([
+                {op: 'del', id: id},
+                {op: 'del', id: id}
+            ], (err, res) => {
+                expect(err).to.be.equal('Not exists');
+                expect(res.id).to.be.equal(id);
+
+                // nothing was changed: expected revision is still the same
+                objects.transaction([{op: 'del', id: id, expectedRev: rev}], (err, res) => {
+                    expect(err).to.be.not.ok;
+                    expect(res).to.be.deep.equal([{id: id}]);
+                    done();
+                });
+            });
+        });
+    });
+
+    it(textName + 'should compare expected revision with revision before transaction', done => {
+        const objects = context.objects;
+        const id = namespace + '.rev';
+        objects.transaction([{op: 'set', id: id, obj: state}], (err, res) => {
+            expect(err).to.be.not.ok;
+            const rev = res[0].rev;
+
+            objects.transaction([
+                {op: 'extend', id: id, obj: {native: {attr: 1}}, expectedRev: rev},
+                {op: 'extend', id: id, obj: {native: {attr: 2}}, expectedRev: rev}
+            ], (err, res) => {
+                expect(err).to.be.not.ok;
+                expect(res[1].rev).to.be.equal(rev + 2);
+
+                objects.transaction([{op: 'extend', id: id, obj: {native: {attr: 3}}, expectedRev: rev}], (err, res) => {
+                    expect(err).to.be.equal('Conflict');
+                    expect(res.id).to.be.equal(id);
+                    objects.transaction([{op: 'del', id: id}], done);
+                });
+            });
+        });
+    });
+
+    it(textName + 'should reject invalid IDs in transaction', done => {
+        const objects = context.objects;
+        objects.transaction([{op: 'set', id: namespace + '.invalid*', obj: state}], err => {
+            expect(err).to.be.ok;
+            expect(err).to.contain('Invalid ID');
+            done();
+        });
+    });
+}
+
+module.exports.register = register;
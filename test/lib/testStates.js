@@ -255,6 +255,34 @@ function register(it, expect, context) {
         });
     });
 
+    // expire
+    it(testName + 'Test expire local state', function (done) {
+        this.timeout(3000);
+        const sGid = gid + '5';
+        const start = Date.now();
+
+        context.onAdapterStateChanged = function (id, state) {
+            if (id === context.adapterShortName + '.0.' + sGid && state && state.expired) {
+                expect(state.val).to.be.null;
+                context.onAdapterStateChanged = null;
+            }
+        };
+
+        context.adapter.once('stateExpired', function (id, lastState) {
+            expect(id).to.equal(context.adapterShortName + '.0.' + sGid);
+            expect(lastState.val).to.equal(11);
+            expect(lastState.ack).to.be.true;
+            expect(Date.now() - start).to.be.below(2000);
+            context.adapter.unsubscribeStates('*', () => done());
+        });
+
+        context.adapter.subscribeStates('*', function () {
+            context.adapter.setState(sGid, {val: 11, ack: true, expire: 0.3}, function (err) {
+                expect(err).to.be.not.ok;
+            });
+        });
+    });
+
     // -------------------------------------------------------------------------------------
     // setForeignState
     it(testName + 'Set foreign state', function (done) {
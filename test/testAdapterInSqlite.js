@@ -0,0 +1,45 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const fs          = require('fs');
+const testBackend = require(__dirname + '/lib/testBackend');
+const dataDir = __dirname + '/../tmp/sqlite';
+
+const statesConfig = {
+    options : {
+        auth_pass: null,
+        retry_max_delay: 15000
+    },
+    type:           'sqlite',
+    host:           '127.0.0.1',
+    port:           19020,
+    user:           '',
+    pass:           '',
+    dataDir:        dataDir
+};
+
+const objectsConfig = {
+    dataDir:        dataDir,
+    type:           'sqlite',
+    host:           '127.0.0.1',
+    port:           19021,
+    user:           '',
+    pass:           '',
+    noFileCache:    true,
+    connectTimeout: 2000
+};
+
+// states in SQLite, objects in SQLite
+testBackend({
+    statesConfig:  statesConfig,
+    objectsConfig: objectsConfig,
+    name: 'Tests SQLite',
+    cleanup: function () {
+        fs.readdirSync(dataDir)
+            .filter(file => file.match(/\.sqlite(-wal|-shm)?$/))
+            .forEach(file => fs.unlinkSync(dataDir + '/' + file));
+    }
+});
@@ -10,6 +10,7 @@ let   objects  = null;
 let   states   = null;
 const textName = 'File';
 const tests    = require('./lib/testObjects');
+const testsTransaction = require('./lib/testObjectsTransaction');
 let   context  = {
     objects: null,
     name: textName
@@ -44,6 +45,7 @@ describe(textName + ' Test Objects', function() {
         );
     });
 
+    testsTransaction.register(it, expect, context);
     tests.register(it, expect, context);
 
     after(textName + ' Stop js-controller', function (done) {
@@ -4,7 +4,7 @@
 /* jshint expr:true */
 'use strict';
 
-const testAdapter = require(__dirname + '/lib/testAdapter');
+const testBackend = require(__dirname + '/lib/testBackend');
 const dataDir = __dirname + '/../tmp/data';
 
 const statesConfig = {
@@ -32,7 +32,7 @@ const objectsConfig = {
 };
 
 // states in files, objects in files
-testAdapter({
+testBackend({
     statesConfig:  statesConfig,
     objectsConfig: objectsConfig,
     name: 'Tests FILE'
@@ -0,0 +1,147 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect  = require('chai').expect;
+const fs      = require('fs');
+const mkdirp  = require('mkdirp');
+const tools   = require(__dirname + '/../lib/tools');
+const Audit   = require(__dirname + '/../lib/audit');
+const Objects = require(__dirname + '/../lib/objects/objectsInMemServer');
+const dataDir = __dirname + '/../tmp/audit/';
+const logger  = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+describe('Audit: Test audit log', function () {
+    before('Audit: Clean directory', function () {
+        tools.rmdirRecursiveSync(dataDir);
+        mkdirp.sync(dataDir);
+    });
+
+    it('Audit: should find relevant changes of objects', function () {
+        const acl = {owner: 'system.user.admin', ownerGroup: 'system.group.administrator', object: 0x644};
+        expect(Audit.getObjectChange('a.0.b', null, {type: 'state'}).action).to.be.equal('object.create');
+        expect(Audit.getObjectChange('a.0.b', Audit.snapshot({type: 'state'}), null).action).to.be.equal('object.delete');
+        expect(Audit.getObjectChange('a.0.b', Audit.snapshot({type: 'state', acl: acl, common: {name: 'A'}}), {type: 'state', acl: acl, common: {name: 'B'}})).to.be.null;
+
+        const change = Audit.getObjectChange('a.0.b', Audit.snapshot({type: 'state', acl: acl}), {type: 'state', acl: Object.assign({}, acl, {object: 0x600})});
+        expect(change).to.be.deep.equal({action: 'object.acl', id: 'a.0.b', details: {old: acl, new: Object.assign({}, acl, {object: 0x600})}});
+
+        // password hash must not be logged
+        const user = Audit.getObjectChange('system.user.x', Audit.snapshot({type: 'user', common: {password: 'a', enabled: true}}), {type: 'user', common: {password: 'b', enabled: true}});
+        expect(user).to.be.deep.equal({action: 'user.change', id: 'system.user.x', details: {changed: ['password']}});
+    });
+
+    it('Audit: should rotate and filter entries', function () {
+        const audit = new Audit(dataDir, {maxSizeMB: 0.0005, files: 2, flushInterval: 0, logger: logger}); // ~500 bytes
+        for (let i = 0; i < 30; i++) {
+            audit.record({action: i % 2 ? 'user.change' : 'object.delete', id: 'test.0.s' + i, user: i % 2 ? 'system.user.admin' : null, ts: 1000 + i});
+        }
+        expect(fs.existsSync(dataDir + 'audit.1.jsonl')).to.be.true;
+        expect(fs.existsSync(dataDir + 'audit.2.jsonl')).to.be.true;
+        expect(fs.existsSync(dataDir + 'audit.3.jsonl')).to.be.false;
+
+        const all = audit.read();
+        expect(all.length).to.be.below(30);
+        expect(all[all.length - 1].id).to.be.equal('test.0.s29');
+        expect(all.every((entry, i) => !i || all[i - 1].ts < entry.ts)).to.be.true;
+
+        expect(audit.read({user: 'admin'}).every(entry => entry.action === 'user.change')).to.be.true;
+        expect(audit.read({action: 'object'}).every(entry => entry.action === 'object.delete')).to.be.true;
+        expect(audit.read({since: 1028}).map(entry => entry.id)).to.be.deep.equal(['test.0.s28', 'test.0.s29']);
+        expect(audit.read({id: 'test.0.s2*', limit: 1}).map(entry => entry.id)).to.be.deep.equal(['test.0.s29']);
+    });
+
+    it('Audit: should collect entries until flush', function (done) {
+        tools.rmdirRecursiveSync(dataDir);
+        mkdirp.sync(dataDir);
+        const audit = new Audit(dataDir, {flushInterval: 50, logger: logger});
+        audit.record({action: 'object.delete', id: 'test.0.a'});
+        audit.record({action: 'object.delete', id: 'test.0.b'});
+        expect(fs.existsSync(dataDir + 'audit.jsonl')).to.be.false;
+        setTimeout(() => {
+            expect(fs.readFileSync(dataDir + 'audit.jsonl').toString().split('\n').length).to.be.equal(3);
+            audit.record({action: 'object.delete', id: 'test.0.c'});
+            // read writes collected entries first
+            expect(audit.read().map(entry => entry.id)).to.be.deep.equal(['test.0.a', 'test.0.b', 'test.0.c']);
+            done();
+        }, 100);
+    });
+
+    it('Audit: should parse time', function () {
+        expect(Audit.parseTime('2018-07-01T00:00:00Z')).to.be.equal(Date.UTC(2018, 6, 1));
+        expect(Date.now() - Audit.parseTime('24h')).to.be.within(24 * 3600000 - 1000, 24 * 3600000 + 1000);
+        expect(Audit.parseTime('yesterday')).to.be.null;
+    });
+
+    after('Audit: Clean directory', function () {
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
+
+describe('Audit: Test audit log of objects DB', function () {
+    let objects;
+
+    before('Audit: Create DB', function (done) {
+        tools.rmdirRecursiveSync(dataDir);
+        objects = new Objects({
+            connection: {
+                dataDir: dataDir,
+                port:    19043,
+                host:    '127.0.0.1',
+                audit:   {enabled: true}
+            },
+            backup:    {disabled: true},
+            logger:    logger,
+            connected: () => done()
+        });
+    });
+
+    it('Audit: should record create, acl change and delete of object', function (done) {
+        const options = {user: 'system.user.admin'};
+        objects.setObject('test.0.audit', {type: 'state', common: {name: 'Audit', type: 'number', role: 'value'}, native: {}, from: 'system.adapter.test.0'}, options, () => {
+            objects.extendObject('test.0.audit', {common: {name: 'Changed'}}, options, () => {
+                objects.extendObject('test.0.audit', {acl: {object: 0x600}}, options, () => {
+                    objects.delObject('test.0.audit', options, () => {
+                        objects.readAudit({id: 'test.0.audit'}, (err, entries) => {
+                            expect(err).to.be.not.ok;
+                            expect(entries.map(entry => entry.action)).to.be.deep.equal(['object.create', 'object.acl', 'object.delete']);
+                            expect(entries[0].user).to.be.equal('system.user.admin');
+                            expect(entries[0].from).to.be.equal('system.adapter.test.0');
+                            expect(entries[1].details.new.object).to.be.equal(0x600);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('Audit: should record entries of other processes', function (done) {
+        objects.recordAudit({action: 'adapter.install', id: 'system.adapter.test', user: null, from: 'system.host.test.cli'}, err => {
+            expect(err).to.be.not.ok;
+            objects.readAudit({action: 'adapter'}, (err, entries) => {
+                expect(err).to.be.not.ok;
+                expect(entries.map(entry => entry.id)).to.be.deep.equal(['system.adapter.test']);
+                expect(entries[0].ts).to.be.ok;
+                done();
+            });
+        });
+    });
+
+    after('Audit: Close DB', function () {
+        objects.destroy();
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
@@ -0,0 +1,73 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect   = require('chai').expect;
+const fs       = require('fs');
+const mkdirp   = require('mkdirp');
+const tools    = require(__dirname + '/../lib/tools');
+const backends = require(__dirname + '/../lib/backends');
+const rootDir  = __dirname + '/../tmp/backends/';
+
+function TestObjects(settings) {
+    this.settings = settings;
+}
+
+describe('Backends: Test registry', function () {
+    it('Backends: should return built-in backends', function () {
+        expect(backends.getTypes()).to.include('file');
+        expect(backends.getTypes()).to.include('redis');
+        expect(backends.getTypes()).to.include('sqlite');
+        expect(backends.getClient('objects', {type: 'file'})).to.be.equal(require(__dirname + '/../lib/objects/objectsInMemClient'));
+        expect(backends.getClient('states', {type: 'file'})).to.be.equal(require(__dirname + '/../lib/states/statesInMemClient'));
+        // file is default
+        expect(backends.getClient('states', {})).to.be.equal(require(__dirname + '/../lib/states/statesInMemClient'));
+    });
+
+    it('Backends: should start server only on local host', function () {
+        const Server = require(__dirname + '/../lib/objects/objectsInMemServer');
+        const Client = require(__dirname + '/../lib/objects/objectsInMemClient');
+        expect(backends.getServer('objects', {type: 'file', host: '127.0.0.1'})).to.be.equal(Server);
+        expect(backends.getServer('objects', {type: 'file', host: '0.0.0.0'})).to.be.equal(Server);
+        expect(backends.getServer('objects', {type: 'file', host: '192.168.1.2'})).to.be.equal(Client);
+    });
+
+    it('Backends: should register own backend', function () {
+        backends.register('test', {objects: {client: TestObjects}});
+        expect(backends.getClient('objects', {type: 'test'})).to.be.equal(TestObjects);
+        // no server => client
+        expect(backends.getServer('objects', {type: 'test'})).to.be.equal(TestObjects);
+        expect(() => backends.getClient('states', {type: 'test'})).to.throw();
+    });
+
+    it('Backends: should reject invalid backends', function () {
+        expect(() => backends.register('', {objects: {client: TestObjects}})).to.throw();
+        expect(() => backends.register('invalid', {})).to.throw();
+        expect(() => backends.register('invalid', {objects: {}})).to.throw();
+        expect(() => backends.register('invalid', {something: {client: TestObjects}})).to.throw();
+    });
+
+    it('Backends: should throw on unknown type', function () {
+        expect(() => backends.getClient('objects', {type: 'unknownDb'})).to.throw('Unknown objects type: unknownDb');
+    });
+
+    it('Backends: should report errors of installed module', function () {
+        tools.rmdirRecursiveSync(rootDir);
+        mkdirp.sync(rootDir);
+        fs.writeFileSync(rootDir + 'broken.js', 'throw new Error("broken backend");');
+        fs.writeFileSync(rootDir + 'dependency.js', 'module.exports = require("missing-dependency-of-backend");');
+
+        expect(() => backends.getClient('objects', {type: 'broken', module: rootDir + 'broken.js'})).to.throw('broken backend');
+        expect(() => backends.getClient('objects', {type: 'dependency', module: rootDir + 'dependency.js'})).to.throw(/missing-dependency-of-backend/);
+        tools.rmdirRecursiveSync(rootDir);
+    });
+
+    it('Backends: should report missing methods', function () {
+        const missing = backends.checkInterface('states', {getState: function () {}});
+        expect(missing).to.include('setState');
+        expect(missing).to.not.include('getState');
+        expect(backends.checkInterface('objects', new TestObjects({}))).to.be.deep.equal(backends.METHODS.objects);
+    });
+});
@@ -0,0 +1,105 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect          = require('chai').expect;
+const fs              = require('fs');
+const mkdirp          = require('mkdirp');
+const tools           = require(__dirname + '/../lib/tools');
+const EncryptedNative = require(__dirname + '/../lib/encryptedNative');
+const Objects         = require(__dirname + '/../lib/objects/objectsInMemServer');
+const dataDir         = __dirname + '/../tmp/encryptedNative/';
+const logger          = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+describe('EncryptedNative: Test encryption of native', function () {
+    it('EncryptedNative: should encrypt and decrypt values', function () {
+        const encrypted = EncryptedNative.encrypt('secret', 'password');
+        expect(EncryptedNative.isEncrypted(encrypted)).to.be.true;
+        expect(encrypted).to.not.contain('password');
+        expect(EncryptedNative.encrypt('secret', 'password')).to.not.be.equal(encrypted);
+        expect(EncryptedNative.decrypt('secret', encrypted)).to.be.equal('password');
+        // type is preserved
+        expect(EncryptedNative.decrypt('secret', EncryptedNative.encrypt('secret', 1234))).to.be.equal(1234);
+        expect(EncryptedNative.decrypt('secret', 'plain')).to.be.equal('plain');
+        expect(() => EncryptedNative.decrypt('other', encrypted)).to.throw();
+    });
+
+    it('EncryptedNative: should encrypt only declared and not empty attributes', function () {
+        const obj = {type: 'instance', encryptedNative: ['password', 'token', 'pin'], native: {user: 'admin', password: 'abc', token: ''}};
+        expect(EncryptedNative.getPlaintext(obj)).to.be.deep.equal(['password']);
+        expect(EncryptedNative.encryptNative(obj, 'secret')).to.be.equal(1);
+        expect(obj.native.user).to.be.equal('admin');
+        expect(obj.native.token).to.be.equal('');
+        expect(EncryptedNative.isEncrypted(obj.native.password)).to.be.true;
+        // already encrypted values are not encrypted again
+        expect(EncryptedNative.encryptNative(obj, 'secret')).to.be.equal(0);
+
+        expect(EncryptedNative.decryptNative(obj, 'secret')).to.be.deep.equal({native: {user: 'admin', password: 'abc', token: ''}, errors: []});
+        expect(EncryptedNative.decryptNative(obj, 'other')).to.be.deep.equal({native: {user: 'admin', password: '', token: ''}, errors: ['password']});
+        expect(EncryptedNative.isEncrypted(obj.native.password)).to.be.true;
+    });
+});
+
+describe('EncryptedNative: Test encryption in objects DB', function () {
+    let objects;
+
+    before('EncryptedNative: Create DB', function (done) {
+        tools.rmdirRecursiveSync(dataDir);
+        mkdirp.sync(dataDir);
+        objects = new Objects({
+            connection: {
+                dataDir: dataDir,
+                port:    19044,
+                host:    '127.0.0.1'
+            },
+            backup:    {disabled: true},
+            logger:    logger,
+            connected: () => objects.setObject('system.config', {type: 'config', common: {}, native: {secret: 'secret'}}, () => done())
+        });
+    });
+
+    it('EncryptedNative: should store declared attributes of instance encrypted', function (done) {
+        const obj = {type: 'instance', common: {name: 'test', host: 'host'}, encryptedNative: ['password'], native: {user: 'admin', password: 'abc'}};
+        objects.setObject('system.adapter.test.0', obj, () => {
+            objects.getObject('system.adapter.test.0', (err, stored) => {
+                expect(stored.native.user).to.be.equal('admin');
+                expect(EncryptedNative.isEncrypted(stored.native.password)).to.be.true;
+                expect(EncryptedNative.decrypt('secret', stored.native.password)).to.be.equal('abc');
+
+                // new value from UI is encrypted by extendObject too
+                objects.extendObject('system.adapter.test.0', {native: {password: 'new'}}, () => {
+                    objects.getObject('system.adapter.test.0', (err, stored) => {
+                        expect(EncryptedNative.decryptNative(stored, 'secret').native.password).to.be.equal('new');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('EncryptedNative: should not encrypt other objects', function (done) {
+        objects.setObject('test.0.config', {type: 'state', common: {}, encryptedNative: ['password'], native: {password: 'abc'}}, () => {
+            objects.getObject('test.0.config', (err, stored) => {
+                expect(stored.native.password).to.be.equal('abc');
+                done();
+            });
+        });
+    });
+
+    after('EncryptedNative: Close DB', function () {
+        objects.destroy();
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
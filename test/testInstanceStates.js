@@ -0,0 +1,33 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect         = require('chai').expect;
+const InstanceStates = require(__dirname + '/../lib/instanceStates');
+
+describe('InstanceStates: Test states of old instances', function () {
+    it('InstanceStates: should find instances with states', function () {
+        expect(InstanceStates.hasStates({common: {mode: 'daemon'}})).to.be.true;
+        expect(InstanceStates.hasStates({common: {mode: 'once'}})).to.be.false;
+        expect(InstanceStates.hasStates({common: {mode: 'none', onlyWWW: true}})).to.be.false;
+        expect(InstanceStates.hasStates(null)).to.be.false;
+    });
+
+    it('InstanceStates: should get objects of instance', function () {
+        const objs = InstanceStates.getObjects('system.adapter.hm-rpc.0');
+        expect(objs.map(obj => obj._id)).to.be.deep.equal([
+            'system.adapter.hm-rpc.0.fds',
+            'system.adapter.hm-rpc.0.sendToPending',
+            'system.adapter.hm-rpc.0.sendToTimeouts',
+            'system.adapter.hm-rpc.0.crashCount',
+            'system.adapter.hm-rpc.0.healthy',
+            'system.adapter.hm-rpc.0.lastExitCode'
+        ]);
+        expect(objs[3].type).to.be.equal('state');
+        expect(objs[3].common.name).to.be.equal('hm-rpc.0 crashes in row');
+        // every call returns new objects, because controller extends them
+        expect(InstanceStates.getObjects('system.adapter.hm-rpc.0')[0]).to.be.not.equal(objs[0]);
+    });
+});
@@ -0,0 +1,147 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect   = require('chai').expect;
+const fs       = require('fs');
+const mkdirp   = require('mkdirp');
+const cp       = require('child_process');
+const tools    = require(__dirname + '/../lib/tools');
+const Liveness = require(__dirname + '/../lib/liveness');
+const rootDir  = __dirname + '/../tmp/liveness/';
+
+// answers liveness check like adapter.js, if event loop is not blocked
+const adapterFile = rootDir + 'adapter.js';
+const adapter = `
+process.on('message', msg => {
+    if (msg.command === 'ping') process.send({command: 'pong', id: msg.id});
+    if (msg.command === 'block') while (true) {}
+});
+`;
+
+describe('Liveness: Test liveness check of instances', function () {
+    this.timeout(5000);
+    const id = 'system.adapter.test.0';
+    let events;
+    let liveness;
+
+    function createProc(process, settings) {
+        return {process: process, startedAt: 0, config: {common: {mode: 'daemon', liveness: settings}}};
+    }
+
+    function fork(proc) {
+        proc.process = cp.fork(adapterFile, [], {stdio: ['ignore', 'ignore', 'ignore', 'ipc']});
+        proc.process.on('message', msg => liveness.onMessage(id, proc, msg));
+        return proc.process;
+    }
+
+    before('Liveness: Create adapter', function () {
+        tools.rmdirRecursiveSync(rootDir);
+        mkdirp.sync(rootDir);
+        fs.writeFileSync(adapterFile, adapter);
+    });
+
+    beforeEach('Liveness: Create check', function () {
+        events = [];
+        const log = level => text => events.push(level + ': ' + text);
+        liveness = new Liveness({
+            logger:     {debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error')},
+            hostname:   'test',
+            setHealthy: (_id, healthy) => events.push('healthy ' + _id + ': ' + healthy),
+            notify:     (instance, text, _id) => events.push('notify ' + instance + ': ' + text + ' (' + _id + ')')
+        });
+    });
+
+    it('Liveness: should read settings of instance', function () {
+        expect(Liveness.getSettings({}, {common: {}})).to.be.null;
+        expect(Liveness.getSettings({enabled: true}, {common: {}})).to.be.deep.equal({timeout: 10000, action: 'restart', notify: ''});
+        expect(Liveness.getSettings({enabled: true, timeout: 5000}, {common: {liveness: false}})).to.be.null;
+        expect(Liveness.getSettings({timeout: 5000}, {common: {liveness: {action: 'notify', notify: 'email.0'}}})).to.be.deep.equal({timeout: 5000, action: 'notify', notify: 'email.0'});
+        expect(Liveness.getInterval(undefined)).to.be.equal(60000);
+    });
+
+    it('Liveness: should not check instance during start', function () {
+        const sent = [];
+        const proc = createProc({connected: true, send: msg => sent.push(msg)}, true);
+        proc.startedAt = Date.now();
+        liveness.check({[id]: proc}, {interval: 10000});
+        expect(sent).to.be.deep.equal([]);
+        expect(proc.liveness).to.be.not.ok;
+    });
+
+    it('Liveness: should set instance healthy, if it answers', function (done) {
+        const proc  = createProc(null, {timeout: 1000});
+        const child = fork(proc);
+        child.on('exit', () => done());
+        liveness.check({[id]: proc}, {});
+        expect(proc.liveness.id).to.be.equal(1);
+
+        const check = setInterval(() => {
+            if (!events.length) return;
+            clearInterval(check);
+            expect(events).to.be.deep.equal(['healthy ' + id + ': true']);
+            expect(proc.liveness).to.be.null;
+            child.kill();
+        }, 20);
+    });
+
+    it('Liveness: should restart blocked instance', function (done) {
+        const proc  = createProc(null, {timeout: 200});
+        const child = fork(proc);
+        child.on('exit', (code, signal) => {
+            expect(signal).to.be.equal('SIGKILL');
+            expect(events).to.be.deep.equal([
+                'healthy ' + id + ': false',
+                'error: host.test instance ' + id + ' did not answer liveness check in 200 ms. Restart it.'
+            ]);
+            expect(proc.liveness).to.be.null;
+            done();
+        });
+        child.send({command: 'block'});
+        liveness.check({[id]: proc}, {});
+    });
+
+    it('Liveness: should log and notify only once', function (done) {
+        let killed = false;
+        const proc = createProc({connected: true, send: () => {}, kill: () => killed = true}, {timeout: 50, action: 'notify', notify: 'email.0'});
+        // like controller, that remembers state
+        const setHealthy = (_id, healthy) => proc.healthy = healthy;
+        liveness = new Liveness({
+            logger:     {warn: text => events.push('warn: ' + text), error: text => events.push('error: ' + text)},
+            hostname:   'test',
+            setHealthy: setHealthy,
+            notify:     (instance, text, _id) => events.push('notify ' + instance + ': ' + text + ' (' + _id + ')')
+        });
+
+        liveness.check({[id]: proc}, {});
+        setTimeout(() => {
+            expect(proc.healthy).to.be.false;
+            liveness.check({[id]: proc}, {});
+            setTimeout(() => {
+                expect(killed).to.be.false;
+                expect(events).to.be.deep.equal([
+                    'warn: host.test instance ' + id + ' did not answer liveness check in 50 ms',
+                    'notify email.0: test: instance ' + id + ' did not answer liveness check in 50 ms (' + id + ')'
+                ]);
+                done();
+            }, 150);
+        }, 150);
+    });
+
+    it('Liveness: should cancel check of terminated instance', function (done) {
+        const proc = createProc({connected: true, send: () => {}, kill: () => {}}, {timeout: 50, action: 'log'});
+        liveness.check({[id]: proc}, {});
+        liveness.cancel(proc);
+        expect(proc.liveness).to.be.null;
+        setTimeout(() => {
+            expect(events).to.be.deep.equal([]);
+            done();
+        }, 100);
+    });
+
+    after('Liveness: Delete adapter', function () {
+        tools.rmdirRecursiveSync(rootDir);
+    });
+});
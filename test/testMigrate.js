@@ -0,0 +1,180 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect        = require('chai').expect;
+const fs            = require('fs');
+const tools         = require(__dirname + '/../lib/tools');
+const backends      = require(__dirname + '/../lib/backends');
+const Objects       = require(__dirname + '/../lib/objects/objectsInMemServer');
+const States        = require(__dirname + '/../lib/states/statesInMemServer');
+const StatesSqlite  = require(__dirname + '/../lib/states/statesInSqlite');
+const SqliteStorage = require(__dirname + '/../lib/sqliteStorage');
+const Migrate       = require(__dirname + '/../lib/setup/setupMigrate');
+const rootDir       = __dirname + '/../tmp/migrate/';
+const configFile    = rootDir + 'iobroker.json';
+const logger        = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+const oldConfig = {
+    objects: {type: 'file', host: '127.0.0.1', port: 19030, dataDir: rootDir + 'source'},
+    states:  {type: 'file', host: '127.0.0.1', port: 19031, dataDir: rootDir + 'source'}
+};
+
+function load(dataDir, name) {
+    const storage = new SqliteStorage(dataDir, name, {logger: logger});
+    const values = storage.load();
+    storage.close();
+    return values;
+}
+
+// States DB, that loses one state
+function BrokenStates(settings) {
+    const states = new StatesSqlite(settings);
+    const setRawState = states.setRawState;
+    states.setRawState = function (id, state, callback) {
+        if (id === 'migrate.0.lost') {
+            callback();
+        } else {
+            setRawState(id, state, callback);
+        }
+    };
+    return states;
+}
+
+// DB, that never connects
+function UnreachableDb(settings) {
+    this.destroy = () => {};
+}
+
+describe('Migrate: Test migration of DB', function () {
+    let objects;
+    let states;
+
+    before('Migrate: Create source DB', function (done) {
+        tools.rmdirRecursiveSync(rootDir);
+        fs.mkdirSync(rootDir);
+        fs.writeFileSync(configFile, JSON.stringify(oldConfig));
+
+        backends.register('broken', {
+            objects: {client: __dirname + '/../lib/objects/objectsInMemClient', server: __dirname + '/../lib/objects/objectsInSqlite'},
+            states:  {client: __dirname + '/../lib/states/statesInMemClient',   server: BrokenStates}
+        });
+        backends.register('unreachable', {
+            objects: {client: UnreachableDb, server: UnreachableDb},
+            states:  {client: UnreachableDb, server: UnreachableDb}
+        });
+
+        objects = new Objects({
+            connection: JSON.parse(JSON.stringify(oldConfig.objects)),
+            backup:     {disabled: true},
+            logger:     logger,
+            connected:  () => {
+                states = new States({
+                    connection: JSON.parse(JSON.stringify(oldConfig.states)),
+                    backup:     {disabled: true},
+                    logger:     logger,
+                    connected:  () => {
+                        // access rights for files
+                        objects.setObject('system.user.admin', {type: 'user', common: {name: 'admin', enabled: true}, native: {}}, () =>
+                        objects.setObject('system.group.administrator', {type: 'group', common: {name: 'administrator', members: ['system.user.admin']}, native: {}}, () =>
+                        objects.setObject('migrate', {type: 'meta', common: {type: 'meta.user'}, native: {}}, () =>
+                        objects.writeFile('migrate', 'dir/file.txt', 'content', () =>
+                        objects.setObject('migrate.0.binary', {type: 'state', common: {type: 'file'}, native: {}}, () =>
+                        objects.setObject('migrate.0.state', {type: 'state', common: {type: 'number'}, native: {}}, () =>
+                        states.setBinaryState('migrate.0.binary', Buffer.from([1, 2, 3]), () =>
+                        states.setState('migrate.0.state', {val: 5, ack: true}, () =>
+                        states.setState('migrate.0.lost', {val: 'lost', ack: true}, () => done())))))))));
+                    }
+                });
+            }
+        });
+    });
+
+    it('Migrate: should copy objects, files and states and switch config', function (done) {
+        this.timeout(5000);
+        const newConfig = {
+            objects: {type: 'sqlite', host: '127.0.0.1', port: 19030, dataDir: rootDir + 'target'},
+            states:  {type: 'sqlite', host: '127.0.0.1', port: 19031, dataDir: rootDir + 'target'}
+        };
+        const migrate = new Migrate({objects: objects, states: states, configFileName: configFile});
+        migrate.migrate(oldConfig, newConfig, err => {
+            expect(err).to.be.not.ok;
+            expect(JSON.parse(fs.readFileSync(configFile).toString())).to.be.deep.equal(newConfig);
+            expect(JSON.parse(fs.readFileSync(configFile + '.bak').toString())).to.be.deep.equal(oldConfig);
+
+            const targetObjects = load(rootDir + 'target/', 'objects');
+            expect(targetObjects['migrate']).to.be.ok;
+            expect(targetObjects['migrate.0.state'].common.type).to.be.equal('number');
+            expect(fs.readFileSync(rootDir + 'target/files/migrate/dir/file.txt').toString()).to.be.equal('content');
+
+            const targetStates = load(rootDir + 'target/', 'states');
+            expect(targetStates['migrate.0.state'].val).to.be.equal(5);
+            expect(targetStates['migrate.0.lost'].val).to.be.equal('lost');
+            expect(targetStates['migrate.0.binary'][2]).to.be.equal(3);
+            done();
+        });
+    });
+
+    it('Migrate: should roll back if states differ', function (done) {
+        this.timeout(5000);
+        fs.writeFileSync(configFile, JSON.stringify(oldConfig));
+        const newConfig = {
+            objects: {type: 'broken', host: '127.0.0.1', port: 19030, dataDir: rootDir + 'broken'},
+            states:  {type: 'broken', host: '127.0.0.1', port: 19031, dataDir: rootDir + 'broken'}
+        };
+        const migrate = new Migrate({objects: objects, states: states, configFileName: configFile});
+        migrate.migrate(oldConfig, newConfig, err => {
+            expect(err).to.be.ok;
+            expect(JSON.parse(fs.readFileSync(configFile).toString())).to.be.deep.equal(oldConfig);
+
+            const targetObjects = load(rootDir + 'broken/', 'objects');
+            expect(targetObjects['migrate']).to.be.not.ok;
+            expect(targetObjects['migrate.0.state']).to.be.not.ok;
+            expect(fs.existsSync(rootDir + 'broken/files/migrate/dir/file.txt')).to.be.false;
+
+            const targetStates = load(rootDir + 'broken/', 'states');
+            expect(targetStates['migrate.0.state']).to.be.not.ok;
+            done();
+        });
+    });
+
+    it('Migrate: should stop if target DB does not connect', function (done) {
+        fs.writeFileSync(configFile, JSON.stringify(oldConfig));
+        const newConfig = {
+            objects: {type: 'unreachable', host: '127.0.0.1', port: 19030, dataDir: rootDir + 'unreachable', connectTimeout: 200},
+            states:  {type: 'file', host: '127.0.0.1', port: 19031, dataDir: rootDir + 'source'}
+        };
+        const migrate = new Migrate({objects: objects, states: states, configFileName: configFile});
+        migrate.migrate(oldConfig, newConfig, err => {
+            expect(err).to.be.equal('Cannot connect to objects DB: timeout after 200 ms');
+            expect(JSON.parse(fs.readFileSync(configFile).toString())).to.be.deep.equal(oldConfig);
+            done();
+        });
+    });
+
+    it('Migrate: should not migrate unchanged DB', function (done) {
+        const migrate = new Migrate({objects: objects, states: states, configFileName: configFile});
+        migrate.migrate(oldConfig, JSON.parse(JSON.stringify(oldConfig)), err => {
+            expect(err).to.be.not.ok;
+            done();
+        });
+    });
+
+    after('Migrate: Close source DB', function () {
+        objects.destroy();
+        states.destroy();
+        tools.rmdirRecursiveSync(rootDir);
+    });
+});
@@ -0,0 +1,139 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect     = require('chai').expect;
+const tools      = require(__dirname + '/../lib/tools');
+const ObjectsAcl = require(__dirname + '/../lib/objects/objectsAcl');
+const Objects    = require(__dirname + '/../lib/objects/objectsInMemServer');
+const Acl        = require(__dirname + '/../lib/setup/setupAcl');
+const dataDir    = __dirname + '/../tmp/objectsAcl/';
+const logger     = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+const defaultNewAcl = {
+    owner:      'system.user.admin',
+    ownerGroup: 'system.group.administrator',
+    object:     0x664,
+    state:      0x664,
+    file:       0x664
+};
+const tenantAcl = {owner: 'system.user.tenant', ownerGroup: 'system.group.tenant', object: 0x660};
+
+describe('ACL: Test inheritance of access rights', function () {
+    it('ACL: should find parents', function () {
+        expect(ObjectsAcl.getParentIds('hm-rpc.0.ABC.1.STATE')).to.be.deep.equal(['hm-rpc.0.ABC.1', 'hm-rpc.0.ABC', 'hm-rpc.0']);
+        expect(ObjectsAcl.getParentIds('hm-rpc.0')).to.be.deep.equal([]);
+        expect(ObjectsAcl.getParentIds('system.adapter.hm-rpc.0')).to.be.deep.equal([]);
+    });
+
+    it('ACL: should inherit from nearest parent, then from enum', function () {
+        const state = {type: 'state', common: {}};
+        const acl = ObjectsAcl.inherit('hm-rpc.0.ABC.1.STATE', state, [null, {acl: tenantAcl}, {acl: defaultNewAcl}], [], defaultNewAcl);
+        expect(acl).to.be.deep.equal(Object.assign({state: 0x664}, tenantAcl));
+
+        const enums = [
+            {_id: 'enum.rooms.a', type: 'enum', common: {members: ['hm-rpc.0.ABC']}, acl: defaultNewAcl},
+            {_id: 'enum.rooms.b', type: 'enum', common: {members: ['hm-rpc.0.ABC'], inheritAcl: true}, acl: tenantAcl}
+        ];
+        expect(ObjectsAcl.inherit('hm-rpc.0.ABC.1.STATE', {type: 'channel'}, [null, null, null], enums, defaultNewAcl)).to.be.deep.equal(tenantAcl);
+        expect(ObjectsAcl.inherit('hm-rpc.0.XYZ.STATE', {type: 'channel'}, [null, null], enums, defaultNewAcl)).to.be.null;
+    });
+
+    it('ACL: should prefer enum to parent without explicit acl', function () {
+        const parentAcl = Object.assign({}, defaultNewAcl);
+        const enums = [{_id: 'enum.rooms.b', type: 'enum', common: {members: ['hm-rpc.0.ABC'], inheritAcl: true}, acl: tenantAcl}];
+        expect(ObjectsAcl.inherit('hm-rpc.0.ABC.1', {type: 'channel'}, [{acl: parentAcl}, null], enums, defaultNewAcl)).to.be.deep.equal(tenantAcl);
+        expect(ObjectsAcl.inherit('hm-rpc.0.ABC.1', {type: 'channel'}, [{acl: parentAcl}, null], [], defaultNewAcl).owner).to.be.equal('system.user.admin');
+
+        // explicit acl of parent wins, but the mark is not inherited
+        const explicitAcl = Object.assign({explicit: true}, defaultNewAcl, {owner: 'system.user.other'});
+        const acl = ObjectsAcl.inherit('hm-rpc.0.ABC.1.STATE', {type: 'channel'}, [{acl: parentAcl}, {acl: explicitAcl}, null], enums, defaultNewAcl);
+        expect(acl.owner).to.be.equal('system.user.other');
+        expect(acl.explicit).to.be.undefined;
+    });
+});
+
+describe('ACL: Test inheritance in objects DB', function () {
+    let objects;
+
+    before('ACL: Create DB', function (done) {
+        tools.rmdirRecursiveSync(dataDir);
+        objects = new Objects({
+            connection: {
+                dataDir:        dataDir,
+                port:           19042,
+                host:           '127.0.0.1',
+                aclInheritance: true
+            },
+            defaultNewAcl: defaultNewAcl,
+            backup:    {disabled: true},
+            logger:    logger,
+            connected: () => done()
+        });
+    });
+
+    it('ACL: new objects should get acl of parent', function (done) {
+        objects.setObject('test.0.device', {type: 'device', common: {name: 'Device'}, native: {}, acl: Object.assign({state: 0x600}, tenantAcl)}, () => {
+            objects.setObject('test.0.device.channel.state', {type: 'state', common: {name: 'State', type: 'number', role: 'value'}, native: {}}, () => {
+                objects.getObject('test.0.device.channel.state', (err, obj) => {
+                    expect(obj.acl).to.be.deep.equal(Object.assign({state: 0x600}, tenantAcl));
+                    objects.setObject('test.0.other', {type: 'state', common: {name: 'Other', type: 'number', role: 'value'}, native: {}}, () => {
+                        objects.getObject('test.0.other', (err, obj) => {
+                            expect(obj.acl.owner).to.be.equal('system.user.admin');
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('ACL: new objects should get acl of enum', function (done) {
+        // room has default acl, that is not explicit
+        objects.setObject('test.0.room', {type: 'channel', common: {name: 'Room'}, native: {}}, () =>
+        objects.setObject('enum.rooms.tenant', {type: 'enum', common: {name: 'Tenant', members: ['test.0.room'], inheritAcl: true}, native: {}, acl: tenantAcl}, () => {
+            objects.setObject('test.0.room.light', {type: 'state', common: {name: 'Light', type: 'boolean', role: 'switch'}, native: {}}, () => {
+                objects.getObject('test.0.room.light', (err, obj) => {
+                    expect(obj.acl.owner).to.be.equal('system.user.tenant');
+                    expect(obj.acl.state).to.be.equal(0x664);
+                    done();
+                });
+            });
+        }));
+    });
+
+    it('ACL: should set acl recursive', function (done) {
+        const acl = new Acl({objects: objects});
+        acl.set('test.0.device', {owner: 'system.user.admin', object: 0x644}, true, (err, objs) => {
+            expect(err).to.be.not.ok;
+            expect(objs.map(obj => obj._id)).to.be.deep.equal(['test.0.device', 'test.0.device.channel.state']);
+            acl.show('test.0.device.channel.state', false, (err, objs) => {
+                expect(objs[0].acl).to.be.deep.equal({owner: 'system.user.admin', ownerGroup: 'system.group.tenant', object: 0x644, state: 0x600, explicit: true});
+                // explicit acl of parent wins over enum
+                objects.setObject('enum.rooms.device', {type: 'enum', common: {name: 'Device', members: ['test.0.device'], inheritAcl: true}, native: {}, acl: tenantAcl}, () =>
+                objects.setObject('test.0.device.channel.new', {type: 'state', common: {name: 'New', type: 'number', role: 'value'}, native: {}}, () =>
+                objects.getObject('test.0.device.channel.new', (err, obj) => {
+                    expect(obj.acl).to.be.deep.equal({owner: 'system.user.admin', ownerGroup: 'system.group.tenant', object: 0x644, state: 0x600});
+                    done();
+                })));
+            });
+        });
+    });
+
+    after('ACL: Close DB', function () {
+        objects.destroy();
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
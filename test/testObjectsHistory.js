@@ -0,0 +1,135 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect  = require('chai').expect;
+const fs      = require('fs');
+const tools   = require(__dirname + '/../lib/tools');
+const Objects = require(__dirname + '/../lib/objects/objectsInMemServer');
+const History = require(__dirname + '/../lib/objects/objectsHistory');
+const dataDir = __dirname + '/../tmp/objectsHistory/';
+const logger  = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+function createObjects(history, callback) {
+    const objects = new Objects({
+        connection: {
+            dataDir: dataDir,
+            port:    19040,
+            host:    '127.0.0.1',
+            history: history
+        },
+        backup:    {disabled: true},
+        logger:    logger,
+        connected: () => callback(objects)
+    });
+}
+
+describe('Objects: Test history of objects', function () {
+    const id = 'history.0.state';
+    let objects;
+
+    before('Objects: Create DB with history', function (done) {
+        tools.rmdirRecursiveSync(dataDir);
+        createObjects({enabled: true, count: 3}, _objects => {
+            objects = _objects;
+            done();
+        });
+    });
+
+    it('Objects: should keep the last versions of object', function (done) {
+        objects.setObject(id, {type: 'state', common: {name: 'v1'}, native: {}, from: 'system.adapter.history.0'}, () =>
+        objects.setObject(id, {type: 'state', common: {name: 'v2'}, native: {}}, () =>
+        objects.setObject(id, {type: 'state', common: {name: 'v3'}, native: {}}, () =>
+        objects.extendObject(id, {common: {name: 'v4'}}, () =>
+        objects.getObjectHistory(id, (err, versions) => {
+            expect(err).to.be.not.ok;
+            expect(versions.length).to.be.equal(3);
+            expect(versions.map(version => version.obj.common.name)).to.be.deep.equal(['v4', 'v3', 'v2']);
+            expect(versions[0].rev).to.be.equal(4);
+            expect(versions[2].rev).to.be.equal(2);
+            expect(versions[0].user).to.be.equal('system.user.admin');
+            expect(versions[0].ts).to.be.a('number');
+            done();
+        })))));
+    });
+
+    it('Objects: should store deletion and restore versions after restart', function (done) {
+        this.timeout(5000);
+        objects.delObject(id, () =>
+        objects.getObjectHistory(id, (err, versions) => {
+            expect(err).to.be.not.ok;
+            expect(versions[0].rev).to.be.null;
+            expect(versions[0].obj).to.be.null;
+            expect(versions[1].obj.common.name).to.be.equal('v4');
+
+            objects.destroy();
+            expect(fs.existsSync(dataDir + 'objects.history.json.journal')).to.be.true;
+
+            createObjects({enabled: true, count: 3}, _objects => {
+                objects = _objects;
+                objects.getObjectHistory(id, (err, versions) => {
+                    expect(err).to.be.not.ok;
+                    expect(versions.length).to.be.equal(3);
+                    expect(versions[1].obj.common.name).to.be.equal('v4');
+                    done();
+                });
+            });
+        }));
+    });
+
+    it('Objects: should return error if history is disabled', function (done) {
+        this.timeout(5000);
+        objects.destroy();
+        createObjects(undefined, _objects => {
+            objects = _objects;
+            objects.getObjectHistory(id, err => {
+                expect(err).to.be.equal('Object history is disabled');
+                done();
+            });
+        });
+    });
+
+    it('Objects: should forget deleted objects by count and age', function (done) {
+        const fileName = dataDir + 'prune.history.json';
+        const state    = {type: 'state', common: {name: 'prune'}, native: {}};
+        let history    = new History(fileName, {count: 3, deletedCount: 2, deletedDays: 1, logger: logger});
+        ['prune.0.a', 'prune.0.b', 'prune.0.c', 'prune.0.d'].forEach(id => history.add(id, state));
+        ['prune.0.a', 'prune.0.b', 'prune.0.c'].forEach(id => history.add(id, null));
+        expect(history.get('prune.0.a')).to.be.deep.equal([]);
+        expect(history.get('prune.0.b').length).to.be.equal(2);
+        expect(history.get('prune.0.d').length).to.be.equal(1);
+        history.close();
+
+        // restored from journal
+        history = new History(fileName, {count: 3, deletedCount: 2, deletedDays: 1, logger: logger});
+        expect(history.get('prune.0.a')).to.be.deep.equal([]);
+        expect(history.get('prune.0.c').length).to.be.equal(2);
+        history.close();
+
+        // deletion is older than deletedDays (~1 ms)
+        setTimeout(() => {
+            history = new History(fileName, {count: 3, deletedCount: 2, deletedDays: 0.00000001, logger: logger});
+            expect(history.get('prune.0.b')).to.be.deep.equal([]);
+            expect(history.get('prune.0.d').length).to.be.equal(1);
+            history.close();
+            done();
+        }, 10);
+    });
+
+    after('Objects: Close DB', function () {
+        objects.destroy();
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
@@ -0,0 +1,129 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect   = require('chai').expect;
+const fs       = require('fs');
+const setup    = require('./lib/setup4controller');
+const textName = 'Redis';
+const tests    = require('./lib/testObjectsTransaction');
+let   context  = {
+    objects: null,
+    name: textName
+};
+
+// objects in REDIS, states in files
+describe(textName + ' Test Objects', function() {
+    before(textName + ' Start js-controller', function (_done) {
+        this.timeout(2000);
+
+        setup.startController({
+                objects: {
+                    type: 'redis',
+                    host: '127.0.0.1',
+                    port: 6379,
+                    aclInheritance: true
+                },
+                states: {
+                    dataDir: __dirname + '/../tmp/data',
+                    port:    19003
+                }
+            },
+            function (_objects, _states) {
+                context.objects = _objects;
+                expect(_objects).to.be.ok;
+                expect(_states).to.be.ok;
+                _done();
+            }
+        );
+    });
+
+    tests.register(it, expect, context);
+
+    it(textName + ' objects: should query objects by ID pattern', done => {
+        const objects = context.objects;
+        const state = {type: 'state', common: {name: 'query', type: 'number', role: 'value'}, native: {}};
+        const ids = ['testQuery.0.a', 'testQuery.0.b', 'testQuery.1.a'];
+        objects.transaction(ids.map(id => ({op: 'set', id: id, obj: state})), err => {
+            expect(err).to.be.not.ok;
+            objects.queryObjects({_id: 'testQuery.0.*'}, (err, res) => {
+                expect(err).to.be.not.ok;
+                expect(res.rows.map(row => row.id).sort()).to.be.deep.equal(['testQuery.0.a', 'testQuery.0.b']);
+                objects.queryObjects({_id: 'testQuery.*.a', type: 'state'}, (err, res) => {
+                    expect(err).to.be.not.ok;
+                    expect(res.rows.map(row => row.id).sort()).to.be.deep.equal(['testQuery.0.a', 'testQuery.1.a']);
+                    objects.transaction(ids.map(id => ({op: 'del', id: id})), done);
+                });
+            });
+        });
+    });
+
+    it(textName + ' objects: should inherit acl in transaction', done => {
+        const objects = context.objects;
+        const tenantAcl = {owner: 'system.user.tenant', ownerGroup: 'system.group.tenant', object: 0x660, state: 0x660, explicit: true};
+        const state = {type: 'state', common: {name: 'acl', type: 'number', role: 'value'}, native: {}};
+        const getAcl = (id, cb) => objects.queryObjects({_id: id}, (err, res) => cb(res.rows[0].value.acl));
+        // parent is created in the same transaction
+        objects.transaction([
+            {op: 'set', id: 'testAcl.0.device', obj: {type: 'device', common: {name: 'device'}, native: {}, acl: tenantAcl}},
+            {op: 'set', id: 'testAcl.0.device.state', obj: state}
+        ], err => {
+            expect(err).to.be.not.ok;
+            getAcl('testAcl.0.device.state', acl => {
+                expect(acl.owner).to.be.equal('system.user.tenant');
+                expect(acl.explicit).to.be.undefined;
+                // parent is read from DB
+                objects.transaction([{op: 'set', id: 'testAcl.0.device.other', obj: state}], err => {
+                    expect(err).to.be.not.ok;
+                    getAcl('testAcl.0.device.other', acl => {
+                        expect(acl.owner).to.be.equal('system.user.tenant');
+                        objects.transaction(['testAcl.0.device', 'testAcl.0.device.state', 'testAcl.0.device.other'].map(id => ({op: 'del', id: id})), done);
+                    });
+                });
+            });
+        });
+    });
+
+    it(textName + ' objects: should write audit log only by controller', done => {
+        const Objects = require(__dirname + '/../lib/objects/objectsInRedis');
+        const Audit   = require(__dirname + '/../lib/audit');
+        const dataDir = __dirname + '/../tmp/data/';
+        const logger  = {silly: () => {}, debug: () => {}, info: () => {}, warn: () => {}, error: msg => console.error(msg)};
+        const create  = (writeAudit, connected) => new Objects({
+            connection: {type: 'redis', host: '127.0.0.1', port: 6379, dataDir: dataDir, audit: {enabled: true, flushInterval: 0}},
+            logger:     logger,
+            writeAudit: writeAudit,
+            connected:  connected
+        });
+        if (fs.existsSync(dataDir + 'audit.jsonl')) fs.unlinkSync(dataDir + 'audit.jsonl');
+
+        const controller = create(true, () => {
+            const adapter = create(false, () => {
+                const entry = {action: 'adapter.install', id: 'system.adapter.testAudit', user: null, from: 'system.host.test.cli'};
+                adapter.recordAudit(entry, err => {
+                    expect(err).to.be.not.ok;
+                    setTimeout(() => {
+                        expect(new Audit(dataDir).read({id: 'system.adapter.testAudit'}).length).to.be.equal(1);
+                        adapter.readAudit({id: 'system.adapter.testAudit'}, (err, entries) => {
+                            expect(err).to.be.not.ok;
+                            expect(entries.length).to.be.equal(1);
+                            adapter.destroy();
+                            controller.destroy();
+                            fs.unlinkSync(dataDir + 'audit.jsonl');
+                            done();
+                        });
+                    }, 100);
+                });
+            });
+        });
+    });
+
+    after(textName + ' Stop js-controller', function (done) {
+        this.timeout(5000);
+        setup.stopController(function () {
+            done();
+        });
+    });
+});
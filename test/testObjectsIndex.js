@@ -0,0 +1,55 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect       = require('chai').expect;
+const ObjectsIndex = require(__dirname + '/../lib/objects/objectsIndex');
+
+describe('Index: Test secondary indexes of objects', function () {
+    const objects = {
+        'hm-rpc.0.A.TEMPERATURE': {type: 'state',   common: {role: 'value.temperature', custom: {'history.0': {enabled: true}}}},
+        'hm-rpc.0.B.TEMPERATURE': {type: 'state',   common: {role: 'value.temperature', custom: {'history.0': null}}},
+        'hm-rpc.0.B.HUMIDITY':    {type: 'state',   common: {role: 'value.humidity', write: false}},
+        'hm-rpc.0.B':             {type: 'channel', common: {name: 'Sensor'}},
+        'enum.rooms.kitchen':     {type: 'enum',    common: {members: ['hm-rpc.0.B', 'hm-rpc.0.A.TEMPERATURE']}}
+    };
+    let index;
+
+    before('Index: Create index', function () {
+        index = new ObjectsIndex();
+        Object.keys(objects).forEach(id => index.update(id, objects[id]));
+    });
+
+    it('Index: should find objects by indexed attributes', function () {
+        expect(index.find({type: 'state', 'common.role': 'value.temperature'}, objects)).to.be.deep.equal(['hm-rpc.0.A.TEMPERATURE', 'hm-rpc.0.B.TEMPERATURE']);
+        expect(index.find({'common.role': ['value.humidity', 'value.temperature']}, objects).length).to.be.equal(3);
+        expect(index.find({'common.custom.*': 'history.0'}, objects)).to.be.deep.equal(['hm-rpc.0.A.TEMPERATURE']);
+        expect(index.find({enum: 'enum.rooms.kitchen'}, objects)).to.be.deep.equal(['hm-rpc.0.A.TEMPERATURE', 'hm-rpc.0.B']);
+        expect(index.find({'common.name': 'Sensor'}, objects)).to.be.deep.equal(['hm-rpc.0.B']);
+    });
+
+    it('Index: should check attributes without index and ID pattern', function () {
+        expect(index.isIndexed('common.write')).to.be.false;
+        expect(index.query({'common.write': false})).to.be.null;
+        expect(index.find({type: 'state', 'common.write': false}, objects)).to.be.deep.equal(['hm-rpc.0.B.HUMIDITY']);
+        expect(index.find({type: 'state', _id: 'hm-rpc.0.B.*'}, objects)).to.be.deep.equal(['hm-rpc.0.B.HUMIDITY', 'hm-rpc.0.B.TEMPERATURE']);
+        expect(new ObjectsIndex([]).find({enum: 'enum.rooms.kitchen'}, objects)).to.be.deep.equal(['hm-rpc.0.A.TEMPERATURE', 'hm-rpc.0.B']);
+    });
+
+    it('Index: should update index by change and deletion', function () {
+        index.update('hm-rpc.0.B.TEMPERATURE', {type: 'state', common: {role: 'level.temperature'}});
+        expect(index.query({'common.role': 'value.temperature'})).to.be.deep.equal(['hm-rpc.0.A.TEMPERATURE']);
+        expect(index.query({'common.role': 'level.temperature'})).to.be.deep.equal(['hm-rpc.0.B.TEMPERATURE']);
+
+        index.update('enum.rooms.kitchen', {type: 'enum', common: {members: ['hm-rpc.0.B']}});
+        expect(index.query({enum: 'enum.rooms.kitchen'})).to.be.deep.equal(['hm-rpc.0.B']);
+
+        index.update('enum.rooms.kitchen', null);
+        index.update('hm-rpc.0.A.TEMPERATURE', null);
+        expect(index.query({enum: 'enum.rooms.kitchen'})).to.be.deep.equal([]);
+        expect(index.query({'common.custom.*': 'history.0'})).to.be.deep.equal([]);
+        expect(index.query({type: 'state'})).to.be.deep.equal(['hm-rpc.0.B.HUMIDITY', 'hm-rpc.0.B.TEMPERATURE']);
+    });
+});
@@ -0,0 +1,130 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect  = require('chai').expect;
+const fs      = require('fs');
+const tools   = require(__dirname + '/../lib/tools');
+const Objects = require(__dirname + '/../lib/objects/objectsInMemServer');
+const dataDir = __dirname + '/../tmp/objectsJournal/';
+const logger  = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+function createObjects(dir, port, maxSizeMB, callback) {
+    const objects = new Objects({
+        connection: {
+            dataDir: dir,
+            port:    port,
+            host:    '127.0.0.1',
+            journal: {syncInterval: 0, maxSizeMB: maxSizeMB}
+        },
+        backup: {disabled: true},
+        logger: logger,
+        connected: function () {
+            callback(objects);
+        }
+    });
+}
+
+function readObjectsJson(dir) {
+    return JSON.parse(fs.readFileSync(dir + 'objects.json').toString());
+}
+
+// own directory with monolithic objects.json for every test
+function createDir(name) {
+    const dir = dataDir + name + '/';
+    fs.mkdirSync(dir);
+    fs.writeFileSync(dir + 'objects.json', JSON.stringify({
+        'journal.0.old': {_id: 'journal.0.old', type: 'state', common: {name: 'old'}, native: {}}
+    }));
+    return dir;
+}
+
+// create journal.0.new and delete journal.0.old
+function writeChanges(dir, port, callback) {
+    createObjects(dir, port, 5, function (objects) {
+        objects.setObject('journal.0.new', {type: 'state', common: {name: 'new'}, native: {}}, function (err) {
+            expect(err).to.be.not.ok;
+            objects.delObject('journal.0.old', function (err) {
+                expect(err).to.be.not.ok;
+                objects.destroy();
+                callback();
+            });
+        });
+    });
+}
+
+describe('Objects: Test journal', function () {
+    before('Objects: Clean journal directory', function () {
+        tools.rmdirRecursiveSync(dataDir);
+        fs.mkdirSync(dataDir);
+    });
+
+    it('Objects: should load objects.json and write only changes', function (done) {
+        const dir = createDir('changes');
+        createObjects(dir, 19012, 5, function (objects) {
+            objects.getObject('journal.0.old', function (err, obj) {
+                expect(err).to.be.not.ok;
+                expect(obj.common.name).to.be.equal('old');
+                objects.destroy();
+
+                writeChanges(dir, 19012, function () {
+                    expect(readObjectsJson(dir)['journal.0.old']).to.be.ok;
+                    expect(readObjectsJson(dir)['journal.0.new']).to.be.not.ok;
+                    expect(fs.statSync(dir + 'objects.json.journal').size).to.be.above(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('Objects: should restore changes from journal', function (done) {
+        const dir = createDir('restore');
+        writeChanges(dir, 19013, function () {
+            createObjects(dir, 19013, 5, function (objects) {
+                objects.getObject('journal.0.new', function (err, obj) {
+                    expect(err).to.be.not.ok;
+                    expect(obj.common.name).to.be.equal('new');
+                    objects.getObject('journal.0.old', function (err, obj) {
+                        expect(obj).to.be.not.ok;
+                        objects.destroy();
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('Objects: should write objects.json if journal is too big', function (done) {
+        const dir = createDir('compact');
+        writeChanges(dir, 19014, function () {
+            createObjects(dir, 19014, 0, function (objects) {
+                objects.extendObject('journal.0.new', {common: {name: 'changed'}}, function (err) {
+                    expect(err).to.be.not.ok;
+                    objects.destroy();
+
+                    const json = readObjectsJson(dir);
+                    expect(json['journal.0.old']).to.be.not.ok;
+                    expect(json['journal.0.new'].common.name).to.be.equal('changed');
+                    expect(fs.statSync(dir + 'objects.json.journal').size).to.be.equal(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    after('Objects: Clean journal directory', function () {
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
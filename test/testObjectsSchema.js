@@ -0,0 +1,132 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect        = require('chai').expect;
+const tools         = require(__dirname + '/../lib/tools');
+const ObjectsSchema = require(__dirname + '/../lib/objects/objectsSchema');
+const Objects       = require(__dirname + '/../lib/objects/objectsInMemServer');
+const dataDir       = __dirname + '/../tmp/objectsSchema/';
+const logger        = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+const adapterObj = {
+    type:   'adapter',
+    common: {
+        name:         'schema',
+        version:      '1.0.0',
+        nativeSchema: {
+            instance: {type: 'object', required: ['port'], properties: {port: {type: 'integer', minimum: 1}}},
+            state:    {type: 'object', properties: {address: {type: 'string'}}, additionalProperties: false}
+        }
+    },
+    native: {}
+};
+
+describe('Schema: Test validation of objects', function () {
+    it('Schema: should validate objects by type', function () {
+        expect(ObjectsSchema.validate({type: 'state', common: {name: 'A', type: 'number', role: 'value', min: 0}, native: {}})).to.be.deep.equal([]);
+        expect(ObjectsSchema.validate({type: 'state', common: {name: 'A', type: 'float', role: 'value', read: 'yes'}, native: {}})).to.be.deep.equal([
+            'common.type must be one of number, string, boolean, array, object, mixed, file, json',
+            'common.read must be boolean'
+        ]);
+        expect(ObjectsSchema.validate({type: 'channel', native: {}})).to.be.deep.equal(['common is missing']);
+        expect(ObjectsSchema.validate({type: 'enum', common: {name: {en: 'Kitchen'}, members: ['a', 1]}})).to.be.deep.equal(['common.members[1] must be string']);
+        expect(ObjectsSchema.validate({type: 'adapter', common: {name: 'a', version: 'latest'}})).to.be.deep.equal(['common.version must match ^\\d+\\.\\d+\\.\\d+']);
+        expect(ObjectsSchema.validate({type: 'meta', common: {}})).to.be.deep.equal([]);
+    });
+
+    it('Schema: should validate native by schema of adapter', function () {
+        expect(ObjectsSchema.getAdapterId('system.adapter.schema.0')).to.be.equal('system.adapter.schema');
+        expect(ObjectsSchema.getAdapterId('schema.0.device.state')).to.be.equal('system.adapter.schema');
+        expect(ObjectsSchema.getAdapterId('system.adapter.schema')).to.be.null;
+        expect(ObjectsSchema.getAdapterId('enum.rooms.kitchen')).to.be.null;
+
+        const instance = {type: 'instance', common: {name: 'schema', enabled: true, mode: 'daemon'}, native: {port: 0}};
+        expect(ObjectsSchema.validate(instance, adapterObj)).to.be.deep.equal(['native.port must be >= 1']);
+        instance.native = {};
+        expect(ObjectsSchema.validate(instance, adapterObj)).to.be.deep.equal(['native.port is missing']);
+
+        const state = {type: 'state', common: {name: 'A', type: 'string', role: 'text'}, native: {address: 'A1', unknown: 1}};
+        expect(ObjectsSchema.validate(state, adapterObj)).to.be.deep.equal(['native.unknown is not allowed']);
+    });
+
+    it('Schema: should register own schemas', function () {
+        ObjectsSchema.register('device', {type: 'object', required: ['common']});
+        expect(ObjectsSchema.validate({type: 'device'})).to.be.deep.equal(['common is missing']);
+        ObjectsSchema.register('device', null);
+        expect(ObjectsSchema.getSchema('device')).to.be.undefined;
+        expect(ObjectsSchema.validate({type: 'device'})).to.be.deep.equal([]);
+    });
+});
+
+describe('Schema: Test validation in objects DB', function () {
+    let objects;
+
+    before('Schema: Create DB', function (done) {
+        tools.rmdirRecursiveSync(dataDir);
+        objects = new Objects({
+            connection: {
+                dataDir:    dataDir,
+                port:       19041,
+                host:       '127.0.0.1',
+                validation: 'reject'
+            },
+            backup:    {disabled: true},
+            logger:    logger,
+            connected: () => objects.setObject('system.adapter.schema', adapterObj, () => done())
+        });
+    });
+
+    it('Schema: should reject invalid objects', function (done) {
+        objects.setObject('schema.0.state', {type: 'state', common: {name: 'A', type: 'number'}, native: {}}, err => {
+            expect(err).to.be.equal('Invalid object schema.0.state: common.role is missing');
+            objects.getObject('schema.0.state', (err, obj) => {
+                expect(obj).to.be.not.ok;
+                done();
+            });
+        });
+    });
+
+    it('Schema: should validate result of extendObject', function (done) {
+        objects.setObject('schema.0.state', {type: 'state', common: {name: 'A', type: 'number', role: 'value'}, native: {address: 'A1'}}, err => {
+            expect(err).to.be.not.ok;
+            objects.extendObject('schema.0.state', {native: {port: 5}}, err => {
+                expect(err).to.be.equal('Invalid object schema.0.state: native.port is not allowed');
+                objects.extendObject('schema.0.state', {common: {unit: '°C'}}, err => {
+                    expect(err).to.be.not.ok;
+                    done();
+                });
+            });
+        });
+    });
+
+    it('Schema: should reject transaction with invalid object', function (done) {
+        objects.transaction([
+            {op: 'extend', id: 'schema.0.state', obj: {common: {min: 0}}},
+            {op: 'set', id: 'system.adapter.schema.0', obj: {type: 'instance', common: {name: 'schema', enabled: false, mode: 'daemon'}, native: {port: 'x'}}}
+        ], err => {
+            expect(err).to.be.equal('Invalid object system.adapter.schema.0: native.port must be integer');
+            objects.getObject('schema.0.state', (err, obj) => {
+                expect(obj.common.min).to.be.undefined;
+                done();
+            });
+        });
+    });
+
+    after('Schema: Close DB', function () {
+        objects.destroy();
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
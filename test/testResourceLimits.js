@@ -0,0 +1,76 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect         = require('chai').expect;
+const fs             = require('fs');
+const mkdirp         = require('mkdirp');
+const path           = require('path');
+const tools          = require(__dirname + '/../lib/tools');
+const ResourceLimits = require(__dirname + '/../lib/resourceLimits');
+const rootDir        = __dirname + '/../tmp/cgroup/';
+const cgroupRoot     = rootDir + 'iobroker';
+
+describe('ResourceLimits: Test limits of instances', function () {
+    before('ResourceLimits: Create cgroup tree', function () {
+        tools.rmdirRecursiveSync(rootDir);
+        mkdirp.sync(rootDir);
+        // files of mounted cgroup v2
+        fs.writeFileSync(rootDir + 'cgroup.controllers', 'cpu memory pids');
+    });
+
+    it('ResourceLimits: should read only valid limits', function () {
+        expect(ResourceLimits.normalize({cpu: '50', memoryMB: 0, openFiles: 1024, action: 'restart'})).to.be.deep.equal({cpu: 50, openFiles: 1024});
+        expect(ResourceLimits.normalize({memoryMB: -1})).to.be.null;
+        expect(ResourceLimits.normalize(undefined)).to.be.null;
+    });
+
+    it('ResourceLimits: should write cgroup of instance', function () {
+        expect(ResourceLimits.isCgroupAvailable(cgroupRoot)).to.be.true;
+        expect(ResourceLimits.isCgroupAvailable(rootDir + 'other/iobroker')).to.be.false;
+
+        const dir = ResourceLimits.getCgroupDir(cgroupRoot, 'system.adapter.hm-rpc.0');
+        expect(dir).to.be.equal(path.join(cgroupRoot, 'hm-rpc.0'));
+
+        ResourceLimits.applyCgroup(cgroupRoot, 'system.adapter.hm-rpc.0', 1234, {cpu: 50, memoryMB: 200});
+        expect(fs.readFileSync(cgroupRoot + '/cgroup.subtree_control', 'utf8')).to.be.equal('+cpu +memory');
+        expect(fs.readFileSync(dir + '/cpu.max', 'utf8')).to.be.equal('50000 100000');
+        expect(fs.readFileSync(dir + '/memory.max', 'utf8')).to.be.equal(String(200 * 1048576));
+        expect(fs.readFileSync(dir + '/cgroup.procs', 'utf8')).to.be.equal('1234');
+
+        ResourceLimits.applyCgroup(cgroupRoot, 'system.adapter.hm-rpc.0', 1235, {openFiles: 100});
+        expect(fs.readFileSync(dir + '/cpu.max', 'utf8')).to.be.equal('max 100000');
+        expect(fs.readFileSync(dir + '/memory.max', 'utf8')).to.be.equal('max');
+    });
+
+    it('ResourceLimits: should measure usage of process', function (done) {
+        ResourceLimits.readUsage(process.pid, (err, usage) => {
+            expect(err).to.be.not.ok;
+            expect(usage.cpu).to.be.a('number');
+            expect(usage.memRss).to.be.above(0);
+            if (fs.existsSync('/proc/' + process.pid + '/fd')) {
+                expect(usage.fds).to.be.above(2);
+            } else {
+                expect(usage.fds).to.be.null;
+            }
+            done();
+        });
+    });
+
+    it('ResourceLimits: should detect exceeded limits', function () {
+        const limits = {cpu: 50, memoryMB: 200, openFiles: 100};
+        expect(ResourceLimits.getExceeded({cpu: 10, memRss: 150, fds: 20}, limits)).to.be.deep.equal([]);
+        expect(ResourceLimits.getExceeded({cpu: 80, memRss: 250, fds: 100}, limits)).to.be.deep.equal([
+            'cpu 80% > 50%',
+            'memory 250 MB > 200 MB',
+            'open files 100 >= 100'
+        ]);
+        expect(ResourceLimits.getExceeded({cpu: 80, memRss: 150, fds: null}, {memoryMB: 200, openFiles: 100})).to.be.deep.equal([]);
+    });
+
+    after('ResourceLimits: Delete cgroup tree', function () {
+        tools.rmdirRecursiveSync(rootDir);
+    });
+});
@@ -0,0 +1,59 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect         = require('chai').expect;
+const ResponseStream = require(__dirname + '/../lib/responseStream');
+
+describe('ResponseStream: Test partial results', function () {
+    function createRequest(stream) {
+        return {command: 'read', from: 'system.adapter.test.0', callback: {id: 7, ack: false, stream: stream}};
+    }
+
+    it('ResponseStream: should wait for acknowledge after window', function () {
+        const sent   = [];
+        const stream = new ResponseStream((target, command, message, callback) => sent.push({target, message, callback}), createRequest(true), {window: 2});
+        let drained  = 0;
+        stream.on('drain', () => drained++);
+
+        expect(stream.write('a')).to.be.true;
+        expect(stream.write('b')).to.be.false;
+        expect(sent.map(s => s.callback.partial)).to.be.deep.equal([1, 2]);
+        expect(sent[0].target).to.be.equal('system.adapter.test.0');
+
+        expect(ResponseStream.handleAck({from: 'system.adapter.test.0', callback: {id: 7, ack: true, streamAck: 1}})).to.be.true;
+        expect(drained).to.be.equal(1);
+
+        stream.end({size: 2});
+        expect(sent[2].message).to.be.deep.equal({size: 2});
+        expect(sent[2].callback.partial).to.be.undefined;
+        expect(stream.write('c')).to.be.false;
+        expect(sent.length).to.be.equal(3);
+    });
+
+    it('ResponseStream: should stop after cancel of requester', function () {
+        const sent   = [];
+        const stream = new ResponseStream((target, command, message) => sent.push(message), createRequest(true));
+        let cancelled = false;
+        stream.on('cancel', () => cancelled = true);
+
+        stream.write('a');
+        ResponseStream.handleAck({from: 'system.adapter.test.0', callback: {id: 7, ack: true, streamCancel: true}});
+        expect(cancelled).to.be.true;
+        expect(stream.write('b')).to.be.false;
+        stream.end('done');
+        expect(sent).to.be.deep.equal(['a']);
+    });
+
+    it('ResponseStream: should send only final result if requester does not stream', function () {
+        const sent   = [];
+        const stream = new ResponseStream((target, command, message) => sent.push(message), createRequest(false));
+        expect(stream.streaming).to.be.false;
+        expect(stream.write('a')).to.be.true;
+        stream.error(new Error('Broken'));
+        expect(sent).to.be.deep.equal([{error: 'Broken'}]);
+        expect(ResponseStream.handleAck({from: 'system.adapter.test.0', callback: {id: 7, ack: true}})).to.be.false;
+    });
+});
@@ -0,0 +1,32 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect = require('chai').expect;
+const Rpc    = require(__dirname + '/../lib/rpc');
+
+describe('RPC: Test declarations of commands', function () {
+    it('RPC: should validate arguments by declaration', function () {
+        const declaration = {desc: 'Send e-mail', args: {type: 'object', required: ['to'], properties: {to: {type: 'string'}, text: {type: 'string'}}}};
+        expect(Rpc.validateArgs(declaration, {to: 'a@b.c', text: 'Hello'})).to.be.null;
+        expect(Rpc.validateArgs(declaration, {text: 5})).to.be.equal('Invalid arguments: args.to is missing; args.text must be string');
+        expect(Rpc.validateArgs(declaration, 'a@b.c')).to.be.equal('Invalid arguments: args must be object');
+        expect(Rpc.validateArgs({desc: 'No arguments'}, 'anything')).to.be.null;
+        expect(Rpc.validateArgs(null, 'anything')).to.be.null;
+    });
+
+    it('RPC: should serialize errors', function () {
+        expect(Rpc.serializeError(new Error('Broken'))).to.be.equal('Broken');
+        expect(Rpc.serializeError('Not found')).to.be.equal('Not found');
+        expect(Rpc.serializeError({code: 5})).to.be.equal('{"code":5}');
+    });
+
+    it('RPC: should read endpoints of instance', function () {
+        const rpc = {send: {desc: 'Send e-mail'}};
+        expect(Rpc.getEndpoints({common: {rpc: rpc}})).to.be.equal(rpc);
+        expect(Rpc.getEndpoints({common: {}})).to.be.deep.equal({});
+        expect(Rpc.getEndpoints(null)).to.be.deep.equal({});
+    });
+});
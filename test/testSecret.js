@@ -0,0 +1,203 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect          = require('chai').expect;
+const fs              = require('fs');
+const mkdirp          = require('mkdirp');
+const tools           = require(__dirname + '/../lib/tools');
+const EncryptedNative = require(__dirname + '/../lib/encryptedNative');
+const Objects         = require(__dirname + '/../lib/objects/objectsInMemServer');
+const Secret          = require(__dirname + '/../lib/setup/setupSecret');
+const totp            = require(__dirname + '/../lib/totp');
+const SECRET          = totp.generateSecret();
+const rootDir         = __dirname + '/../tmp/secret/';
+const configFile      = rootDir + 'iobroker.json';
+const journalFile     = rootDir + 'secretRotation.json';
+const logger          = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+describe('Secret: Test rotation of secret', function () {
+    let objects;
+    let backups = 0;
+    const backup = {
+        createBackup: (name, callback) => {
+            backups++;
+            callback(rootDir + 'backup.tar.gz');
+        }
+    };
+
+    before('Secret: Create DB', function (done) {
+        tools.rmdirRecursiveSync(rootDir);
+        mkdirp.sync(rootDir);
+        objects = new Objects({
+            connection: {
+                dataDir: rootDir,
+                port:    19045,
+                host:    '127.0.0.1'
+            },
+            backup:    {disabled: true},
+            logger:    logger,
+            connected: () => {
+                // view of instances, as created by setup
+                const design = require(__dirname + '/../io-package.json').objects.find(obj => obj._id === '_design/system');
+                objects.setObject(design._id, design, () => objects.setObject('system.config', {type: 'config', common: {}, native: {secret: 'old'}}, () => {
+                    const obj = {type: 'instance', common: {name: 'test', host: 'host'}, encryptedNative: ['password', 'token'], native: {password: 'abc'}};
+                    objects.setObject('system.adapter.test.0', obj, () => {
+                        const user = {type: 'user', common: {name: 'otp', enabled: true, totp: {secret: totp.encryptSecret('old', SECRET)}}, native: {}};
+                        objects.setObject('system.user.otp', user, () => {
+                            tools.encryptPhrase('old', 'multihost', encoded => {
+                                fs.writeFileSync(configFile, JSON.stringify({multihostService: {enabled: true, secure: true, password: encoded}}));
+                                done();
+                            });
+                        });
+                    });
+                }));
+            }
+        });
+    });
+
+    it('Secret: should encrypt all values with new secret', function (done) {
+        objects.extendObject('system.adapter.test.0', {native: {token: 'xyz'}}, () => {
+            new Secret({objects: objects, backup: backup, configFileName: configFile}).rotate((err, result) => {
+                expect(err).to.be.not.ok;
+                expect(result).to.be.deep.equal({backup: rootDir + 'backup.tar.gz', instances: 1, attributes: 2, users: 1, multihost: true, errors: []});
+                expect(backups).to.be.equal(1);
+                expect(fs.existsSync(journalFile)).to.be.false;
+
+                objects.getObject('system.config', (err, config) => {
+                    const secret = config.native.secret;
+                    expect(secret).to.have.length(48);
+                    objects.getObject('system.adapter.test.0', (err, obj) => {
+                        expect(EncryptedNative.decryptNative(obj, secret)).to.be.deep.equal({native: {password: 'abc', token: 'xyz'}, errors: []});
+                        tools.decryptPhrase(secret, JSON.parse(fs.readFileSync(configFile)).multihostService.password, password => {
+                            expect(password).to.be.equal('multihost');
+                            objects.getObject('system.user.otp', (err, user) => {
+                                expect(totp.decryptSecret(secret, user.common.totp.secret)).to.be.equal(SECRET);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('Secret: should continue interrupted rotation', function (done) {
+        objects.getObject('system.config', (err, config) => {
+            const oldSecret = config.native.secret;
+            // process was interrupted after backup
+            fs.writeFileSync(journalFile, JSON.stringify({
+                ts:         Date.now(),
+                oldSecret:  oldSecret,
+                newSecret:  'new',
+                backup:     rootDir + 'old.tar.gz',
+                objects:    false,
+                config:     false,
+                instances:  0,
+                attributes: 0,
+                multihost:  false,
+                errors:     []
+            }));
+
+            new Secret({objects: objects, backup: backup, configFileName: configFile}).rotate((err, result) => {
+                expect(err).to.be.not.ok;
+                expect(result.backup).to.be.equal(rootDir + 'old.tar.gz');
+                expect(result.instances).to.be.equal(1);
+                expect(backups).to.be.equal(1);
+
+                objects.getObject('system.config', (err, config) => {
+                    expect(config.native.secret).to.be.equal('new');
+                    objects.getObject('system.adapter.test.0', (err, obj) => {
+                        expect(EncryptedNative.decryptNative(obj, 'new').native.password).to.be.equal('abc');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('Secret: should continue rotation interrupted after writing of config file', function (done) {
+        objects.getObject('system.config', (err, config) => {
+            const oldSecret = config.native.secret;
+            config.native.secret = 'newer';
+            // objects and iobroker.json were written, but not the journal
+            objects.setObject('system.config', config, () => {
+                tools.encryptPhrase('newer', 'multihost', encoded => {
+                    fs.writeFileSync(configFile, JSON.stringify({multihostService: {enabled: true, secure: true, password: encoded}}));
+                    fs.writeFileSync(journalFile, JSON.stringify({
+                        ts:         Date.now(),
+                        oldSecret:  oldSecret,
+                        newSecret:  'newer',
+                        backup:     rootDir + 'old.tar.gz',
+                        objects:    true,
+                        config:     false,
+                        instances:  1,
+                        attributes: 2,
+                        multihost:  false,
+                        multihostPassword: encoded,
+                        errors:     []
+                    }));
+
+                    new Secret({objects: objects, backup: backup, configFileName: configFile}).rotate((err, result) => {
+                        expect(err).to.be.not.ok;
+                        expect(result.multihost).to.be.true;
+                        expect(fs.existsSync(journalFile)).to.be.false;
+                        tools.decryptPhrase('newer', JSON.parse(fs.readFileSync(configFile)).multihostService.password, password => {
+                            expect(password).to.be.equal('multihost');
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('Secret: should write stored password, if rotation was interrupted before replacing of config file', function (done) {
+        objects.getObject('system.config', (err, config) => {
+            const oldSecret = config.native.secret;
+            config.native.secret = 'newest';
+            objects.setObject('system.config', config, () => {
+                // iobroker.json has still password encrypted with old secret
+                tools.encryptPhrase('newest', 'multihost', encoded => {
+                    fs.writeFileSync(journalFile, JSON.stringify({
+                        ts:         Date.now(),
+                        oldSecret:  oldSecret,
+                        newSecret:  'newest',
+                        backup:     rootDir + 'old.tar.gz',
+                        objects:    true,
+                        config:     false,
+                        instances:  1,
+                        attributes: 2,
+                        multihost:  false,
+                        multihostPassword: encoded,
+                        errors:     []
+                    }));
+
+                    new Secret({objects: objects, backup: backup, configFileName: configFile}).rotate((err, result) => {
+                        expect(err).to.be.not.ok;
+                        expect(result.multihost).to.be.true;
+                        expect(JSON.parse(fs.readFileSync(configFile)).multihostService.password).to.be.equal(encoded);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    after('Secret: Close DB', function () {
+        objects.destroy();
+        tools.rmdirRecursiveSync(rootDir);
+    });
+});
@@ -0,0 +1,104 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect        = require('chai').expect;
+const fs            = require('fs');
+const tools         = require(__dirname + '/../lib/tools');
+const SqliteStorage = require(__dirname + '/../lib/sqliteStorage');
+const Objects       = require(__dirname + '/../lib/objects/objectsInSqlite');
+const States        = require(__dirname + '/../lib/states/statesInSqlite');
+const dataDir       = __dirname + '/../tmp/sqliteStorage/';
+const logger        = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+describe('SQLite: Test storage', function () {
+    before('SQLite: Create objects.json with journal', function () {
+        tools.rmdirRecursiveSync(dataDir);
+        fs.mkdirSync(dataDir);
+        fs.writeFileSync(dataDir + 'objects.json', JSON.stringify({
+            'sqlite.0.old':     {_id: 'sqlite.0.old',     type: 'state',   common: {name: 'old'}, native: {}},
+            'sqlite.0.deleted': {_id: 'sqlite.0.deleted', type: 'state',   common: {}, native: {}}
+        }));
+        fs.writeFileSync(dataDir + 'objects.json.journal',
+            JSON.stringify(['s', 'sqlite.0', {_id: 'sqlite.0', type: 'instance', common: {}, native: {}}]) + '\n' +
+            JSON.stringify(['d', 'sqlite.0.deleted']) + '\n');
+    });
+
+    it('SQLite: should import objects.json and journal', function () {
+        const storage = new SqliteStorage(dataDir, 'objects', {logger: logger});
+        const objects = storage.load();
+        storage.close();
+        expect(Object.keys(objects).sort()).to.be.deep.equal(['sqlite.0', 'sqlite.0.old']);
+        expect(objects['sqlite.0.old'].common.name).to.be.equal('old');
+    });
+
+    it('SQLite: should store values and find IDs by type and range', function () {
+        let storage = new SqliteStorage(dataDir, 'objects', {logger: logger});
+        storage.transaction(() => {
+            storage.set('sqlite.0.new', {_id: 'sqlite.0.new', type: 'state', common: {name: 'new'}, native: {}});
+            storage.set('sqlite.0.binary', Buffer.from([1, 2, 3]));
+            storage.del('sqlite.0.old');
+        });
+        storage.close();
+
+        // import must not run again
+        storage = new SqliteStorage(dataDir, 'objects', {logger: logger});
+        const objects = storage.load();
+        expect(objects['sqlite.0.old']).to.be.not.ok;
+        expect(objects['sqlite.0.new'].common.name).to.be.equal('new');
+        expect(Buffer.isBuffer(objects['sqlite.0.binary'])).to.be.true;
+        expect(objects['sqlite.0.binary'][2]).to.be.equal(3);
+
+        expect(storage.getIds({type: 'state'})).to.be.deep.equal(['sqlite.0.new']);
+        expect(storage.getIds({startkey: 'sqlite.0.', endkey: 'sqlite.0.香'})).to.be.deep.equal(['sqlite.0.binary', 'sqlite.0.new']);
+        expect(storage.getIds()).to.be.deep.equal(['sqlite.0', 'sqlite.0.binary', 'sqlite.0.new']);
+
+        storage.clear();
+        expect(storage.getIds()).to.be.deep.equal([]);
+        storage.close();
+    });
+
+    it('SQLite: should write backups of objects and states', function (done) {
+        const backupDir = dataDir + 'server/backup-objects/';
+        const objects = new Objects({
+            connection: {type: 'sqlite', host: '127.0.0.1', port: 19050, dataDir: dataDir + 'server'},
+            logger:     logger,
+            connected:  () => {
+                const states = new States({
+                    connection: {type: 'sqlite', host: '127.0.0.1', port: 19051, dataDir: dataDir + 'server'},
+                    logger:     logger,
+                    connected:  () => {
+                        objects.setObject('sqlite.0.backup', {type: 'state', common: {name: 'backup'}, native: {}}, () =>
+                        states.setState('sqlite.0.backup', {val: 1, ack: true}, () => {
+                            // pending backup is written on destroy
+                            objects.destroy();
+                            states.destroy();
+                            setTimeout(() => {
+                                const files = fs.readdirSync(backupDir);
+                                expect(files.filter(file => file.endsWith('_objects.json.gz')).length).to.be.equal(1);
+                                expect(files.filter(file => file.endsWith('_states.json.gz')).length).to.be.equal(1);
+                                done();
+                            }, 100);
+                        }));
+                    }
+                });
+            }
+        });
+    });
+
+    after('SQLite: Clean directory', function () {
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
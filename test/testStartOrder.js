@@ -0,0 +1,84 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect     = require('chai').expect;
+const StartOrder = require(__dirname + '/../lib/startOrder');
+
+function instance(id, common) {
+    return {_id: 'system.adapter.' + id, type: 'instance', common: Object.assign({enabled: true, mode: 'daemon'}, common)};
+}
+
+describe('StartOrder: Test order of instances', function () {
+    const instances = {};
+    [
+        instance('admin.0', {dependencies: [{'js-controller': '>=1.4.0'}]}),
+        instance('vis.0',   {dependencies: [{web: '>=2.0.0'}]}),
+        instance('web.0',   {}),
+        instance('web.1',   {}),
+        instance('hm-rpc.0', {}),
+        instance('javascript.0', {globalDependencies: {admin: '>=2.0.0'}, startAfter: ['hm-rpc.0', 'system.adapter.mqtt.0']})
+    ].forEach(obj => instances[obj._id] = obj);
+
+    it('StartOrder: should find dependencies', function () {
+        const graph = StartOrder.getGraph(instances);
+        expect(graph['system.adapter.admin.0']).to.be.deep.equal([]);
+        expect(graph['system.adapter.vis.0']).to.be.deep.equal(['system.adapter.web.0', 'system.adapter.web.1']);
+        // mqtt.0 is not in list
+        expect(graph['system.adapter.javascript.0']).to.be.deep.equal(['system.adapter.admin.0', 'system.adapter.hm-rpc.0']);
+    });
+
+    it('StartOrder: should sort instances and keep original order', function () {
+        const graph  = StartOrder.getGraph(instances);
+        const result = StartOrder.sort(graph, Object.keys(instances));
+        expect(result.cycles).to.be.deep.equal([]);
+        expect(result.order).to.be.deep.equal([
+            'system.adapter.admin.0',
+            'system.adapter.web.0',
+            'system.adapter.web.1',
+            'system.adapter.vis.0',
+            'system.adapter.hm-rpc.0',
+            'system.adapter.javascript.0'
+        ]);
+
+        // dependencies to instances, that are not started, are ignored
+        expect(StartOrder.sort(graph, ['system.adapter.vis.0', 'system.adapter.web.1']).order).to.be.deep.equal(['system.adapter.web.1', 'system.adapter.vis.0']);
+    });
+
+    it('StartOrder: should group instances for stop', function () {
+        const levels = StartOrder.getLevels(StartOrder.getGraph(instances), Object.keys(instances));
+        expect(levels).to.be.deep.equal([
+            ['system.adapter.admin.0', 'system.adapter.web.0', 'system.adapter.web.1', 'system.adapter.hm-rpc.0'],
+            ['system.adapter.vis.0', 'system.adapter.javascript.0']
+        ]);
+    });
+
+    it('StartOrder: should report cycles', function () {
+        const graph = StartOrder.getGraph({
+            'system.adapter.a.0': instance('a.0', {startAfter: 'b.0'}),
+            'system.adapter.b.0': instance('b.0', {startAfter: ['c']}),
+            'system.adapter.c.0': instance('c.0', {startAfter: ['a.0']}),
+            'system.adapter.d.0': instance('d.0', {startAfter: ['a.0']}),
+            'system.adapter.e.0': instance('e.0', {})
+        });
+        const result = StartOrder.sort(graph, Object.keys(graph));
+        expect(result.cycles).to.be.deep.equal([['system.adapter.a.0', 'system.adapter.b.0', 'system.adapter.c.0', 'system.adapter.a.0']]);
+        // all instances are started anyway
+        expect(result.order).to.be.deep.equal(['system.adapter.e.0', 'system.adapter.a.0', 'system.adapter.b.0', 'system.adapter.c.0', 'system.adapter.d.0']);
+    });
+
+    it('StartOrder: should not wait for dead dependency with independent instances', function () {
+        const deps  = {a: [], b: ['a'], c: [], d: ['b']};
+        const since = {};
+        expect(StartOrder.getNext(['a', 'b', 'c', 'd'], deps, {}, since, 0, 1000)).to.be.deep.equal({id: 'a', missing: []});
+        // a is dead: b waits, c is started, d waits till b is started
+        expect(StartOrder.getNext(['b', 'c', 'd'], deps, {a: false}, since, 100, 1000)).to.be.deep.equal({id: 'c', missing: []});
+        expect(StartOrder.getNext(['b', 'd'], deps, {a: false}, since, 500, 1000)).to.be.deep.equal({id: null, missing: []});
+        expect(since).to.be.deep.equal({b: 100});
+        // b is started after timeout
+        expect(StartOrder.getNext(['b', 'd'], deps, {a: false}, since, 1100, 1000)).to.be.deep.equal({id: 'b', missing: ['a']});
+        expect(StartOrder.getNext(['d'], deps, {a: false, b: true}, since, 1200, 1000)).to.be.deep.equal({id: 'd', missing: []});
+    });
+});
@@ -0,0 +1,124 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect  = require('chai').expect;
+const fs      = require('fs');
+const tools   = require(__dirname + '/../lib/tools');
+const Journal = require(__dirname + '/../lib/journal');
+const States  = require(__dirname + '/../lib/states/statesInMemServer');
+const dataDir = __dirname + '/../tmp/journal/';
+const logger  = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function (msg) {
+        console.error(msg);
+    }
+};
+
+function createStates(port, callback, dir) {
+    const states = new States({
+        connection: {
+            dataDir: dir || dataDir,
+            port:    port,
+            host:    '127.0.0.1',
+            journal: {syncInterval: 0}
+        },
+        backup: {disabled: true},
+        logger: logger,
+        connected: function () {
+            callback(states);
+        }
+    });
+}
+
+describe('States: Test journal', function () {
+    before('States: Clean journal directory', function () {
+        tools.rmdirRecursiveSync(dataDir);
+        fs.mkdirSync(dataDir);
+    });
+
+    it('States: should replay journal and skip broken lines', function () {
+        const journal = new Journal(dataDir + 'test.journal', {syncInterval: 0, logger: logger});
+        journal.append('s', 'a', {val: 1});
+        journal.append('s', 'b', {val: 2});
+        journal.append('d', 'a');
+        journal.close();
+        // simulate torn write
+        fs.appendFileSync(dataDir + 'test.journal', '["s","c",{"va');
+
+        const result = {};
+        const count = new Journal(dataDir + 'test.journal', {logger: logger}).replay(function (op, id, data) {
+            if (op === 's') {
+                result[id] = data;
+            } else if (op === 'd') {
+                delete result[id];
+            }
+        });
+        expect(count).to.be.equal(3);
+        expect(result).to.be.deep.equal({b: {val: 2}});
+    });
+
+    it('States: should restore states after crash', function (done) {
+        this.timeout(3000);
+        createStates(19010, function (crashed) {
+            crashed.setState('journal.0.value', {val: 5, ack: true}, function () {
+                crashed.setState('journal.0.deleted', 1, function () {
+                    crashed.delState('journal.0.deleted', function () {
+                        expect(fs.existsSync(dataDir + 'states.json')).to.be.false;
+
+                        // start second instance on the same data without saving of first one
+                        createStates(19011, function (restored) {
+                            restored.getState('journal.0.value', function (err, state) {
+                                expect(err).to.be.not.ok;
+                                expect(state).to.be.ok;
+                                expect(state.val).to.be.equal(5);
+                                expect(state.ack).to.be.true;
+                                restored.getState('journal.0.deleted', function (err, state) {
+                                    expect(state).to.be.not.ok;
+                                    restored.destroy();
+                                    crashed.destroy();
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('States: should compact journal with snapshot', function (done) {
+        this.timeout(3000);
+        const dir = dataDir + 'compact/';
+        fs.mkdirSync(dir);
+        createStates(19012, function (states) {
+            states.setState('journal.0.value', {val: 7, ack: true}, function () {
+                states.setState('journal.0.deleted', 1, function () {
+                    states.delState('journal.0.deleted', function () {
+                        expect(fs.existsSync(dir + 'states.json')).to.be.false;
+                        expect(fs.statSync(dir + 'states.json.journal').size).to.be.above(0);
+
+                        // destroy writes snapshot and truncates journal
+                        states.destroy();
+                        expect(fs.statSync(dir + 'states.json.journal').size).to.be.equal(0);
+                        const snapshot = JSON.parse(fs.readFileSync(dir + 'states.json').toString());
+                        expect(snapshot['journal.0.value'].val).to.be.equal(7);
+                        expect(snapshot['journal.0.deleted']).to.be.undefined;
+                        done();
+                    });
+                });
+            });
+        }, dir);
+    });
+
+    after('States: Clean journal directory', function () {
+        tools.rmdirRecursiveSync(dataDir);
+    });
+});
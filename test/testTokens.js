@@ -0,0 +1,31 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect = require('chai').expect;
+const tokens = require(__dirname + '/../lib/tokens');
+
+describe('Tokens: Test API tokens', function () {
+    it('Tokens: should create and verify token', function () {
+        const created = tokens.generate('admin', 'backup');
+        expect(tokens.parse(created.token)).to.be.deep.equal({user: 'admin', id: created.id, secret: created.token.split('.')[2]});
+        expect(created.entry.hash).to.match(/^sha256\$/);
+        expect(created.entry.hash).to.not.contain(created.token.split('.')[2]);
+
+        const user = {common: {tokens: {[created.id]: created.entry}}};
+        expect(tokens.verify(user, created.token)).to.be.deep.equal({id: created.id, name: 'backup'});
+        expect(tokens.verify(user, 'Bearer ' + created.token)).to.be.ok;
+        expect(tokens.verify(user, created.token.replace(/[0-9a-f]+$/, '00'))).to.be.null;
+        expect(tokens.verify(user, 'invalid')).to.be.null;
+        expect(tokens.verify({common: {}}, created.token)).to.be.null;
+    });
+
+    it('Tokens: should not accept expired token', function () {
+        const created = tokens.generate('admin', 'old', Date.now() - 1);
+        const user    = {common: {tokens: {[created.id]: created.entry}}};
+        expect(tokens.verify(user, created.token)).to.be.null;
+        expect(tokens.list(user)).to.be.deep.equal([{id: created.id, name: 'old', created: created.entry.created, expires: created.entry.expires, expired: true}]);
+    });
+});
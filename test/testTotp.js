@@ -0,0 +1,46 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect = require('chai').expect;
+const totp   = require(__dirname + '/../lib/totp');
+
+// secret "12345678901234567890" of RFC 6238, appendix B
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP: Test one-time passwords', function () {
+    it('TOTP: should calculate codes of RFC 6238', function () {
+        expect(SECRET).to.be.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(totp.base32Decode(SECRET).toString()).to.be.equal('12345678901234567890');
+
+        expect(totp.generate(SECRET, 59000)).to.be.equal('287082');
+        expect(totp.generate(SECRET, 1111111109000)).to.be.equal('081804');
+        expect(totp.generate(SECRET, 1234567890000)).to.be.equal('005924');
+        expect(totp.generate(SECRET, 2000000000000)).to.be.equal('279037');
+    });
+
+    it('TOTP: should verify codes with clock skew of one period', function () {
+        const time = 1234567890000;
+        const code = totp.generate(SECRET, time);
+        expect(totp.verify(SECRET, code, time)).to.be.equal(Math.floor(time / 30000));
+        expect(totp.verify(SECRET, code, time + 30000)).to.be.equal(Math.floor(time / 30000));
+        expect(totp.verify(SECRET, code, time + 90000)).to.be.null;
+        expect(totp.verify(SECRET, '12345', time)).to.be.null;
+        expect(totp.verify(SECRET, undefined, time)).to.be.null;
+
+        const secret = totp.generateSecret();
+        expect(secret).to.match(/^[A-Z2-7]{32}$/);
+        expect(totp.getUri(secret, 'admin')).to.be.equal('otpauth://totp/ioBroker:admin?secret=' + secret + '&issuer=ioBroker&algorithm=SHA1&digits=6&period=30');
+    });
+
+    it('TOTP: should store secret encrypted', function () {
+        const encrypted = totp.encryptSecret('system', SECRET);
+        expect(encrypted).to.not.contain(SECRET);
+        expect(totp.decryptSecret('system', encrypted)).to.be.equal(SECRET);
+        expect(totp.decryptSecret('other', encrypted)).to.be.null;
+        // not encrypted secret is not accepted
+        expect(totp.decryptSecret('system', SECRET)).to.be.null;
+    });
+});
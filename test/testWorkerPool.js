@@ -0,0 +1,148 @@
+/* jshint -W097 */
+/* jshint strict:false */
+/* jslint node:true */
+/* jshint expr:true */
+'use strict';
+
+const expect     = require('chai').expect;
+const fs         = require('fs');
+const mkdirp     = require('mkdirp');
+const tools      = require(__dirname + '/../lib/tools');
+const WorkerPool = require(__dirname + '/../lib/workerPool');
+const rootDir    = __dirname + '/../tmp/workerPool/';
+const logger     = {
+    silly: function () {},
+    debug: function () {},
+    info:  function () {},
+    warn:  function (msg) {
+        console.warn(msg);
+    },
+    error: function () {}
+};
+
+// behaves like adapter.js in worker thread
+const adapterFile = rootDir + 'adapter.js';
+const adapter = `
+const parentPort = require('worker_threads').parentPort;
+console.error('started ' + process.argv.slice(2).join(' '));
+parentPort.on('message', msg => {
+    if (msg.command === 'ping') parentPort.postMessage({command: 'pong', id: msg.id});
+    // loglevel "slow" simulates instance, that needs time to stop
+    if (msg.command === 'stop') setTimeout(() => process.exit(0), process.argv[3] === 'slow' ? 300 : 0);
+    if (msg.command === 'crash') setImmediate(() => { throw new Error('crash'); });
+    if (msg.command === 'block') while (true) {}
+    if (msg.command === 'restart') process.exit(-100);
+});
+`;
+
+describe('WorkerPool: Test instances in worker threads', function () {
+    this.timeout(10000);
+    let pool;
+
+    before('WorkerPool: Create adapter', function () {
+        // worker threads are available only since node 10.5 (node 10 only with --experimental-worker)
+        if (!WorkerPool.isSupported()) return this.skip();
+        tools.rmdirRecursiveSync(rootDir);
+        mkdirp.sync(rootDir);
+        fs.writeFileSync(adapterFile, adapter);
+        pool = new WorkerPool({logger: logger});
+    });
+
+    it('WorkerPool: should start, ping and stop instance', function (done) {
+        const worker = pool.fork('system.adapter.test.0', adapterFile, [0, 'info']);
+        expect(worker.isWorker).to.be.true;
+        expect(worker.pid).to.be.not.equal(process.pid);
+
+        let text = '';
+        worker.stderr.on('data', data => text += data.toString());
+        worker.on('message', msg => {
+            expect(msg).to.be.deep.equal({command: 'pong', id: 5});
+            worker.kill();
+        });
+        worker.on('exit', (code, signal) => {
+            expect(code).to.be.equal(0);
+            expect(signal).to.be.null;
+            expect(worker.exitCode).to.be.equal(0);
+            expect(text).to.contain('started 0 info');
+            expect(pool.getCount()).to.be.equal(0);
+            done();
+        });
+        worker.send({command: 'ping', id: 5});
+    });
+
+    it('WorkerPool: should restart instance, while old thread is still stopping', function (done) {
+        const old = pool.fork('system.adapter.test.0', adapterFile, [0, 'slow']);
+        old.on('message', () => {
+            old.kill();
+            // controller starts new thread at once, because it forgets the old one after kill
+            const restarted = pool.fork('system.adapter.test.0', adapterFile, [0, 'info']);
+            restarted.on('exit', () => done('new thread got exit of old one'));
+            old.on('exit', code => {
+                expect(code).to.be.equal(0);
+                expect(pool.getCount()).to.be.equal(1);
+                restarted.on('message', msg => {
+                    expect(msg.id).to.be.equal(2);
+                    restarted.removeAllListeners('exit');
+                    restarted.on('exit', () => done());
+                    restarted.kill();
+                });
+                restarted.send({command: 'ping', id: 2});
+            });
+        });
+        old.send({command: 'ping', id: 1});
+    });
+
+    it('WorkerPool: should terminate only crashed instance', function (done) {
+        const first  = pool.fork('system.adapter.test.0', adapterFile, [0, 'info']);
+        const second = pool.fork('system.adapter.test.1', adapterFile, [1, 'info']);
+        expect(first.pid).to.be.equal(second.pid);
+
+        let errors = '';
+        first.stderr.on('data', data => errors += data.toString());
+        first.on('exit', code => {
+            expect(code).to.be.equal(1);
+            expect(errors).to.contain('Error: crash');
+            second.on('message', () => second.kill('SIGKILL'));
+            second.on('exit', () => done());
+            second.send({command: 'ping', id: 1});
+        });
+        first.send({command: 'crash'});
+    });
+
+    it('WorkerPool: should kill blocked instance and report exit codes as process', function (done) {
+        const blocked = pool.fork('system.adapter.test.0', adapterFile, [0, 'info']);
+        blocked.on('exit', code => {
+            expect(code).to.be.equal(1);
+            const restarted = pool.fork('system.adapter.test.0', adapterFile, [0, 'info']);
+            restarted.on('exit', code => {
+                expect(code).to.be.equal(4294967196);
+                done();
+            });
+            restarted.send({command: 'restart'});
+        });
+        blocked.send({command: 'block'});
+        setTimeout(() => blocked.kill('SIGKILL'), 200);
+    });
+
+    it('WorkerPool: should terminate all instances with runner', function (done) {
+        const first  = pool.fork('system.adapter.test.0', adapterFile, [0, 'info']);
+        const second = pool.fork('system.adapter.test.1', adapterFile, [1, 'info']);
+        let count = 0;
+        const onExit = (code, signal) => {
+            expect(signal).to.be.equal('SIGKILL');
+            if (++count === 2) {
+                expect(pool.getCount()).to.be.equal(0);
+                done();
+            }
+        };
+        first.on('exit', onExit);
+        second.on('exit', onExit);
+        first.on('message', () => process.kill(first.pid, 'SIGKILL'));
+        first.send({command: 'ping', id: 1});
+    });
+
+    after('WorkerPool: Stop runner', function () {
+        pool && pool.destroy();
+        tools.rmdirRecursiveSync(rootDir);
+    });
+});